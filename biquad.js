@@ -0,0 +1,143 @@
+import { strict as assert } from 'node:assert';
+
+import { Netlist } from './netlist.js';
+
+/**
+ * The open-loop response of an op-amp, with a single pole. An op-amp with neither parameter is ideal.
+ * @typedef {Object} OpampModel
+ * @property {number} [gain] - DC open-loop gain, infinite by default
+ * @property {number} [gainBandwidth] - Gain-bandwidth product in hertz, infinite by default
+ */
+
+/**
+ * An active biquad section, built from resistors, capacitors and op-amps between the node "in" and its output node
+ * @typedef {Object} BiquadTopology
+ * @property {Array<string>} components - Names of the resistors and capacitors, in the order the stage lists them
+ * @property {Array<string>} [gainComponents] - Optional resistors following the others that set the passband gain
+ * @property {Array<string>} [outputs] - Output nodes of sections with more than one, the first being the default.
+ * Others have the output node "out".
+ * @property {function(Array<import('./load.js').default>, OpampModel): Array<import('./netlist.js').NetlistElement>} netlist -
+ * Takes the loads of the components and the op-amps' model and lists the section's elements
+ */
+
+/**
+ * Lists a netlist's elements for loads connected between pairs of nodes, ignoring pairs without a load
+ * @param {Array<import('./load.js').default>} loads
+ * @param {Array<Array<string>>} connections
+ * @returns {Array<import('./netlist.js').NetlistElement>}
+ */
+function connect(loads, connections) {
+    return connections.flatMap((nodes, i) => loads[i] === undefined ? [] : [{ type: 'load', nodes, load: loads[i] }]);
+}
+
+/**
+ * Builds a Sallen-Key section from its four frequency setting components, which connect the input through nodes a
+ * and b to the non-inverting input. The op-amp is a follower, or has the gain 1 + Rf / Rg with gain resistors.
+ * @param {Array<import('./load.js').default>} loads - The four components and any gain resistors Rf and Rg
+ * @param {OpampModel} opamp
+ * @param {Array<Array<string>>} connections - Nodes of the four components
+ * @returns {Array<import('./netlist.js').NetlistElement>}
+ */
+function sallenKey(loads, opamp, connections) {
+    const amplified = loads.length > 4;
+    return [
+        ...connect(loads, [...connections, ['out', 'feedback'], ['feedback', '0']]),
+        { type: 'opamp', nodes: ['b', amplified ? 'feedback' : 'out', 'out'], ...opamp }
+    ];
+}
+
+/**
+ * Active biquad sections by name
+ * @type {Object<string, BiquadTopology>}
+ */
+export const BIQUAD_TOPOLOGIES = {
+    sallenKeyLowpass: {
+        components: ['R1', 'R2', 'C1', 'C2'],
+        gainComponents: ['Rf', 'Rg'],
+        netlist: (loads, opamp) => sallenKey(loads, opamp, [['in', 'a'], ['a', 'b'], ['a', 'out'], ['b', '0']])
+    },
+    sallenKeyHighpass: {
+        components: ['C1', 'C2', 'R1', 'R2'],
+        gainComponents: ['Rf', 'Rg'],
+        netlist: (loads, opamp) => sallenKey(loads, opamp, [['in', 'a'], ['a', 'b'], ['a', 'out'], ['b', '0']])
+    },
+    // Inverting, with a passband gain of -R2 / R1
+    mfbLowpass: {
+        components: ['R1', 'R2', 'R3', 'C1', 'C2'],
+        netlist: (loads, opamp) => [
+            ...connect(loads, [['in', 'a'], ['a', 'out'], ['a', 'inverting'], ['a', '0'], ['inverting', 'out']]),
+            { type: 'opamp', nodes: ['0', 'inverting', 'out'], ...opamp }
+        ]
+    },
+    // Inverting, with a gain of -R3 C1 / R1 (C1 + C2) at its centre frequency
+    mfbBandpass: {
+        components: ['R1', 'R2', 'R3', 'C1', 'C2'],
+        netlist: (loads, opamp) => [
+            ...connect(loads, [['in', 'a'], ['a', '0'], ['inverting', 'out'], ['a', 'inverting'], ['a', 'out']]),
+            { type: 'opamp', nodes: ['0', 'inverting', 'out'], ...opamp }
+        ]
+    },
+    // The KHN state-variable filter: a summing amplifier driving two inverting integrators, whose outputs it sums with the
+    // input. R1, R2 and R3 feed the input, high-pass and low-pass outputs to the summing node, R4 and R5 divide the
+    // band-pass output down to the non-inverting input, and R6 with C1 and R7 with C2 set the integrators' time constants.
+    stateVariable: {
+        components: ['R1', 'R2', 'R3', 'R4', 'R5', 'R6', 'R7', 'C1', 'C2'],
+        outputs: ['lowpass', 'bandpass', 'highpass'],
+        netlist: (loads, opamp) => [
+            ...connect(loads, [
+                ['in', 'sum'], ['highpass', 'sum'], ['lowpass', 'sum'], ['bandpass', 'divider'], ['divider', '0'],
+                ['highpass', 'integrator1'], ['bandpass', 'integrator2'], ['integrator1', 'bandpass'], ['integrator2', 'lowpass']
+            ]),
+            { type: 'opamp', nodes: ['divider', 'sum', 'highpass'], ...opamp },
+            { type: 'opamp', nodes: ['0', 'integrator1', 'bandpass'], ...opamp },
+            { type: 'opamp', nodes: ['0', 'integrator2', 'lowpass'], ...opamp }
+        ]
+    }
+};
+
+/**
+ * Checks the description of a biquad section, returning its topology
+ * @param {string} topology - A key of BIQUAD_TOPOLOGIES
+ * @param {number} components - Number of components given
+ * @param {Object} options
+ * @param {OpampModel} [options.opamp]
+ * @param {string} [options.output] - One of the topology's outputs
+ * @returns {BiquadTopology}
+ */
+export function validateBiquad(topology, components, { opamp = {}, output = undefined } = {}) {
+    const section = BIQUAD_TOPOLOGIES[topology];
+    assert(section, `Unknown biquad topology ${topology}`);
+    const counts = [section.components.length, section.components.length + (section.gainComponents?.length ?? 0)];
+    assert(counts.includes(components), `A ${topology} biquad needs ${[...new Set(counts)].join(' or ')} components`);
+    assert(output === undefined || (section.outputs ?? []).includes(output), `A ${topology} biquad has no ${output} output`);
+    assert(opamp instanceof Object);
+    for (const name of Object.keys(opamp))
+        assert(['gain', 'gainBandwidth'].includes(name), `Unknown op-amp parameter ${name}`);
+    return section;
+}
+
+/**
+ * Names the components of a biquad section in order, followed by any optional gain resistors
+ * @param {string} topology - A key of BIQUAD_TOPOLOGIES
+ * @returns {Array<string>}
+ */
+export function biquadComponentNames(topology) {
+    const section = BIQUAD_TOPOLOGIES[topology];
+    assert(section, `Unknown biquad topology ${topology}`);
+    return [...section.components, ...(section.gainComponents ?? [])];
+}
+
+/**
+ * Constructs the two-port network of a biquad section from its components' loads, solving its netlist
+ * @param {string} topology - A key of BIQUAD_TOPOLOGIES
+ * @param {Array<import('./load.js').default>} loads - One for each component, in the topology's order
+ * @param {Object} [options]
+ * @param {OpampModel} [options.opamp] - Model of every op-amp in the section, ideal by default
+ * @param {string} [options.output] - One of the topology's outputs, by default its first
+ * @returns {import('./twoPortNetwork.js').default}
+ */
+export function biquadNetwork(topology, loads, options = {}) {
+    const section = validateBiquad(topology, loads.length, options);
+    const netlist = new Netlist(section.netlist(loads, options.opamp ?? {}));
+    return netlist.network('in', options.output ?? section.outputs?.[0] ?? 'out');
+}
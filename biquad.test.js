@@ -0,0 +1,233 @@
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { BIQUAD_TOPOLOGIES, biquadNetwork } from './biquad.js';
+import { Capacitor, Component, ComponentValue } from './component.js';
+import { buildDesign } from './design.js';
+import { BiquadStage, Filter, FilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { Netlist } from './netlist.js';
+import { optimizeFilter } from './optimize.js';
+import { makeRandom } from './random.js';
+import { formatSpiceNetlist } from './spice.js';
+import { FrequencySweep } from './sweep.js';
+import { Topology } from './topology.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+const [R, C] = [Load.resistor, Load.capacitor];
+
+/**
+ * Checks that two complex numbers agree to a relative tolerance
+ */
+const near = (t, actual, expected, message, tolerance = 1e-9) =>
+    t.ok(new Complex(actual).sub(expected).abs() <= tolerance * Math.max(new Complex(expected).abs(), 1e-9), `${message}: ${actual} vs ${expected}`);
+
+/**
+ * Makes a resistor whose value is optimized among preferred values
+ */
+const resistor = (name, value) => new Component(name, ComponentValue.initializeComponent(value, value * 10, value / 10), Load.resistor);
+
+/**
+ * Makes a capacitor whose value is optimized among preferred values
+ */
+const capacitor = (name, value) => new Component(name, ComponentValue.initializeComponent(value, value * 10, value / 10), Load.capacitor);
+
+test('Test Biquad - Controlled Sources And Op-Amps', (t) => {
+    const angularFrequency = 1e6;
+
+    // Controlled sources draw no input current and drive the output as their two-ports do
+    const vcvs = new Netlist([{ type: 'vcvs', nodes: ['out', '0', 'in', '0'], gain: 5 }]).network('in', 'out');
+    near(t, vcvs.voltageGain(angularFrequency), 5, 'vcvs');
+    near(t, vcvs.abcdMatrix(angularFrequency).get(0, 0), TwoPortNetwork.vcvs(5).abcdMatrix(angularFrequency).get(0, 0), 'vcvs A');
+    t.ok(vcvs.abcdMatrix(angularFrequency).get(1, 0).abs() < 1e-9);
+    const loaded = (network) => TwoPortNetwork.cascade(network, TwoPortNetwork.shunt(R(100))).voltageGain(angularFrequency);
+    const vccs = new Netlist([{ type: 'vccs', nodes: ['0', 'out', 'in', '0'], transconductance: 0.02 }]).network('in', 'out');
+    near(t, loaded(vccs), 2, 'vccs into a load', 1e-6);
+    near(t, loaded(TwoPortNetwork.vccs(0.02)), 2, 'vccs two-port into a load');
+    near(t, loaded(TwoPortNetwork.vcvs(-3)), -3, 'vcvs two-port into a load');
+    t.throws(() => TwoPortNetwork.vcvs(0));
+    t.throws(() => new Netlist([{ type: 'vccs', nodes: ['out', '0', 'in'], transconductance: 1 }]), /needs 4 nodes/);
+
+    // A non-inverting amplifier has the gain A / (1 + Aβ), 1 / β with an ideal op-amp
+    const amplifier = (opamp) => new Netlist([
+        { type: 'opamp', nodes: ['in', 'feedback', 'out'], ...opamp },
+        { type: 'resistor', nodes: ['out', 'feedback'], value: 9e3 },
+        { type: 'resistor', nodes: ['feedback', '0'], value: 1e3 }
+    ]).network('in', 'out');
+    near(t, amplifier({}).voltageGain(angularFrequency), 10, 'ideal amplifier');
+    near(t, amplifier({ gain: 1e3 }).voltageGain(0), 1e3 / (1 + 1e3 / 10), 'finite gain amplifier');
+    // A single pole op-amp has a follower with its -3 dB frequency at the gain-bandwidth product
+    const follower = new Netlist([{ type: 'opamp', nodes: ['in', 'out', 'out'], gainBandwidth: 1e6 }]).network('in', 'out');
+    near(t, follower.voltageGain(2 * Math.PI * 1e6), new Complex(1, 1).inverse(), 'follower at the gain-bandwidth product');
+    near(t, follower.voltageGain(0), 1, 'follower at DC');
+    // An ideal op-amp's output drives the next stage without being loaded
+    const inverting = new Netlist([
+        { type: 'resistor', nodes: ['in', 'inverting'], value: 1e3 },
+        { type: 'resistor', nodes: ['inverting', 'out'], value: 2e3 },
+        { type: 'opamp', nodes: ['0', 'inverting', 'out'] }
+    ]).network('in', 'out');
+    near(t, loaded(inverting), -2, 'inverting amplifier into a load');
+    near(t, inverting.inputImpedance(angularFrequency, R(100)), 1e3, 'inverting amplifier input impedance');
+    t.throws(() => new Netlist([{ type: 'opamp', nodes: ['in', 'out', 'out'], gainBandwidth: 0 }]), /gain-bandwidth/);
+    t.throws(() => new Netlist([{ type: 'opamp', nodes: ['in', 'out'] }]), /needs 3 nodes/);
+
+    t.end();
+});
+
+test('Test Biquad - Sections', (t) => {
+    // Sallen-Key low-pass: ω₀ = 1 / √(R1 R2 C1 C2) and Q = √(R1 R2 C1 C2) / C2 (R1 + R2), with Q = |H(jω₀)|
+    const lowpass = biquadNetwork('sallenKeyLowpass', [R(1e3), R(2e3), C(4e-9), C(1e-9)]);
+    const resonance = 1 / Math.sqrt(1e3 * 2e3 * 4e-9 * 1e-9);
+    const q = Math.sqrt(1e3 * 2e3 * 4e-9 * 1e-9) / (1e-9 * 3e3);
+    near(t, lowpass.voltageGain(0), 1, 'Sallen-Key low-pass at DC');
+    near(t, lowpass.voltageGain(resonance), new Complex(0, -q), 'Sallen-Key low-pass at resonance');
+    t.ok(lowpass.voltageGain(100 * resonance).abs() < 2e-4);
+    // Gain resistors raise the passband gain to 1 + Rf / Rg
+    near(t, biquadNetwork('sallenKeyLowpass', [R(1e3), R(2e3), C(4e-9), C(1e-9), R(3e3), R(1e3)]).voltageGain(0), 4, 'Sallen-Key with gain');
+    const highpass = biquadNetwork('sallenKeyHighpass', [C(1e-9), C(1e-9), R(2e3), R(1e3)]);
+    near(t, highpass.voltageGain(1e14), 1, 'Sallen-Key high-pass', 1e-6);
+    t.ok(highpass.voltageGain(1e2).abs() < 1e-6);
+
+    // Multiple feedback sections invert
+    const mfbLowpass = biquadNetwork('mfbLowpass', [R(1e3), R(3e3), R(1e3), C(1e-8), C(1e-9)]);
+    near(t, mfbLowpass.voltageGain(0), -3, 'MFB low-pass at DC');
+    t.ok(mfbLowpass.voltageGain(1e9).abs() < 1e-3);
+    const mfbBandpass = biquadNetwork('mfbBandpass', [R(1e3), R(500), R(1e4), C(1e-9), C(3e-9)]);
+    const centre = Math.sqrt((1e3 + 500) / (1e3 * 500 * 1e4 * 1e-9 * 3e-9));
+    near(t, mfbBandpass.voltageGain(centre), -1e4 * 1e-9 / (1e3 * 4e-9), 'MFB band-pass at its centre');
+
+    // With equal summing resistors, the state-variable section has ω₀ = 1 / R6 C1 and Q = (R4 + R5) / 3 R5. Its low-pass
+    // and high-pass outputs pass with a gain of -1, and its band-pass output with a gain of Q.
+    const components = [R(1e3), R(1e3), R(1e3), R(5e3), R(1e3), R(1e4), R(1e4), C(1e-9), C(1e-9)];
+    const sectionResonance = 1 / (1e4 * 1e-9);
+    const outputs = Object.fromEntries(['lowpass', 'bandpass', 'highpass'].map((output) => [output, biquadNetwork('stateVariable', components, { output })]));
+    near(t, outputs.lowpass.voltageGain(0), -1, 'state-variable low-pass at DC');
+    near(t, outputs.highpass.voltageGain(1e12), -1, 'state-variable high-pass', 1e-6);
+    near(t, outputs.bandpass.voltageGain(sectionResonance), 2, 'state-variable band-pass at resonance');
+    near(t, outputs.lowpass.voltageGain(sectionResonance).abs(), 2, 'state-variable Q');
+    near(t, biquadNetwork('stateVariable', components).voltageGain(0), -1, 'state-variable default output');
+
+    // An op-amp with a gain-bandwidth product below the section's resonance changes its response there,
+    // while a fast enough op-amp leaves it alone
+    const real = (gainBandwidth) => biquadNetwork('sallenKeyLowpass', [R(1e3), R(2e3), C(4e-9), C(1e-9)], { opamp: { gain: 1e5, gainBandwidth } });
+    t.ok(Math.abs(real(1e6).voltageGain(resonance).abs() - q) > 0.005 * q);
+    near(t, real(1e12).voltageGain(resonance), new Complex(0, -q), 'fast op-amp', 1e-4);
+
+    t.throws(() => biquadNetwork('twinT', []), /Unknown biquad topology/);
+    t.throws(() => biquadNetwork('sallenKeyLowpass', [R(1e3)]), /needs 4 or 6 components/);
+    t.throws(() => biquadNetwork('mfbLowpass', [R(1e3), R(1e3), R(1e3), C(1e-9), C(1e-9)], { output: 'highpass' }), /no highpass output/);
+    t.throws(() => biquadNetwork('mfbLowpass', [R(1e3), R(1e3), R(1e3), C(1e-9), C(1e-9)], { opamp: { slewRate: 1 } }), /Unknown op-amp parameter/);
+    t.same(Object.keys(BIQUAD_TOPOLOGIES), ['sallenKeyLowpass', 'sallenKeyHighpass', 'mfbLowpass', 'mfbBandpass', 'stateVariable']);
+
+    t.end();
+});
+
+test('Test Biquad - Optimizable Stages', async (t) => {
+    // A Sallen-Key low-pass section buffering a 1 kohm source into a 10 kohm load, resonant at about 11 kHz
+    const stage = new BiquadStage('sallenKeyLowpass', [resistor('R1', 1e4), resistor('R2', 1e4), capacitor('C1', 2e-9), capacitor('C2', 1e-9)],
+        { opamp: { gainBandwidth: 1e6 } });
+    const filter = new Filter(Load.resistor(1e3), Load.resistor(1e4), [stage]);
+    const angularFrequency = 2 * Math.PI * 1e4;
+
+    t.equal(stage.toString(), 'R1: 10000, R2: 10000, C1: 2e-9, C2: 1e-9');
+    const loads = stage.components.map((component) => component.load());
+    near(t, stage.network.voltageGain(angularFrequency), biquadNetwork('sallenKeyLowpass', loads, { opamp: { gainBandwidth: 1e6 } }).voltageGain(angularFrequency), 'stage');
+    // The source resistance adds to R1, and the load is driven by the op-amp
+    const withSource = biquadNetwork('sallenKeyLowpass', [R(1.1e4), ...loads.slice(1)], { opamp: { gainBandwidth: 1e6 } });
+    near(t, filter.network.voltageGain(angularFrequency), withSource.voltageGain(angularFrequency), 'terminated stage', 1e-6);
+    t.throws(() => stage.load(), /two-port/);
+    t.throws(() => new BiquadStage('mfbLowpass', [resistor('R1', 1e3)]), /needs 5 components/);
+
+    // Resistors and capacitors take preferred values like any other component
+    const random = makeRandom(3);
+    let neighbor = filter;
+    for (let i = 0; i < 20; i++)
+        neighbor = neighbor.update(random);
+    t.ok(neighbor.stages[0] instanceof BiquadStage);
+    t.notSame(neighbor.stages[0].toString(), stage.toString());
+    for (const component of neighbor.stages[0].leaves())
+        t.ok(component.componentValue.feasibleValues.includes(component.componentValue.value));
+
+    // Sensitivities match central differences of the whole filter
+    const sensitivities = filter.sensitivities(angularFrequency);
+    t.equal(sensitivities.length, 4);
+    for (const { stage: index, leaf, component, voltageGain } of sensitivities) {
+        const value = component.componentValue.value;
+        const step = value * 1e-4;
+        const at = (newValue) => filter.withStage(index, filter.stages[index].withLeaf(leaf, component.withValue(newValue))).network.voltageGain(angularFrequency);
+        const expected = at(value + step).sub(at(value - step)).div(2 * step);
+        t.ok(voltageGain.sub(expected).abs() < 1e-5 * expected.abs(), `${component.componentName}`);
+    }
+
+    const restored = Filter.fromJSON(JSON.parse(JSON.stringify(filter)));
+    t.same(restored.toJSON(), filter.toJSON());
+    t.same(restored.stages[0].toJSON().opamp, { gainBandwidth: 1e6 });
+    t.same(restored.network.voltageGain(angularFrequency), filter.network.voltageGain(angularFrequency));
+    const ideal = FilterStage.fromJSON({ ...stage.toJSON(), opamp: undefined, topology: 'sallenKeyHighpass' });
+    t.equal(ideal.toJSON().opamp, undefined);
+    t.equal(ideal.topology, 'sallenKeyHighpass');
+    const bandpass = FilterStage.fromJSON({ type: 'biquad', topology: 'stateVariable', output: 'bandpass', components: [
+        ...['R1', 'R2', 'R3', 'R4', 'R5', 'R6', 'R7'].map((name) => resistor(name, 1e4).toJSON()),
+        capacitor('C1', 1e-9).toJSON(),
+        capacitor('C2', 1e-9).toJSON()
+    ] });
+    t.equal(bandpass.toJSON().output, 'bandpass');
+
+    // Sweeps cache sections by their components' values
+    const sweep = new FrequencySweep([1e4, 1e5, 1e6]);
+    const gain = sweep.network(filter).voltageGain();
+    sweep.angularFrequencies.forEach((w, i) => near(t, new Complex(gain.re[i], gain.im[i]), filter.network.voltageGain(w), `sweep at ${w}`, 1e-12));
+    const cached = sweep.cache.size;
+    sweep.network(filter.withStage(0, stage.withLeaf(0, stage.leaves()[0].withValue(1.2e4))));
+    t.equal(sweep.cache.size, cached + 1);
+    sweep.network(filter);
+    t.equal(sweep.cache.size, cached + 1);
+    sweep.network(filter.withStage(0, ideal));
+    t.equal(sweep.cache.size, cached + 2);
+    // Sections with components of unknown loads are evaluated afresh
+    const unknown = filter.withStage(0, stage.withLeaf(0, new Component('R1', 1e4, (value) => new Load(() => new Complex(value, 0)))));
+    const unknownGain = sweep.network(unknown).voltageGain();
+    sweep.angularFrequencies.forEach((w, i) => near(t, new Complex(unknownGain.re[i], unknownGain.im[i]), filter.network.voltageGain(w), `unknown loads at ${w}`, 1e-12));
+    t.equal(sweep.cache.size, cached + 2);
+
+    // Topology moves leave active sections alone, and SPICE export writes their op-amps as controlled sources
+    const topology = new Topology({ moves: ['addComponent', 'removeComponent', 'toggleCombination', 'swapComponent'], maxComponentsPerStage: 5 });
+    t.same(topology.possibleMoves(filter), []);
+    t.match(formatSpiceNetlist(filter), /^E1 n\d+ 0 n\d+ out 1000000$/m);
+
+    // Annealing tunes the section's preferred values to a 3 dB cutoff of 10 kHz
+    const objective = (network) => Math.abs(20 * Math.log10(network.voltageGain(angularFrequency).abs()) + 3.01);
+    const optimized = optimizeFilter(filter.withStages([new BiquadStage('sallenKeyLowpass', stage.components)]), objective, 1, 0.05, 300, makeRandom(7));
+    t.ok(objective(optimized.network) < 0.2, `objective ${objective(optimized.network)}`);
+    t.ok(objective(optimized.network) < objective(filter.network));
+    t.ok(optimized.stages[0].leaves().every((component) => component.componentValue.feasibleValues.includes(component.componentValue.value)));
+
+    // Design files name the components after the topology and take op-amp parameters with SI prefixes
+    const design = await buildDesign({
+        stages: [
+            { type: 'shunt', components: [{ type: 'capacitor', value: '1nF' }] },
+            {
+                type: 'biquad',
+                topology: 'stateVariable',
+                output: 'bandpass',
+                opamp: { gain: 1e5, gainBandwidth: '10MHz' },
+                components: [
+                    { value: '10k' }, { value: '10k' }, { value: '10k' }, { value: '20k' }, { value: '10k' },
+                    { value: '10k' }, { value: '10k' }, { value: '1nF', fixed: true }, { value: '1nF', fixed: true }
+                ]
+            }
+        ]
+    });
+    const [, active] = design.filter.stages;
+    t.ok(design.filter.stages[0] instanceof ShuntFilterStage);
+    t.ok(active instanceof BiquadStage);
+    t.same(active.options, { opamp: { gain: 1e5, gainBandwidth: 1e7 }, output: 'bandpass' });
+    t.same(active.leaves().map((component) => component.componentName), BIQUAD_TOPOLOGIES.stateVariable.components);
+    t.same(active.leaves().map((component) => component.model.type), ['resistor', 'resistor', 'resistor', 'resistor', 'resistor', 'resistor', 'resistor', 'capacitor', 'capacitor']);
+    const gained = await buildDesign({ stages: [{ type: 'biquad', topology: 'sallenKeyHighpass', components: ['1nF', '1nF', '10k', '10k', '10k', '10k'].map((value) => ({ value })) }] });
+    t.same(gained.filter.stages[0].leaves().map((component) => component.componentName), ['C1', 'C2', 'R1', 'R2', 'Rf', 'Rg']);
+    await t.rejects(buildDesign({ stages: [{ type: 'biquad', topology: 'twinT', components: [] }] }), /Unknown biquad topology/);
+
+    // Sections can be cascaded with passive stages around them
+    t.ok(new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Capacitor(1e-9)), stage]).network.voltageGain(angularFrequency).isFinite());
+});
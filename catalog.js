@@ -0,0 +1,128 @@
+import { strict as assert } from 'node:assert';
+import { readFile } from 'node:fs/promises';
+
+const SI_PREFIXES = { f: 1e-15, p: 1e-12, n: 1e-9, u: 1e-6, 'µ': 1e-6, m: 1e-3, k: 1e3, M: 1e6, G: 1e9 };
+
+const PART_NUMBER_COLUMNS = ['partnumber', 'part_number', 'part number', 'mpn', 'part'];
+
+/**
+ * Parses a component value that may use an SI prefix and unit, e.g. "4.7nF", "10k" or "2.2e-6"
+ * @param {string|number} text
+ * @returns {number}
+ */
+export function parseComponentValue(text) {
+    if (typeof text === 'number')
+        return text;
+
+    const match = String(text).trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([fpnuµmkMG]?)\s*(?:[a-zA-ZΩ]*)$/u);
+    assert(match, `Cannot parse component value "${text}"`);
+
+    const [, mantissa, prefix] = match;
+    return Number((Number(mantissa) * (prefix ? SI_PREFIXES[prefix] : 1)).toPrecision(12));
+}
+
+/**
+ * Splits a line of comma separated values, honouring double quoted fields
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+export function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const character = line[i];
+        if (quoted) {
+            if (character === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                field += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += character;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parses a CSV parts list. The header row must contain a "value" column and may contain a part number column.
+ * @param {string} text
+ * @returns {Array<import('./component.js').CatalogPart>}
+ */
+function parseCsvCatalog(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    assert(lines.length > 1, 'Parts catalog contains no parts');
+
+    const header = splitCsvLine(lines[0]).map((column) => column.toLowerCase());
+    const valueColumn = header.indexOf('value');
+    assert(valueColumn !== -1, 'Parts catalog has no "value" column');
+    const partNumberColumn = header.findIndex((column) => PART_NUMBER_COLUMNS.includes(column));
+
+    return lines.slice(1).map((line) => {
+        const fields = splitCsvLine(line);
+        const part = { value: parseComponentValue(fields[valueColumn]) };
+        if (partNumberColumn !== -1 && fields[partNumberColumn])
+            part.partNumber = fields[partNumberColumn];
+        return part;
+    });
+}
+
+/**
+ * Parses a JSON parts list: an array of values, or of objects with "value" and "partNumber" properties
+ * @param {string} text
+ * @returns {Array<import('./component.js').CatalogPart>}
+ */
+function parseJsonCatalog(text) {
+    const entries = JSON.parse(text);
+    assert(entries instanceof Array, 'Parts catalog must be an array');
+
+    return entries.map((entry) => {
+        if (typeof entry !== 'object')
+            return { value: parseComponentValue(entry) };
+
+        const part = { value: parseComponentValue(entry.value) };
+        if (entry.partNumber !== undefined)
+            part.partNumber = String(entry.partNumber);
+        return part;
+    });
+}
+
+/**
+ * Parses a parts catalog for use with ComponentValue.fromCatalog
+ * @param {string} text - Contents of the catalog
+ * @param {string} format - Either "csv" or "json"
+ * @returns {Array<import('./component.js').CatalogPart>}
+ */
+export function parseCatalog(text, format) {
+    assert(typeof text === 'string');
+
+    switch (format) {
+        case 'csv':
+            return parseCsvCatalog(text);
+        case 'json':
+            return parseJsonCatalog(text);
+    }
+    assert.fail(`Unsupported parts catalog format ${format}`);
+}
+
+/**
+ * Reads a parts catalog file, choosing the format from the ".csv" or ".json" file extension
+ * @param {string} path
+ * @returns {Promise<Array<import('./component.js').CatalogPart>>}
+ */
+export async function readCatalog(path) {
+    const extension = path.toLowerCase().match(/\.(csv|json)$/);
+    assert(extension, `Unsupported parts catalog file extension: ${path}`);
+
+    return parseCatalog(await readFile(path, 'utf8'), extension[1]);
+}
@@ -0,0 +1,41 @@
+import { test } from 'tap';
+
+import { parseCatalog, parseComponentValue } from './catalog.js';
+
+test('Test Catalog - Component Values', (t) => {
+    t.equal(parseComponentValue('4.7nF'), 4.7e-9);
+    t.equal(parseComponentValue('10k'), 10000);
+    t.equal(parseComponentValue('2.2e-6'), 2.2e-6);
+    t.equal(parseComponentValue('1 µH'), 1e-6);
+    t.equal(parseComponentValue(33), 33);
+    t.throws(() => parseComponentValue('lots'));
+
+    t.end();
+});
+
+test('Test Catalog - CSV', (t) => {
+    const parts = parseCatalog([
+        'Part Number,Value,Description',
+        'GRM1555C1H102JA01,1nF,"C0G, 50V"',
+        'GRM1555C1H222JA01,2.2nF,"C0G, 50V"'
+    ].join('\n'), 'csv');
+
+    t.same(parts, [
+        { value: 1e-9, partNumber: 'GRM1555C1H102JA01' },
+        { value: 2.2e-9, partNumber: 'GRM1555C1H222JA01' }
+    ]);
+
+    // Quotes within quoted fields are doubled
+    t.same(parseCatalog('Part Number,Value\n"CAP ""A""",1nF', 'csv'), [{ value: 1e-9, partNumber: 'CAP "A"' }]);
+    t.throws(() => parseCatalog('Value\n1nF', 'xml'), /Unsupported parts catalog format xml/);
+
+    t.end();
+});
+
+test('Test Catalog - JSON', (t) => {
+    const parts = parseCatalog('[{"value": "100n", "partNumber": "LQW15AN"}, 1e-6]', 'json');
+
+    t.same(parts, [{ value: 1e-7, partNumber: 'LQW15AN' }, { value: 1e-6 }]);
+
+    t.end();
+});
@@ -0,0 +1,391 @@
+import { strict as assert } from 'node:assert';
+import { writeFile } from 'node:fs/promises';
+import { dirname, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { parseComponentValue } from './catalog.js';
+import { optimizeDesign, readDesign, readDesignSpec } from './design.js';
+import { optimizeMultistart } from './multistart.js';
+import { makeRandom } from './random.js';
+import { formatResponseCsv, sweepResponse } from './report.js';
+import { formatFilter } from './serialization.js';
+import { makeSpecificationEvaluator } from './specification.js';
+import { formatSpiceNetlist } from './spice.js';
+import { synthesizeFilter } from './synthesis.js';
+import { monteCarloAnalysis } from './tolerance.js';
+import { formatTouchstone } from './touchstone.js';
+import { TransferFunction } from './transferFunction.js';
+
+const USAGE = `Usage: filtopt <command> [options]
+
+Commands:
+  optimize <design>     Optimize the filter described by a JSON or YAML design file
+  analyze <file>        Print the components of a design or filter file and evaluate its objective
+  synthesize            Synthesize a classical filter
+  export <file>         Convert a design or filter file to another format
+
+Options:
+  -o, --output <path>           Write the resulting filter to a file
+  -f, --format <format>         Output format: json, spice, touchstone or csv (default: from the output extension)
+      --min-frequency <hz>      Sweep start frequency for Touchstone and CSV output
+      --max-frequency <hz>      Sweep stop frequency for Touchstone and CSV output
+      --points <n>              Number of sweep points
+      --seed <n>                optimize and analyze: seed for a reproducible run
+      --iterations <n>          optimize: number of iterations, overriding the design
+      --restarts <n>            optimize: run this many restarts from random component values in worker threads
+      --workers <n>             optimize: number of worker threads for --restarts (default: one per core)
+  -q, --quiet                   optimize: do not report progress
+      --trials <n>              analyze: Monte Carlo tolerance analysis with this many instances
+      --poles                   analyze: print the transfer function, its poles and zeros
+
+Synthesis options:
+      --type <type>             butterworth, chebyshev, bessel or elliptic
+      --response <response>     lowpass, highpass, bandpass or bandstop
+      --order <n>               Filter order
+      --cutoff <hz>             Cutoff frequency, or "lower,upper" band edges for band responses
+      --ripple <db>             Passband ripple
+      --stopband-attenuation <db>
+      --source-impedance <ohms>
+      --load-impedance <ohms>
+      --first-element <element>  shunt or series
+      --series <series>         Preferred value series, e.g. E24
+`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    'min-frequency': { type: 'string' },
+    'max-frequency': { type: 'string' },
+    points: { type: 'string' },
+    seed: { type: 'string' },
+    iterations: { type: 'string' },
+    restarts: { type: 'string' },
+    workers: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    trials: { type: 'string' },
+    poles: { type: 'boolean' },
+    type: { type: 'string' },
+    response: { type: 'string' },
+    order: { type: 'string' },
+    cutoff: { type: 'string' },
+    ripple: { type: 'string' },
+    'stopband-attenuation': { type: 'string' },
+    'source-impedance': { type: 'string' },
+    'load-impedance': { type: 'string' },
+    'first-element': { type: 'string' },
+    series: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const FORMAT_EXTENSIONS = {
+    '.json': 'json',
+    '.cir': 'spice',
+    '.sp': 'spice',
+    '.spice': 'spice',
+    '.net': 'spice',
+    '.s2p': 'touchstone',
+    '.csv': 'csv'
+};
+
+/**
+ * Parses an optional numeric option, which may use SI prefixes
+ * @param {string|undefined} value
+ * @returns {number|undefined}
+ */
+function numberOption(value) {
+    return value === undefined ? undefined : parseComponentValue(value);
+}
+
+/**
+ * Formats a filter's stages as a numbered component list
+ * @param {import('./filter.js').Filter} filter
+ * @returns {string}
+ */
+export function formatComponentList(filter) {
+    const lines = [`Input load: ${formatLoad(filter.inputLoad)}`];
+    filter.stages.forEach((stage, i) => lines.push(`Stage ${i + 1} (${stage.toJSON().type}): ${stage.toString()}`));
+    lines.push(`Output load: ${formatLoad(filter.outputLoad)}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Describes a load briefly, by its resistance when it is a plain resistor and by its range when it is tabulated
+ * @param {import('./load.js').default} load
+ * @returns {string}
+ */
+function formatLoad(load) {
+    try {
+        const json = load.toJSON();
+        if (json.type === 'tabulated')
+            return `${json.frequencies.length} tabulated impedances from ${json.frequencies[0]} Hz to ${json.frequencies.at(-1)} Hz`;
+        return json.type === 'resistor' ? `${json.value} ohm` : JSON.stringify(json);
+    } catch {
+        return 'custom load';
+    }
+}
+
+/**
+ * Determines the sweep used for Touchstone and CSV output from the command line and the design
+ * @param {Object} values - Parsed command line options
+ * @param {import('./design.js').Design} design
+ * @returns {import('./report.js').SweepOptions}
+ */
+function sweepOptions(values, design = {}) {
+    const analysis = design.analysis ?? {};
+    const sweep = {
+        ...analysis,
+        minFrequency: numberOption(values['min-frequency']) ?? analysis.minFrequency,
+        maxFrequency: numberOption(values['max-frequency']) ?? analysis.maxFrequency,
+        points: numberOption(values.points) ?? analysis.points
+    };
+    for (const key of Object.keys(sweep)) {
+        if (sweep[key] === undefined)
+            delete sweep[key];
+    }
+    return sweep;
+}
+
+/**
+ * Formats a filter in an output format
+ * @param {import('./filter.js').Filter} filter
+ * @param {string} format - "json", "spice", "touchstone" or "csv"
+ * @param {import('./report.js').SweepOptions} sweep
+ * @returns {string}
+ */
+export function formatOutput(filter, format, sweep) {
+    const needsSweep = () => assert(
+        sweep.minFrequency !== undefined && sweep.maxFrequency !== undefined,
+        `${format} output needs --min-frequency and --max-frequency, or an analysis section in the design`);
+
+    switch (format) {
+        case 'json':
+            return formatFilter(filter);
+        case 'spice': {
+            const analysis = sweep.minFrequency === undefined || sweep.maxFrequency === undefined
+                ? undefined
+                : { startFrequency: sweep.minFrequency, stopFrequency: sweep.maxFrequency };
+            return formatSpiceNetlist(filter, { analysis });
+        }
+        case 'touchstone':
+            needsSweep();
+            return formatTouchstone(filter.stagesNetwork, sweepResponse(filter, sweep).frequencies, { referenceImpedance: sweep.referenceImpedance });
+        case 'csv':
+            needsSweep();
+            return formatResponseCsv(sweepResponse(filter, sweep));
+    }
+    assert.fail(`Unknown output format ${format}`);
+}
+
+/**
+ * Writes a filter to the output file, if one was requested
+ * @param {import('./filter.js').Filter} filter
+ * @param {Object} values - Parsed command line options
+ * @param {import('./design.js').Design} [design]
+ * @returns {Promise<void>}
+ */
+async function writeOutput(filter, values, design) {
+    if (values.output === undefined) {
+        assert(values.format === undefined, '--format needs --output');
+        return;
+    }
+    const format = values.format ?? FORMAT_EXTENSIONS[extname(values.output).toLowerCase()];
+    assert(format, `Cannot tell the output format of ${values.output}, use --format`);
+    await writeFile(values.output, formatOutput(filter, format, sweepOptions(values, design)));
+}
+
+/**
+ * Describes how well a filter meets a design's objective
+ * @param {import('./filter.js').Filter} filter
+ * @param {import('./design.js').Design} design
+ * @returns {string}
+ */
+function formatEvaluation(filter, design) {
+    if (design.objective === undefined)
+        return '';
+
+    const lines = [`Objective: ${design.objective(filter.network, filter)}`];
+    if (design.specification !== undefined) {
+        const { constraints, options } = design.specification;
+        const { violations } = makeSpecificationEvaluator(constraints, options)(filter.network, filter);
+        const names = Object.keys(violations);
+        lines.push(names.length === 0
+            ? 'Specification met'
+            : names.map((name) => `Violated ${name} by ${violations[name]}`).join('\n'));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Describes the yield and most sensitive components of a design's filter
+ * @param {import('./filter.js').Filter} filter
+ * @param {import('./design.js').Design} design
+ * @param {Object} values - Parsed command line options
+ * @returns {string}
+ */
+function formatToleranceAnalysis(filter, design, values) {
+    assert(design.objective !== undefined, 'Tolerance analysis needs a design with an objective');
+
+    const report = monteCarloAnalysis(
+        filter,
+        design.specification?.constraints ?? design.objective,
+        {
+            trials: Number(values.trials),
+            random: values.seed === undefined ? Math.random : makeRandom(Number(values.seed)),
+            defaultTolerance: design.tolerance,
+            specificationOptions: design.specification?.options
+        });
+    const lines = [
+        `Yield: ${(100 * report.yield).toFixed(1)}% of ${report.trials} instances`,
+        `Worst objective: ${report.worstObjectiveValue}`,
+        ...Object.entries(report.failures ?? {})
+            .filter(([, fraction]) => fraction > 0)
+            .map(([name, fraction]) => `Failed ${name} in ${(100 * fraction).toFixed(1)}%`),
+        'Sensitivities:',
+        ...report.sensitivities.map(({ stage, name, correlation }) => `  Stage ${stage + 1} ${name}: ${correlation.toFixed(3)}`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Describes the transfer function of a filter with its pole sections and zeros
+ * @param {import('./filter.js').Filter} filter
+ * @returns {string}
+ */
+function formatPoleZero(filter) {
+    const transferFunction = TransferFunction.fromFilter(filter);
+    const lines = [
+        `Transfer function: H(s) = ${transferFunction.toString()}`,
+        'Poles:',
+        ...transferFunction.sections().map(({ order, naturalFrequency, q }) =>
+            `  Order ${order}: ${naturalFrequency / (2 * Math.PI)} Hz` + (q === undefined ? '' : `, Q ${q.toFixed(3)}`)),
+        'Zeros:',
+        ...transferFunction.zeros.filter((zero) => zero.im >= 0).map((zero) => `  ${zero.im === 0 ? '' : '±'}${zero.toString()} rad/s`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Lists the designs kept from a multi-start run
+ * @param {Array<import('./multistart.js').MultistartResult>} results
+ * @returns {string}
+ */
+function formatRestarts(results) {
+    const lines = [
+        'Best restarts:',
+        ...results.map(({ restart, seed, objectiveValue, stopReason }) =>
+            `  Restart ${restart} (seed ${seed}): objective ${objectiveValue}, stopped by ${stopReason}`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+const COMMANDS = {
+    async optimize(positionals, values, { stdout }) {
+        assert(positionals.length === 1, 'optimize needs one design file');
+        const design = await readDesign(positionals[0]);
+        if (values.seed !== undefined)
+            design.optimizer = { ...design.optimizer, seed: Number(values.seed) };
+        if (values.iterations !== undefined)
+            design.optimizer = { ...design.optimizer, iterations: Number(values.iterations) };
+
+        const progressInterval = design.optimizer.progressInterval ?? 1000;
+        let filter;
+        if (values.restarts === undefined) {
+            const onProgress = values.quiet
+                ? undefined
+                : ({ iteration, bestObjectiveValue }) => stdout.write(`Iteration ${iteration}: best objective ${bestObjectiveValue}\n`);
+            filter = optimizeDesign(design, { onProgress, progressInterval });
+        } else {
+            assert(design.objective, 'The design has no objective to optimize');
+            const onProgress = values.quiet
+                ? undefined
+                : ({ restart, iteration, bestObjectiveValue }) => stdout.write(`Restart ${restart} iteration ${iteration}: best objective ${bestObjectiveValue}\n`);
+            const results = await optimizeMultistart(await readDesignSpec(positionals[0]), {
+                restarts: Number(values.restarts),
+                workers: values.workers === undefined ? undefined : Number(values.workers),
+                seed: design.optimizer.seed,
+                baseDirectory: dirname(positionals[0]),
+                optimizer: values.iterations === undefined ? {} : { iterations: Number(values.iterations) },
+                onProgress,
+                progressInterval
+            });
+            stdout.write(formatRestarts(results));
+            filter = results[0].filter;
+        }
+
+        stdout.write(formatComponentList(filter));
+        stdout.write(formatEvaluation(filter, design));
+        await writeOutput(filter, values, design);
+    },
+
+    async analyze(positionals, values, { stdout }) {
+        assert(positionals.length === 1, 'analyze needs one design or filter file');
+        const design = await readDesign(positionals[0]);
+
+        stdout.write(formatComponentList(design.filter));
+        stdout.write(formatEvaluation(design.filter, design));
+        if (values.poles)
+            stdout.write(formatPoleZero(design.filter));
+        if (values.trials !== undefined)
+            stdout.write(formatToleranceAnalysis(design.filter, design, values));
+        await writeOutput(design.filter, values, design);
+    },
+
+    async synthesize(positionals, values, { stdout }) {
+        assert(positionals.length === 0, 'synthesize takes no files, use --output');
+        assert(values.type !== undefined, 'synthesize needs --type');
+        assert(values.order !== undefined, 'synthesize needs --order');
+        assert(values.cutoff !== undefined, 'synthesize needs --cutoff');
+
+        const cutoff = values.cutoff.split(',').map(parseComponentValue);
+        const filter = synthesizeFilter({
+            type: values.type,
+            response: values.response,
+            order: Number(values.order),
+            cutoff: cutoff.length === 1 ? cutoff[0] : cutoff,
+            ripple: numberOption(values.ripple),
+            stopbandAttenuation: numberOption(values['stopband-attenuation']),
+            sourceImpedance: numberOption(values['source-impedance']),
+            loadImpedance: numberOption(values['load-impedance']),
+            firstElement: values['first-element'],
+            series: values.series
+        });
+
+        stdout.write(formatComponentList(filter));
+        await writeOutput(filter, values);
+    },
+
+    async export(positionals, values, { stdout }) {
+        assert(positionals.length === 1, 'export needs one design or filter file');
+        assert(values.output !== undefined, 'export needs --output');
+        const design = await readDesign(positionals[0]);
+
+        stdout.write(formatComponentList(design.filter));
+        await writeOutput(design.filter, values, design);
+    }
+};
+
+/**
+ * Runs the filtopt command line interface
+ * @param {Array<string>} args - Command line arguments, without the node executable and script
+ * @param {Object} io
+ * @param {import('node:stream').Writable} [io.stdout]
+ * @param {import('node:stream').Writable} [io.stderr]
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(args, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    try {
+        const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+        const [command, ...files] = positionals;
+        if (values.help || command === undefined) {
+            (values.help ? stdout : stderr).write(USAGE);
+            return values.help ? 0 : 1;
+        }
+        assert(Object.hasOwn(COMMANDS, command), `Unknown command ${command}`);
+
+        await COMMANDS[command](files, values, { stdout, stderr });
+        return 0;
+    } catch (error) {
+        stderr.write(`filtopt: ${error.message}\n`);
+        return 1;
+    }
+}
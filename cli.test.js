@@ -0,0 +1,171 @@
+import { test } from 'tap';
+
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Writable } from 'node:stream';
+
+import Complex from 'complex.js';
+
+import { formatComponentList, formatOutput, main } from './cli.js';
+import { Filter } from './filter.js';
+import Load from './load.js';
+import { parseFilter } from './serialization.js';
+import { parseTouchstone } from './touchstone.js';
+
+/**
+ * Runs the command line interface, capturing its output
+ * @param {Array<string>} args
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function run(args) {
+    const output = { stdout: '', stderr: '' };
+    const stream = (name) => new Writable({
+        write(chunk, encoding, callback) {
+            output[name] += chunk;
+            callback();
+        }
+    });
+    const code = await main(args, { stdout: stream('stdout'), stderr: stream('stderr') });
+    return { code, ...output };
+}
+
+const design = {
+    inputLoad: 50,
+    outputLoad: 50,
+    tolerance: 0.05,
+    stages: [
+        { type: 'shunt', components: [{ type: 'capacitor', value: '3.3nF' }] },
+        { type: 'series', components: [{ type: 'inductor', value: '15uH' }] },
+        { type: 'shunt', components: [{ type: 'capacitor', value: '3.3nF' }] }
+    ],
+    objective: {
+        type: 'specification',
+        constraints: {
+            passband: { type: 'ripple', minFrequency: '10kHz', maxFrequency: '1MHz', maxRipple: 1 },
+            stopband: { type: 'attenuation', minFrequency: '5MHz', maxFrequency: '10MHz', minAttenuation: 30 }
+        }
+    },
+    optimizer: { iterations: 200, initialTemperature: 0.1, coolingRate: 0.01 }
+};
+
+test('Test CLI - Optimize', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+    await writeFile(join(directory, 'design.json'), JSON.stringify(design));
+
+    const args = ['optimize', join(directory, 'design.json'), '--seed', '5', '--quiet', '--output', join(directory, 'out.json')];
+    const first = await run(args);
+    t.equal(first.code, 0, first.stderr);
+    t.match(first.stdout, /^Input load: 50 ohm\nStage 1 \(shunt\): capacitor: [\d.e-]+\nStage 2 \(series\): inductor: [\d.e-]+\n/);
+    t.match(first.stdout, /Objective: /);
+    t.notMatch(first.stdout, /Iteration/);
+    const optimized = parseFilter(await readFile(join(directory, 'out.json'), 'utf8'));
+    t.equal(optimized.stages.length, 3);
+
+    // A seed makes the run reproducible
+    const second = await run(args);
+    t.equal(second.stdout, first.stdout);
+
+    const verbose = await run(['optimize', join(directory, 'design.json'), '--seed', '5', '--iterations', '2000']);
+    t.match(verbose.stdout, /Iteration 1000: best objective /);
+
+    const restarts = await run(['optimize', join(directory, 'design.json'), '--seed', '5', '--restarts', '2', '--workers', '1', '--iterations', '100']);
+    t.equal(restarts.code, 0, restarts.stderr);
+    t.match(restarts.stdout, /Restart [01] iteration 0: best objective /);
+    t.match(restarts.stdout, /Best restarts:\n  Restart [01] \(seed \d+\): objective [\d.e-]+, stopped by iterations\n/);
+    t.match(restarts.stdout, /Stage 1 \(shunt\): capacitor: [\d.e-]+\n/);
+    const quietRestarts = await run(['optimize', join(directory, 'design.json'), '--seed', '5', '--restarts', '2', '--quiet']);
+    t.equal(quietRestarts.code, 0, quietRestarts.stderr);
+    t.notMatch(quietRestarts.stdout, /Restart \d iteration/);
+});
+
+test('Test CLI - Analyze And Export', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+    await writeFile(join(directory, 'design.json'), JSON.stringify(design));
+
+    const analyzed = await run(['analyze', join(directory, 'design.json')]);
+    t.equal(analyzed.code, 0, analyzed.stderr);
+    t.match(analyzed.stdout, /Stage 3 \(shunt\): capacitor: 3\.3e-9\nOutput load: 50 ohm\n/);
+    t.match(analyzed.stdout, /Objective: \d/);
+    t.match(analyzed.stdout, /Violated passband by \d/);
+
+    const toleranced = await run(['analyze', join(directory, 'design.json'), '--trials', '20', '--seed', '1']);
+    t.match(toleranced.stdout, /Yield: 0\.0% of 20 instances\nWorst objective: \d.*\nFailed passband in 100\.0%\nSensitivities:\n {2}Stage \d \w+: [\d.e-]+: -?0\.\d{3}\n/);
+
+    // Designs without a specification are analyzed against their objective, which has no named constraints to fail
+    await writeFile(join(directory, 'vswr.json'), JSON.stringify({ ...design, objective: { type: 'vswr', minFrequency: '10kHz', maxFrequency: '1MHz' } }));
+    const unseeded = await run(['analyze', join(directory, 'vswr.json'), '--trials', '5']);
+    t.equal(unseeded.code, 0, unseeded.stderr);
+    t.match(unseeded.stdout, /Yield: [\d.]+% of 5 instances\nWorst objective: [\d.e-]+\nSensitivities:\n/);
+
+    const exported = await run(['export', join(directory, 'design.json'), '--output', join(directory, 'filter.cir'), '--min-frequency', '1kHz', '--max-frequency', '10MHz']);
+    t.equal(exported.code, 0, exported.stderr);
+    const netlist = await readFile(join(directory, 'filter.cir'), 'utf8');
+    t.match(netlist, /\.subckt FILTER in out/i);
+    t.match(netlist, /\.ac dec/i);
+
+    t.equal((await run(['export', join(directory, 'design.json'), '-o', join(directory, 'response.txt'), '-f', 'csv', '--min-frequency', '1kHz', '--max-frequency', '10MHz', '--points', '5'])).code, 0);
+    const csv = (await readFile(join(directory, 'response.txt'), 'utf8')).trim().split('\n');
+    t.equal(csv[0], 'frequency_hz,gain_db,phase_deg,group_delay_s,s11_db,s21_db,transducer_gain_db,mismatch_loss_db');
+    t.equal(csv.length, 6);
+
+    t.equal((await run(['export', join(directory, 'design.json'), '-o', join(directory, 'filter.s2p'), '--min-frequency', '1kHz', '--max-frequency', '10MHz', '--points', '5'])).code, 0);
+    t.equal(parseTouchstone(await readFile(join(directory, 'filter.s2p'), 'utf8')).frequencies.length, 5);
+
+    // Filter documents can be analyzed and exported too
+    t.equal((await run(['export', join(directory, 'design.json'), '-o', join(directory, 'filter.json')])).code, 0);
+    const reanalyzed = await run(['analyze', join(directory, 'filter.json')]);
+    t.equal(reanalyzed.code, 0, reanalyzed.stderr);
+    t.notMatch(reanalyzed.stdout, /Objective/);
+
+    // The pi network has a real pole and a pole pair, and no finite zeros
+    const poles = await run(['analyze', join(directory, 'filter.json'), '--poles']);
+    t.match(poles.stdout, /Transfer function: H\(s\) = \([\d.e-]+\) \/ \(.+ s\^3 \+ .+\)\nPoles:\n {2}Order \d: [\d.e+]+ Hz.*\n {2}Order \d: [\d.e+]+ Hz.*\nZeros:\n$/);
+    t.match(poles.stdout, /Order 2: [\d.e+]+ Hz, Q \d\.\d{3}\n/);
+
+    const missingSweep = await run(['export', join(directory, 'design.json'), '-o', join(directory, 'filter.s2p')]);
+    t.equal(missingSweep.code, 1);
+    t.match(missingSweep.stderr, /^filtopt: touchstone output needs --min-frequency/);
+    t.match((await run(['export', join(directory, 'design.json'), '-o', join(directory, 'filter.xyz')])).stderr, /Cannot tell the output format/);
+});
+
+test('Test CLI - Synthesize', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+
+    const synthesized = await run(['synthesize', '--type', 'chebyshev', '--response', 'bandpass', '--order', '3', '--cutoff', '1MHz,2MHz', '--ripple', '0.5', '-o', join(directory, 'bandpass.json')]);
+    t.equal(synthesized.code, 0, synthesized.stderr);
+    t.match(synthesized.stdout, /Stage 1 \(shunt\): inductor: .*, capacitor: /);
+    t.equal(parseFilter(await readFile(join(directory, 'bandpass.json'), 'utf8')).stages.length, 3);
+
+    const lowpass = await run(['synthesize', '--type', 'butterworth', '--order', '2', '--cutoff', '1MHz']);
+    t.match(lowpass.stdout, /^Input load: 50 ohm\nStage 1 \(shunt\): capacitor: [\d.e-]+\nStage 2 \(series\): inductor: [\d.e-]+\n/);
+    t.match((await run(['synthesize', '--order', '3', '--cutoff', '1MHz'])).stderr, /synthesize needs --type/);
+});
+
+test('Test CLI - Usage', async (t) => {
+    const help = await run(['--help']);
+    t.equal(help.code, 0);
+    t.match(help.stdout, /^Usage: filtopt <command>/);
+
+    t.equal((await run([])).code, 1);
+    t.match((await run(['frobnicate'])).stderr, /Unknown command frobnicate/);
+    t.match((await run(['analyze', '--bogus'])).stderr, /^filtopt: /);
+});
+
+test('Test CLI - Formatting', (t) => {
+    const tabulated = Load.tabulated([1e3, 1e6], [new Complex(50, 0), new Complex(60, 10)]);
+    const custom = new Load(() => new Complex(50, 0));
+    const list = formatComponentList(new Filter(tabulated, Load.capacitor(1e-9), []));
+    t.equal(list, 'Input load: 2 tabulated impedances from 1000 Hz to 1000000 Hz\nOutput load: {"type":"capacitor","value":1e-9}\n');
+    t.match(formatComponentList(new Filter(custom, custom, [])), /^Input load: custom load\n/);
+
+    // SPICE netlists only include an analysis when the whole sweep is known
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), []);
+    t.notMatch(formatOutput(filter, 'spice', { minFrequency: 1e3 }), /\.AC/);
+    t.throws(() => formatOutput(filter, 'gerber', {}), /Unknown output format gerber/);
+
+    t.end();
+});
@@ -1,12 +1,66 @@
 import { strict as assert } from 'node:assert';
 
+import Complex from 'complex.js';
+
+import { decodeNumber, decodeNumbers, encodeNumber, encodeNumbers } from './json.js';
 import Load from './load.js';
+import { validateTolerance } from './tolerance.js';
+import { makeLine } from './transmissionLine.js';
+
+/** @typedef {import('./random.js').RandomSource} RandomSource */
+
+/**
+ * E6 Preferred values for electronic components
+ */
+const E6_VALUES = [1.0, 1.5, 2.2, 3.3, 4.7, 6.8];
+
+/**
+ * E12 Preferred values for electronic components
+ */
+const E12_VALUES = [1.0, 1.2, 1.5, 1.8, 2.2, 2.7, 3.3, 3.9, 4.7, 5.6, 6.8, 8.2];
 
 /**
  * E24 Preferred values for electronic components
  */
 const E24_VALUES = [1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0, 3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1];
 
+/**
+ * Generates the three significant figure "E series" preferred values (E48, E96 and E192)
+ * @param {number} valuesPerDecade
+ * @returns {Array<number>}
+ */
+function threeDigitSeries(valuesPerDecade) {
+    return Array.from(
+        { length: valuesPerDecade },
+        (_, index) => Number(Math.pow(10, index / valuesPerDecade).toPrecision(3))
+    // IEC 60063 lists 9.20 where the formula gives 9.19
+    ).map((value) => value === 9.19 ? 9.2 : value);
+}
+
+/**
+ * Ways that components can be combined into a single load
+ */
+export const COMBINATIONS = ['parallel', 'series'];
+
+/**
+ * Preferred value series by name
+ */
+export const E_SERIES = {
+    E6: E6_VALUES,
+    E12: E12_VALUES,
+    E24: E24_VALUES,
+    E48: threeDigitSeries(48),
+    E96: threeDigitSeries(96),
+    E192: threeDigitSeries(192)
+};
+
+/**
+ * An orderable part that can be used as a component value
+ * @typedef {Object} CatalogPart
+ * @property {number} value - Component value of the part
+ * @property {string} [partNumber] - Manufacturer or stock part number
+ */
+
 /**
  * Manages the values of electronic components during filter optimization
  */
@@ -15,15 +69,18 @@ export class ComponentValue {
      * Makes a component value
      * @param {Array<number>} feasibleValues - An array of "E series" preferred numbers
      * @param {number} valueIndex - The index in the feasibleValues array corresponding to the component value
+     * @param {Array<string>} [partNumbers] - Part numbers corresponding to each of the feasible values
      */
-    constructor(feasibleValues, valueIndex) {
+    constructor(feasibleValues, valueIndex, partNumbers = undefined) {
         assert(feasibleValues);
         assert(feasibleValues instanceof Array);
         assert(feasibleValues.length > 0);
         assert(valueIndex >= 0);
+        assert(partNumbers === undefined || (partNumbers instanceof Array && partNumbers.length === feasibleValues.length));
 
         this.feasibleValues = feasibleValues;
         this.valueIndex = valueIndex;
+        this.partNumbers = partNumbers;
     }
 
     /**
@@ -34,26 +91,63 @@ export class ComponentValue {
         return this.feasibleValues[this.valueIndex];
     }
 
+    /**
+     * Returns the part number of the selected value, if the value came from a parts catalog
+     * @returns {string|undefined}
+     */
+    get partNumber() {
+        return this.partNumbers?.[this.valueIndex];
+    }
+
     /**
      * Creates a new component value from a randomly selected neighboring value
+     * @param {RandomSource} random - Source of random numbers
      * @returns {ComponentValue}
      */
-    update() {
-        return new ComponentValue(this.feasibleValues, this._nextIndex());
+    update(random = Math.random) {
+        return this.withIndex(this._nextIndex(random));
+    }
+
+    /**
+     * Creates a new component value from a random feasible value, e.g. to restart an optimization from a new point.
+     * As for randomizeComponent, the value is drawn uniformly between the smallest and largest nonzero finite feasible values.
+     * @param {RandomSource} random - Source of random numbers
+     * @returns {ComponentValue}
+     */
+    randomize(random = Math.random) {
+        const finiteValues = this.feasibleValues.filter((value) => value > 0 && value < Infinity);
+        if (finiteValues.length === 0)
+            return this;
+
+        const minValue = finiteValues[0];
+        const maxValue = finiteValues.at(-1);
+        return this.withIndex(ComponentValue.nearestNeighborIndex(random() * (maxValue - minValue) + minValue, this.feasibleValues));
+    }
+
+    /**
+     * Creates a new component value selecting a different feasible value
+     * @param {number} valueIndex - The index in the feasibleValues array of the new value
+     * @returns {ComponentValue}
+     */
+    withIndex(valueIndex) {
+        assert(valueIndex < this.feasibleValues.length);
+
+        return new ComponentValue(this.feasibleValues, valueIndex, this.partNumbers);
     }
 
     /**
      * Generates an index corresponding to the updated component value
+     * @param {RandomSource} random - Source of random numbers
      * @returns {number}
      */
-    _nextIndex() {
+    _nextIndex(random) {
         if (this.feasibleValues.length === 1)
             return 0;
         if (this.valueIndex == 0)
             return 1;
         if (this.valueIndex == this.feasibleValues.length - 1)
             return this.feasibleValues.length - 2;
-        return this.valueIndex + (Math.random() > 0.5 ? 1 : -1);
+        return this.valueIndex + (random() > 0.5 ? 1 : -1);
     }
 
     /**
@@ -70,6 +164,8 @@ export class ComponentValue {
         const upperValueIndex = neighbors.findIndex((feasibleValue) => value <= feasibleValue);
         if (upperValueIndex === 0)
             return upperValueIndex
+        if (upperValueIndex === -1)
+            return neighbors.length - 1;
 
         const lowerValueIndex = upperValueIndex - 1;
         const lowerValue = neighbors[lowerValueIndex];
@@ -82,18 +178,22 @@ export class ComponentValue {
      * Returns a list of "E Series" preferred component value numbers between the min and max values
      * @param {number} minValue 
      * @param {number} maxValue 
+     * @param {string|Array<number>} series - Name of an "E Series", e.g. "E12", or its values between 1 and 10
      * @returns {Array<number>}
      */
-    static feasiblePreferredValues(minValue, maxValue) {
+    static feasiblePreferredValues(minValue, maxValue, series = 'E24') {
         assert(minValue > 0);
         assert(maxValue >= minValue);
+        const seriesValues = series instanceof Array ? series : E_SERIES[series];
+        assert(seriesValues, `Unknown preferred value series ${series}`);
 
         const minSeries = Math.floor(Math.log10(minValue));
         const maxSeries = Math.ceil(Math.log10(maxValue));
         let values = [];
         for (let orderOfMagnitude = minSeries; orderOfMagnitude <= maxSeries; orderOfMagnitude++) {
-            for (const eValue of E24_VALUES) {
-                const candidateValue = eValue * Math.pow(10, orderOfMagnitude);
+            for (const eValue of seriesValues) {
+                // Rounding removes floating point noise, e.g. 4.7 * 1e-9 => 4.7e-9
+                const candidateValue = Number((eValue * Math.pow(10, orderOfMagnitude)).toPrecision(12));
                 if (candidateValue >= minValue && candidateValue <= maxValue)
                     values.push(candidateValue);
             }
@@ -108,14 +208,15 @@ export class ComponentValue {
      * @param {number} minValue - Min feasible component value number
      * @param {boolean} allowZero - Is zero a possible component value number?
      * @param {boolean} allowInfinite - Can a component have an infinite value?
+     * @param {string|Array<number>} series - Preferred value series to draw values from
      * @returns {ComponentValue}
      */
-    static initializeComponent(initialValue, maxValue, minValue, allowZero = false, allowInfinite = false) {
+    static initializeComponent(initialValue, maxValue, minValue, allowZero = false, allowInfinite = false, series = 'E24') {
         assert(initialValue >= 0);
         assert(minValue > 0)
         assert(maxValue >= minValue);
 
-        const feasibleValues = ComponentValue.feasiblePreferredValues(minValue, maxValue);
+        const feasibleValues = ComponentValue.feasiblePreferredValues(minValue, maxValue, series);
         if (allowZero)
             feasibleValues.unshift(0);
         if (allowInfinite)
@@ -126,15 +227,108 @@ export class ComponentValue {
         return new ComponentValue(feasibleValues, valueIndex);
     }
 
-    static randomizeComponent(maxValue, minValue, allowZero = false, allowInfinite = false) {
+    /**
+     * Initializes a transformer's turns ratio, restricted to the ratios of whole numbers of primary and secondary turns
+     * @param {number} initialRatio - Initial turns ratio
+     * @param {number} maxRatio - Max feasible turns ratio
+     * @param {number} minRatio - Min feasible turns ratio
+     * @param {number} maxTurns - Most turns on either winding
+     * @returns {ComponentValue}
+     */
+    static initializeTurnsRatio(initialRatio, maxRatio, minRatio, maxTurns = 20) {
+        assert(initialRatio > 0);
+        assert(minRatio > 0);
+        assert(maxRatio >= minRatio);
+        assert(Number.isInteger(maxTurns) && maxTurns > 0);
+
+        // Equal fractions, e.g. 1 / 2 and 2 / 4, divide to exactly the same number
+        const ratios = new Set();
+        for (let primaryTurns = 1; primaryTurns <= maxTurns; primaryTurns++) {
+            for (let secondaryTurns = 1; secondaryTurns <= maxTurns; secondaryTurns++) {
+                const ratio = primaryTurns / secondaryTurns;
+                if (ratio >= minRatio && ratio <= maxRatio)
+                    ratios.add(ratio);
+            }
+        }
+        assert(ratios.size > 0, `No turns ratio between ${minRatio} and ${maxRatio} can be wound with at most ${maxTurns} turns`);
+
+        const feasibleValues = [...ratios].sort((a, b) => a - b);
+        return new ComponentValue(feasibleValues, ComponentValue.nearestNeighborIndex(initialRatio, feasibleValues));
+    }
+
+    /**
+     * Initializes a component with a random value
+     * @param {number} maxValue - Max feasible component value number
+     * @param {number} minValue - Min feasible component value number
+     * @param {boolean} allowZero - Is zero a possible component value number?
+     * @param {boolean} allowInfinite - Can a component have an infinite value?
+     * @param {string|Array<number>} series - Preferred value series to draw values from
+     * @param {RandomSource} random - Source of random numbers
+     * @returns {ComponentValue}
+     */
+    static randomizeComponent(maxValue, minValue, allowZero = false, allowInfinite = false, series = 'E24', random = Math.random) {
         return ComponentValue.initializeComponent(
-            Math.random() * (maxValue - minValue) + minValue, 
+            random() * (maxValue - minValue) + minValue, 
             maxValue, 
             minValue, 
             allowZero, 
-            allowInfinite
+            allowInfinite,
+            series
         );
     }
+
+    /**
+     * Initializes a component whose values are restricted to a catalog of parts
+     * @param {Array<CatalogPart>} catalog - Parts that may be used for the component
+     * @param {number} initialValue - Initial component value number
+     * @returns {ComponentValue}
+     */
+    static fromCatalog(catalog, initialValue) {
+        assert(catalog instanceof Array);
+        assert(catalog.length > 0);
+        assert(catalog.every((part) => part.value >= 0));
+        assert(initialValue >= 0);
+
+        const parts = [...catalog].sort((a, b) => a.value - b.value);
+        const feasibleValues = parts.map((part) => part.value);
+        const partNumbers = parts.some((part) => part.partNumber !== undefined)
+            ? parts.map((part) => part.partNumber)
+            : undefined;
+
+        return new ComponentValue(
+            feasibleValues,
+            ComponentValue.nearestNeighborIndex(initialValue, feasibleValues),
+            partNumbers);
+    }
+
+    /**
+     * Describes the component value as JSON, including its feasible values and the selected index
+     * @returns {Object}
+     */
+    toJSON() {
+        const json = { feasibleValues: this.feasibleValues.map(encodeNumber), valueIndex: this.valueIndex };
+        if (this.partNumbers !== undefined)
+            json.partNumbers = this.partNumbers.map((partNumber) => partNumber ?? null);
+        return json;
+    }
+
+    /**
+     * Creates a component value from its JSON description.
+     * A plain number describes a fixed value that is never updated.
+     * @param {Object|number|string} json - Description produced by toJSON
+     * @returns {ComponentValue}
+     */
+    static fromJSON(json) {
+        if (typeof json !== 'object')
+            return new StaticComponentValue(decodeNumber(json));
+
+        assert(json.feasibleValues instanceof Array, 'A component value needs an array of feasibleValues');
+        assert(Number.isInteger(json.valueIndex) && json.valueIndex < json.feasibleValues.length, 'A component value needs a valid valueIndex');
+        return new ComponentValue(
+            json.feasibleValues.map(decodeNumber),
+            json.valueIndex,
+            json.partNumbers?.map((partNumber) => partNumber ?? undefined));
+    }
 }
 
 class StaticComponentValue extends ComponentValue {
@@ -142,9 +336,119 @@ class StaticComponentValue extends ComponentValue {
         super([value], 0)
     }
 
-    update() {
+    update(random) {
         return this;
     }
+
+    randomize(random) {
+        return this;
+    }
+
+    toJSON() {
+        return encodeNumber(this.value);
+    }
+}
+
+/**
+ * Describes how a component's load is made from its value, so that the component can be serialized
+ * @typedef {Object} ComponentModel
+ * @property {string} type - One of the keys of COMPONENT_MODELS, e.g. "capacitor" or "lossyInductor"
+ */
+
+/**
+ * Gets the description of the line of a distributed component, whose value is the line's physical length
+ * @param {ComponentModel} model - The line's parameters, as for LineParameters, apart from its length
+ * @param {number} length - Physical length in metres
+ * @returns {import('./transmissionLine.js').LineParameters}
+ */
+export function lineParameters({ type, ...parameters }, length) {
+    return { ...parameters, length };
+}
+
+/**
+ * Load factories for each component model, taking the model's parameters.
+ * Distributed components take their physical length as their value.
+ * @type {Object<string, function(ComponentModel): function(number): Load>}
+ */
+export const COMPONENT_MODELS = {
+    capacitor: () => Load.capacitor,
+    inductor: () => Load.inductor,
+    resistor: () => Load.resistor,
+    lossyCapacitor: ({ esr, esl, lossTangent }) => (value) => Load.lossyCapacitor(value, esr, esl, lossTangent),
+    lossyInductor: ({ dcr, q, qFrequency, windingCapacitance }) => (value) => Load.lossyInductor(value, dcr, q, qFrequency, windingCapacitance),
+    openStub: (model) => (length) => Load.openStub(lineParameters(model, length)),
+    shortStub: (model) => (length) => Load.shortStub(lineParameters(model, length)),
+    // Sections of line are two-ports that only make sense as a TransmissionLineStage
+    transmissionLine: () => () => assert.fail('Transmission line sections have no load; use them in a TransmissionLineStage'),
+    // As are the parameters of transformers
+    transformerParameter: () => () => assert.fail('Transformer parameters have no load; use them in a TransformerStage')
+};
+
+/**
+ * Derivatives of each component model's impedance with respect to the component value, taking the model's parameters
+ * @type {Object<string, function(ComponentModel): function(number, number): Complex>}
+ */
+export const COMPONENT_DERIVATIVES = {
+    // Z = 1 / jωC
+    capacitor: () => (capacitance, angularFrequency) => new Complex(0, angularFrequency * capacitance * capacitance).inverse().neg(),
+    // Z = jωL
+    inductor: () => (inductance, angularFrequency) => new Complex(0, angularFrequency),
+    resistor: () => () => Complex.ONE,
+    // Only the dielectric depends on the capacitance: Z = ESR + jωESL + 1 / (tanδ + j)ωC
+    lossyCapacitor: ({ lossTangent = 0 }) => (capacitance, angularFrequency) =>
+        new Complex(lossTangent, 1).mul(angularFrequency * capacitance * capacitance).inverse().neg(),
+    // The skin effect resistance is proportional to the inductance, and the winding capacitance appears in parallel
+    lossyInductor: ({ dcr = 0, q = Infinity, qFrequency = undefined, windingCapacitance = 0 }) => (inductance, angularFrequency) => {
+        let windingResistance = dcr;
+        let windingDerivative = new Complex(0, angularFrequency);
+        if (q !== Infinity) {
+            const qAngularFrequency = 2 * Math.PI * qFrequency;
+            const skinEffect = Math.sqrt(angularFrequency / qAngularFrequency);
+            const acResistance = Math.max(qAngularFrequency * inductance / q - dcr, 0);
+            windingResistance += acResistance * skinEffect;
+            if (acResistance > 0)
+                windingDerivative = windingDerivative.add(qAngularFrequency / q * skinEffect);
+        }
+        if (windingCapacitance === 0)
+            return windingDerivative;
+
+        const winding = new Complex(windingResistance, angularFrequency * inductance);
+        const impedance = winding.inverse().add(new Complex(0, angularFrequency * windingCapacitance)).inverse();
+        return impedance.div(winding).pow(2).mul(windingDerivative);
+    },
+    // Z = Z0 coth(γl), so dZ / dl = -Z0 γ / sinh²(γl)
+    openStub: (model) => (length, angularFrequency) => {
+        const { characteristicImpedance, propagationConstant } = makeLine(lineParameters(model, length));
+        const gamma = propagationConstant(angularFrequency);
+        return gamma.mul(-characteristicImpedance).div(gamma.mul(length).sinh().pow(2));
+    },
+    // Z = Z0 tanh(γl), so dZ / dl = Z0 γ / cosh²(γl)
+    shortStub: (model) => (length, angularFrequency) => {
+        const { characteristicImpedance, propagationConstant } = makeLine(lineParameters(model, length));
+        const gamma = propagationConstant(angularFrequency);
+        return gamma.mul(characteristicImpedance).div(gamma.mul(length).cosh().pow(2));
+    }
+};
+
+/**
+ * Derivatives of the impedance of a combination of components with respect to each of its individual components' values
+ * @param {string} combination - "parallel" or "series"
+ * @param {Array<Component|ComponentGroup>} components
+ * @param {number} angularFrequency
+ * @returns {Array<Complex>} - One derivative for each component in the order of leaves()
+ */
+export function combinationImpedanceDerivatives(combination, components, angularFrequency) {
+    const derivatives = components.map((component) => component.impedanceDerivatives(angularFrequency));
+    if (combination === 'series')
+        return derivatives.flat();
+
+    // For Z = 1 / Σ(1 / Zi), dZ / dZi = (Z / Zi)²
+    const impedances = components.map((component) => component.load().impedance(angularFrequency));
+    const impedance = impedances.reduce((admittance, value) => admittance.add(value.inverse()), Complex.ZERO).inverse();
+    return derivatives.flatMap((leafDerivatives, i) => {
+        const factor = impedance.div(impedances[i]).pow(2);
+        return leafDerivatives.map((derivative) => derivative.mul(factor));
+    });
 }
 
 /**
@@ -156,37 +460,354 @@ export class Component {
      * @param {string} componentName - The name of the component type, e.g. "capacitor", "inductor", etc.
      * @param {ComponentValue || number} componentValue - The value of the component
      * @param {function(*): Load} makeLoad - Takes the component value and creates the corresponding load
+     * @param {ComponentModel} [model] - Description of makeLoad, needed to serialize components with custom loads
+     * @param {import('./tolerance.js').Tolerance} [tolerance] - Manufacturing tolerance of the component's value
      */
-    constructor(componentName, componentValue, makeLoad){
+    constructor(componentName, componentValue, makeLoad, model = undefined, tolerance = undefined){
         this.componentName = componentName;
         assert(componentValue instanceof ComponentValue || typeof(componentValue) === "number");
         this.componentValue = componentValue instanceof ComponentValue ? componentValue : new StaticComponentValue(componentValue)
         assert(makeLoad instanceof Function);
         this.makeLoad = makeLoad;
+        assert(model === undefined || COMPONENT_MODELS[model.type], `Unknown component model ${model?.type}`);
+        // Components made directly from a primitive load factory need no explicit model
+        const primitiveType = ['capacitor', 'inductor', 'resistor'].find((type) => Load[type] === makeLoad);
+        this.model = model ?? (primitiveType === undefined ? undefined : { type: primitiveType });
+        this.tolerance = tolerance === undefined ? undefined : validateTolerance(tolerance);
     }
 
     load() {
         return this.makeLoad(this.componentValue.value);
     }
 
-    update() {
-        return new Component(this.componentName, this.componentValue.update(), this.makeLoad);
+    /**
+     * Creates a copy of this component with a randomly selected neighboring value
+     * @param {RandomSource} random - Source of random numbers
+     * @returns {Component}
+     */
+    update(random = Math.random) {
+        return this.withValue(this.componentValue.update(random));
+    }
+
+    /**
+     * Creates a copy of this component with a different value
+     * @param {ComponentValue} componentValue
+     * @returns {Component}
+     */
+    withValue(componentValue) {
+        return new Component(this.componentName, componentValue, this.makeLoad, this.model, this.tolerance);
+    }
+
+    /**
+     * Creates a copy of this component with a different manufacturing tolerance
+     * @param {import('./tolerance.js').Tolerance} [tolerance]
+     * @returns {Component}
+     */
+    withTolerance(tolerance) {
+        return new Component(this.componentName, this.componentValue, this.makeLoad, this.model, tolerance);
+    }
+
+    /**
+     * Lists the components making up this component, i.e. just this component
+     * @returns {Array<Component>}
+     */
+    leaves() {
+        return [this];
+    }
+
+    /**
+     * Gets the derivative of the component's impedance with respect to its value
+     * @param {number} angularFrequency
+     * @returns {Array<Complex>} - The derivative, as the only element of an array like ComponentGroup.impedanceDerivatives
+     */
+    impedanceDerivatives(angularFrequency) {
+        assert(this.model, `Component ${this.componentName} has a custom load without a model and cannot be differentiated`);
+
+        return [COMPONENT_DERIVATIVES[this.model.type](this.model)(this.componentValue.value, angularFrequency)];
     }
 
     toString() {
-        return `${this.componentName}: ${this.componentValue.value}`;
+        const partNumber = this.componentValue.partNumber;
+        return `${this.componentName}: ${this.componentValue.value}${partNumber ? ` (${partNumber})` : ''}`;
+    }
+
+    /**
+     * Describes the component as JSON: its name, model, value and any tolerance
+     * @returns {Object}
+     */
+    toJSON() {
+        assert(this.model, `Component ${this.componentName} has a custom load without a model and cannot be serialized`);
+
+        const json = { name: this.componentName, model: encodeNumbers(this.model), value: this.componentValue.toJSON() };
+        if (this.tolerance !== undefined)
+            json.tolerance = this.tolerance;
+        return json;
+    }
+
+    /**
+     * Creates a component from its JSON description
+     * @param {Object} json - Description produced by toJSON
+     * @returns {Component}
+     */
+    static fromJSON(json) {
+        assert(json instanceof Object);
+        const model = decodeNumbers(json.model ?? {});
+        assert(COMPONENT_MODELS[model.type], `Unknown component model ${model.type}`);
+
+        return new Component(json.name ?? model.type, ComponentValue.fromJSON(json.value), COMPONENT_MODELS[model.type](model), model, json.tolerance);
     }
 }
 
 export class Capacitor extends Component {
     constructor(capacitance) {
-        super('capacitor', capacitance, Load.capacitor);
+        super('capacitor', capacitance, Load.capacitor, { type: 'capacitor' });
     }
 }
 
 export class Inductor extends Component {
     constructor(inductance) {
-        super('inductor', inductance, Load.inductor);
+        super('inductor', inductance, Load.inductor, { type: 'inductor' });
+    }
+}
+
+/**
+ * Models a capacitor with equivalent series resistance, equivalent series inductance and dielectric loss
+ */
+export class LossyCapacitor extends Component {
+    /**
+     * Constructs a lossy capacitor
+     * @param {ComponentValue || number} capacitance - Nominal capacitance
+     * @param {Object} parasitics
+     * @param {number} [parasitics.esr] - Equivalent series resistance
+     * @param {number} [parasitics.esl] - Equivalent series inductance
+     * @param {number} [parasitics.lossTangent] - Dielectric loss tangent
+     */
+    constructor(capacitance, { esr = 0, esl = 0, lossTangent = 0 } = {}) {
+        const model = { type: 'lossyCapacitor', esr, esl, lossTangent };
+        super('capacitor', capacitance, COMPONENT_MODELS.lossyCapacitor(model), model);
+    }
+}
+
+/**
+ * Models an inductor with winding resistance, finite Q and inter-winding capacitance
+ */
+export class LossyInductor extends Component {
+    /**
+     * Constructs a lossy inductor
+     * @param {ComponentValue || number} inductance - Nominal inductance
+     * @param {Object} parasitics
+     * @param {number} [parasitics.dcr] - DC winding resistance
+     * @param {number} [parasitics.q] - Quality factor at qFrequency
+     * @param {number} [parasitics.qFrequency] - Frequency in hertz at which q is specified
+     * @param {number} [parasitics.windingCapacitance] - Inter-winding capacitance
+     */
+    constructor(inductance, { dcr = 0, q = Infinity, qFrequency = undefined, windingCapacitance = 0 } = {}) {
+        const model = { type: 'lossyInductor', dcr, q, qFrequency, windingCapacitance };
+        super('inductor', inductance, COMPONENT_MODELS.lossyInductor(model), model);
+    }
+}
+
+/**
+ * Models a transmission line stub whose far end is open, used as a load like a capacitor or inductor
+ */
+export class OpenStub extends Component {
+    /**
+     * Constructs an open-circuited stub
+     * @param {ComponentValue || number} length - Physical length in metres
+     * @param {import('./transmissionLine.js').LineParameters} line - The stub's line, without its length
+     */
+    constructor(length, line) {
+        const model = { type: 'openStub', ...line };
+        super('openStub', length, COMPONENT_MODELS.openStub(model), model);
+    }
+}
+
+/**
+ * Models a transmission line stub whose far end is shorted
+ */
+export class ShortStub extends Component {
+    /**
+     * Constructs a short-circuited stub
+     * @param {ComponentValue || number} length - Physical length in metres
+     * @param {import('./transmissionLine.js').LineParameters} line - The stub's line, without its length
+     */
+    constructor(length, line) {
+        const model = { type: 'shortStub', ...line };
+        super('shortStub', length, COMPONENT_MODELS.shortStub(model), model);
+    }
+}
+
+/**
+ * Models a section of transmission line, the only component of a TransmissionLineStage
+ */
+export class TransmissionLine extends Component {
+    /**
+     * Constructs a section of transmission line
+     * @param {ComponentValue || number} length - Physical length in metres
+     * @param {import('./transmissionLine.js').LineParameters} line - The line's impedance or microstrip substrate, without its length
+     */
+    constructor(length, line) {
+        const model = { type: 'transmissionLine', ...line };
+        super('line', length, COMPONENT_MODELS.transmissionLine(model), model);
+    }
+}
+
+/**
+ * Models one parameter of a transformer, e.g. its turns ratio or primary inductance, as a component of a TransformerStage
+ */
+export class TransformerParameter extends Component {
+    /**
+     * Constructs a transformer parameter
+     * @param {string} parameter - One of TRANSFORMER_PARAMETERS
+     * @param {ComponentValue || number} value - The parameter's value, e.g. from ComponentValue.initializeTurnsRatio
+     */
+    constructor(parameter, value) {
+        const model = { type: 'transformerParameter', parameter };
+        super(parameter, value, COMPONENT_MODELS.transformerParameter(model), model);
+    }
+}
+
+/**
+ * Models a series or parallel combination of components and nested combinations, e.g. a series resonator or a trap
+ */
+export class ComponentGroup {
+    /**
+     * Constructs a combination of components
+     * @param {string} combination - "parallel" or "series"
+     * @param {Array<Component|ComponentGroup>} components - Components and nested combinations
+     */
+    constructor(combination, components) {
+        assert(COMBINATIONS.includes(combination), `Unknown component combination ${combination}`);
+        assert(components instanceof Array);
+        assert(components.length > 0);
+        components.forEach((component) => assert(component instanceof Component || component instanceof ComponentGroup));
+
+        this.combination = combination;
+        this.components = components;
+    }
+
+    /**
+     * Combines components in series
+     * @param {...(Component|ComponentGroup)} components
+     * @returns {ComponentGroup}
+     */
+    static series(...components) {
+        return new ComponentGroup('series', components);
+    }
+
+    /**
+     * Combines components in parallel
+     * @param {...(Component|ComponentGroup)} components
+     * @returns {ComponentGroup}
+     */
+    static parallel(...components) {
+        return new ComponentGroup('parallel', components);
+    }
+
+    load() {
+        const loads = this.components.map((component) => component.load());
+        return this.combination === 'series' ? Load.series(...loads) : Load.parallel(...loads);
+    }
+
+    /**
+     * Creates a copy of this combination with randomly selected neighboring component values
+     * @param {RandomSource} random - Source of random numbers
+     * @returns {ComponentGroup}
+     */
+    update(random = Math.random) {
+        return new ComponentGroup(this.combination, this.components.map((component) => component.update(random)));
+    }
+
+    /**
+     * Lists the individual components of this combination, depth first
+     * @returns {Array<Component>}
+     */
+    leaves() {
+        return this.components.flatMap((component) => component.leaves());
+    }
+
+    /**
+     * Creates a copy of this combination with one of its individual components replaced
+     * @param {number} index - Index of the component to replace, in the order of leaves()
+     * @param {Component} component - Replacement component
+     * @returns {ComponentGroup}
+     */
+    withLeaf(index, component) {
+        return new ComponentGroup(this.combination, replaceLeaf(this.components, index, component));
     }
+
+    /**
+     * Gets the derivatives of the combination's impedance with respect to the value of each of its individual components
+     * @param {number} angularFrequency
+     * @returns {Array<Complex>} - One derivative for each component in the order of leaves()
+     */
+    impedanceDerivatives(angularFrequency) {
+        return combinationImpedanceDerivatives(this.combination, this.components, angularFrequency);
+    }
+
+    toString() {
+        return `(${formatCombination(this.combination, this.components)})`;
+    }
+
+    /**
+     * Describes the combination as JSON, listing its components under "components"
+     * @returns {Object}
+     */
+    toJSON() {
+        return { combination: this.combination, components: this.components.map((component) => component.toJSON()) };
+    }
+
+    /**
+     * Creates a combination from its JSON description
+     * @param {Object} json - Description produced by toJSON
+     * @returns {ComponentGroup}
+     */
+    static fromJSON(json) {
+        assert(json.components instanceof Array, 'A component combination needs an array of components');
+
+        return new ComponentGroup(json.combination, json.components.map(componentFromJSON));
+    }
+}
+
+/**
+ * Creates a component or a combination of components from its JSON description
+ * @param {Object} json
+ * @returns {Component|ComponentGroup}
+ */
+export function componentFromJSON(json) {
+    return json.combination === undefined ? Component.fromJSON(json) : ComponentGroup.fromJSON(json);
+}
+
+/**
+ * Replaces one of the individual components within a list of components and nested combinations
+ * @param {Array<Component|ComponentGroup>} components
+ * @param {number} index - Index of the component to replace, counting the components of nested combinations depth first
+ * @param {Component} component - Replacement component
+ * @returns {Array<Component|ComponentGroup>}
+ */
+export function replaceLeaf(components, index, component) {
+    assert(component instanceof Component);
+    assert(index >= 0);
+
+    let offset = 0;
+    const replaced = components.map((existing) => {
+        const leafCount = existing.leaves().length;
+        const localIndex = index - offset;
+        offset += leafCount;
+        if (localIndex < 0 || localIndex >= leafCount)
+            return existing;
+        return existing instanceof ComponentGroup ? existing.withLeaf(localIndex, component) : component;
+    });
+    assert(index < offset, `No component at index ${index}`);
+    return replaced;
 }
 
+/**
+ * Describes a combination of components, e.g. "inductor: 0.000001 + capacitor: 1e-9" in series
+ * @param {string} combination - "parallel" or "series"
+ * @param {Array<Component|ComponentGroup>} components
+ * @returns {string}
+ */
+export function formatCombination(combination, components) {
+    return components.map((component) => component.toString()).join(combination === 'series' ? " + " : ", ");
+}
@@ -1,6 +1,9 @@
 import { test } from 'tap';
 
-import { ComponentValue } from './component.js';
+import { Capacitor, Component, ComponentGroup, ComponentValue, E_SERIES, Inductor, LossyCapacitor, LossyInductor } from './component.js';
+import { ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { makeRandom } from './random.js';
 
 test("ComponentValue", (t) => {
     t.test('Test ComponentValue - Initialization', (t) => {
@@ -54,5 +57,114 @@ test("ComponentValue", (t) => {
 
         t.end();
     });
+
+    t.test('Test ComponentValue - Preferred Value Series', (t) => {
+        t.equal(E_SERIES.E6.length, 6);
+        t.equal(E_SERIES.E12.length, 12);
+        t.equal(E_SERIES.E48.length, 48);
+        t.equal(E_SERIES.E96.length, 96);
+        t.equal(E_SERIES.E192.length, 192);
+        t.ok(E_SERIES.E96.includes(9.09));
+        t.ok(E_SERIES.E192.includes(9.2));
+        t.notOk(E_SERIES.E192.includes(9.19));
+
+        t.same(ComponentValue.feasiblePreferredValues(1e-9, 1e-8, 'E6'), [1e-9, 1.5e-9, 2.2e-9, 3.3e-9, 4.7e-9, 6.8e-9, 1e-8]);
+        t.equal(ComponentValue.initializeComponent(1.05, 10, 1, false, false, 'E12').value, 1.0);
+        t.equal(ComponentValue.initializeComponent(1.05, 10, 1, false, false, 'E96').value, 1.05);
+
+        t.end();
+    });
+
+    t.test('Test ComponentValue - Catalog', (t) => {
+        const component = ComponentValue.fromCatalog(
+            [
+                { value: 2.2e-9, partNumber: 'C2N2' },
+                { value: 1e-9, partNumber: 'C1N0' },
+                { value: 4.7e-9, partNumber: 'C4N7' }
+            ],
+            2e-9);
+
+        t.same(component.feasibleValues, [1e-9, 2.2e-9, 4.7e-9]);
+        t.equal(component.value, 2.2e-9);
+        t.equal(component.partNumber, 'C2N2');
+        t.ok(['C1N0', 'C4N7'].includes(component.update().partNumber));
+        t.equal(new Capacitor(component).toString(), 'capacitor: 2.2e-9 (C2N2)');
+        t.equal(ComponentValue.fromCatalog([{ value: 1 }, { value: 2 }], 10).value, 2);
+
+        t.end();
+    });
+
+    t.test('Test ComponentValue - Degenerate Ranges', (t) => {
+        // A single feasible value never changes, and neither does a range with no finite nonzero value to draw
+        t.equal(new ComponentValue([1e-9], 0).update(makeRandom(1)).value, 1e-9);
+        const extremes = new ComponentValue([0, Infinity], 1);
+        t.equal(extremes.randomize(makeRandom(1)), extremes);
+        t.same(ComponentValue.feasiblePreferredValues(1, 10, [1, 2, 5]), [1, 2, 5, 10]);
+
+        t.end();
+    });
     t.end();
 })
+
+test("Lossy Components", (t) => {
+    const capacitor = new LossyCapacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10), { esr: 0.1 });
+    t.equal(capacitor.load().impedance(1e6).re, 0.1);
+    t.equal(capacitor.update().load().impedance(1e6).re, 0.1);
+
+    const inductor = new LossyInductor(1e-6, { dcr: 0.2, windingCapacitance: 1e-12 });
+    t.equal(inductor.toString(), 'inductor: 0.000001');
+    t.equal(inductor.load().impedance(0).re, 0.2);
+
+    // Derivatives agree with central differences, including those of resistors and inductors without winding capacitance
+    const angularFrequency = 2 * Math.PI * 1e6;
+    const components = [
+        new Component('R', 100, Load.resistor),
+        new LossyInductor(1e-6, { dcr: 0.05, q: 40, qFrequency: 1e6 })
+    ];
+    for (const component of components) {
+        const value = component.componentValue.value;
+        const impedance = (scale) => component.withValue(value * scale).load().impedance(angularFrequency);
+        const expected = impedance(1 + 1e-6).sub(impedance(1 - 1e-6)).div(2e-6 * value);
+        t.ok(component.impedanceDerivatives(angularFrequency)[0].sub(expected).abs() < 1e-6 * expected.abs(), component.componentName);
+    }
+
+    // Descriptions may leave out the name, but not the model
+    const value = new Capacitor(1e-9).componentValue.toJSON();
+    t.equal(Component.fromJSON({ model: { type: 'capacitor' }, value }).componentName, 'capacitor');
+    t.throws(() => Component.fromJSON({ value }), /Unknown component model undefined/);
+
+    t.end();
+});
+
+test("Component Groups", (t) => {
+    // A parallel tank in series with a capacitor, as in a trap
+    const tank = ComponentGroup.parallel(new Inductor(1e-6), new Capacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10)));
+    const trap = ComponentGroup.series(new Capacitor(2e-9), tank);
+
+    t.equal(trap.toString(), '(capacitor: 2e-9 + (inductor: 0.000001, capacitor: 1e-9))');
+    t.same(trap.leaves().map((component) => component.componentName), ['capacitor', 'inductor', 'capacitor']);
+    t.ok(trap.load().impedance(1 / Math.sqrt(1e-6 * 1e-9)).abs() > 1e9);
+    t.ok(Math.abs(trap.load().impedance(1e3).im + 1 / (1e3 * 2e-9)) < 1e-3 / (1e3 * 2e-9));
+
+    const replaced = trap.withLeaf(2, new Capacitor(4.7e-9));
+    t.equal(replaced.toString(), '(capacitor: 2e-9 + (inductor: 0.000001, capacitor: 4.7e-9))');
+    t.equal(trap.leaves()[2].componentValue.value, 1e-9);
+    t.throws(() => trap.withLeaf(3, new Capacitor(1e-9)));
+
+    const updated = trap.update(makeRandom(1));
+    t.equal(updated.combination, 'series');
+    t.not(updated.leaves()[2].componentValue.value, 1e-9);
+
+    // Stages accept nested combinations alongside components
+    const stage = new ShuntFilterStage(trap, new Capacitor(1e-12));
+    t.equal(stage.leaves().length, 4);
+    t.equal(stage.toString(), '(capacitor: 2e-9 + (inductor: 0.000001, capacitor: 1e-9)), capacitor: 1e-12');
+    t.equal(stage.withLeaf(3, new Capacitor(2e-12)).components[1].componentValue.value, 2e-12);
+    t.equal(stage.withComponent(1, tank).leaves().length, 5);
+    t.ok(stage.update(makeRandom(2)).components[0] instanceof ComponentGroup);
+
+    t.throws(() => new ComponentGroup('bridge', [new Capacitor(1e-9)]));
+    t.throws(() => ComponentGroup.series());
+
+    t.end();
+});
@@ -0,0 +1,432 @@
+import { strict as assert } from 'node:assert';
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+import YAML from 'yaml';
+
+import { biquadComponentNames } from './biquad.js';
+import { parseComponentValue, readCatalog } from './catalog.js';
+import { COMPONENT_MODELS, Component, ComponentGroup, ComponentValue } from './component.js';
+import { BiquadStage, Filter, SeriesFilterStage, ShuntFilterStage, TransformerStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { makeGroupDelayObjective, makeMatchingNetworkObjective, makeVswrObjective, optimizeFilter } from './optimize.js';
+import { OPTIMIZERS } from './optimizers.js';
+import { makeRandom } from './random.js';
+import { filterFromDocument } from './serialization.js';
+import { makeSpecificationObjective } from './specification.js';
+import { synthesizeFilter } from './synthesis.js';
+import { readTermination } from './termination.js';
+import { makeYieldObjective } from './tolerance.js';
+import { Topology, makeComplexityObjective } from './topology.js';
+import { physicalLength } from './transmissionLine.js';
+
+/**
+ * Names given to components of each model when the design does not name them
+ */
+const MODEL_NAMES = { lossyCapacitor: 'capacitor', lossyInductor: 'inductor', transmissionLine: 'line' };
+
+/**
+ * Transformer parameters that are exact or bounded, and so are given no tolerance unless the design says otherwise
+ */
+const EXACT_TRANSFORMER_PARAMETERS = ['turnsRatio', 'coupling'];
+
+/**
+ * Input and output loads given by a file of tabulated impedances
+ */
+const TERMINATION_FILE = /\.(csv|s1p)$/i;
+
+/**
+ * Parameters of each component model that are physical quantities
+ */
+const MODEL_PARAMETERS = [
+    'esr', 'esl', 'lossTangent', 'dcr', 'q', 'qFrequency', 'windingCapacitance',
+    'characteristicImpedance', 'velocityFactor', 'attenuation', 'width', 'height', 'relativePermittivity', 'thickness', 'conductivity'
+];
+
+/**
+ * A design file describing a filter to optimize, as plain JSON or YAML data.
+ * Quantities may be numbers or strings with SI prefixes and units, e.g. "4.7nF" or "2.4GHz".
+ * @typedef {Object} DesignSpec
+ * @property {number|string|Object} [inputLoad] - Source resistance, a load as described by Load.toJSON, or the path of
+ * a ".csv" impedance table or ".s1p" Touchstone file relative to the design file
+ * @property {number|string|Object} [outputLoad] - Load resistance, or a load or file as for inputLoad
+ * @property {Array<StageSpec>} [stages] - Initial filter stages
+ * @property {import('./synthesis.js').SynthesisOptions} [synthesis] - Synthesizes the initial filter instead of listing its stages
+ * @property {string|Array<number>} [series] - Default preferred value series of components
+ * @property {number} [valueRange] - Default ratio between a component's initial value and its value limits
+ * @property {number|import('./tolerance.js').Tolerance} [tolerance] - Default tolerance of components, as a relative tolerance or a Tolerance
+ * @property {import('./topology.js').TopologyOptions} [topology] - Allows the optimizer to change the filter's structure
+ * @property {ObjectiveSpec} objective - What to optimize for
+ * @property {Object} [optimizer] - "strategy" (a key of OPTIMIZERS), "seed" and the strategy's options.
+ * "yield" maximizes the yield instead of the nominal objective, with the options of makeYieldObjective.
+ * @property {import('./report.js').SweepOptions} [analysis] - Frequency sweep used for reports and exports
+ */
+
+/**
+ * @typedef {Object} StageSpec
+ * @property {string} type - "series", "shunt", "transmissionLine", "transformer" or "biquad"
+ * @property {string} [combination] - "parallel" or "series"
+ * @property {Array<ComponentSpec>} components - For "transmissionLine" stages, just the line. For "transformer" stages,
+ * the transformer's parameters, each naming its "parameter". The turns ratio is restricted to ratios of at most
+ * "maxTurns" turns, and the coupling to at most 1. Neither is given a tolerance by default. For "biquad" stages, the
+ * resistors and capacitors in the topology's order, named and typed after it by default, e.g. "R1" is a resistor.
+ * @property {string} [topology] - "biquad": a key of BIQUAD_TOPOLOGIES, e.g. "sallenKeyLowpass"
+ * @property {string} [output] - "biquad": the output of a state-variable section
+ * @property {Object} [opamp] - "biquad": the op-amps' open-loop "gain" and "gainBandwidth", ideal by default
+ */
+
+/**
+ * A component, or a nested combination of components when "combination" is given
+ * @typedef {Object} ComponentSpec
+ * @property {string} [type] - A key of COMPONENT_MODELS, e.g. "capacitor" or "lossyInductor"
+ * @property {string} [parameter] - Transformer parameters: one of TRANSFORMER_PARAMETERS, e.g. "turnsRatio"
+ * @property {number} [maxTurns] - Transformer turns ratios: most turns on either winding, 20 by default
+ * @property {number|string} [value] - Initial value, the physical length in metres for stubs and lines
+ * @property {number} [electricalLength] - Stubs and lines: initial length in degrees at referenceFrequency, in place of value
+ * @property {number|string} [referenceFrequency] - Frequency at which electricalLength is given
+ * @property {number|string} [min] - Smallest feasible value, by default value / valueRange
+ * @property {number|string} [max] - Largest feasible value, by default value * valueRange
+ * @property {string|Array<number>} [series] - Preferred value series
+ * @property {boolean} [fixed] - Keeps the value fixed during optimization
+ * @property {boolean} [allowZero]
+ * @property {boolean} [allowInfinite]
+ * @property {string} [catalog] - Path of a parts catalog, relative to the design file, restricting the feasible values
+ * @property {string} [name] - Component name, by default derived from the type
+ * @property {number|import('./tolerance.js').Tolerance} [tolerance] - Relative tolerance, or a Tolerance
+ * @property {string} [combination] - "parallel" or "series", for combinations
+ * @property {Array<ComponentSpec>} [components] - Combined components, for combinations
+ */
+
+/**
+ * @typedef {Object} ObjectiveSpec
+ * @property {string} type - "specification", "vswr", "matching" or "groupDelay"
+ * @property {import('./specification.js').Specification} [constraints] - "specification": the filter mask
+ * @property {number|string} [minFrequency] - "vswr", "matching" and "groupDelay": lower edge of the band
+ * @property {number|string} [maxFrequency] - "vswr", "matching" and "groupDelay": upper edge of the band
+ * @property {number} [maxGainDeviation] - "matching": allowed transducer gain deviation in dB
+ * @property {number|string} [referenceImpedance] - "specification": impedance terminating networks evaluated without their filter
+ * @property {number} [nTestSamples]
+ * @property {Object} [complexity] - Adds a complexity penalty with "componentCost" and "stageCost"
+ */
+
+/**
+ * A design ready to be optimized
+ * @typedef {Object} Design
+ * @property {Filter} filter - Initial filter
+ * @property {import('./optimize.js').ObjectiveFunction} [objective] - Objective function, if the design has one
+ * @property {Object} [specification] - Filter mask "constraints" and evaluation "options", for "specification" objectives
+ * @property {Object} optimizer - Optimizer "strategy", "seed" and options
+ * @property {import('./tolerance.js').Tolerance} [tolerance] - Default tolerance of components
+ * @property {import('./report.js').SweepOptions} [analysis] - Frequency sweep for reports and exports
+ */
+
+/**
+ * Parses a quantity that may use SI prefixes, leaving undefined values alone
+ * @param {number|string|undefined} value
+ * @returns {number|undefined}
+ */
+function quantity(value) {
+    return value === undefined ? undefined : parseComponentValue(value);
+}
+
+/**
+ * Creates a tolerance from a relative tolerance or a tolerance description
+ * @param {number|import('./tolerance.js').Tolerance} spec
+ * @returns {import('./tolerance.js').Tolerance}
+ */
+function makeTolerance(spec) {
+    return typeof spec === 'number' ? { tolerance: spec } : spec;
+}
+
+/**
+ * Creates a load from a resistance, a load description or the path of a termination file
+ * @param {number|string|Object} spec
+ * @param {string} baseDirectory - Directory that termination paths are relative to
+ * @returns {Promise<Load>}
+ */
+async function makeLoad(spec, baseDirectory) {
+    if (spec instanceof Object)
+        return Load.fromJSON(spec);
+    if (typeof spec === 'string' && TERMINATION_FILE.test(spec))
+        return readTermination(resolve(baseDirectory, spec));
+    return Load.resistor(quantity(spec));
+}
+
+/**
+ * Finds the resistance of a termination that a filter is synthesized for
+ * @param {number|string|Object} [spec] - A termination as for makeLoad
+ * @param {string} name - "inputLoad" or "outputLoad"
+ * @param {string} baseDirectory - Directory that termination paths are relative to
+ * @returns {Promise<number|undefined>}
+ */
+async function synthesisResistance(spec, name, baseDirectory) {
+    if (spec === undefined)
+        return undefined;
+    const { definition } = await makeLoad(spec, baseDirectory);
+    assert(definition?.type === 'resistor', `Filters can only be synthesized for a resistive ${name}`);
+    return definition.value;
+}
+
+/**
+ * Creates a component or combination from its description
+ * @param {ComponentSpec} spec
+ * @param {DesignSpec} design
+ * @param {string} baseDirectory - Directory that catalog paths are relative to
+ * @returns {Promise<Component|ComponentGroup>}
+ */
+async function makeComponent(spec, design, baseDirectory) {
+    if (spec.combination !== undefined) {
+        assert(spec.components instanceof Array, 'A component combination needs an array of components');
+        return new ComponentGroup(
+            spec.combination,
+            await Promise.all(spec.components.map((component) => makeComponent(component, design, baseDirectory))));
+    }
+
+    const type = spec.type;
+    assert(COMPONENT_MODELS[type], `Unknown component type ${type}`);
+    const model = spec.parameter === undefined ? { type } : { type, parameter: spec.parameter };
+    for (const parameter of MODEL_PARAMETERS) {
+        if (spec[parameter] !== undefined)
+            model[parameter] = quantity(spec[parameter]);
+    }
+
+    const value = spec.electricalLength === undefined
+        ? quantity(spec.value)
+        : physicalLength({ ...model, electricalLength: spec.electricalLength, referenceFrequency: quantity(spec.referenceFrequency) });
+    let componentValue;
+    if (spec.catalog !== undefined) {
+        const catalog = await readCatalog(resolve(baseDirectory, spec.catalog));
+        // Without a value, the component starts from the smallest part
+        componentValue = ComponentValue.fromCatalog(catalog, value ?? catalog.reduce((smallest, part) => Math.min(smallest, part.value), Infinity));
+    } else if (spec.fixed) {
+        assert(value !== undefined, `Fixed ${type} needs a value`);
+        componentValue = value;
+    } else if (spec.parameter === 'turnsRatio') {
+        assert(value > 0, 'A turns ratio needs a positive initial value');
+        const valueRange = design.valueRange ?? 10;
+        componentValue = ComponentValue.initializeTurnsRatio(
+            value,
+            quantity(spec.max) ?? value * valueRange,
+            quantity(spec.min) ?? value / valueRange,
+            spec.maxTurns);
+    } else {
+        assert(value > 0, `${type} needs a positive initial value`);
+        const valueRange = design.valueRange ?? 10;
+        componentValue = ComponentValue.initializeComponent(
+            value,
+            quantity(spec.max) ?? value * valueRange,
+            quantity(spec.min) ?? value / valueRange,
+            spec.allowZero ?? false,
+            spec.allowInfinite ?? false,
+            spec.series ?? design.series ?? 'E24');
+    }
+
+    const tolerance = spec.tolerance === undefined ? undefined : makeTolerance(spec.tolerance);
+    return new Component(spec.name ?? MODEL_NAMES[type] ?? type, componentValue, COMPONENT_MODELS[type](model), model, tolerance);
+}
+
+/**
+ * Creates the filter mask of a "specification" objective
+ * @param {ObjectiveSpec} spec
+ * @returns {{constraints: import('./specification.js').Specification, options: import('./specification.js').SpecificationOptions}}
+ */
+function makeSpecification(spec) {
+    const constraints = Object.fromEntries(Object.entries(spec.constraints ?? {}).map(([name, constraint]) => [
+        name,
+        { ...constraint, minFrequency: quantity(constraint.minFrequency), maxFrequency: quantity(constraint.maxFrequency) }
+    ]));
+    return { constraints, options: { referenceImpedance: quantity(spec.referenceImpedance), nTestSamples: spec.nTestSamples } };
+}
+
+/**
+ * Creates the objective function described by a design
+ * @param {ObjectiveSpec} spec
+ * @returns {import('./optimize.js').ObjectiveFunction}
+ */
+function makeObjective(spec) {
+    let objective;
+    switch (spec.type) {
+        case 'specification': {
+            const { constraints, options } = makeSpecification(spec);
+            objective = makeSpecificationObjective(constraints, options);
+            break;
+        }
+        case 'vswr':
+            objective = makeVswrObjective(
+                quantity(spec.minFrequency),
+                quantity(spec.maxFrequency),
+                spec.nTestSamples);
+            break;
+        case 'groupDelay':
+            objective = makeGroupDelayObjective(
+                quantity(spec.minFrequency),
+                quantity(spec.maxFrequency),
+                spec.nTestSamples);
+            break;
+        case 'matching':
+            objective = makeMatchingNetworkObjective(
+                quantity(spec.minFrequency),
+                quantity(spec.maxFrequency),
+                spec.maxGainDeviation,
+                spec.nTestSamples);
+            break;
+        default:
+            assert.fail(`Unknown objective type ${spec.type}`);
+    }
+    return spec.complexity === undefined ? objective : makeComplexityObjective(objective, spec.complexity);
+}
+
+/**
+ * Builds a design from its description
+ * @param {DesignSpec} spec
+ * @param {Object} options
+ * @param {string} [options.baseDirectory] - Directory that catalog paths are relative to
+ * @returns {Promise<Design>}
+ */
+export async function buildDesign(spec, { baseDirectory = '.' } = {}) {
+    assert(spec instanceof Object, 'A design must be an object');
+
+    let filter;
+    if (spec.synthesis !== undefined) {
+        assert(spec.stages === undefined, 'A design lists stages or synthesizes them, but not both');
+        const { cutoff, sourceImpedance, loadImpedance, ...synthesis } = spec.synthesis;
+        filter = synthesizeFilter({
+            series: spec.series,
+            valueRange: spec.valueRange,
+            ...synthesis,
+            cutoff: cutoff instanceof Array ? cutoff.map(quantity) : quantity(cutoff),
+            sourceImpedance: quantity(sourceImpedance) ?? await synthesisResistance(spec.inputLoad, 'inputLoad', baseDirectory),
+            loadImpedance: quantity(loadImpedance) ?? await synthesisResistance(spec.outputLoad, 'outputLoad', baseDirectory)
+        });
+    } else {
+        assert(spec.stages instanceof Array, 'A design needs an array of stages');
+        const stages = await Promise.all(spec.stages.map(async (stage) => {
+            assert(['series', 'shunt', 'transmissionLine', 'transformer', 'biquad'].includes(stage.type), `Unknown filter stage type ${stage.type}`);
+            assert(stage.components instanceof Array, 'A filter stage needs an array of components');
+            if (stage.type === 'transmissionLine') {
+                assert(stage.components.length === 1, 'A transmission line stage needs exactly one component, its line');
+                return new TransmissionLineStage(await makeComponent({ type: 'transmissionLine', ...stage.components[0] }, spec, baseDirectory));
+            }
+            if (stage.type === 'transformer') {
+                return new TransformerStage(...await Promise.all(stage.components.map(({ parameter, ...component }) => {
+                    assert(parameter !== undefined, 'Each component of a transformer stage needs a parameter');
+                    const exact = EXACT_TRANSFORMER_PARAMETERS.includes(parameter);
+                    return makeComponent({
+                        type: 'transformerParameter',
+                        name: parameter,
+                        ...(parameter === 'coupling' && { max: 1 }),
+                        ...(exact && { tolerance: 0 }),
+                        ...component,
+                        parameter
+                    }, spec, baseDirectory);
+                })));
+            }
+            if (stage.type === 'biquad') {
+                const names = biquadComponentNames(stage.topology);
+                const components = await Promise.all(stage.components.map((component, i) => makeComponent({
+                    name: names[i],
+                    type: names[i]?.startsWith('C') ? 'capacitor' : 'resistor',
+                    ...component
+                }, spec, baseDirectory)));
+                const opamp = stage.opamp === undefined ? undefined : {
+                    ...stage.opamp,
+                    ...(stage.opamp.gainBandwidth !== undefined && { gainBandwidth: quantity(stage.opamp.gainBandwidth) })
+                };
+                return new BiquadStage(stage.topology, components, { opamp, output: stage.output });
+            }
+            const components = await Promise.all(stage.components.map((component) => makeComponent(component, spec, baseDirectory)));
+            const Stage = stage.type === 'series' ? SeriesFilterStage : ShuntFilterStage;
+            return new Stage(...components).withCombination(stage.combination ?? 'parallel');
+        }));
+        filter = new Filter(
+            await makeLoad(spec.inputLoad ?? 50, baseDirectory),
+            await makeLoad(spec.outputLoad ?? 50, baseDirectory),
+            stages);
+    }
+    if (spec.topology !== undefined)
+        filter = filter.withTopology(new Topology(spec.topology));
+    const tolerance = spec.tolerance === undefined ? undefined : makeTolerance(spec.tolerance);
+    if (tolerance !== undefined) {
+        filter = filter.withStages(filter.stages.map((stage) => stage.leaves().reduce(
+            (updated, component, i) => component.tolerance === undefined ? updated.withLeaf(i, component.withTolerance(tolerance)) : updated,
+            stage)));
+    }
+
+    const analysis = spec.analysis === undefined ? undefined : {
+        ...spec.analysis,
+        minFrequency: quantity(spec.analysis.minFrequency),
+        maxFrequency: quantity(spec.analysis.maxFrequency),
+        referenceImpedance: quantity(spec.analysis.referenceImpedance)
+    };
+
+    return {
+        filter,
+        objective: spec.objective === undefined ? undefined : makeObjective(spec.objective),
+        specification: spec.objective?.type === 'specification' ? makeSpecification(spec.objective) : undefined,
+        optimizer: spec.optimizer ?? {},
+        tolerance,
+        analysis
+    };
+}
+
+/**
+ * Parses the text of a design or filter file
+ * @param {string} text
+ * @param {string} format - "json" or "yaml"
+ * @returns {Object}
+ */
+export function parseDesignText(text, format) {
+    switch (format) {
+        case 'json':
+            return JSON.parse(text);
+        case 'yaml':
+            return YAML.parse(text);
+    }
+    assert.fail(`Unsupported design format ${format}`);
+}
+
+/**
+ * Reads the spec of a design file without building it, choosing JSON or YAML from the file extension
+ * @param {string} path
+ * @returns {Promise<DesignSpec>}
+ */
+export async function readDesignSpec(path) {
+    const format = /\.ya?ml$/i.test(path) ? 'yaml' : 'json';
+    return parseDesignText(await readFile(path, 'utf8'), format);
+}
+
+/**
+ * Reads a design file, or a filter file written by writeFilter, choosing JSON or YAML from the file extension
+ * @param {string} path
+ * @returns {Promise<Design>}
+ */
+export async function readDesign(path) {
+    const spec = await readDesignSpec(path);
+
+    if (spec?.kind === 'filter')
+        return { filter: filterFromDocument(spec), optimizer: {} };
+    return buildDesign(spec, { baseDirectory: dirname(path) });
+}
+
+/**
+ * Optimizes a design with the strategy it names, by default simulated annealing through optimizeFilter
+ * @param {Design} design
+ * @param {import('./optimizers.js').RunOptions} runOptions - Progress reporting and early stopping options
+ * @returns {Filter} - The best filter found
+ */
+export function optimizeDesign(design, runOptions = {}) {
+    assert(design.objective, 'The design has no objective to optimize');
+
+    const { strategy = 'simulatedAnnealing', seed, yield: yieldOptions, ...options } = design.optimizer;
+    assert(OPTIMIZERS[strategy], `Unknown optimization strategy ${strategy}`);
+    const random = seed === undefined ? Math.random : makeRandom(seed);
+    const objective = yieldOptions === undefined
+        ? design.objective
+        : makeYieldObjective(design.objective, { defaultTolerance: design.tolerance, ...yieldOptions });
+
+    if (strategy === 'simulatedAnnealing') {
+        const { initialTemperature = 1, coolingRate = 0.001, iterations = 10000, ...strategyOptions } = options;
+        return optimizeFilter(design.filter, objective, initialTemperature, coolingRate, iterations, random, { ...strategyOptions, ...runOptions });
+    }
+    return OPTIMIZERS[strategy](design.filter, objective, { ...options, random, ...runOptions });
+}
@@ -0,0 +1,204 @@
+import { test } from 'tap';
+
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { ComponentGroup } from './component.js';
+import { TransmissionLineStage } from './filter.js';
+import { buildDesign, optimizeDesign, parseDesignText, readDesign } from './design.js';
+import { formatFilter } from './serialization.js';
+
+const lowpassSpec = () => ({
+    inputLoad: 50,
+    outputLoad: '50ohm',
+    series: 'E12',
+    stages: [
+        { type: 'shunt', components: [{ type: 'capacitor', value: '3.3nF' }] },
+        { type: 'series', components: [{ type: 'lossyInductor', value: '15uH', dcr: 0.1, min: '1uH', max: '100uH' }] },
+        { type: 'shunt', components: [{ type: 'capacitor', value: '3.3nF', fixed: true }] }
+    ],
+    objective: {
+        type: 'specification',
+        constraints: {
+            passband: { type: 'ripple', minFrequency: '10kHz', maxFrequency: '1MHz', maxRipple: 1 },
+            stopband: { type: 'attenuation', minFrequency: '5MHz', maxFrequency: '10MHz', minAttenuation: 30 }
+        }
+    },
+    optimizer: { seed: 3, iterations: 200, initialTemperature: 0.1, coolingRate: 0.01 },
+    analysis: { minFrequency: '1kHz', maxFrequency: '10MHz', points: 11 }
+});
+
+test('Test Design - Building Filters', async (t) => {
+    const design = await buildDesign(lowpassSpec());
+
+    t.equal(design.filter.stages.length, 3);
+    t.equal(design.filter.outputLoad.impedance(1).re, 50);
+    const inductor = design.filter.stages[1].components[0];
+    t.same(inductor.model, { type: 'lossyInductor', dcr: 0.1 });
+    t.equal(inductor.componentName, 'inductor');
+    t.equal(inductor.componentValue.value, 1.5e-5);
+    t.equal(inductor.componentValue.feasibleValues[0], 1e-6);
+    t.equal(inductor.componentValue.feasibleValues.at(-1), 1e-4);
+    t.equal(design.filter.stages[0].components[0].componentValue.feasibleValues.length, 25);
+    t.same(design.filter.stages[2].components[0].componentValue.feasibleValues, [3.3e-9]);
+    t.same(design.analysis, { minFrequency: 1e3, maxFrequency: 1e7, points: 11, referenceImpedance: undefined });
+    t.ok(design.objective(design.filter.network, design.filter) >= 0);
+
+    const nested = await buildDesign({
+        stages: [{
+            type: 'series',
+            combination: 'series',
+            components: [
+                { type: 'capacitor', value: 1e-9 },
+                { combination: 'parallel', components: [{ type: 'inductor', value: 1e-6 }, { type: 'capacitor', value: 1e-10 }] }
+            ]
+        }],
+        objective: { type: 'vswr', minFrequency: '1MHz', maxFrequency: '2MHz', complexity: { componentCost: 0.1 } }
+    });
+    t.equal(nested.filter.stages[0].combination, 'series');
+    t.ok(nested.filter.stages[0].components[1] instanceof ComponentGroup);
+    t.equal(nested.filter.stages[0].leaves().length, 3);
+
+    // VSWR objectives measure the stages between the filter's terminations
+    const mismatched = await buildDesign({
+        ...lowpassSpec(),
+        outputLoad: 100,
+        objective: { type: 'vswr', minFrequency: '2kHz', maxFrequency: '2kHz' }
+    });
+    const { inputLoad, outputLoad, network, stagesNetwork } = mismatched.filter;
+    const reflection = stagesNetwork.inputReflectionCoefficient(2 * Math.PI * 2e3, inputLoad, outputLoad).abs();
+    t.ok(Math.abs(mismatched.objective(network, mismatched.filter) - (1 + reflection) / (1 - reflection)) < 1e-6);
+
+    await t.rejects(buildDesign({ ...lowpassSpec(), stages: [{ type: 'bridge', components: [] }] }));
+    await t.rejects(buildDesign({ ...lowpassSpec(), objective: { type: 'beauty' } }));
+    await t.rejects(buildDesign({ ...lowpassSpec(), stages: [{ type: 'shunt', components: [{ type: 'memristor', value: 1 }] }] }));
+});
+
+test('Test Design - Synthesis And Topology', async (t) => {
+    const design = await buildDesign({
+        inputLoad: 50,
+        synthesis: { type: 'butterworth', order: 3, cutoff: '1MHz' },
+        topology: { maxStages: 4 },
+        objective: { type: 'matching', minFrequency: '100kHz', maxFrequency: '1MHz', maxGainDeviation: 0.1 }
+    });
+
+    t.equal(design.filter.stages.length, 3);
+    t.equal(design.filter.topology.maxStages, 4);
+    t.equal(design.filter.inputLoad.impedance(1).re, 50);
+
+    await t.rejects(buildDesign({ synthesis: { type: 'butterworth', order: 3, cutoff: 1e6 }, stages: [] }));
+
+    // Band-pass designs are synthesized between two cutoffs
+    const bandpassSynthesis = { type: 'butterworth', response: 'bandpass', order: 2, cutoff: ['1MHz', '2MHz'] };
+    const bandpass = await buildDesign({ synthesis: bandpassSynthesis, objective: { type: 'vswr', minFrequency: '1MHz', maxFrequency: '2MHz' } });
+    t.equal(bandpass.filter.stages.length, 2);
+    await t.rejects(buildDesign({ synthesis: bandpassSynthesis, objective: { type: 'specification' } }), /Specification has no constraints/);
+
+    // Terminations given as loads are synthesized for when they are resistors
+    const synthesis = { type: 'butterworth', order: 3, cutoff: '1MHz' };
+    const objective = { type: 'vswr', minFrequency: '100kHz', maxFrequency: '1MHz' };
+    const described = await buildDesign({ inputLoad: { type: 'resistor', value: 75 }, outputLoad: '75ohm', synthesis, objective });
+    t.equal(described.filter.inputLoad.impedance(1).re, 75);
+    t.equal(described.filter.outputLoad.impedance(1).re, 75);
+    await t.rejects(buildDesign({ outputLoad: { type: 'capacitor', value: 1e-9 }, synthesis }), /resistive outputLoad/);
+});
+
+test('Test Design - Tolerances And Yield', async (t) => {
+    const spec = lowpassSpec();
+    spec.tolerance = 0.05;
+    spec.stages[0].components[0].tolerance = { distribution: 'gaussian', tolerance: 0.02 };
+    const design = await buildDesign(spec);
+
+    t.same(design.tolerance, { tolerance: 0.05 });
+    t.same(design.filter.stages[0].components[0].tolerance, { distribution: 'gaussian', tolerance: 0.02 });
+    t.same(design.filter.stages[1].components[0].tolerance, { tolerance: 0.05 });
+
+    const yieldDesign = { ...design, optimizer: { ...design.optimizer, iterations: 20, yield: { trials: 5 } } };
+    t.same(optimizeDesign(yieldDesign).toJSON(), optimizeDesign(yieldDesign).toJSON());
+
+    // The objective becomes the fraction of the five random instances that fail
+    const history = [];
+    optimizeDesign(yieldDesign, { history });
+    t.ok(history.length > 0);
+    t.ok(history.every(({ objectiveValue }) => Number.isInteger(objectiveValue * 5) && objectiveValue <= 1));
+});
+
+test('Test Design - Distributed Elements', async (t) => {
+    const design = await buildDesign({
+        stages: [
+            { type: 'shunt', components: [{ type: 'openStub', characteristicImpedance: 30, velocityFactor: 0.66, electricalLength: 30, referenceFrequency: '1GHz' }] },
+            { type: 'transmissionLine', components: [{ width: '0.5mm', height: '1.6mm', relativePermittivity: 4.4, value: '20mm', min: '4.7mm', max: '39mm' }] }
+        ],
+        objective: { type: 'vswr', minFrequency: '500MHz', maxFrequency: '1GHz' }
+    });
+
+    const [stub] = design.filter.stages[0].components;
+    t.same(stub.model, { type: 'openStub', characteristicImpedance: 30, velocityFactor: 0.66 });
+    t.ok(Math.abs(stub.componentValue.value / (0.66 * 299792458 / 1e9 / 12) - 1) < 0.05);
+
+    const line = design.filter.stages[1];
+    t.ok(line instanceof TransmissionLineStage);
+    t.equal(line.components[0].componentName, 'line');
+    t.same(line.components[0].model, { type: 'transmissionLine', width: 5e-4, height: 1.6e-3, relativePermittivity: 4.4 });
+    t.equal(line.components[0].componentValue.value, 0.02);
+    t.equal(line.components[0].componentValue.feasibleValues[0], 0.0047);
+    t.ok(design.objective(design.filter.network, design.filter) >= 0);
+
+    await t.rejects(buildDesign({ stages: [{ type: 'transmissionLine', components: [] }], objective: { type: 'vswr' } }));
+});
+
+test('Test Design - Files', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+
+    await writeFile(join(directory, 'parts.csv'), 'Part Number,Value\nC1,1nF\nC2,2.2nF\nC3,4.7nF\n');
+    await writeFile(join(directory, 'design.yaml'), [
+        'inputLoad: 50',
+        'outputLoad: 50',
+        'stages:',
+        '  - type: shunt',
+        '    components:',
+        '      - type: capacitor',
+        '        value: 2nF',
+        '        catalog: parts.csv',
+        'objective:',
+        '  type: vswr',
+        '  minFrequency: 1MHz',
+        '  maxFrequency: 2MHz'
+    ].join('\n'));
+
+    const design = await readDesign(join(directory, 'design.yaml'));
+    const capacitor = design.filter.stages[0].components[0].componentValue;
+    t.same(capacitor.feasibleValues, [1e-9, 2.2e-9, 4.7e-9]);
+    t.equal(capacitor.partNumber, 'C2');
+
+    // Without a value, catalog parts start from the smallest
+    const uncatalogued = await buildDesign({ stages: [{ type: 'shunt', components: [{ type: 'capacitor', catalog: 'parts.csv' }] }] }, { baseDirectory: directory });
+    t.equal(uncatalogued.filter.stages[0].components[0].componentValue.partNumber, 'C1');
+
+    // Filter documents written by writeFilter can be read in place of a design
+    await writeFile(join(directory, 'filter.json'), formatFilter(design.filter));
+    const saved = await readDesign(join(directory, 'filter.json'));
+    t.same(saved.filter.toJSON(), design.filter.toJSON());
+    t.equal(saved.objective, undefined);
+
+    t.same(parseDesignText('a: 1\nb: [2, 3]\n', 'yaml'), { a: 1, b: [2, 3] });
+    t.same(parseDesignText('{"a": 1}', 'json'), { a: 1 });
+    t.throws(() => parseDesignText('a = 1', 'toml'));
+});
+
+test('Test Design - Optimization', async (t) => {
+    const design = await buildDesign(lowpassSpec());
+    const initialObjective = design.objective(design.filter.network, design.filter);
+
+    const optimized = optimizeDesign(design);
+    t.ok(design.objective(optimized.network, optimized) <= initialObjective);
+    t.same(optimizeDesign(design).toJSON(), optimized.toJSON());
+
+    const described = optimizeDesign({ ...design, optimizer: { strategy: 'coordinateDescent', maxPasses: 2 } });
+    t.ok(design.objective(described.network, described) <= initialObjective);
+
+    t.throws(() => optimizeDesign({ ...design, optimizer: { strategy: 'guessing' } }));
+    t.throws(() => optimizeDesign({ ...design, objective: undefined }));
+});
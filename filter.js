@@ -1,8 +1,21 @@
 import { strict as assert } from 'node:assert';
 
-import { Component } from './component.js';
+import { biquadNetwork, validateBiquad } from './biquad.js';
+import {
+    COMBINATIONS,
+    Component,
+    ComponentGroup,
+    combinationImpedanceDerivatives,
+    componentFromJSON,
+    formatCombination,
+    lineParameters,
+    replaceLeaf
+} from './component.js';
+import { decodeNumbers, encodeNumbers } from './json.js';
 import Load from './load.js';
-import TwoPortNetwork from './twoPortNetwork.js';
+import { Topology } from './topology.js';
+import { makeTransformer } from './transformer.js';
+import TwoPortNetwork, { TwoPortMatrix } from './twoPortNetwork.js';
 
 /**
  * Models a filter stage when optimizing a ladder filter
@@ -10,58 +23,382 @@ import TwoPortNetwork from './twoPortNetwork.js';
 export class FilterStage {
     /**
      * Constructs a ladder filter stage
-     * @param {Array<Component>} components 
+     * @param {Array<Component|ComponentGroup>} components - Components and nested series or parallel combinations of components
      * @param {function(Load): TwoPortNetwork} makeNetwork
-     * @param {function(Array<Component>): FilterStage} updateStage
+     * @param {function(Array<Component|ComponentGroup>, string): FilterStage} updateStage - Constructs a stage of the same
+     * kind from components and their combination
+     * @param {string} combination - How the components are combined, "parallel" or "series"
      */
-    constructor(components, makeNetwork, updateStage) {
+    constructor(components, makeNetwork, updateStage, combination = 'parallel') {
         assert(components instanceof Array);
         this.components = components;
         assert(makeNetwork instanceof Function);
         this.makeNetwork = makeNetwork;
         assert(updateStage instanceof Function);
         this.updateStage = updateStage;
+        assert(COMBINATIONS.includes(combination), `Unknown component combination ${combination}`);
+        this.combination = combination;
     }
 
     /**
      * Creates a randomly selected "neighbor" filter stage
+     * @param {import('./random.js').RandomSource} random - Source of random numbers
      * @returns {FilterStage}
      */
-    update() {
-        return this.updateStage(this.components.map((component) => component.update()));
+    update(random = Math.random) {
+        return this.withComponents(this.components.map((component) => component.update(random)));
+    }
+
+    /**
+     * Creates a copy of this stage of the same kind and combination with different components
+     * @param {Array<Component|ComponentGroup>} components
+     * @returns {FilterStage}
+     */
+    withComponents(components) {
+        assert(components instanceof Array);
+
+        return this.updateStage(components, this.combination);
+    }
+
+    /**
+     * Creates a copy of this series or shunt stage with its components combined differently
+     * @param {string} combination - "parallel" or "series"
+     * @returns {FilterStage}
+     */
+    withCombination(combination) {
+        assert(this instanceof SeriesFilterStage || this instanceof ShuntFilterStage, 'Only series and shunt stages can combine their components');
+        assert(COMBINATIONS.includes(combination), `Unknown component combination ${combination}`);
+
+        return this.updateStage(this.components, combination);
+    }
+
+    /**
+     * Creates a copy of this stage with one component replaced
+     * @param {number} index - Index of the component to replace
+     * @param {Component|ComponentGroup} component - Replacement component or combination
+     * @returns {FilterStage}
+     */
+    withComponent(index, component) {
+        assert(index < this.components.length);
+        assert(component instanceof Component || component instanceof ComponentGroup);
+
+        return this.withComponents(this.components.map((existing, i) => i === index ? component : existing));
+    }
+
+    /**
+     * Lists the individual components of this stage, including those within nested combinations, depth first
+     * @returns {Array<Component>}
+     */
+    leaves() {
+        return this.components.flatMap((component) => component.leaves());
+    }
+
+    /**
+     * Creates a copy of this stage with one of its individual components replaced
+     * @param {number} index - Index of the component to replace, in the order of leaves()
+     * @param {Component} component - Replacement component
+     * @returns {FilterStage}
+     */
+    withLeaf(index, component) {
+        return this.withComponents(replaceLeaf(this.components, index, component));
+    }
+
+    /**
+     * Gets the load formed by the combined components of this stage
+     * @returns {Load}
+     */
+    load() {
+        const loads = this.components.map((component) => component.load());
+        return this.combination === 'series' ? Load.series(...loads) : Load.parallel(...loads);
     }
 
     /**
      * Gets the two-port network corresponding to this filter
      */
     get network() {
-        return this.makeNetwork(
-            Load.parallel(
-                ...(this.components.map((component) => component.load())))
-            );
+        return this.makeNetwork(this.load());
+    }
+
+    /**
+     * Gets the derivatives of this stage's ABCD matrix with respect to the value of each of its individual components
+     * @param {number} angularFrequency
+     * @returns {Array<TwoPortMatrix>} - One derivative for each component in the order of leaves()
+     */
+    abcdDerivatives(angularFrequency) {
+        assert(this instanceof SeriesFilterStage || this instanceof ShuntFilterStage, 'Only series and shunt stages can be differentiated');
+
+        const impedanceDerivatives = combinationImpedanceDerivatives(this.combination, this.components, angularFrequency);
+        if (this instanceof SeriesFilterStage)
+            return impedanceDerivatives.map((derivative) => new TwoPortMatrix([[0, derivative], [0, 0]]));
+
+        // The shunt element appears as its admittance, and dY = -dZ / Z²
+        const impedance = this.load().impedance(angularFrequency);
+        return impedanceDerivatives.map((derivative) => new TwoPortMatrix([[0, 0], [derivative.div(impedance.mul(impedance)).neg(), 0]]));
     }
 
     toString() {
-        return this.components.map((component) => component.toString()).join(", ");
+        return formatCombination(this.combination, this.components);
     }
+
+    /**
+     * Describes the stage as JSON: whether it is a "series" or "shunt" stage, its combination and its components
+     * @returns {Object}
+     */
+    toJSON() {
+        assert(this instanceof SeriesFilterStage || this instanceof ShuntFilterStage, 'Only series and shunt stages can be serialized');
+
+        return {
+            type: this instanceof SeriesFilterStage ? 'series' : 'shunt',
+            combination: this.combination,
+            components: this.components.map((component) => component.toJSON())
+        };
+    }
+
+    /**
+     * Creates a series, shunt, transmission line, transformer or biquad stage from its JSON description
+     * @param {Object} json - Description produced by toJSON
+     * @returns {FilterStage}
+     */
+    static fromJSON(json) {
+        assert(['series', 'shunt', 'transmissionLine', 'transformer', 'biquad'].includes(json.type), `Unknown filter stage type ${json.type}`);
+        assert(json.components instanceof Array, 'A filter stage needs an array of components');
+
+        if (json.type === 'transmissionLine')
+            return new TransmissionLineStage(...json.components.map(componentFromJSON));
+        if (json.type === 'transformer')
+            return new TransformerStage(...json.components.map(componentFromJSON));
+        if (json.type === 'biquad')
+            return new BiquadStage(json.topology, json.components.map(componentFromJSON), {
+                opamp: json.opamp === undefined ? undefined : decodeNumbers(json.opamp),
+                output: json.output
+            });
+        const Stage = json.type === 'series' ? SeriesFilterStage : ShuntFilterStage;
+        return new Stage(...json.components.map(componentFromJSON), json.combination ?? 'parallel');
+    }
+}
+
+/**
+ * Splits the arguments of a series or shunt stage's constructor into its components and their combination
+ * @param {Array<Component|ComponentGroup|string>} args - Components, optionally followed by their combination
+ * @returns {Array} - The components and the combination, "parallel" unless given
+ */
+function ladderStageArguments(args) {
+    return typeof args.at(-1) === 'string' ? [args.slice(0, -1), args.at(-1)] : [args, 'parallel'];
 }
 
 export class SeriesFilterStage extends FilterStage {
-    constructor(...components) {
-        const updateStage = (updatedComponents) => new SeriesFilterStage(...updatedComponents);
+    /**
+     * Constructs a stage in series with the signal path
+     * @param {...(Component|ComponentGroup|string)} args - Components, optionally followed by "parallel" or "series"
+     */
+    constructor(...args) {
+        const [components, combination] = ladderStageArguments(args);
+        const updateStage = (updatedComponents, updatedCombination) => new SeriesFilterStage(...updatedComponents, updatedCombination);
         const makeNetwork = TwoPortNetwork.series;
-        super(components, makeNetwork, updateStage);
+        super(components, makeNetwork, updateStage, combination);
     }
 }
 
 export class ShuntFilterStage extends FilterStage {
-    constructor(...components) {
-        const updateStage = (updatedComponents) => new ShuntFilterStage(...updatedComponents);
+    /**
+     * Constructs a stage in shunt with the signal path
+     * @param {...(Component|ComponentGroup|string)} args - Components, optionally followed by "parallel" or "series"
+     */
+    constructor(...args) {
+        const [components, combination] = ladderStageArguments(args);
+        const updateStage = (updatedComponents, updatedCombination) => new ShuntFilterStage(...updatedComponents, updatedCombination);
         const makeNetwork = TwoPortNetwork.shunt
-        super(components, makeNetwork, updateStage);
+        super(components, makeNetwork, updateStage, combination);
+    }
+}
+
+/**
+ * Models a section of transmission line in the ladder, e.g. one of the sections of a stepped-impedance filter.
+ * The line is the stage's only component and its length is the component value, so it is optimized like any other.
+ */
+export class TransmissionLineStage extends FilterStage {
+    /**
+     * Constructs a transmission line stage
+     * @param {...Component} components - The line: a single component whose model is a "transmissionLine"
+     */
+    constructor(...components) {
+        assert(components.length === 1 && components[0].model?.type === 'transmissionLine',
+            'A transmission line stage needs exactly one transmission line component');
+        const updateStage = (updatedComponents) => new TransmissionLineStage(...updatedComponents);
+        super(components, TwoPortNetwork.transmissionLine, updateStage);
+    }
+
+    /**
+     * Gets the description of the stage's line, including its length
+     * @returns {import('./transmissionLine.js').LineParameters}
+     */
+    lineParameters() {
+        const [line] = this.components;
+        return lineParameters(line.model, line.componentValue.value);
+    }
+
+    load() {
+        assert.fail('A transmission line stage is a two-port and has no load');
+    }
+
+    get network() {
+        return this.makeNetwork(this.lineParameters());
+    }
+
+    /**
+     * Gets the derivative of this stage's ABCD matrix with respect to the line's length
+     * @param {number} angularFrequency
+     * @returns {Array<TwoPortMatrix>}
+     */
+    abcdDerivatives(angularFrequency) {
+        return [TwoPortNetwork.transmissionLineDerivative(this.lineParameters(), angularFrequency)];
+    }
+
+    /**
+     * Describes the stage as JSON, e.g. {"type": "transmissionLine", "components": [line]}
+     * @returns {Object}
+     */
+    toJSON() {
+        return { type: 'transmissionLine', components: this.components.map((component) => component.toJSON()) };
+    }
+}
+
+/**
+ * Models a transformer in the ladder, e.g. to match the filter to a load of a different impedance.
+ * Each of the transformer's parameters that is given is a component, so that it is optimized like any other;
+ * parameters left out are those of an ideal transformer.
+ */
+export class TransformerStage extends FilterStage {
+    /**
+     * Constructs a transformer stage
+     * @param {...Component} components - Parameters of the transformer: components whose model is a "transformerParameter"
+     */
+    constructor(...components) {
+        assert(components.every((component) => component.model?.type === 'transformerParameter'),
+            'The components of a transformer stage must be transformer parameters');
+        const names = components.map((component) => component.model.parameter);
+        assert(new Set(names).size === names.length, 'A transformer stage has each of its parameters once');
+        const updateStage = (updatedComponents) => new TransformerStage(...updatedComponents);
+        super(components, TwoPortNetwork.lossyTransformer, updateStage);
+        makeTransformer(this.transformerParameters());
+    }
+
+    /**
+     * Gets the description of the stage's transformer
+     * @returns {import('./transformer.js').TransformerParameters}
+     */
+    transformerParameters() {
+        return Object.fromEntries(this.components.map((component) => [component.model.parameter, component.componentValue.value]));
+    }
+
+    load() {
+        assert.fail('A transformer stage is a two-port and has no load');
+    }
+
+    get network() {
+        return this.makeNetwork(this.transformerParameters());
+    }
+
+    /**
+     * Gets the derivatives of this stage's ABCD matrix with respect to each of the transformer's parameters
+     * @param {number} angularFrequency
+     * @returns {Array<TwoPortMatrix>}
+     */
+    abcdDerivatives(angularFrequency) {
+        return TwoPortNetwork.lossyTransformerDerivatives(
+            this.transformerParameters(),
+            angularFrequency,
+            this.components.map((component) => component.model.parameter));
+    }
+
+    /**
+     * Describes the stage as JSON, e.g. {"type": "transformer", "components": [turnsRatio, primaryInductance]}
+     * @returns {Object}
+     */
+    toJSON() {
+        return { type: 'transformer', components: this.components.map((component) => component.toJSON()) };
+    }
+}
+
+/**
+ * Relative change in a biquad stage's component values used to differentiate its ABCD matrix
+ */
+const BIQUAD_DERIVATIVE_STEP = 1e-5;
+
+/**
+ * Models an active biquad section in the ladder, e.g. a Sallen-Key low-pass section.
+ * Its resistors and capacitors are ordinary components, so they are optimized like any other, while its op-amps are
+ * ideal unless given a finite open-loop gain or gain-bandwidth product. An op-amp drives the stage's output, so the
+ * stage isolates the stages before it from those after it.
+ */
+export class BiquadStage extends FilterStage {
+    /**
+     * Constructs a biquad stage
+     * @param {string} topology - A key of BIQUAD_TOPOLOGIES, e.g. "sallenKeyLowpass"
+     * @param {Array<Component|ComponentGroup>} components - Resistors and capacitors, in the order the topology lists them
+     * @param {Object} [options]
+     * @param {import('./biquad.js').OpampModel} [options.opamp] - Model of the section's op-amps, ideal by default
+     * @param {string} [options.output] - The output of a state-variable section, "lowpass" by default
+     */
+    constructor(topology, components, options = {}) {
+        assert(components instanceof Array);
+        validateBiquad(topology, components.length, options);
+        const updateStage = (updatedComponents) => new BiquadStage(topology, updatedComponents, options);
+        super(components, (loads) => biquadNetwork(topology, loads, options), updateStage);
+        this.topology = topology;
+        this.options = options;
+    }
+
+    load() {
+        assert.fail('A biquad stage is a two-port and has no load');
+    }
+
+    get network() {
+        return this.makeNetwork(this.components.map((component) => component.load()));
+    }
+
+    /**
+     * Gets the derivatives of this stage's ABCD matrix with respect to the value of each of its individual components.
+     * The section is solved numerically, so they are found by central differences.
+     * @param {number} angularFrequency
+     * @returns {Array<TwoPortMatrix>} - One derivative for each component in the order of leaves()
+     */
+    abcdDerivatives(angularFrequency) {
+        return this.leaves().map((leaf, i) => {
+            const step = BIQUAD_DERIVATIVE_STEP * leaf.componentValue.value;
+            const [above, below] = [step, -step].map((change) =>
+                this.withLeaf(i, leaf.withValue(leaf.componentValue.value + change)).network.abcdMatrix(angularFrequency));
+            return new TwoPortMatrix(above.rows.map((row, r) => row.map((element, c) => element.sub(below.get(r, c)).div(2 * step))));
+        });
+    }
+
+    /**
+     * Describes the stage as JSON, e.g. {"type": "biquad", "topology": "mfbLowpass", "opamp": {"gainBandwidth": 1e6}, "components": [...]}
+     * @returns {Object}
+     */
+    toJSON() {
+        const { opamp, output } = this.options;
+        return {
+            type: 'biquad',
+            topology: this.topology,
+            ...(opamp !== undefined && { opamp: encodeNumbers(opamp) }),
+            ...(output !== undefined && { output }),
+            components: this.components.map((component) => component.toJSON())
+        };
     }
 }
 
+/**
+ * Derivatives of a filter's response with respect to one of its component values
+ * @typedef {Object} ComponentSensitivity
+ * @property {number} stage - Index of the stage containing the component
+ * @property {number} leaf - Index of the component within the stage's leaves()
+ * @property {Component} component
+ * @property {import('complex.js').default} voltageGain - Derivative of the voltage gain, including the input and output loads
+ * @property {number} gainDb - Change in gain in dB per unit relative change in the component value, x ∂|G|dB / ∂x
+ * @property {TwoPortMatrix} sParameters - Derivatives of the S-parameters of the stages alone
+ */
+
 /**
  * Models a ladder filter during optimization
  */
@@ -71,29 +408,68 @@ export class Filter {
      * @param {Load} inputLoad 
      * @param {Load} outputLoad 
      * @param {Array<FilterStage>} stages 
+     * @param {Topology} [topology] - Allows neighbors to add, remove and rearrange components and stages
      */
-    constructor(inputLoad, outputLoad, stages) {
+    constructor(inputLoad, outputLoad, stages, topology = undefined) {
         assert(inputLoad instanceof Load);
         assert(outputLoad instanceof Load);
         assert(stages instanceof Array);
+        assert(topology === undefined || topology.mutate instanceof Function);
 
         this.inputLoad = inputLoad;
         this.outputLoad = outputLoad;
         this.stages = stages;
+        this.topology = topology;
     }
 
     /**
-     * Creates a randomly selected "neighbor" ladder filter
+     * Creates a randomly selected "neighbor" ladder filter.
+     * With a topology, the neighbor is occasionally a structural change instead of new component values.
+     * @param {import('./random.js').RandomSource} random - Source of random numbers
      * @returns {Filter}
      */
-    update() {
+    update(random = Math.random) {
+        if (this.topology !== undefined && random() < this.topology.moveRate)
+            return this.topology.mutate(this, random);
+
         const updatedStages = this.stages.map(
             (stage) => {
                 assert(stage instanceof FilterStage);
-                return stage.update();
+                return stage.update(random);
             }
         );
-        return new Filter(this.inputLoad, this.outputLoad, updatedStages);
+        return this.withStages(updatedStages);
+    }
+
+    /**
+     * Creates a copy of this filter with different stages
+     * @param {Array<FilterStage>} stages
+     * @returns {Filter}
+     */
+    withStages(stages) {
+        return new Filter(this.inputLoad, this.outputLoad, stages, this.topology);
+    }
+
+    /**
+     * Creates a copy of this filter whose neighbors may change its topology
+     * @param {Topology} [topology] - Topology moves to allow, or undefined to only change component values
+     * @returns {Filter}
+     */
+    withTopology(topology) {
+        return new Filter(this.inputLoad, this.outputLoad, this.stages, topology);
+    }
+
+    /**
+     * Creates a copy of this filter with one stage replaced
+     * @param {number} index - Index of the stage to replace
+     * @param {FilterStage} stage - Replacement stage
+     * @returns {Filter}
+     */
+    withStage(index, stage) {
+        assert(index < this.stages.length);
+        assert(stage instanceof FilterStage);
+
+        return this.withStages(this.stages.map((existing, i) => i === index ? stage : existing));
     }
 
     /**
@@ -101,16 +477,108 @@ export class Filter {
      * @returns {TwoPortNetwork}
      */
     get network() {
+        return TwoPortNetwork.cascade(TwoPortNetwork.series(this.inputLoad), this.stagesNetwork, TwoPortNetwork.shunt(this.outputLoad));
+    }
+
+    /**
+     * Gets the two-port network corresponding to the filter stages alone, without the input and output loads
+     * @returns {TwoPortNetwork}
+     */
+    get stagesNetwork() {
         const stageNetworks = this.stages.map(
             (stage) => {
                 assert(stage instanceof FilterStage);
                 return stage.network;
             }
         )
-        return TwoPortNetwork.cascade(TwoPortNetwork.series(this.inputLoad), ...stageNetworks, TwoPortNetwork.shunt(this.outputLoad));
+        return TwoPortNetwork.cascade(...stageNetworks);
+    }
+
+    /**
+     * Gets the transducer gain of the filter: the power delivered to its output load over the power available
+     * from its input load acting as the source impedance
+     * @param {number} angularFrequency
+     * @returns {number} - Power ratio, not in dB
+     */
+    transducerGain(angularFrequency) {
+        return this.stagesNetwork.transducerGain(angularFrequency, this.inputLoad, this.outputLoad);
+    }
+
+    /**
+     * Gets the mismatch loss in dB between the filter's input load and the filter terminated by its output load
+     * @param {number} angularFrequency
+     * @returns {number}
+     */
+    mismatchLoss(angularFrequency) {
+        return this.stagesNetwork.mismatchLoss(angularFrequency, this.inputLoad, this.outputLoad);
+    }
+
+    /**
+     * Computes how the response of the filter changes with the value of each of its individual components.
+     * Derivatives are found analytically by propagating the derivative of each stage through the ABCD cascade.
+     * @param {number} angularFrequency - Frequency at which to evaluate the derivatives
+     * @param {Complex|number} referenceImpedance - Reference impedance for the S-parameters
+     * @returns {Array<ComponentSensitivity>} - Sensitivities of each stage's components in the order of leaves()
+     */
+    sensitivities(angularFrequency, referenceImpedance = 50) {
+        assert(angularFrequency >= 0);
+
+        const stageMatrices = this.stages.map((stage) => stage.network.abcdMatrix(angularFrequency));
+        const stagesDerivatives = TwoPortNetwork.cascadeDerivatives(
+            stageMatrices,
+            this.stages.map((stage) => stage.abcdDerivatives(angularFrequency)));
+        const stagesAbcd = stageMatrices.reduce((product, matrix) => product.matrixMuliply(matrix), TwoPortMatrix.identity());
+        const inputAbcd = TwoPortNetwork.series(this.inputLoad).abcdMatrix(angularFrequency);
+        const outputAbcd = TwoPortNetwork.shunt(this.outputLoad).abcdMatrix(angularFrequency);
+        const abcd = inputAbcd.matrixMuliply(stagesAbcd).matrixMuliply(outputAbcd);
+        const gain = abcd.get(0, 0).inverse();
+
+        const leaves = this.stages.flatMap((stage, stageIndex) => stage.leaves().map((component, leaf) => ({ stage: stageIndex, leaf, component })));
+        return leaves.map((sensitivity, i) => {
+            const voltageGain = TwoPortNetwork.voltageGainDerivative(
+                abcd,
+                inputAbcd.matrixMuliply(stagesDerivatives[i]).matrixMuliply(outputAbcd));
+            return {
+                ...sensitivity,
+                voltageGain,
+                gainDb: 20 / Math.LN10 * voltageGain.div(gain).re * sensitivity.component.componentValue.value,
+                sParameters: TwoPortNetwork.sParameterDerivatives(stagesAbcd, stagesDerivatives[i], referenceImpedance)
+            };
+        });
     }
 
     toString() {
         return this.stages.map((stage) => stage.toString()).join("\n")
     }
+
+    /**
+     * Describes the filter as JSON: its input and output loads, its stages and any topology
+     * @returns {Object}
+     */
+    toJSON() {
+        const json = {
+            inputLoad: this.inputLoad.toJSON(),
+            outputLoad: this.outputLoad.toJSON(),
+            stages: this.stages.map((stage) => stage.toJSON())
+        };
+        if (this.topology !== undefined)
+            json.topology = this.topology.toJSON();
+        return json;
+    }
+
+    /**
+     * Creates a filter from its JSON description
+     * @param {Object} json - Description produced by toJSON
+     * @returns {Filter}
+     */
+    static fromJSON(json) {
+        assert(json instanceof Object);
+        assert(json.stages instanceof Array, 'A filter needs an array of stages');
+
+        return new Filter(
+            Load.fromJSON(json.inputLoad),
+            Load.fromJSON(json.outputLoad),
+            json.stages.map((stage) => FilterStage.fromJSON(stage)),
+            json.topology === undefined ? undefined : Topology.fromJSON(json.topology));
+    }
 }
\ No newline at end of file
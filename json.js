@@ -0,0 +1,37 @@
+/**
+ * Encodes a number for JSON, which has no representation for infinite values
+ * @param {number} value
+ * @returns {number|string} - The number, or "Infinity" or "-Infinity"
+ */
+export function encodeNumber(value) {
+    return Number.isFinite(value) || Number.isNaN(value) ? value : String(value);
+}
+
+/**
+ * Decodes a number encoded with encodeNumber
+ * @param {number|string} value
+ * @returns {number}
+ */
+export function decodeNumber(value) {
+    return typeof value === 'string' ? Number(value) : value;
+}
+
+/**
+ * Encodes every number property of an object with encodeNumber
+ * @param {Object} object
+ * @returns {Object}
+ */
+export function encodeNumbers(object) {
+    return Object.fromEntries(Object.entries(object).map(
+        ([key, value]) => [key, typeof value === 'number' ? encodeNumber(value) : value]));
+}
+
+/**
+ * Decodes every number property of an object encoded with encodeNumbers
+ * @param {Object} object
+ * @returns {Object}
+ */
+export function decodeNumbers(object) {
+    return Object.fromEntries(Object.entries(object).map(
+        ([key, value]) => [key, typeof value === 'string' && /^-?Infinity$/.test(value) ? Number(value) : value]));
+}
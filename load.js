@@ -2,8 +2,36 @@ import { strict as assert } from 'node:assert';
 
 import Complex from 'complex.js';
 
+import { decodeNumbers, encodeNumbers } from './json.js';
+import { makeLine } from './transmissionLine.js';
+
 const reciprocal = (value) => Complex.ONE.div(value)
 
+/**
+ * Linearly interpolates the real and imaginary parts of samples taken at a list of frequencies.
+ * Samples are complex values, or arrays of them interpolated entry by entry, e.g. parameter matrices.
+ * Frequencies outside of the sampled range take the value of the nearest sample.
+ * @template T
+ * @param {Array<number>} frequencies - Sample frequencies in hertz, strictly increasing
+ * @param {Array<T>} samples - Sample at each frequency
+ * @param {number} frequency - Frequency in hertz
+ * @returns {T}
+ */
+export function interpolateSamples(frequencies, samples, frequency) {
+    if (frequency <= frequencies[0])
+        return samples[0];
+    if (frequency >= frequencies[frequencies.length - 1])
+        return samples[samples.length - 1];
+
+    const upperIndex = frequencies.findIndex((sampleFrequency) => frequency <= sampleFrequency);
+    const lowerIndex = upperIndex - 1;
+    const fraction = (frequency - frequencies[lowerIndex]) / (frequencies[upperIndex] - frequencies[lowerIndex]);
+    const mix = (lower, upper) => lower instanceof Array
+        ? lower.map((value, i) => mix(value, upper[i]))
+        : lower.add(upper.sub(lower).mul(fraction));
+    return mix(samples[lowerIndex], samples[upperIndex]);
+}
+
 /**
  * Calculates the impedance of the load at a given frequency
  * @callback Impedance
@@ -17,6 +45,15 @@ const reciprocal = (value) => Complex.ONE.div(value)
  * @returns {Complex} - Admittance value at a given frequency
  */
 
+/**
+ * Describes how a load was built so that it can be exported to other tools
+ * @typedef {Object} LoadDefinition
+ * @property {string} type - Primitive or combination type, e.g. "capacitor" or "parallel"
+ * @property {number} [value] - Primitive element value
+ * @property {Array<Load>} [loads] - Combined loads
+ * Other properties are the element's parameters, e.g. the line of a stub
+ */
+
 /**
  * Models a passive electrical load
  */
@@ -24,12 +61,14 @@ export class Load {
     /**
      * Constructs a passive electrical load
      * @param {Impedance} impedance 
+     * @param {LoadDefinition} [definition] - Description of the load, if it is built from known elements
      */
-    constructor(impedance) {
+    constructor(impedance, definition) {
         assert(impedance);
         assert(impedance instanceof Function)
 
         this.getImpedance = impedance;
+        this.definition = definition;
     }
 
     impedance(angularFrequency) {
@@ -48,6 +87,52 @@ export class Load {
         return reciprocal(this.getImpedance(angularFrequency));
     }
 
+    /**
+     * Describes the load as JSON, e.g. {"type": "capacitor", "value": 1e-9}.
+     * Series and parallel combinations list their loads under "loads".
+     * Only loads built from the static factories can be described.
+     * @returns {Object}
+     */
+    toJSON() {
+        assert(this.definition, 'Only loads built from known elements can be serialized');
+
+        const { loads, ...parameters } = this.definition;
+        return loads === undefined
+            ? encodeNumbers(parameters)
+            : { ...parameters, loads: loads.map((load) => load.toJSON()) };
+    }
+
+    /**
+     * Creates a load from its JSON description
+     * @param {Object} json - Description produced by toJSON
+     * @returns {Load}
+     */
+    static fromJSON(json) {
+        assert(json instanceof Object);
+
+        const { type, value, loads, ...parameters } = decodeNumbers(json);
+        switch (type) {
+            case 'capacitor':
+            case 'inductor':
+            case 'resistor':
+                return Load[type](value);
+            case 'dielectric':
+                return Load.dielectric(value, parameters.lossTangent);
+            case 'skinEffectResistor':
+                return Load.skinEffectResistor(value, parameters.referenceAngularFrequency);
+            case 'openStub':
+            case 'shortStub':
+                return Load[type](parameters);
+            case 'tabulated':
+                return Load.tabulated(parameters.frequencies, parameters.impedances);
+            case 'series':
+            case 'parallel':
+                assert(loads instanceof Array, `A ${type} load needs an array of loads`);
+                return Load[type](...loads.map((load) => Load.fromJSON(load)));
+        }
+        assert.fail(`Unknown load type ${type}`);
+    }
+
     /**
      * Creates a capacitive load
      * @param {number} capacitance - Load capacitance
@@ -58,7 +143,8 @@ export class Load {
 
         return new Load(
             (angularFrequency) => 
-                reciprocal(Complex.I.mul(angularFrequency).mul(capacitance)));
+                reciprocal(Complex.I.mul(angularFrequency).mul(capacitance)),
+            { type: 'capacitor', value: capacitance });
     }
 
     /**
@@ -69,7 +155,9 @@ export class Load {
     static inductor(inductance) {
         assert(inductance >= 0);
 
-        return new Load((angularFrequency) => Complex.I.mul(angularFrequency).mul(inductance));
+        return new Load(
+            (angularFrequency) => Complex.I.mul(angularFrequency).mul(inductance),
+            { type: 'inductor', value: inductance });
     }
 
     /**
@@ -80,7 +168,145 @@ export class Load {
     static resistor(resistance) {
         assert(resistance >= 0);
 
-        return new Load(() => new Complex(resistance, 0));
+        return new Load(() => new Complex(resistance, 0), { type: 'resistor', value: resistance });
+    }
+
+    /**
+     * Creates a capacitive load whose dielectric has a loss tangent
+     * @param {number} capacitance - Load capacitance
+     * @param {number} lossTangent - Dielectric loss tangent, tan(δ)
+     * @returns {Load}
+     */
+    static dielectric(capacitance, lossTangent) {
+        assert(capacitance >= 0);
+        assert(lossTangent >= 0);
+
+        if (lossTangent === 0)
+            return Load.capacitor(capacitance);
+
+        return new Load(
+            (angularFrequency) =>
+                reciprocal(new Complex(lossTangent, 1).mul(angularFrequency).mul(capacitance)),
+            { type: 'dielectric', value: capacitance, lossTangent });
+    }
+
+    /**
+     * Creates a resistive load whose resistance grows with the square root of frequency due to the skin effect
+     * @param {number} resistance - Resistance at the reference frequency
+     * @param {number} referenceAngularFrequency - Angular frequency at which the resistance is specified
+     * @returns {Load}
+     */
+    static skinEffectResistor(resistance, referenceAngularFrequency) {
+        assert(resistance >= 0);
+        assert(referenceAngularFrequency > 0);
+
+        return new Load(
+            (angularFrequency) => new Complex(resistance * Math.sqrt(angularFrequency / referenceAngularFrequency), 0),
+            { type: 'skinEffectResistor', value: resistance, referenceAngularFrequency });
+    }
+
+    /**
+     * Creates a real-world capacitor load with series parasitics and dielectric loss
+     * @param {number} capacitance - Nominal capacitance
+     * @param {number} esr - Equivalent series resistance
+     * @param {number} esl - Equivalent series inductance
+     * @param {number} lossTangent - Dielectric loss tangent, tan(δ)
+     * @returns {Load}
+     */
+    static lossyCapacitor(capacitance, esr = 0, esl = 0, lossTangent = 0) {
+        assert(capacitance >= 0);
+        assert(esr >= 0);
+        assert(esl >= 0);
+
+        const parasitics = [];
+        if (esr > 0)
+            parasitics.push(Load.resistor(esr));
+        if (esl > 0)
+            parasitics.push(Load.inductor(esl));
+
+        const dielectric = Load.dielectric(capacitance, lossTangent);
+        return parasitics.length === 0 ? dielectric : Load.series(...parasitics, dielectric);
+    }
+
+    /**
+     * Creates a real-world inductor load.
+     * The winding resistance is the DC resistance plus a skin effect resistance chosen so that
+     * the inductor has the given quality factor at the given frequency. The inter-winding
+     * capacitance appears in parallel and makes the inductor self-resonant.
+     * @param {number} inductance - Nominal inductance
+     * @param {number} dcr - DC winding resistance
+     * @param {number} q - Quality factor at qFrequency, ignoring the winding capacitance
+     * @param {number} qFrequency - Frequency in hertz at which the quality factor is specified
+     * @param {number} windingCapacitance - Inter-winding capacitance
+     * @returns {Load}
+     */
+    static lossyInductor(inductance, dcr = 0, q = Infinity, qFrequency = undefined, windingCapacitance = 0) {
+        assert(inductance >= 0);
+        assert(dcr >= 0);
+        assert(q > 0);
+        assert(windingCapacitance >= 0);
+
+        const winding = [];
+        if (dcr > 0)
+            winding.push(Load.resistor(dcr));
+        if (q !== Infinity) {
+            assert(qFrequency > 0);
+            const qAngularFrequency = 2 * Math.PI * qFrequency;
+            const acResistance = Math.max(qAngularFrequency * inductance / q - dcr, 0);
+            if (acResistance > 0)
+                winding.push(Load.skinEffectResistor(acResistance, qAngularFrequency));
+        }
+        winding.push(Load.inductor(inductance));
+
+        const windingLoad = winding.length === 1 ? winding[0] : Load.series(...winding);
+        return windingCapacitance > 0 ? Load.parallel(windingLoad, Load.capacitor(windingCapacitance)) : windingLoad;
+    }
+
+    /**
+     * Creates a load from impedances measured or simulated at a list of frequencies, e.g. an antenna or an
+     * amplifier input. The real and imaginary parts are interpolated linearly between the samples, and
+     * frequencies outside of the sampled range take the impedance of the nearest sample.
+     * @param {Array<number>} frequencies - Sample frequencies in hertz, strictly increasing
+     * @param {Array<Complex|number|Array<number>>} impedances - Impedance at each frequency, as a Complex, a resistance or [real, imaginary]
+     * @returns {Load}
+     */
+    static tabulated(frequencies, impedances) {
+        assert(frequencies instanceof Array && frequencies.length > 0, 'Tabulated loads need at least one sample');
+        assert(impedances instanceof Array && impedances.length === frequencies.length, 'Tabulated loads need an impedance for each frequency');
+        for (let i = 1; i < frequencies.length; i++)
+            assert(frequencies[i] > frequencies[i - 1], 'Tabulated frequencies must be strictly increasing');
+
+        const samples = impedances.map((impedance) => impedance instanceof Array ? new Complex(impedance[0], impedance[1]) : new Complex(impedance));
+        return new Load((angularFrequency) => interpolateSamples(frequencies, samples, angularFrequency / (2 * Math.PI)), { type: 'tabulated', frequencies, impedances: samples.map((sample) => [sample.re, sample.im]) });
+    }
+
+    /**
+     * Creates the load formed by a transmission line stub whose far end is open, Z = Z0 coth(γl)
+     * @param {import('./transmissionLine.js').LineParameters} parameters - The stub's line and length
+     * @returns {Load}
+     */
+    static openStub(parameters) {
+        const { characteristicImpedance, length, propagationConstant } = makeLine(parameters);
+
+        return new Load((angularFrequency) => {
+            const electricalLength = propagationConstant(angularFrequency).mul(length);
+            // complex.js gives NaN for coth(0) and tanh(jπ/2), where the ratios give the open circuit
+            return electricalLength.cosh().div(electricalLength.sinh()).mul(characteristicImpedance);
+        }, { type: 'openStub', ...parameters });
+    }
+
+    /**
+     * Creates the load formed by a transmission line stub whose far end is shorted, Z = Z0 tanh(γl)
+     * @param {import('./transmissionLine.js').LineParameters} parameters - The stub's line and length
+     * @returns {Load}
+     */
+    static shortStub(parameters) {
+        const { characteristicImpedance, length, propagationConstant } = makeLine(parameters);
+
+        return new Load((angularFrequency) => {
+            const electricalLength = propagationConstant(angularFrequency).mul(length);
+            return electricalLength.sinh().div(electricalLength.cosh()).mul(characteristicImpedance);
+        }, { type: 'shortStub', ...parameters });
     }
 
     /**
@@ -98,7 +324,7 @@ export class Load {
                 evaluatedAdmittance = evaluatedAdmittance.add(load.admittance(angularFrequency));
             }
             return reciprocal(evaluatedAdmittance);
-        })
+        }, { type: 'parallel', loads })
     }
 
     /**
@@ -116,7 +342,7 @@ export class Load {
                 combinedImpedance = combinedImpedance.add(load.impedance(angularFrequency));
             }
             return combinedImpedance;
-        })
+        }, { type: 'series', loads })
     }
 }
 
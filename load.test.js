@@ -52,4 +52,37 @@ test('Test Parallel Combination', (t) => {
     t.equal(impedance.im, 0);
 
     t.end();
-});
\ No newline at end of file
+});
+
+test('Test Lossy Capacitor Impedance', (t) => {
+    const capacitor = Load.lossyCapacitor(1, 0.5, 2, 0.1);
+
+    const impedance = capacitor.impedance(1);
+    const dielectric = 1 / (1 + 0.1 * 0.1);
+
+    t.ok(Math.abs(impedance.re - (0.5 + 0.1 * dielectric)) < 1e-12);
+    t.ok(Math.abs(impedance.im - (2 - dielectric)) < 1e-12);
+
+    t.end();
+});
+
+test('Test Lossy Inductor Quality Factor', (t) => {
+    const inductance = 1e-6;
+    const qFrequency = 1e6;
+    const inductor = Load.lossyInductor(inductance, 0.1, 50, qFrequency);
+
+    const impedance = inductor.impedance(2 * Math.PI * qFrequency);
+    t.ok(Math.abs(impedance.im / impedance.re - 50) < 1e-9);
+    t.equal(inductor.impedance(0).re, 0.1);
+
+    t.end();
+});
+
+test('Test Lossy Inductor Self Resonance', (t) => {
+    const inductor = Load.lossyInductor(1, 0, Infinity, undefined, 1);
+
+    t.ok(inductor.impedance(0.5).im > 0);
+    t.ok(inductor.impedance(2).im < 0);
+
+    t.end();
+});
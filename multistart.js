@@ -0,0 +1,154 @@
+import { strict as assert } from 'node:assert';
+import { availableParallelism } from 'node:os';
+import { Worker } from 'node:worker_threads';
+
+import { Filter } from './filter.js';
+import { makeRandom } from './random.js';
+
+/**
+ * A design found by one restart of a multi-start run
+ * @typedef {Object} MultistartResult
+ * @property {Filter} filter - Best filter found by the restart
+ * @property {number} objectiveValue - Objective value of the filter
+ * @property {number} restart - Index of the restart
+ * @property {number} seed - Seed of the restart, which reproduces it
+ * @property {string} stopReason - Why the restart stopped, as for ProgressEvent
+ */
+
+/**
+ * Progress of one restart of a multi-start run
+ * @typedef {import('./optimizers.js').ProgressEvent & {restart: number}} MultistartProgressEvent
+ */
+
+/**
+ * @typedef {Object} MultistartOptions
+ * @property {number} [restarts] - Number of independent restarts
+ * @property {number} [workers] - Number of worker threads, by default one per core up to the number of restarts
+ * @property {number} [keep] - Number of distinct designs to keep, best first
+ * @property {number} [seed] - Seed from which the seeds of the restarts are drawn, for reproducible runs
+ * @property {boolean} [randomize] - Whether restarts begin from random component values rather than the design's initial filter
+ * @property {string} [baseDirectory] - Directory that paths in the design are relative to
+ * @property {Object} [optimizer] - Optimizer options overriding those of the design, e.g. "iterations"
+ * @property {number} [timeBudget] - Milliseconds of wall-clock time shared by all restarts
+ * @property {number} [targetObjective] - Stop every restart once one reaches this objective value
+ * @property {AbortSignal} [signal] - Stop every restart when the signal is aborted
+ * @property {function(MultistartProgressEvent): void} [onProgress] - Called with the progress of each restart
+ * @property {number} [progressInterval] - Iterations between progress events
+ */
+
+/**
+ * Gives every component of a filter a random feasible value, keeping its structure
+ * @param {Filter} filter
+ * @param {import('./random.js').RandomSource} random - Source of random numbers
+ * @returns {Filter}
+ */
+export function randomizeFilter(filter, random = Math.random) {
+    assert(filter instanceof Filter);
+
+    return filter.withStages(filter.stages.map((stage) => stage.leaves().reduce(
+        (randomized, component, i) => randomized.withLeaf(i, component.withValue(component.componentValue.randomize(random))),
+        stage)));
+}
+
+/**
+ * Optimizes a design from several independent starting points in parallel worker threads.
+ * Objective functions cannot be passed between threads, so each worker builds the design from its spec,
+ * and filters are passed back as JSON.
+ * @param {import('./design.js').DesignSpec} spec - Design to optimize, as plain data
+ * @param {MultistartOptions} options
+ * @returns {Promise<Array<MultistartResult>>} - The best distinct designs found, best first
+ */
+export async function optimizeMultistart(spec, {
+    restarts = 8,
+    workers = Math.min(restarts, availableParallelism()),
+    keep = 5,
+    seed,
+    randomize = true,
+    baseDirectory = '.',
+    optimizer = {},
+    timeBudget = Infinity,
+    targetObjective = -Infinity,
+    signal,
+    onProgress,
+    progressInterval = Infinity
+} = {}) {
+    assert(spec instanceof Object, 'A design must be an object');
+    assert(spec.objective !== undefined, 'The design has no objective to optimize');
+    assert(Number.isInteger(restarts) && restarts > 0);
+    assert(Number.isInteger(workers) && workers > 0);
+    assert(Number.isInteger(keep) && keep > 0);
+    assert(timeBudget > 0);
+    assert(onProgress === undefined || onProgress instanceof Function);
+
+    const random = seed === undefined ? Math.random : makeRandom(seed);
+    const pending = Array.from({ length: restarts }, (_, restart) => ({ restart, seed: Math.floor(random() * 4294967296) }));
+    const deadline = Date.now() + timeBudget;
+
+    // Workers check the shared stop flag between iterations, since they cannot handle messages during a run
+    const stopFlag = new Int32Array(new SharedArrayBuffer(4));
+    const stop = () => Atomics.store(stopFlag, 0, 1);
+    const stopped = () => Atomics.load(stopFlag, 0) !== 0 || Date.now() >= deadline;
+    if (signal?.aborted)
+        stop();
+    signal?.addEventListener('abort', stop);
+
+    const threads = Array.from({ length: stopped() ? 0 : Math.min(workers, restarts) }, () => new Worker(new URL('./multistartWorker.js', import.meta.url), {
+        workerData: {
+            spec: { ...spec, optimizer: { ...spec.optimizer, ...optimizer } },
+            baseDirectory,
+            stopFlag,
+            deadline,
+            targetObjective,
+            progressInterval,
+            reportProgress: onProgress !== undefined
+        }
+    }));
+    const exits = threads.map((worker) => new Promise((resolve) => worker.once('exit', resolve)));
+
+    /**
+     * Runs one restart on a worker
+     * @param {Worker} worker
+     * @param {{restart: number, seed: number}} task
+     * @returns {Promise<MultistartResult>}
+     */
+    const run = (worker, task) => new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            if (message.type === 'progress')
+                return onProgress({ ...message.event, restart: task.restart });
+            worker.off('message', onMessage);
+            worker.off('error', reject);
+            resolve({ ...message, filter: Filter.fromJSON(message.filter) });
+        };
+        worker.on('message', onMessage);
+        worker.on('error', reject);
+        worker.postMessage({ ...task, randomize });
+    });
+
+    const results = [];
+    try {
+        await Promise.all(threads.map(async (worker) => {
+            while (pending.length > 0 && !stopped()) {
+                const { type, ...result } = await run(worker, pending.shift());
+                results.push(result);
+                if (result.objectiveValue <= targetObjective)
+                    stop();
+            }
+        }));
+    } finally {
+        signal?.removeEventListener('abort', stop);
+        // Workers are told to finish rather than terminated, so that they exit cleanly once any run in progress stops
+        stop();
+        for (const worker of threads)
+            worker.postMessage({ done: true });
+        await Promise.all(exits);
+    }
+
+    // Restarts often converge on the same design, which is kept once
+    const distinct = new Map();
+    for (const result of results.sort((a, b) => a.objectiveValue - b.objectiveValue || a.restart - b.restart)) {
+        const key = JSON.stringify(result.filter.toJSON());
+        if (!distinct.has(key))
+            distinct.set(key, result);
+    }
+    return [...distinct.values()].slice(0, keep);
+}
@@ -0,0 +1,101 @@
+import tap, { test } from 'tap';
+
+import { Capacitor, ComponentValue, Inductor } from './component.js';
+import { buildDesign } from './design.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { optimizeMultistart, randomizeFilter } from './multistart.js';
+import { makeRandom } from './random.js';
+
+const spec = {
+    stages: [
+        { type: 'shunt', components: [{ type: 'capacitor', value: '3.3nF' }] },
+        { type: 'series', components: [{ type: 'inductor', value: '15uH' }] },
+        { type: 'shunt', components: [{ type: 'capacitor', value: '3.3nF' }] }
+    ],
+    objective: {
+        type: 'specification',
+        constraints: {
+            passband: { type: 'ripple', minFrequency: '10kHz', maxFrequency: '1MHz', maxRipple: 1 },
+            stopband: { type: 'attenuation', minFrequency: '5MHz', maxFrequency: '10MHz', minAttenuation: 30 }
+        }
+    },
+    optimizer: { iterations: 100, initialTemperature: 0.1, coolingRate: 0.01 }
+};
+
+// Each worker thread loads the modules afresh, which is slow under coverage
+tap.setTimeout(120000);
+
+test('Test Multistart - Random Filters', (t) => {
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [
+        new ShuntFilterStage(new Capacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10, true, true))),
+        new SeriesFilterStage(new Inductor(1e-6), new Capacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10)))
+    ]);
+
+    const randomized = randomizeFilter(filter, makeRandom(1));
+    t.equal(randomized.toString().split('\n').length, filter.toString().split('\n').length);
+    randomized.stages.forEach((stage, i) => stage.leaves().forEach((component, j) => {
+        const original = filter.stages[i].leaves()[j];
+        t.same(component.componentValue.feasibleValues, original.componentValue.feasibleValues);
+        t.ok(component.componentValue.value > 0 && component.componentValue.value < Infinity);
+    }));
+    // Fixed values are left alone
+    t.equal(randomized.stages[1].leaves()[0].componentValue.value, 1e-6);
+    t.same(randomizeFilter(filter, makeRandom(1)).toJSON(), randomized.toJSON());
+    t.notSame(randomizeFilter(filter, makeRandom(2)).toJSON(), randomized.toJSON());
+
+    t.end();
+});
+
+test('Test Multistart - Restarts In Workers', async (t) => {
+    const results = await optimizeMultistart(spec, { restarts: 4, workers: 2, keep: 3, seed: 7 });
+    t.ok(results.length > 0 && results.length <= 3);
+    t.ok(results.every((result, i) => i === 0 || result.objectiveValue >= results[i - 1].objectiveValue));
+    t.equal(new Set(results.map(({ filter }) => JSON.stringify(filter.toJSON()))).size, results.length);
+
+    // Objective values are those of the returned filters, and each restart reproduces with its seed
+    const design = await buildDesign(spec);
+    for (const { filter, objectiveValue, stopReason } of results) {
+        t.ok(filter instanceof Filter);
+        t.equal(design.objective(filter.network, filter), objectiveValue);
+        t.equal(stopReason, 'iterations');
+    }
+    // Progress is reported for each restart
+    const restarts = new Set();
+    const again = await optimizeMultistart(spec, { restarts: 4, workers: 1, keep: 3, seed: 7, progressInterval: 50, onProgress: ({ restart }) => restarts.add(restart) });
+    t.same(again.map(({ restart, seed, objectiveValue }) => [restart, seed, objectiveValue]),
+        results.map(({ restart, seed, objectiveValue }) => [restart, seed, objectiveValue]));
+    t.same([...restarts].sort(), [0, 1, 2, 3]);
+
+    // Restarts that are not randomized begin from the design's filter, which they can only improve on
+    const initial = design.objective(design.filter.network, design.filter);
+    const unrandomized = await optimizeMultistart(spec, { restarts: 2, workers: 1, seed: 7, randomize: false, optimizer: { iterations: 10 } });
+    t.ok(unrandomized.every(({ objectiveValue }) => objectiveValue <= initial));
+
+    await t.rejects(optimizeMultistart({ ...spec, stages: [{ type: 'ladder', components: [] }] }, { restarts: 1 }), /Unknown filter stage type/);
+    await t.rejects(optimizeMultistart({ ...spec, objective: undefined }), /no objective/);
+});
+
+test('Test Multistart - Budget And Cancellation', async (t) => {
+    const endless = { ...spec, optimizer: { ...spec.optimizer, iterations: 1e9 } };
+
+    // The time budget is shared, so restarts that have not started when it runs out never run
+    const budgeted = await optimizeMultistart(endless, { restarts: 4, workers: 1, keep: 4, seed: 1, timeBudget: 1000 });
+    t.same(budgeted.map(({ stopReason }) => stopReason), ['timeBudget']);
+
+    const controller = new AbortController();
+    const aborted = await optimizeMultistart(endless, {
+        restarts: 4,
+        workers: 1,
+        seed: 1,
+        signal: controller.signal,
+        progressInterval: 10,
+        onProgress: ({ iteration }) => iteration > 0 && controller.abort()
+    });
+    t.same(aborted.map(({ stopReason }) => stopReason), ['aborted']);
+    t.same(await optimizeMultistart(endless, { restarts: 2, signal: AbortSignal.abort() }), []);
+
+    // A restart that reaches the target stops the rest
+    const target = await optimizeMultistart(endless, { restarts: 4, workers: 1, keep: 4, seed: 1, targetObjective: Infinity });
+    t.same(target.map(({ stopReason }) => stopReason), ['target']);
+});
@@ -0,0 +1,44 @@
+import { parentPort, workerData } from 'node:worker_threads';
+
+import { buildDesign, optimizeDesign } from './design.js';
+import { randomizeFilter } from './multistart.js';
+import { makeRandom } from './random.js';
+
+// Runs restarts of optimizeMultistart, one message per restart, until told that there are no more
+const { spec, baseDirectory, stopFlag, deadline, targetObjective, progressInterval, reportProgress } = workerData;
+const signal = { get aborted() { return Atomics.load(stopFlag, 0) !== 0; } };
+const design = await buildDesign(spec, { baseDirectory });
+
+parentPort.on('message', ({ done, restart, seed, randomize }) => {
+    // Closing the port lets the thread exit by itself
+    if (done) {
+        parentPort.close();
+        return;
+    }
+
+    const random = makeRandom(seed);
+    const filter = randomize ? randomizeFilter(design.filter, random) : design.filter;
+
+    let finalEvent;
+    const onProgress = (event) => {
+        finalEvent = event;
+        if (reportProgress)
+            parentPort.postMessage({ type: 'progress', event });
+    };
+    const bestFilter = optimizeDesign({ ...design, filter, optimizer: { ...design.optimizer, seed: random.state } }, {
+        signal,
+        timeBudget: deadline === Infinity ? Infinity : Math.max(deadline - Date.now(), 1),
+        targetObjective,
+        progressInterval,
+        onProgress
+    });
+
+    parentPort.postMessage({
+        type: 'result',
+        restart,
+        seed,
+        filter: bestFilter.toJSON(),
+        objectiveValue: finalEvent.bestObjectiveValue,
+        stopReason: finalEvent.stopReason
+    });
+});
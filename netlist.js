@@ -0,0 +1,451 @@
+import { strict as assert } from 'node:assert';
+
+import Complex from 'complex.js';
+
+import Load from './load.js';
+import { TwoPortMatrix, TwoPortNetwork } from './twoPortNetwork.js';
+
+/**
+ * Name of the reference node, as in SPICE
+ */
+export const GROUND = '0';
+
+/**
+ * Conductance from every node to ground, as SPICE's GMIN, so nodes that are cut off at some frequency,
+ * e.g. behind a series capacitor at DC, still have a defined voltage. It is only added when the circuit needs it.
+ */
+const MINIMUM_CONDUCTANCE = 1e-12;
+
+/**
+ * Resistance given to shorts and inductor windings at DC when they form a loop, e.g. a shunt inductor across a shorted port,
+ * as a last resort like MINIMUM_CONDUCTANCE. Also given to the short across the output port when an ideal source, e.g. an
+ * op-amp, drives it.
+ */
+const MINIMUM_RESISTANCE = 1e-12;
+
+/**
+ * A node name. Numbers and strings name the same node, e.g. 1 and "1".
+ * @typedef {string|number} Node
+ */
+
+/**
+ * A port between two nodes, or a single node measured against ground
+ * @typedef {Node|Array<Node>} Port
+ */
+
+/**
+ * An element of a netlist.
+ * Two terminal elements connect a pair of "nodes". Coupled inductors and transformers list a pair of nodes for each winding,
+ * with the dotted end first. Controlled sources list their output nodes and then their controlling nodes, as in SPICE,
+ * and op-amps list their non-inverting input, inverting input and output, which is driven against ground.
+ * @typedef {Object} NetlistElement
+ * @property {string} type - A key of NETLIST_ELEMENTS, e.g. "resistor" or "transformer"
+ * @property {Array<Node>|Array<Array<Node>>} nodes
+ * @property {number} [value] - "resistor", "inductor" and "capacitor": resistance, inductance or capacitance
+ * @property {Load} [load] - "load": any load, e.g. a lossy component or a stub
+ * @property {Array<number>} [inductances] - "coupledInductors": self inductances of the two windings
+ * @property {number} [coupling] - "coupledInductors": coupling coefficient k between 0 and 1, so that M = k √(L1 L2)
+ * @property {number} [turnsRatio] - "transformer": primary turns over secondary turns
+ * @property {number} [gain] - "vcvs": output voltage over controlling voltage. "opamp": DC open-loop gain, infinite by default.
+ * @property {number} [transconductance] - "vccs": current through the source from its positive to its negative output node,
+ * over the controlling voltage
+ * @property {number} [gainBandwidth] - "opamp": gain-bandwidth product in hertz, infinite by default
+ */
+
+/**
+ * Modified nodal analysis equations at one frequency, with a row for each node and each branch current
+ */
+class NodalSystem {
+    /**
+     * @param {Array<string>} nodes - Names of the nodes other than ground
+     * @param {Object} [relaxation]
+     * @param {number} [relaxation.minimumConductance] - Conductance added from every node to ground
+     * @param {number} [relaxation.minimumResistance] - Resistance added to shorts and windings
+     */
+    constructor(nodes, { minimumConductance = 0, minimumResistance = 0 } = {}) {
+        this.nodeIndices = new Map(nodes.map((node, i) => [node, i]));
+        this.size = nodes.length;
+        this.entries = [];
+        this.vector = [];
+        this.minimumConductance = minimumConductance;
+        this.minimumResistance = minimumResistance;
+    }
+
+    /**
+     * Gets the row of a node, -1 for ground
+     * @param {Node} node
+     * @returns {number}
+     */
+    node(node) {
+        return String(node) === GROUND ? -1 : this.nodeIndices.get(String(node));
+    }
+
+    /**
+     * Adds an unknown branch current, returning its row
+     * @returns {number}
+     */
+    branch() {
+        return this.size++;
+    }
+
+    /**
+     * Adds a value to an entry of the matrix, ignoring the rows and columns of ground
+     * @param {number} row
+     * @param {number} column
+     * @param {Complex|number} value
+     */
+    add(row, column, value) {
+        if (row >= 0 && column >= 0)
+            this.entries.push([row, column, new Complex(value)]);
+    }
+
+    /**
+     * Adds an admittance between two nodes
+     * @param {Node} from
+     * @param {Node} to
+     * @param {Complex} admittance
+     */
+    admittance(from, to, admittance) {
+        const [a, b] = [this.node(from), this.node(to)];
+        this.add(a, a, admittance);
+        this.add(b, b, admittance);
+        this.add(a, b, admittance.neg());
+        this.add(b, a, admittance.neg());
+    }
+
+    /**
+     * Adds a branch whose current flows from one node to another, and whose equation starts with the voltage between them
+     * @param {Node} from
+     * @param {Node} to
+     * @returns {number} - Row of the branch current
+     */
+    branchBetween(from, to) {
+        const branch = this.branch();
+        const [a, b] = [this.node(from), this.node(to)];
+        this.add(a, branch, 1);
+        this.add(b, branch, -1);
+        this.add(branch, a, 1);
+        this.add(branch, b, -1);
+        return branch;
+    }
+
+    /**
+     * Adds to the right hand side of a row, ignoring ground
+     * @param {number} row
+     * @param {number} value
+     */
+    source(row, value) {
+        if (row >= 0)
+            this.vector[row] = (this.vector[row] ?? 0) + value;
+    }
+
+    /**
+     * Solves the equations by Gaussian elimination with partial pivoting
+     * @returns {Array<Complex>|undefined} - The solution, or undefined if the equations are singular
+     */
+    solve() {
+        const n = this.size;
+        const rows = Array.from({ length: n }, (_, i) => [...new Array(n).fill(Complex.ZERO), new Complex(this.vector[i] ?? 0)]);
+        for (const [row, column, value] of this.entries)
+            rows[row][column] = rows[row][column].add(value);
+        for (let node = 0; node < this.nodeIndices.size; node++)
+            rows[node][node] = rows[node][node].add(this.minimumConductance);
+
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (rows[row][column].abs() > rows[pivot][column].abs())
+                    pivot = row;
+            }
+            if (rows[pivot][column].isZero())
+                return undefined;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+            for (let row = column + 1; row < n; row++) {
+                const factor = rows[row][column].div(rows[column][column]);
+                if (factor.isZero())
+                    continue;
+                for (let k = column; k <= n; k++)
+                    rows[row][k] = rows[row][k].sub(factor.mul(rows[column][k]));
+            }
+        }
+
+        const solution = new Array(n).fill(Complex.ZERO);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = rows[row][n];
+            for (let k = row + 1; k < n; k++)
+                sum = sum.sub(rows[row][k].mul(solution[k]));
+            solution[row] = sum.div(rows[row][row]);
+        }
+        return solution;
+    }
+}
+
+/**
+ * Adds a two terminal element given by its impedance.
+ * Opens are left out and shorts become branches, so that neither needs an infinite entry.
+ * @param {NodalSystem} system
+ * @param {Array<Node>} nodes
+ * @param {Complex} impedance
+ */
+function stampImpedance(system, [from, to], impedance) {
+    if (!impedance.isFinite())
+        return;
+    if (impedance.isZero() && system.minimumResistance === 0)
+        system.branchBetween(from, to);
+    else if (impedance.isZero())
+        system.admittance(from, to, new Complex(1 / system.minimumResistance));
+    else
+        system.admittance(from, to, impedance.inverse());
+}
+
+/**
+ * Checks an element's nodes, a pair of nodes for each of its windings when it has any
+ * @param {NetlistElement} element
+ * @param {number} windings
+ * @param {number} terminals - Number of nodes of elements without windings
+ */
+function validateNodes({ type, nodes }, windings, terminals = 2) {
+    const isNodes = (list, length) => list instanceof Array && list.length === length
+        && list.every((node) => typeof node === 'string' || typeof node === 'number');
+    const isPair = (pair) => isNodes(pair, 2);
+    if (windings === 0)
+        assert(isNodes(nodes, terminals), `A ${type} element needs ${terminals === 2 ? 'a pair of' : terminals} nodes`);
+    else
+        assert(nodes instanceof Array && nodes.length === windings && nodes.every(isPair), `A ${type} element needs a pair of nodes for each of its ${windings} windings`);
+}
+
+/**
+ * The elements a netlist may contain: how many windings or other terminals they have, how to check them and how to add
+ * them to the equations
+ */
+export const NETLIST_ELEMENTS = {
+    resistor: {
+        windings: 0,
+        validate: ({ value }) => assert(value >= 0, 'A resistor needs a non-negative value'),
+        stamp: ({ nodes, value }, angularFrequency, system) => stampImpedance(system, nodes, Load.resistor(value).impedance(angularFrequency))
+    },
+    inductor: {
+        windings: 0,
+        validate: ({ value }) => assert(value >= 0, 'An inductor needs a non-negative value'),
+        stamp: ({ nodes, value }, angularFrequency, system) => stampImpedance(system, nodes, Load.inductor(value).impedance(angularFrequency))
+    },
+    capacitor: {
+        windings: 0,
+        validate: ({ value }) => assert(value >= 0, 'A capacitor needs a non-negative value'),
+        stamp: ({ nodes, value }, angularFrequency, system) => stampImpedance(system, nodes, Load.capacitor(value).impedance(angularFrequency))
+    },
+    load: {
+        windings: 0,
+        validate: ({ load }) => assert(load instanceof Load, 'A load element needs a Load'),
+        stamp: ({ nodes, load }, angularFrequency, system) => stampImpedance(system, nodes, load.impedance(angularFrequency))
+    },
+    coupledInductors: {
+        windings: 2,
+        validate: ({ inductances, coupling }) => {
+            assert(inductances instanceof Array && inductances.length === 2 && inductances.every((inductance) => inductance > 0 && inductance < Infinity),
+                'Coupled inductors need two finite, positive inductances');
+            assert(coupling >= 0 && coupling <= 1, 'Coupled inductors need a coupling coefficient between 0 and 1');
+        },
+        // v₁ = jωL₁ i₁ + jωM i₂ and v₂ = jωM i₁ + jωL₂ i₂, with the winding currents entering the dotted ends
+        stamp: ({ nodes, inductances: [primary, secondary], coupling }, angularFrequency, system) => {
+            const mutual = coupling * Math.sqrt(primary * secondary);
+            const branches = nodes.map(([from, to]) => system.branchBetween(from, to));
+            [[primary, mutual], [mutual, secondary]].forEach((row, i) => row.forEach((inductance, j) =>
+                system.add(branches[i], branches[j], new Complex(i === j ? -system.minimumResistance : 0, -angularFrequency * inductance))));
+        }
+    },
+    transformer: {
+        windings: 2,
+        validate: ({ turnsRatio }) => assert(turnsRatio > 0 && turnsRatio < Infinity, 'A transformer needs a finite, positive turns ratio'),
+        // v₁ = n v₂, and the secondary current entering its dotted end is -n times the primary current
+        stamp: ({ nodes: [[a, b], [c, d]], turnsRatio }, angularFrequency, system) => {
+            const branch = system.branchBetween(a, b);
+            system.add(system.node(c), branch, -turnsRatio);
+            system.add(system.node(d), branch, turnsRatio);
+            system.add(branch, system.node(c), -turnsRatio);
+            system.add(branch, system.node(d), turnsRatio);
+        }
+    },
+    vcvs: {
+        windings: 0,
+        terminals: 4,
+        validate: ({ gain }) => assert(Number.isFinite(gain), 'A voltage controlled voltage source needs a finite gain'),
+        // v(a) - v(b) = μ (v(c) - v(d))
+        stamp: ({ nodes: [a, b, c, d], gain }, angularFrequency, system) => {
+            const branch = system.branchBetween(a, b);
+            system.add(branch, system.node(c), -gain);
+            system.add(branch, system.node(d), gain);
+        }
+    },
+    vccs: {
+        windings: 0,
+        terminals: 4,
+        validate: ({ transconductance }) => assert(Number.isFinite(transconductance), 'A voltage controlled current source needs a finite transconductance'),
+        // A current gₘ (v(c) - v(d)) leaves node a and enters node b
+        stamp: ({ nodes: [a, b, c, d], transconductance }, angularFrequency, system) => {
+            const [from, to, positive, negative] = [a, b, c, d].map((node) => system.node(node));
+            system.add(from, positive, transconductance);
+            system.add(from, negative, -transconductance);
+            system.add(to, positive, -transconductance);
+            system.add(to, negative, transconductance);
+        }
+    },
+    opamp: {
+        windings: 0,
+        terminals: 3,
+        validate: ({ gain = Infinity, gainBandwidth = Infinity }) => {
+            assert(gain > 0, 'An op-amp needs a positive open-loop gain');
+            assert(gainBandwidth > 0, 'An op-amp needs a positive gain-bandwidth product');
+        },
+        // The open-loop gain A = A₀ / (1 + jωA₀ / ωt) has a single pole, so v(out) / A = v(+) - v(-) with 1 / A = 1 / A₀ + jω / ωt.
+        // An ideal op-amp has 1 / A = 0, holding its inputs at the same voltage with whatever output current that takes.
+        stamp: ({ nodes: [positive, negative, output], gain = Infinity, gainBandwidth = Infinity }, angularFrequency, system) => {
+            const branch = system.branch();
+            system.add(system.node(output), branch, 1);
+            system.add(branch, system.node(output), new Complex(1 / gain, angularFrequency / (2 * Math.PI * gainBandwidth)));
+            system.add(branch, system.node(positive), -1);
+            system.add(branch, system.node(negative), 1);
+        }
+    }
+};
+
+/**
+ * Gets the positive and negative nodes of a port
+ * @param {Port} port
+ * @returns {Array<string>}
+ */
+function portNodes(port) {
+    const nodes = port instanceof Array ? port : [port, GROUND];
+    assert(nodes.length === 2 && nodes.every((node) => typeof node === 'string' || typeof node === 'number'), 'A port is a node or a pair of nodes');
+    return nodes.map(String);
+}
+
+/**
+ * Models a linear circuit as a list of elements between named nodes, e.g. bridged-T, lattice and coupled resonator networks
+ * that are not a cascade of series and shunt stages. Circuits are solved by modified nodal analysis.
+ */
+export class Netlist {
+    /**
+     * @param {Array<NetlistElement>} elements
+     */
+    constructor(elements) {
+        assert(elements instanceof Array);
+        for (const element of elements) {
+            const model = NETLIST_ELEMENTS[element?.type];
+            assert(model, `Unknown netlist element ${element?.type}`);
+            validateNodes(element, model.windings, model.terminals);
+            model.validate(element);
+        }
+
+        this.elements = elements;
+    }
+
+    /**
+     * Lists the nodes of the circuit other than ground
+     * @returns {Array<string>}
+     */
+    get nodes() {
+        const nodes = this.elements.flatMap(({ nodes }) => nodes.flat()).map(String);
+        return [...new Set(nodes)].filter((node) => node !== GROUND);
+    }
+
+    /**
+     * Creates a copy of this netlist with another element
+     * @param {NetlistElement} element
+     * @returns {Netlist}
+     */
+    withElement(element) {
+        return new Netlist([...this.elements, element]);
+    }
+
+    /**
+     * Solves the circuit driven at the input port, with the output port either open or shorted.
+     * The input is driven by a 1 V source, or by a 1 A source where a voltage source has no solution,
+     * e.g. across an ideal transformer whose secondary is shorted. Circuits that still have no solution have their
+     * shorted output given MINIMUM_RESISTANCE, since an ideal source such as an op-amp may drive it, or else are relaxed
+     * with MINIMUM_CONDUCTANCE, then also MINIMUM_RESISTANCE.
+     * @param {number} angularFrequency
+     * @param {Array<string>} input - Input port nodes
+     * @param {Array<string>} output - Output port nodes
+     * @param {boolean} shorted - Whether the output port is shorted
+     * @returns {{inputVoltage: Complex, inputCurrent: Complex, outputVoltage: Complex, outputCurrent: Complex}} - With the currents
+     * entering the input and leaving the output
+     */
+    _solvePorts(angularFrequency, input, output, shorted) {
+        const nodes = [...new Set([...this.nodes, ...input, ...output])].filter((node) => node !== GROUND);
+        const relaxations = [
+            {},
+            { outputResistance: MINIMUM_RESISTANCE },
+            { minimumConductance: MINIMUM_CONDUCTANCE },
+            { minimumConductance: MINIMUM_CONDUCTANCE, minimumResistance: MINIMUM_RESISTANCE }
+        ];
+        for (const { outputResistance = 0, ...relaxation } of relaxations) {
+            if (outputResistance > 0 && !shorted)
+                continue;
+            for (const voltageDrive of [true, false]) {
+                const system = new NodalSystem(nodes, relaxation);
+                for (const element of this.elements)
+                    NETLIST_ELEMENTS[element.type].stamp(element, angularFrequency, system);
+
+                // A voltage source's branch current flows through it from the positive input node, so the current entering the circuit is its negative
+                const source = voltageDrive ? system.branchBetween(...input) : undefined;
+                if (voltageDrive) {
+                    system.source(source, 1);
+                } else {
+                    system.source(system.node(input[0]), 1);
+                    system.source(system.node(input[1]), -1);
+                }
+                const short = shorted ? system.branchBetween(...output) : undefined;
+                if (shorted)
+                    system.add(short, short, -outputResistance);
+
+                const solution = system.solve();
+                if (solution === undefined)
+                    continue;
+                const voltage = (node) => system.node(node) === -1 ? Complex.ZERO : solution[system.node(node)];
+                return {
+                    inputVoltage: voltage(input[0]).sub(voltage(input[1])),
+                    inputCurrent: voltageDrive ? solution[source].neg() : Complex.ONE,
+                    outputVoltage: voltage(output[0]).sub(voltage(output[1])),
+                    outputCurrent: shorted ? solution[short] : Complex.ZERO
+                };
+            }
+        }
+        assert.fail('The netlist has no solution, e.g. from a loop of transformer windings');
+    }
+
+    /**
+     * Gets the ABCD matrix between two ports
+     * @param {number} angularFrequency
+     * @param {Port} input
+     * @param {Port} output
+     * @returns {TwoPortMatrix}
+     */
+    abcdMatrix(angularFrequency, input, output) {
+        assert(angularFrequency >= 0);
+        const [inputNodes, outputNodes] = [portNodes(input), portNodes(output)];
+
+        // With the output open, A = V₁ / V₂ and C = I₁ / V₂. With it shorted, B = V₁ / I₂ and D = I₁ / I₂.
+        const open = this._solvePorts(angularFrequency, inputNodes, outputNodes, false);
+        const shorted = this._solvePorts(angularFrequency, inputNodes, outputNodes, true);
+        return new TwoPortMatrix([
+            [open.inputVoltage.div(open.outputVoltage), shorted.inputVoltage.div(shorted.outputCurrent)],
+            [open.inputCurrent.div(open.outputVoltage), shorted.inputCurrent.div(shorted.outputCurrent)]
+        ]);
+    }
+
+    /**
+     * Gets the two-port network between an input and an output port, for use wherever a TwoPortNetwork is accepted
+     * @param {Port} input
+     * @param {Port} output
+     * @returns {TwoPortNetwork}
+     */
+    network(input, output) {
+        portNodes(input);
+        portNodes(output);
+
+        return new TwoPortNetwork((angularFrequency) => this.abcdMatrix(angularFrequency, input, output));
+    }
+}
+
+export default Netlist
@@ -0,0 +1,162 @@
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { Netlist } from './netlist.js';
+import { evaluateSpecification } from './specification.js';
+import { synthesizeFilter } from './synthesis.js';
+import { TwoPortMatrix, TwoPortNetwork } from './twoPortNetwork.js';
+
+const angularFrequencies = [0, 1e5, 2 * Math.PI * 1e6, 3e7];
+
+/**
+ * Checks that two matrices agree to a relative tolerance, with non-finite entries matching non-finite entries
+ */
+const sameMatrix = (t, actual, expected, message, tolerance = 1e-9) => {
+    for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+        const [a, b] = [actual.get(row, column), expected.get(row, column)];
+        if (!b.isFinite())
+            t.ok(!a.isFinite() || a.abs() > 1e6 / tolerance, `${message} [${row}][${column}]: ${a} vs ${b}`);
+        else
+            t.ok(a.sub(b).abs() <= tolerance * Math.max(b.abs(), 1e-6), `${message} [${row}][${column}]: ${a} vs ${b}`);
+    }
+};
+
+test('Test Netlist - Ladders', (t) => {
+    // A ladder described node by node matches the cascade of its stages
+    const filter = synthesizeFilter({ type: 'elliptic', order: 5, cutoff: 1e6, ripple: 0.5, stopbandAttenuation: 40 });
+    let node = 1;
+    const elements = [];
+    for (const stage of filter.stages) {
+        if (stage instanceof ShuntFilterStage)
+            elements.push({ type: 'load', nodes: [node, 0], load: stage.load() });
+        else
+            elements.push({ type: 'load', nodes: [node, ++node], load: stage.load() });
+    }
+    const netlist = new Netlist(elements);
+    const network = netlist.network(1, node);
+    for (const angularFrequency of angularFrequencies.slice(1))
+        sameMatrix(t, network.abcdMatrix(angularFrequency), filter.stagesNetwork.abcdMatrix(angularFrequency), `ladder at ${angularFrequency}`);
+
+    // The netlist's network works wherever a TwoPortNetwork does
+    const terminated = TwoPortNetwork.cascade(TwoPortNetwork.series(filter.inputLoad), network, TwoPortNetwork.shunt(filter.outputLoad));
+    const constraints = {
+        passband: { type: 'ripple', minFrequency: 1e4, maxFrequency: 1e6, maxRipple: 0.6 },
+        stopband: { type: 'attenuation', minFrequency: 2e6, maxFrequency: 1e7, minAttenuation: 30 }
+    };
+    t.ok(Math.abs(evaluateSpecification(constraints, terminated).penalty - evaluateSpecification(constraints, filter.network).penalty) < 1e-9);
+    t.ok(Math.abs(network.returnLoss(2 * Math.PI * 5e5) - filter.stagesNetwork.returnLoss(2 * Math.PI * 5e5)) < 1e-6);
+
+    // Series capacitors open at DC, and series inductors are shorts
+    const coupling = new Netlist([
+        { type: 'capacitor', nodes: ['in', 'out'], value: 1e-9 },
+        { type: 'inductor', nodes: ['out', '0'], value: 1e-6 }
+    ]).network('in', 'out');
+    sameMatrix(t, coupling.abcdMatrix(1e6),
+        TwoPortNetwork.cascade(TwoPortNetwork.series(Load.capacitor(1e-9)), TwoPortNetwork.shunt(Load.inductor(1e-6))).abcdMatrix(1e6), 'coupling');
+    t.ok(coupling.voltageGain(0).abs() < 1e-6);
+    const shorted = new Netlist([
+        { type: 'inductor', nodes: ['in', 'out'], value: 1e-6 },
+        { type: 'resistor', nodes: ['out', '0'], value: 50 }
+    ]).network('in', 'out');
+    sameMatrix(t, shorted.abcdMatrix(0), new TwoPortMatrix([[1, 0], [0.02, 1]]), 'short at DC');
+
+    t.end();
+});
+
+test('Test Netlist - Bridged-T And Lattice', (t) => {
+    // A bridged-T is a T in parallel with its bridge, so their admittance parameters add
+    const series = Load.capacitor(1e-9);
+    const shunt = Load.inductor(2e-6);
+    const bridge = Load.resistor(100);
+    const bridgedT = new Netlist([
+        { type: 'load', nodes: ['in', 'mid'], load: series },
+        { type: 'load', nodes: ['mid', 'out'], load: series },
+        { type: 'load', nodes: ['mid', '0'], load: shunt },
+        { type: 'load', nodes: ['in', 'out'], load: bridge }
+    ]).network('in', 'out');
+    const tee = TwoPortNetwork.cascade(TwoPortNetwork.series(series), TwoPortNetwork.shunt(shunt), TwoPortNetwork.series(series));
+    for (const angularFrequency of angularFrequencies.slice(1)) {
+        const y = tee.yParameters(angularFrequency);
+        const bridgeAdmittance = bridge.admittance(angularFrequency);
+        const expected = new TwoPortMatrix([
+            [y.get(0, 0).add(bridgeAdmittance), y.get(0, 1).sub(bridgeAdmittance)],
+            [y.get(1, 0).sub(bridgeAdmittance), y.get(1, 1).add(bridgeAdmittance)]
+        ]);
+        sameMatrix(t, bridgedT.yParameters(angularFrequency), expected, `bridged-T at ${angularFrequency}`);
+    }
+
+    // A symmetric lattice has z₁₁ = (Zb + Za) / 2 and z₂₁ = (Zb - Za) / 2, with a balanced output
+    const seriesArm = Load.inductor(1e-6);
+    const crossArm = Load.capacitor(1e-9);
+    const lattice = new Netlist([
+        { type: 'load', nodes: ['a', 'c'], load: seriesArm },
+        { type: 'load', nodes: ['0', 'd'], load: seriesArm },
+        { type: 'load', nodes: ['a', 'd'], load: crossArm },
+        { type: 'load', nodes: ['0', 'c'], load: crossArm }
+    ]).network('a', ['c', 'd']);
+    for (const angularFrequency of [1e5, 2e7]) {
+        const [za, zb] = [seriesArm.impedance(angularFrequency), crossArm.impedance(angularFrequency)];
+        const z11 = zb.add(za).div(2);
+        const z21 = zb.sub(za).div(2);
+        sameMatrix(t, lattice.zParameters(angularFrequency), new TwoPortMatrix([[z11, z21], [z21, z11]]), `lattice at ${angularFrequency}`, 1e-6);
+    }
+
+    t.end();
+});
+
+test('Test Netlist - Coupled Inductors And Transformers', (t) => {
+    // An ideal transformer matches the transformer two-port, also with an isolated secondary tied down on one side
+    const transformer = new Netlist([{ type: 'transformer', nodes: [['p', '0'], ['s', '0']], turnsRatio: 3 }]).network('p', 's');
+    sameMatrix(t, transformer.abcdMatrix(1e6), TwoPortNetwork.transformer(3).abcdMatrix(1e6), 'transformer');
+    const inverting = new Netlist([{ type: 'transformer', nodes: [['p', '0'], ['0', 's']], turnsRatio: 2 }]).network('p', 's');
+    sameMatrix(t, inverting.abcdMatrix(1e6), new TwoPortMatrix([[-2, 0], [0, -0.5]]), 'inverting transformer');
+
+    // Coupled inductors have z₁₁ = jωL₁, z₂₂ = jωL₂ and z₁₂ = z₂₁ = jωM
+    const [primary, secondary, coupling] = [4e-6, 1e-6, 0.9];
+    const coupled = new Netlist([{ type: 'coupledInductors', nodes: [['p', '0'], ['s', '0']], inductances: [primary, secondary], coupling }]).network('p', 's');
+    const angularFrequency = 1e7;
+    const jw = new Complex(0, angularFrequency);
+    const mutual = jw.mul(coupling * Math.sqrt(primary * secondary));
+    sameMatrix(t, coupled.zParameters(angularFrequency), new TwoPortMatrix([[jw.mul(primary), mutual], [mutual, jw.mul(secondary)]]), 'coupled inductors');
+
+    // A double tuned coupled resonator passes its centre frequency into matched loads
+    const resonance = 1 / Math.sqrt(1e-6 * 1e-9);
+    const resonator = new Netlist([
+        { type: 'resistor', nodes: ['in', 'p'], value: 50 },
+        { type: 'capacitor', nodes: ['p', '0'], value: 1e-9 },
+        { type: 'coupledInductors', nodes: [['p', '0'], ['s', '0']], inductances: [1e-6, 1e-6], coupling: 0.5 },
+        { type: 'capacitor', nodes: ['s', '0'], value: 1e-9 },
+        { type: 'resistor', nodes: ['s', '0'], value: 50 }
+    ]).network('in', 's');
+    t.ok(resonator.voltageGain(resonance).abs() > resonator.voltageGain(resonance / 2).abs());
+    t.ok(resonator.voltageGain(resonance).abs() > resonator.voltageGain(resonance * 2).abs());
+
+    t.end();
+});
+
+test('Test Netlist - Validation', (t) => {
+    t.throws(() => new Netlist([{ type: 'memristor', nodes: [1, 0] }]), /Unknown netlist element/);
+    t.throws(() => new Netlist([{ type: 'resistor', nodes: [1], value: 1 }]), /pair of nodes/);
+    t.throws(() => new Netlist([{ type: 'resistor', nodes: [1, 0], value: -1 }]));
+    t.throws(() => new Netlist([{ type: 'transformer', nodes: [1, 0], turnsRatio: 1 }]), /each of its 2 windings/);
+    t.throws(() => new Netlist([{ type: 'coupledInductors', nodes: [[1, 0], [2, 0]], inductances: [1], coupling: 1 }]));
+    t.throws(() => new Netlist([]).network([1, 2, 3], 0));
+
+    // Loops of shorts are solved with a small resistance, but loops of ideal windings have no solution
+    const loop = new Netlist([
+        { type: 'resistor', nodes: ['in', 'out'], value: 0 },
+        { type: 'inductor', nodes: ['in', 'out'], value: 1e-6 },
+        { type: 'resistor', nodes: ['out', '0'], value: 1 }
+    ]).network('in', 'out');
+    sameMatrix(t, loop.abcdMatrix(1), new TwoPortMatrix([[1, 0], [1, 1]]), 'loop of shorts');
+    sameMatrix(t, loop.abcdMatrix(0), new TwoPortMatrix([[1, 0], [1, 1]]), 'loop of shorts at DC', 1e-6);
+    const windings = { type: 'transformer', nodes: [['in', '0'], ['out', '0']], turnsRatio: 2 };
+    t.throws(() => new Netlist([windings, windings]).network('in', 'out').abcdMatrix(1), /no solution/);
+
+    t.same(new Netlist([{ type: 'resistor', nodes: [1, 2], value: 1 }, { type: 'capacitor', nodes: ['2', 0], value: 1 }]).nodes, ['1', '2']);
+    t.equal(new Netlist([]).withElement({ type: 'resistor', nodes: [1, 0], value: 1 }).elements.length, 1);
+
+    t.end();
+});
@@ -1,11 +1,15 @@
 import { strict as assert } from 'node:assert';
 
 import { Filter } from './filter.js';
+import { simulatedAnnealing } from './optimizers.js';
+import { FrequencySweep } from './sweep.js';
+import { TransferFunction } from './transferFunction.js';
 import TwoPortNetwork from './twoPortNetwork.js';
 
 /**
  * @callback ObjectiveFunction
  * @param {TwoPortNetwork} filter - Network to evaluate fitness of
+ * @param {Filter} [ladder] - Filter the network was made from, for objectives that depend on its structure
  * @returns {number}
  */
 
@@ -16,36 +20,29 @@ import TwoPortNetwork from './twoPortNetwork.js';
  * @param {number} initialTemperature - Initial optimization "temperature"
  * @param {number} coolingRate - Optmization "temperature" cooling rate
  * @param {number} iterations - Number of iterations to perform
- * @returns {Filter}
+ * @param {import('./random.js').RandomSource} random - Source of random numbers, e.g. makeRandom(seed) for reproducible runs
+ * @param {import('./optimizers.js').RunOptions & import('./optimizers.js').CheckpointOptions} runOptions - Progress reporting, history, early stopping and checkpoint options
+ * @returns {Filter} - The best filter found
  */
-export function optimizeFilter(initialFilter, objectiveFunction, initialTemperature, coolingRate, iterations) {
+export function optimizeFilter(initialFilter, objectiveFunction, initialTemperature, coolingRate, iterations, random = Math.random, runOptions = {}) {
     assert(initialFilter);
     assert(objectiveFunction);
     assert(initialTemperature);
     assert(coolingRate);
     assert(iterations);
 
-    let filter = initialFilter;
-    let temperature = initialTemperature;
-    let objectiveValue = objectiveFunction(filter.network);
-    for (let i = 0; i < iterations; i++) {
-        const candidateFilter = filter.update();
-        const candidateObjectiveValue = objectiveFunction(candidateFilter.network);
-        if (Math.random() <= Math.pow(2, - (candidateObjectiveValue - objectiveValue) / temperature)) {
-            filter = candidateFilter;
-            objectiveValue = candidateObjectiveValue;
-        }
-        temperature = temperature - temperature * coolingRate;
-    }
-    return filter
+    return simulatedAnnealing(initialFilter, objectiveFunction, { ...runOptions, initialTemperature, coolingRate, iterations, random });
 }
 
 /**
- * Objective function for optimizing an impedance matching filter
+ * Objective function for optimizing an impedance matching filter.
+ * Measures the power delivered to the filter's output load relative to the power available from its input load,
+ * so complex and frequency dependent terminations are matched properly.
  * @param {number} minFrequency 
  * @param {number} maxFrequency 
- * @param {number} maxGainDeviation 
- * @returns {number}
+ * @param {number} maxGainDeviation - Largest allowed variation of the transducer gain across the band, in dB
+ * @param {number} nTestSamples
+ * @returns {ObjectiveFunction} - The mean transducer loss in dB, or Infinity when the gain varies too much
  */
 export function makeMatchingNetworkObjective(minFrequency, maxFrequency, maxGainDeviation, nTestSamples = 20) {
     assert(minFrequency);
@@ -55,37 +52,101 @@ export function makeMatchingNetworkObjective(minFrequency, maxFrequency, maxGain
     const maxAngularFrequency = maxFrequency * 2 * Math.PI;
     const minAngularFrequency = minFrequency * 2 * Math.PI;
     const angularFrequencyRange = (maxAngularFrequency - minAngularFrequency)
+    const angularFrequencies = [];
+    for (
+        let angularFrequency = minAngularFrequency; 
+        angularFrequency < maxAngularFrequency; 
+        angularFrequency += angularFrequencyRange / nTestSamples
+    )
+        angularFrequencies.push(angularFrequency);
+    const sweep = new FrequencySweep(angularFrequencies);
 
-    return (network) => {
+    return (network, filter) => {
         assert(network instanceof TwoPortNetwork)
-        
-        let currentMinGain
-        let currentMaxGain
-        let gainSum = 0
-        for (
-            let angularFrequency = minAngularFrequency; 
-            angularFrequency < maxAngularFrequency; 
-            angularFrequency += angularFrequencyRange / nTestSamples
-        ) {
-            const sample = network.voltageGain(angularFrequency).abs();
-            if (currentMinGain === undefined || sample < currentMinGain) 
-                currentMinGain = sample;
-            if (currentMaxGain === undefined || sample > currentMaxGain)
-                currentMaxGain = sample;
-            gainSum += sample
-        }
+        assert(filter instanceof Filter, 'Matching objectives need the filter, not just its network');
+        const gains = sweep.stagesNetwork(filter).transducerGain(filter.inputLoad, filter.outputLoad);
+
+        const currentMinGain = Math.min(...gains);
+        const currentMaxGain = Math.max(...gains);
+        const gainSum = gains.reduce((sum, gain) => sum + gain, 0);
 
         const meanGain = gainSum / nTestSamples;
         const gainDeviation = 10 * Math.log10(currentMaxGain) - 10 * Math.log10(currentMinGain);
 
-
-        const meanGainDb = 10 * Math.log10(meanGain)
-        console.log(`${meanGainDb} ${gainDeviation}`)
-
         if (gainDeviation > maxGainDeviation)
             return Infinity;
 
 
         return -10 * Math.log10(meanGain);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Objective function for minimizing the worst-case input VSWR of a filter over a band.
+ * The VSWR is that seen by the filter's input load looking into the stages terminated by the output load, from the
+ * power wave reflection coefficient, so a filter matching its loads has a VSWR of 1.
+ * @param {number} minFrequency 
+ * @param {number} maxFrequency 
+ * @param {number} nTestSamples 
+ * @returns {ObjectiveFunction}
+ */
+export function makeVswrObjective(minFrequency, maxFrequency, nTestSamples = 20) {
+    assert(minFrequency);
+    assert(maxFrequency);
+    assert(maxFrequency >= minFrequency);
+
+    const maxAngularFrequency = maxFrequency * 2 * Math.PI;
+    const minAngularFrequency = minFrequency * 2 * Math.PI;
+    const angularFrequencyRange = (maxAngularFrequency - minAngularFrequency)
+
+    const angularFrequencies = Array.from({ length: nTestSamples + 1 }, (_, i) => minAngularFrequency + i * angularFrequencyRange / nTestSamples);
+    const sweep = new FrequencySweep(angularFrequencies);
+
+    return (network, filter) => {
+        assert(network instanceof TwoPortNetwork)
+        assert(filter instanceof Filter, 'VSWR objectives need the filter, not just its network');
+
+        const { re, im } = sweep.stagesNetwork(filter).inputReflectionCoefficient(filter.inputLoad, filter.outputLoad);
+        const vswr = re.map((_, i) => {
+            const reflection = Math.hypot(re[i], im[i]);
+            return (1 + reflection) / (1 - reflection);
+        });
+        return Math.max(0, ...vswr);
+    }
+}
+
+/**
+ * Objective function for flattening the group delay of a filter over a band, e.g. to preserve pulse shapes.
+ * The delay is found exactly from the poles and zeros of the filter's transfer function, so the filter must be
+ * built from ideal inductors, capacitors and resistors.
+ * @param {number} minFrequency 
+ * @param {number} maxFrequency 
+ * @param {number} nTestSamples 
+ * @returns {ObjectiveFunction} - Peak to peak group delay variation relative to the mean group delay
+ */
+export function makeGroupDelayObjective(minFrequency, maxFrequency, nTestSamples = 20) {
+    assert(minFrequency);
+    assert(maxFrequency);
+    assert(maxFrequency > minFrequency);
+    assert(nTestSamples >= 1);
+
+    const maxAngularFrequency = maxFrequency * 2 * Math.PI;
+    const minAngularFrequency = minFrequency * 2 * Math.PI;
+    const angularFrequencyRange = (maxAngularFrequency - minAngularFrequency)
+
+    return (network, filter) => {
+        assert(network instanceof TwoPortNetwork)
+        assert(filter instanceof Filter, 'Group delay objectives need the filter to find its transfer function');
+        const transferFunction = TransferFunction.fromFilter(filter);
+
+        const delays = [];
+        for (let i = 0; i <= nTestSamples; i++)
+            delays.push(transferFunction.groupDelay(minAngularFrequency + i * angularFrequencyRange / nTestSamples));
+        const meanDelay = delays.reduce((sum, delay) => sum + delay, 0) / delays.length;
+
+        // A filter without delay has no poles in the band, e.g. a plain resistive divider
+        if (!(meanDelay > 0))
+            return Infinity;
+        return (Math.max(...delays) - Math.min(...delays)) / meanDelay;
+    }
+}
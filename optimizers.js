@@ -0,0 +1,470 @@
+import { strict as assert } from 'node:assert';
+
+import { Filter } from './filter.js';
+
+/** @typedef {import('./random.js').RandomSource} RandomSource */
+
+/**
+ * Searches for a filter that minimizes an objective function
+ * @callback Optimizer
+ * @param {Filter} initialFilter - Starting point of the search
+ * @param {import('./optimize.js').ObjectiveFunction} objectiveFunction - Objective function to minimize
+ * @param {Object} options - Strategy specific options
+ * @returns {Filter}
+ */
+
+/**
+ * Metropolis acceptance test for a candidate solution
+ * @param {number} objectiveChange - Candidate objective value minus current objective value
+ * @param {number} temperature - Current optimization "temperature"
+ * @param {number} acceptanceBase - Base of the acceptance probability, e.g. 2 or Math.E
+ * @param {RandomSource} random - Source of random numbers
+ * @returns {boolean}
+ */
+function accept(objectiveChange, temperature, acceptanceBase, random) {
+    return random() <= Math.pow(acceptanceBase, -objectiveChange / temperature);
+}
+
+/**
+ * Progress of an optimization run
+ * @typedef {Object} ProgressEvent
+ * @property {number} iteration - Number of completed iterations (generations for the genetic algorithm)
+ * @property {number} [temperature] - Current optimization "temperature", for temperature based strategies
+ * @property {number} objectiveValue - Objective value of the current filter
+ * @property {number} bestObjectiveValue - Best objective value seen so far
+ * @property {number} acceptanceRate - Fraction of candidates accepted since the previous event
+ * @property {string} [stopReason] - Set on the final event: "iterations", "converged", "target", "stall", "timeBudget" or "aborted"
+ */
+
+/**
+ * Options for monitoring and stopping an optimization run, accepted by every strategy
+ * @typedef {Object} RunOptions
+ * @property {function(ProgressEvent): void} [onProgress] - Called with progress events
+ * @property {number} [progressInterval] - Iterations between progress events and history records
+ * @property {Array<ProgressEvent>} [history] - Array that progress events are appended to
+ * @property {number} [targetObjective] - Stop once the best objective value is at or below this value
+ * @property {number} [stallIterations] - Stop after this many iterations without improving on the best objective value
+ * @property {number} [timeBudget] - Stop after this many milliseconds of wall-clock time
+ * @property {AbortSignal} [signal] - Stop when the signal is aborted
+ */
+
+/**
+ * Snapshot of a simulated annealing run, from which the run can be resumed
+ * @typedef {Object} Checkpoint
+ * @property {string} strategy - Strategy that produced the snapshot, "simulatedAnnealing"
+ * @property {number} iteration - Number of completed iterations
+ * @property {number} temperature - Current optimization "temperature"
+ * @property {Filter} filter - Current filter
+ * @property {number} objectiveValue - Objective value of the current filter
+ * @property {Filter} bestFilter - Best filter seen so far
+ * @property {number} bestObjectiveValue - Objective value of the best filter
+ * @property {number} lastImprovement - Iteration at which the best filter was found
+ * @property {number} [randomState] - State of a makeRandom source; resume with makeRandom(randomState) to continue its sequence
+ */
+
+/**
+ * Options for saving and resuming a run
+ * @typedef {Object} CheckpointOptions
+ * @property {function(Checkpoint): void} [onCheckpoint] - Called with a snapshot every checkpointInterval iterations and when the run stops
+ * @property {number} [checkpointInterval] - Iterations between snapshots
+ * @property {Checkpoint} [resume] - Snapshot to continue from instead of the initial filter
+ */
+
+/**
+ * Tracks the best filter seen during a run, reports progress and decides when to stop
+ */
+class RunMonitor {
+    /**
+     * @param {RunOptions} options
+     * @param {Filter} initialFilter
+     * @param {number} initialObjectiveValue
+     */
+    constructor(
+        { onProgress, progressInterval = 1, history, targetObjective = -Infinity, stallIterations = Infinity, timeBudget = Infinity, signal },
+        initialFilter,
+        initialObjectiveValue
+    ) {
+        assert(onProgress === undefined || onProgress instanceof Function);
+        assert(progressInterval > 0);
+        assert(history === undefined || history instanceof Array);
+        assert(stallIterations > 0);
+        assert(timeBudget > 0);
+
+        this.onProgress = onProgress;
+        this.progressInterval = progressInterval;
+        this.history = history;
+        this.targetObjective = targetObjective;
+        this.stallIterations = stallIterations;
+        this.deadline = Date.now() + timeBudget;
+        this.signal = signal;
+
+        this.bestFilter = initialFilter;
+        this.bestObjectiveValue = initialObjectiveValue;
+        this.lastImprovement = 0;
+        this.candidates = 0;
+        this.accepted = 0;
+    }
+
+    /**
+     * Records a candidate filter
+     * @param {number} iteration
+     * @param {Filter} filter
+     * @param {number} objectiveValue
+     * @param {boolean} accepted - Whether the strategy accepted the candidate
+     */
+    candidate(iteration, filter, objectiveValue, accepted) {
+        this.candidates++;
+        if (accepted)
+            this.accepted++;
+        if (objectiveValue < this.bestObjectiveValue) {
+            this.bestFilter = filter;
+            this.bestObjectiveValue = objectiveValue;
+            this.lastImprovement = iteration;
+        }
+    }
+
+    /**
+     * Finishes an iteration, reporting progress and checking the stopping criteria
+     * @param {number} iteration - Number of completed iterations
+     * @param {number} iterations - Total number of iterations planned
+     * @param {number} objectiveValue - Objective value of the current filter
+     * @param {number} [temperature]
+     * @param {boolean} [converged] - Whether the strategy can make no further progress
+     * @returns {boolean} - Whether the run should stop
+     */
+    iterationComplete(iteration, iterations, objectiveValue, temperature, converged = false) {
+        const stopReason = converged ? 'converged' : this._stopReason(iteration, iterations);
+        if (stopReason !== undefined || iteration % this.progressInterval === 0) {
+            const event = {
+                iteration,
+                temperature,
+                objectiveValue,
+                bestObjectiveValue: this.bestObjectiveValue,
+                acceptanceRate: this.candidates === 0 ? 0 : this.accepted / this.candidates,
+                stopReason
+            };
+            this.candidates = 0;
+            this.accepted = 0;
+            this.history?.push(event);
+            this.onProgress?.(event);
+        }
+        return stopReason !== undefined;
+    }
+
+    /**
+     * @param {number} iteration
+     * @param {number} iterations
+     * @returns {string|undefined}
+     */
+    _stopReason(iteration, iterations) {
+        if (this.signal?.aborted)
+            return 'aborted';
+        if (this.bestObjectiveValue <= this.targetObjective)
+            return 'target';
+        if (iteration - this.lastImprovement >= this.stallIterations)
+            return 'stall';
+        if (Date.now() >= this.deadline)
+            return 'timeBudget';
+        if (iteration >= iterations)
+            return 'iterations';
+        return undefined;
+    }
+}
+
+/**
+ * Optimizes a filter using simulated annealing
+ * @param {Filter} initialFilter - Initial filter before optimization
+ * @param {import('./optimize.js').ObjectiveFunction} objectiveFunction - Objective function to minimize
+ * @param {Object & RunOptions & CheckpointOptions} options
+ * @param {number} options.initialTemperature - Initial optimization "temperature"
+ * @param {number} options.coolingRate - Fraction of the temperature removed each iteration
+ * @param {number} options.iterations - Number of iterations to perform
+ * @param {number} [options.acceptanceBase] - Base of the acceptance probability
+ * @param {string} [options.coolingSchedule] - "geometric" or "linear" temperature decay
+ * @param {RandomSource} [options.random] - Source of random numbers
+ * @returns {Filter} - The best filter found
+ */
+export function simulatedAnnealing(
+    initialFilter,
+    objectiveFunction,
+    {
+        initialTemperature,
+        coolingRate,
+        iterations,
+        acceptanceBase = 2,
+        coolingSchedule = 'geometric',
+        random = Math.random,
+        onCheckpoint,
+        checkpointInterval = 100,
+        resume,
+        ...runOptions
+    }
+) {
+    assert(initialFilter instanceof Filter);
+    assert(objectiveFunction instanceof Function);
+    assert(initialTemperature > 0);
+    assert(coolingRate > 0);
+    assert(iterations > 0);
+    assert(acceptanceBase > 1);
+    assert(['geometric', 'linear'].includes(coolingSchedule), `Unknown cooling schedule ${coolingSchedule}`);
+    assert(onCheckpoint === undefined || onCheckpoint instanceof Function);
+    assert(checkpointInterval > 0);
+    assert(resume === undefined || resume.strategy === 'simulatedAnnealing', 'Can only resume from a simulated annealing checkpoint');
+
+    let filter = resume?.filter ?? initialFilter;
+    let temperature = resume?.temperature ?? initialTemperature;
+    let objectiveValue = resume?.objectiveValue ?? objectiveFunction(filter.network, filter);
+    const monitor = new RunMonitor(runOptions, resume?.bestFilter ?? filter, resume?.bestObjectiveValue ?? objectiveValue);
+    let iteration = resume?.iteration ?? 0;
+    monitor.lastImprovement = resume?.lastImprovement ?? 0;
+
+    const checkpoint = () => onCheckpoint?.({
+        strategy: 'simulatedAnnealing',
+        iteration,
+        temperature,
+        filter,
+        objectiveValue,
+        bestFilter: monitor.bestFilter,
+        bestObjectiveValue: monitor.bestObjectiveValue,
+        lastImprovement: monitor.lastImprovement,
+        randomState: random.state
+    });
+    while (!monitor.iterationComplete(iteration, iterations, objectiveValue, temperature)) {
+        iteration++;
+        const candidateFilter = filter.update(random);
+        const candidateObjectiveValue = objectiveFunction(candidateFilter.network, candidateFilter);
+        const accepted = accept(candidateObjectiveValue - objectiveValue, temperature, acceptanceBase, random);
+        if (accepted) {
+            filter = candidateFilter;
+            objectiveValue = candidateObjectiveValue;
+        }
+        monitor.candidate(iteration, candidateFilter, candidateObjectiveValue, accepted);
+        temperature = coolingSchedule === 'geometric'
+            ? temperature - temperature * coolingRate
+            : Math.max(temperature - initialTemperature * coolingRate, Number.MIN_VALUE);
+        if (iteration % checkpointInterval === 0)
+            checkpoint();
+    }
+    if (iteration % checkpointInterval !== 0)
+        checkpoint();
+    return monitor.bestFilter;
+}
+
+/**
+ * Combines two parent filters by joining the leading stages of one with the trailing stages of the other
+ * @param {Filter} first
+ * @param {Filter} second
+ * @param {RandomSource} random - Source of random numbers
+ * @returns {Filter}
+ */
+function crossover(first, second, random) {
+    const cut = Math.floor(random() * (Math.min(first.stages.length, second.stages.length) + 1));
+    return first.withStages([...first.stages.slice(0, cut), ...second.stages.slice(cut)]);
+}
+
+/**
+ * Optimizes a filter using a genetic algorithm.
+ * The initial population is made of random neighbors of the initial filter. Each generation keeps
+ * the fittest filters unchanged and breeds the rest from tournament selected parents.
+ * @param {Filter} initialFilter - Initial filter before optimization
+ * @param {import('./optimize.js').ObjectiveFunction} objectiveFunction - Objective function to minimize
+ * @param {Object & RunOptions} options
+ * @param {number} [options.populationSize] - Number of filters in each generation
+ * @param {number} [options.generations] - Number of generations to breed
+ * @param {number} [options.crossoverRate] - Probability that a child is bred from two parents
+ * @param {number} [options.mutationRate] - Probability that a child is replaced by a random neighbor
+ * @param {number} [options.eliteCount] - Number of the fittest filters copied into the next generation
+ * @param {number} [options.tournamentSize] - Number of filters competing to become each parent
+ * @param {RandomSource} [options.random] - Source of random numbers
+ * @returns {Filter} - The best filter found
+ */
+export function geneticAlgorithm(
+    initialFilter,
+    objectiveFunction,
+    { populationSize = 50, generations = 100, crossoverRate = 0.8, mutationRate = 0.2, eliteCount = 2, tournamentSize = 3, random = Math.random, ...runOptions } = {}
+) {
+    assert(initialFilter instanceof Filter);
+    assert(objectiveFunction instanceof Function);
+    assert(populationSize >= 2);
+    assert(generations > 0);
+    assert(crossoverRate >= 0 && crossoverRate <= 1);
+    assert(mutationRate >= 0 && mutationRate <= 1);
+    assert(eliteCount >= 0 && eliteCount < populationSize);
+    assert(tournamentSize >= 1);
+
+    const evaluate = (filter) => ({ filter, objectiveValue: objectiveFunction(filter.network, filter) });
+    const byFitness = (a, b) => a.objectiveValue - b.objectiveValue;
+
+    let population = [evaluate(initialFilter)];
+    const monitor = new RunMonitor(runOptions, initialFilter, population[0].objectiveValue);
+    while (population.length < populationSize) {
+        const individual = evaluate(population[Math.floor(random() * population.length)].filter.update(random));
+        monitor.candidate(0, individual.filter, individual.objectiveValue, true);
+        population.push(individual);
+    }
+    population.sort(byFitness);
+
+    const select = () => {
+        let winner;
+        for (let i = 0; i < tournamentSize; i++) {
+            const contender = population[Math.floor(random() * population.length)];
+            if (winner === undefined || contender.objectiveValue < winner.objectiveValue)
+                winner = contender;
+        }
+        return winner.filter;
+    };
+
+    let generation = 0;
+    while (!monitor.iterationComplete(generation, generations, population[0].objectiveValue)) {
+        generation++;
+        const nextPopulation = population.slice(0, eliteCount);
+        while (nextPopulation.length < populationSize) {
+            let child = random() < crossoverRate ? crossover(select(), select(), random) : select();
+            if (random() < mutationRate)
+                child = child.update(random);
+            const individual = evaluate(child);
+            monitor.candidate(generation, individual.filter, individual.objectiveValue, true);
+            nextPopulation.push(individual);
+        }
+        population = nextPopulation.sort(byFitness);
+    }
+
+    return monitor.bestFilter;
+}
+
+/**
+ * Optimizes a filter using parallel tempering (replica exchange Monte Carlo).
+ * Replicas explore at fixed temperatures spaced geometrically between the minimum and maximum,
+ * and periodically exchange filters with their neighbors so good solutions migrate to low temperatures.
+ * @param {Filter} initialFilter - Initial filter before optimization
+ * @param {import('./optimize.js').ObjectiveFunction} objectiveFunction - Objective function to minimize
+ * @param {Object & RunOptions} options
+ * @param {number} options.minTemperature - Temperature of the coldest replica
+ * @param {number} options.maxTemperature - Temperature of the hottest replica
+ * @param {number} options.iterations - Number of iterations to perform
+ * @param {number} [options.replicas] - Number of replicas
+ * @param {number} [options.swapInterval] - Iterations between replica exchange attempts
+ * @param {number} [options.acceptanceBase] - Base of the acceptance probability
+ * @param {RandomSource} [options.random] - Source of random numbers
+ * @returns {Filter} - The best filter found
+ */
+export function parallelTempering(
+    initialFilter,
+    objectiveFunction,
+    { minTemperature, maxTemperature, iterations, replicas = 8, swapInterval = 10, acceptanceBase = 2, random = Math.random, ...runOptions }
+) {
+    assert(initialFilter instanceof Filter);
+    assert(objectiveFunction instanceof Function);
+    assert(minTemperature > 0);
+    assert(maxTemperature >= minTemperature);
+    assert(iterations > 0);
+    assert(replicas >= 2);
+    assert(swapInterval > 0);
+    assert(acceptanceBase > 1);
+
+    const temperatures = Array.from(
+        { length: replicas },
+        (_, i) => minTemperature * Math.pow(maxTemperature / minTemperature, i / (replicas - 1)));
+    const initialObjectiveValue = objectiveFunction(initialFilter.network, initialFilter);
+    const states = temperatures.map(() => ({ filter: initialFilter, objectiveValue: initialObjectiveValue }));
+    const monitor = new RunMonitor(runOptions, initialFilter, initialObjectiveValue);
+
+    let iteration = 0;
+    while (!monitor.iterationComplete(iteration, iterations, states[0].objectiveValue, minTemperature)) {
+        iteration++;
+        states.forEach((state, replica) => {
+            const candidateFilter = state.filter.update(random);
+            const candidateObjectiveValue = objectiveFunction(candidateFilter.network, candidateFilter);
+            const accepted = accept(candidateObjectiveValue - state.objectiveValue, temperatures[replica], acceptanceBase, random);
+            if (accepted)
+                states[replica] = { filter: candidateFilter, objectiveValue: candidateObjectiveValue };
+            monitor.candidate(iteration, candidateFilter, candidateObjectiveValue, accepted);
+        });
+
+        if (iteration % swapInterval === 0) {
+            for (let replica = 0; replica < replicas - 1; replica++) {
+                const colder = states[replica];
+                const hotter = states[replica + 1];
+                const exponent = (colder.objectiveValue - hotter.objectiveValue)
+                    * (1 / temperatures[replica] - 1 / temperatures[replica + 1]);
+                if (random() <= Math.pow(acceptanceBase, exponent)) {
+                    states[replica] = hotter;
+                    states[replica + 1] = colder;
+                }
+            }
+        }
+    }
+
+    return monitor.bestFilter;
+}
+
+/**
+ * Polishes a filter by discrete coordinate descent.
+ * Each component is stepped through its neighboring feasible values for as long as the objective improves,
+ * and passes over all components repeat until none of them can be improved.
+ * @param {Filter} initialFilter - Initial filter before optimization
+ * @param {import('./optimize.js').ObjectiveFunction} objectiveFunction - Objective function to minimize
+ * @param {Object & RunOptions} options
+ * @param {number} [options.maxPasses] - Maximum number of passes over all components
+ * @returns {Filter} - The best filter found
+ */
+export function coordinateDescent(initialFilter, objectiveFunction, { maxPasses = 100, ...runOptions } = {}) {
+    assert(initialFilter instanceof Filter);
+    assert(objectiveFunction instanceof Function);
+    assert(maxPasses > 0);
+
+    let filter = initialFilter;
+    let objectiveValue = objectiveFunction(filter.network, filter);
+    const monitor = new RunMonitor(runOptions, filter, objectiveValue);
+
+    const withComponentIndex = (stageIndex, componentIndex, valueIndex) => {
+        const stage = filter.stages[stageIndex];
+        const component = stage.leaves()[componentIndex];
+        return filter.withStage(
+            stageIndex,
+            stage.withLeaf(componentIndex, component.withValue(component.componentValue.withIndex(valueIndex))));
+    };
+
+    let pass = 0;
+    let improved = true;
+    while (!monitor.iterationComplete(pass, maxPasses, objectiveValue, undefined, !improved)) {
+        pass++;
+        improved = false;
+        filter.stages.forEach((stage, stageIndex) => {
+            stage.leaves().forEach((_, componentIndex) => {
+                for (const step of [1, -1]) {
+                    for (;;) {
+                        const componentValue = filter.stages[stageIndex].leaves()[componentIndex].componentValue;
+                        const valueIndex = componentValue.valueIndex + step;
+                        if (valueIndex < 0 || valueIndex >= componentValue.feasibleValues.length)
+                            break;
+
+                        const candidateFilter = withComponentIndex(stageIndex, componentIndex, valueIndex);
+                        const candidateObjectiveValue = objectiveFunction(candidateFilter.network, candidateFilter);
+                        const accepted = candidateObjectiveValue < objectiveValue;
+                        monitor.candidate(pass, candidateFilter, candidateObjectiveValue, accepted);
+                        if (!accepted)
+                            break;
+
+                        filter = candidateFilter;
+                        objectiveValue = candidateObjectiveValue;
+                        improved = true;
+                    }
+                }
+            });
+        });
+    }
+
+    return monitor.bestFilter;
+}
+
+/**
+ * Available optimization strategies by name
+ * @type {Object<string, Optimizer>}
+ */
+export const OPTIMIZERS = {
+    simulatedAnnealing,
+    geneticAlgorithm,
+    parallelTempering,
+    coordinateDescent
+};
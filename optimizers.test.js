@@ -0,0 +1,118 @@
+import { test } from 'tap';
+
+import { Component, ComponentGroup, ComponentValue } from './component.js';
+import { Filter, SeriesFilterStage } from './filter.js';
+import Load from './load.js';
+import { optimizeFilter } from './optimize.js';
+import { OPTIMIZERS, coordinateDescent } from './optimizers.js';
+import { makeRandom } from './random.js';
+
+// A resistive divider whose gain is 0.2 when the series resistor is 30 ohms
+const makeDivider = (resistance) => new Filter(
+    Load.resistor(10),
+    Load.resistor(10),
+    [new SeriesFilterStage(new Component('resistor', ComponentValue.initializeComponent(resistance, 100, 1), Load.resistor))]
+);
+const objective = (network) => Math.abs(network.voltageGain(1).abs() - 0.2);
+const resistance = (filter) => filter.stages[0].components[0].componentValue.value;
+
+const OPTIONS = {
+    simulatedAnnealing: { initialTemperature: 0.1, coolingRate: 0.01, iterations: 200 },
+    geneticAlgorithm: { populationSize: 10, generations: 20 },
+    parallelTempering: { minTemperature: 0.001, maxTemperature: 0.1, iterations: 50, replicas: 4 },
+    coordinateDescent: {}
+};
+
+test('Test Optimizers - Coordinate Descent', (t) => {
+    t.equal(resistance(coordinateDescent(makeDivider(2), objective)), 30);
+    t.equal(resistance(coordinateDescent(makeDivider(91), objective)), 30);
+
+    // Components within nested combinations are tuned too
+    const nested = new Filter(
+        Load.resistor(10),
+        Load.resistor(10),
+        [new SeriesFilterStage(ComponentGroup.series(
+            new Component('resistor', 10, Load.resistor),
+            new Component('resistor', ComponentValue.initializeComponent(2, 100, 1), Load.resistor)))]
+    );
+    t.equal(coordinateDescent(nested, objective).stages[0].leaves()[1].componentValue.value, 20);
+
+    t.end();
+});
+
+test('Test Optimizers - Common Interface', (t) => {
+    const initialFilter = makeDivider(2);
+    const initialObjectiveValue = objective(initialFilter.network);
+
+    for (const [name, optimizer] of Object.entries(OPTIMIZERS)) {
+        const optimized = optimizer(initialFilter, objective, OPTIONS[name]);
+        t.ok(optimized instanceof Filter, name);
+        t.ok(optimized.stages[0].components[0].componentValue.feasibleValues.includes(resistance(optimized)), name);
+        t.ok(objective(optimized.network) <= initialObjectiveValue, name);
+    }
+
+    // Simulated annealing can also cool linearly
+    const linear = OPTIMIZERS.simulatedAnnealing(initialFilter, objective, { ...OPTIONS.simulatedAnnealing, coolingSchedule: 'linear' });
+    t.ok(objective(linear.network) <= initialObjectiveValue);
+    t.throws(() => OPTIMIZERS.simulatedAnnealing(initialFilter, objective, { ...OPTIONS.simulatedAnnealing, coolingSchedule: 'cubic' }), /Unknown cooling schedule cubic/);
+
+    t.end();
+});
+
+test('Test Optimizers - Seeded Runs', (t) => {
+    t.equal(resistance(optimizeFilter(makeDivider(2), objective, 0.1, 0.05, 30, makeRandom(2))), 5.6);
+    t.equal(
+        resistance(OPTIMIZERS.geneticAlgorithm(makeDivider(2), objective, { populationSize: 4, generations: 3, random: makeRandom(2) })),
+        3);
+
+    for (const [name, optimizer] of Object.entries(OPTIMIZERS)) {
+        const run = () => resistance(optimizer(makeDivider(2), objective, { ...OPTIONS[name], random: makeRandom(7) }));
+        t.equal(run(), run(), name);
+    }
+
+    t.end();
+});
+
+test('Test Optimizers - Progress Events and History', (t) => {
+    const history = [];
+    const events = [];
+    optimizeFilter(makeDivider(2), objective, 0.1, 0.05, 20, makeRandom(1), {
+        history,
+        progressInterval: 5,
+        onProgress: (event) => events.push(event)
+    });
+
+    t.same(history.map((event) => event.iteration), [0, 5, 10, 15, 20]);
+    t.same(events, history);
+    t.equal(history[history.length - 1].stopReason, 'iterations');
+    t.ok(history.every((event) => event.acceptanceRate >= 0 && event.acceptanceRate <= 1));
+    t.ok(history.every((event, i) => i === 0 || event.bestObjectiveValue <= history[i - 1].bestObjectiveValue));
+    t.ok(history[1].temperature < history[0].temperature);
+
+    t.end();
+});
+
+test('Test Optimizers - Early Stopping', (t) => {
+    const stopReason = (name, runOptions) => {
+        const history = [];
+        OPTIMIZERS[name](makeDivider(2), objective, { ...OPTIONS[name], ...runOptions, history, random: makeRandom(3) });
+        return history[history.length - 1];
+    };
+
+    const target = stopReason('simulatedAnnealing', { targetObjective: 1 });
+    t.equal(target.stopReason, 'target');
+    t.equal(target.iteration, 0);
+
+    const stall = stopReason('parallelTempering', { stallIterations: 3, iterations: 1000 });
+    t.equal(stall.stopReason, 'stall');
+    t.ok(stall.iteration < 1000);
+
+    const controller = new AbortController();
+    controller.abort();
+    t.equal(stopReason('geneticAlgorithm', { signal: controller.signal }).stopReason, 'aborted');
+
+    t.equal(stopReason('simulatedAnnealing', { timeBudget: 1, iterations: 1e9 }).stopReason, 'timeBudget');
+    t.equal(stopReason('coordinateDescent', {}).stopReason, 'converged');
+
+    t.end();
+});
@@ -0,0 +1,139 @@
+import { strict as assert } from 'node:assert';
+
+import Complex from 'complex.js';
+import { eigs } from 'mathjs';
+
+/**
+ * Polynomial helpers. Polynomials are arrays of real coefficients in ascending powers of s.
+ */
+
+/**
+ * Multiplies two polynomials
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Array<number>}
+ */
+export function multiply(a, b) {
+    const product = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => b.forEach((y, j) => product[i + j] += x * y));
+    return product;
+}
+
+/**
+ * Adds two polynomials
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Array<number>}
+ */
+export function add(a, b) {
+    return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => (a[i] ?? 0) + (b[i] ?? 0));
+}
+
+/**
+ * Multiplies a polynomial by a constant
+ * @param {Array<number>} a
+ * @param {number} factor
+ * @returns {Array<number>}
+ */
+export function scale(a, factor) {
+    return a.map((coefficient) => coefficient * factor);
+}
+
+/**
+ * Evaluates a polynomial at a complex frequency by Horner's method
+ * @param {Array<number>} a
+ * @param {Complex} s
+ * @returns {Complex}
+ */
+export function evaluate(a, s) {
+    return a.reduceRight((sum, coefficient) => sum.mul(s).add(coefficient), Complex.ZERO);
+}
+
+/**
+ * Differentiates a polynomial with respect to s
+ * @param {Array<number>} a
+ * @returns {Array<number>}
+ */
+export function derivative(a) {
+    return a.length === 1 ? [0] : a.slice(1).map((coefficient, i) => coefficient * (i + 1));
+}
+
+/**
+ * Checks whether every coefficient of a polynomial is zero
+ * @param {Array<number>} a
+ * @returns {boolean}
+ */
+export function isZero(a) {
+    return a.every((coefficient) => coefficient === 0);
+}
+
+/**
+ * Removes leading coefficients that vanish through cancellation, relative to the largest coefficient
+ * @param {Array<number>} a
+ * @returns {Array<number>}
+ */
+export function trim(a) {
+    const largest = Math.max(...a.map(Math.abs));
+    const trimmed = [...a];
+    while (trimmed.length > 1 && Math.abs(trimmed[trimmed.length - 1]) < 1e-12 * largest)
+        trimmed.pop();
+    return trimmed;
+}
+
+/**
+ * Divides a polynomial by s² + ω², discarding the (ideally zero) remainder
+ * @param {Array<number>} a
+ * @param {number} angularFrequency - ω
+ * @returns {Array<number>} - The quotient
+ */
+export function divideQuadratic(a, angularFrequency) {
+    const remainder = [...a];
+    const quotient = new Array(Math.max(a.length - 2, 1)).fill(0);
+    for (let i = a.length - 1; i >= 2; i--) {
+        quotient[i - 2] = remainder[i];
+        remainder[i - 2] -= remainder[i] * angularFrequency * angularFrequency;
+    }
+    return quotient;
+}
+
+/**
+ * Finds the roots of a polynomial as the eigenvalues of its companion matrix, polished by Newton's method.
+ * Roots at s = 0 are found exactly.
+ * @param {Array<number>} a
+ * @returns {Array<Complex>}
+ */
+export function roots(a) {
+    assert(!isZero(a), 'The zero polynomial has no isolated roots');
+
+    const trimmed = trim(a);
+    const zeroRoots = trimmed.findIndex((coefficient) => coefficient !== 0);
+    const reduced = trimmed.slice(zeroRoots);
+    const degree = reduced.length - 1;
+
+    const found = Array.from({ length: zeroRoots }, () => Complex.ZERO);
+    if (degree === 0)
+        return found;
+    if (degree === 1)
+        return [...found, new Complex(-reduced[0] / reduced[1], 0)];
+
+    // The companion matrix of the monic polynomial has ones below the diagonal and the negated coefficients in its last column
+    const leading = reduced[degree];
+    const companion = Array.from({ length: degree }, (_, row) => Array.from({ length: degree }, (_, column) => {
+        if (column === degree - 1)
+            return -reduced[row] / leading;
+        return row === column + 1 ? 1 : 0;
+    }));
+    const slope = derivative(reduced);
+    for (const value of eigs(companion).values) {
+        let root = typeof value === 'number' ? new Complex(value, 0) : new Complex(value.re, value.im);
+        // Newton steps polish the eigenvalue while they reduce the residual, which also stops them where the slope vanishes
+        for (let i = 0; i < 3; i++) {
+            const polished = root.sub(evaluate(reduced, root).div(evaluate(slope, root)));
+            if (!(evaluate(reduced, polished).abs() < evaluate(reduced, root).abs()))
+                break;
+            root = polished;
+        }
+        found.push(root);
+    }
+    return found;
+}
@@ -0,0 +1,31 @@
+import { strict as assert } from 'node:assert';
+
+/**
+ * Generates uniformly distributed numbers in the interval [0, 1), like Math.random
+ * @callback RandomSource
+ * @returns {number}
+ */
+
+/**
+ * Creates a seeded pseudo-random number source (mulberry32).
+ * Sources created with the same seed produce identical sequences.
+ * The source's current state is exposed as its "state" property, and makeRandom(source.state)
+ * continues the sequence from where the source left off.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {RandomSource & {state: number}}
+ */
+export function makeRandom(seed) {
+    assert(Number.isInteger(seed));
+
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let mixed = state;
+        mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1);
+        mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+        return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+    };
+    return Object.defineProperty(random, 'state', { get: () => state });
+}
+
+export default makeRandom
@@ -0,0 +1,26 @@
+import { test } from 'tap';
+
+import { makeRandom } from './random.js';
+
+test('Test Random - Reproducible Sequences', (t) => {
+    const first = makeRandom(42);
+    const second = makeRandom(42);
+    const other = makeRandom(43);
+
+    const sequence = Array.from({ length: 100 }, () => first());
+    t.same(Array.from({ length: 100 }, () => second()), sequence);
+    t.notSame(Array.from({ length: 100 }, () => other()), sequence);
+    t.ok(sequence.every((value) => value >= 0 && value < 1));
+
+    t.end();
+});
+
+test('Test Random - Resuming From State', (t) => {
+    const random = makeRandom(42);
+    Array.from({ length: 10 }, () => random());
+    const resumed = makeRandom(random.state);
+
+    t.same(Array.from({ length: 10 }, () => resumed()), Array.from({ length: 10 }, () => random()));
+
+    t.end();
+});
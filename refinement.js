@@ -0,0 +1,190 @@
+import { strict as assert } from 'node:assert';
+
+import { ComponentValue } from './component.js';
+import { Filter } from './filter.js';
+
+/**
+ * A gain requirement at one frequency. Give gainDb to fit the gain exactly, or minGainDb and maxGainDb to bound it.
+ * @typedef {Object} GainTarget
+ * @property {number} frequency - Frequency in hertz
+ * @property {number} [gainDb] - Desired gain in dB
+ * @property {number} [minGainDb] - Smallest acceptable gain in dB
+ * @property {number} [maxGainDb] - Largest acceptable gain in dB
+ * @property {number} [weight] - Multiplier applied to the target's error
+ */
+
+/**
+ * Options for continuous refinement
+ * @typedef {Object} RefinementOptions
+ * @property {number} [maxIterations] - Maximum number of Levenberg-Marquardt iterations
+ * @property {number} [tolerance] - Stop once an iteration reduces the squared error by less than this fraction
+ * @property {number} [damping] - Initial Levenberg-Marquardt damping factor
+ */
+
+/**
+ * Result of continuous refinement
+ * @typedef {Object} RefinementResult
+ * @property {Filter} filter - The refined filter with each component snapped to its nearest feasible value
+ * @property {Filter} continuousFilter - The refined filter before snapping
+ * @property {number} error - Weighted squared gain error of the continuous filter, in dB²
+ * @property {number} iterations - Number of iterations performed
+ */
+
+/**
+ * Solves a small dense linear system by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix
+ * @param {Array<number>} vector
+ * @returns {Array<number>}
+ */
+function solve(matrix, vector) {
+    const n = vector.length;
+    const rows = matrix.map((row, i) => [...row, vector[i]]);
+    for (let column = 0; column < n; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < n; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column]))
+                pivot = row;
+        }
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        for (let row = column + 1; row < n; row++) {
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k <= n; k++)
+                rows[row][k] -= factor * rows[column][k];
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = rows[row][n];
+        for (let k = row + 1; k < n; k++)
+            sum -= rows[row][k] * solution[k];
+        solution[row] = sum / rows[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Gets the error of the gain against a target, zero when a bounded target is met
+ * @param {GainTarget} target
+ * @param {number} gainDb
+ * @returns {number}
+ */
+function targetError(target, gainDb) {
+    if (target.gainDb !== undefined)
+        return gainDb - target.gainDb;
+    if (target.minGainDb !== undefined && gainDb < target.minGainDb)
+        return gainDb - target.minGainDb;
+    if (target.maxGainDb !== undefined && gainDb > target.maxGainDb)
+        return gainDb - target.maxGainDb;
+    return 0;
+}
+
+/**
+ * Computes the weighted errors of a filter against the targets and their derivatives with respect to the
+ * logarithm of each tunable component value
+ * @param {Filter} filter
+ * @param {Array<GainTarget>} targets
+ * @param {Array<{stage: number, leaf: number}>} tunable - Components being refined
+ * @returns {{errors: Array<number>, jacobian: Array<Array<number>>}}
+ */
+function linearize(filter, targets, tunable) {
+    const network = filter.network;
+    const errors = [];
+    const jacobian = [];
+    for (const target of targets) {
+        const angularFrequency = 2 * Math.PI * target.frequency;
+        const weight = Math.sqrt(target.weight ?? 1);
+        const error = targetError(target, 20 * Math.log10(network.voltageGain(angularFrequency).abs()));
+        errors.push(weight * error);
+
+        if (error === 0) {
+            jacobian.push(tunable.map(() => 0));
+        } else {
+            const sensitivities = filter.sensitivities(angularFrequency);
+            jacobian.push(tunable.map(({ stage, leaf }) =>
+                weight * sensitivities.find((sensitivity) => sensitivity.stage === stage && sensitivity.leaf === leaf).gainDb));
+        }
+    }
+    return { errors, jacobian };
+}
+
+/**
+ * Creates a copy of a filter with the given continuous values for the tunable components
+ * @param {Filter} filter
+ * @param {Array<{stage: number, leaf: number}>} tunable
+ * @param {Array<number>} values
+ * @returns {Filter}
+ */
+function withValues(filter, tunable, values) {
+    return tunable.reduce((updated, { stage, leaf }, i) => {
+        const component = updated.stages[stage].leaves()[leaf];
+        return updated.withStage(stage, updated.stages[stage].withLeaf(leaf, component.withValue(values[i])));
+    }, filter);
+}
+
+/**
+ * Refines the component values of a filter as continuous values to fit gain targets, then snaps them back to
+ * their feasible values. Uses Levenberg-Marquardt steps in the logarithm of the component values, with the
+ * gradients found analytically by Filter.sensitivities. Components with a single feasible value stay fixed,
+ * and values are kept within the range of their feasible values.
+ * @param {Filter} filter - Filter to refine, typically the result of a discrete optimization
+ * @param {Array<GainTarget>} targets
+ * @param {RefinementOptions} options
+ * @returns {RefinementResult}
+ */
+export function refineFilter(filter, targets, { maxIterations = 100, tolerance = 1e-9, damping = 1e-3 } = {}) {
+    assert(filter instanceof Filter);
+    assert(targets instanceof Array && targets.length > 0);
+    assert(targets.every((target) => target.frequency > 0), 'Gain targets need a positive frequency');
+
+    const tunable = filter.stages.flatMap((stage, stageIndex) => stage.leaves().map((component, leaf) => ({ stage: stageIndex, leaf, component })))
+        .filter(({ component }) => component.componentValue.feasibleValues.length > 1
+            && component.componentValue.value > 0 && Number.isFinite(component.componentValue.value));
+    const bounds = tunable.map(({ component }) => {
+        const finiteValues = component.componentValue.feasibleValues.filter((value) => value > 0 && Number.isFinite(value));
+        return [Math.log(Math.min(...finiteValues)), Math.log(Math.max(...finiteValues))];
+    });
+
+    const squaredError = (errors) => errors.reduce((sum, error) => sum + error * error, 0);
+    let logValues = tunable.map(({ component }) => Math.log(component.componentValue.value));
+    let current = withValues(filter, tunable, logValues.map(Math.exp));
+    let { errors, jacobian } = linearize(current, targets, tunable);
+    let error = squaredError(errors);
+    let lambda = damping;
+    let iteration = 0;
+    while (iteration < maxIterations && tunable.length > 0 && error > 0) {
+        iteration++;
+
+        // Solve (JᵀJ + λ diag(JᵀJ)) δ = -Jᵀe
+        const normal = tunable.map((_, i) => tunable.map((_, j) => jacobian.reduce((sum, row) => sum + row[i] * row[j], 0)));
+        const gradient = tunable.map((_, i) => jacobian.reduce((sum, row, k) => sum + row[i] * errors[k], 0));
+        const damped = normal.map((row, i) => row.map((value, j) => i === j ? value * (1 + lambda) + 1e-12 : value));
+        const step = solve(damped, gradient.map((value) => -value));
+
+        const candidateValues = logValues.map((value, i) => Math.min(Math.max(value + step[i], bounds[i][0]), bounds[i][1]));
+        const candidate = withValues(filter, tunable, candidateValues.map(Math.exp));
+        const linearized = linearize(candidate, targets, tunable);
+        const candidateError = squaredError(linearized.errors);
+        if (candidateError < error) {
+            const improvement = (error - candidateError) / error;
+            ({ errors, jacobian } = linearized);
+            logValues = candidateValues;
+            current = candidate;
+            error = candidateError;
+            lambda /= 10;
+            if (improvement < tolerance)
+                break;
+        } else {
+            lambda *= 10;
+            if (lambda > 1e10)
+                break;
+        }
+    }
+
+    const snapped = tunable.reduce((updated, { stage, leaf, component }, i) => {
+        const value = component.componentValue;
+        const index = ComponentValue.nearestNeighborIndex(Math.exp(logValues[i]), value.feasibleValues);
+        return updated.withStage(stage, updated.stages[stage].withLeaf(leaf, component.withValue(value.withIndex(index))));
+    }, filter);
+    return { filter: snapped, continuousFilter: current, error, iterations: iteration };
+}
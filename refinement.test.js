@@ -0,0 +1,120 @@
+import { test } from 'tap';
+
+import { Capacitor, Component, ComponentGroup, ComponentValue, Inductor, LossyCapacitor, LossyInductor } from './component.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { refineFilter } from './refinement.js';
+import { synthesizeFilter } from './synthesis.js';
+
+const makeFilter = () => new Filter(Load.resistor(50), Load.resistor(75), [
+    new ShuntFilterStage(new LossyCapacitor(3e-9, { esr: 0.1, esl: 1e-9, lossTangent: 1e-3 })),
+    new SeriesFilterStage(
+        new LossyInductor(1.5e-5, { dcr: 0.2, q: 50, qFrequency: 1e6, windingCapacitance: 2e-12 }),
+        new Capacitor(1e-10)),
+    new ShuntFilterStage(ComponentGroup.series(new Inductor(2e-6), new Capacitor(5e-9)), new Capacitor(1e-9)).withCombination('series')
+]);
+
+/**
+ * Differentiates a function of a filter with respect to one component value by central differences
+ */
+const finiteDifference = (filter, stage, leaf, evaluate) => {
+    const component = filter.stages[stage].leaves()[leaf];
+    const value = component.componentValue.value;
+    const step = value * 1e-6;
+    const at = (newValue) => evaluate(filter.withStage(stage, filter.stages[stage].withLeaf(leaf, component.withValue(newValue))));
+    return at(value + step).sub(at(value - step)).div(2 * step);
+};
+
+test('Test Refinement - Sensitivities', (t) => {
+    const filter = makeFilter();
+    const close = (actual, expected, message) => t.ok(actual.sub(expected).abs() <= 1e-5 * expected.abs() + 1e-300, message);
+
+    for (const angularFrequency of [2 * Math.PI * 3e5, 2 * Math.PI * 2e6]) {
+        const sensitivities = filter.sensitivities(angularFrequency, 60);
+        t.same(sensitivities.map(({ stage, leaf }) => [stage, leaf]), [[0, 0], [1, 0], [1, 1], [2, 0], [2, 1], [2, 2]]);
+
+        for (const { stage, leaf, component, voltageGain, gainDb, sParameters } of sensitivities) {
+            const name = `${component.componentName} ${stage}.${leaf} at ${angularFrequency}`;
+            close(voltageGain, finiteDifference(filter, stage, leaf, (f) => f.network.voltageGain(angularFrequency)), `gain ${name}`);
+            for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+                close(
+                    sParameters.get(row, column),
+                    finiteDifference(filter, stage, leaf, (f) => f.stagesNetwork.sParameters(angularFrequency, 60).get(row, column)),
+                    `S${row + 1}${column + 1} ${name}`);
+            }
+
+            const gain = filter.network.voltageGain(angularFrequency);
+            t.ok(Math.abs(gainDb - 20 / Math.LN10 * voltageGain.div(gain).re * component.componentValue.value) < 1e-9);
+        }
+    }
+
+    // Custom loads have no known derivative
+    t.throws(() => new Filter(Load.resistor(50), Load.resistor(50), [
+        new SeriesFilterStage(new Component('custom', 1e-6, (value) => Load.inductor(value)))
+    ]).sensitivities(1e6));
+
+    t.end();
+});
+
+test('Test Refinement - Continuous Refinement', (t) => {
+    // Detune a Butterworth filter, then refine it back onto the Butterworth response
+    const ideal = synthesizeFilter({ type: 'butterworth', order: 5, cutoff: 1e6, series: 'E192', valueRange: 3 });
+    const butterworthDb = (frequency) => -10 * Math.log10(1 + (frequency / 1e6) ** 10) - 20 * Math.log10(2);
+    const targets = [1e5, 3e5, 6e5, 8e5, 1e6, 1.3e6, 2e6, 4e6].map((frequency) => ({ frequency, gainDb: butterworthDb(frequency) }));
+
+    const detuned = ideal.withStages(ideal.stages.map((stage, i) => {
+        const component = stage.leaves()[0];
+        const value = component.componentValue;
+        return stage.withLeaf(0, component.withValue(value.withIndex(value.valueIndex + (i % 2 === 0 ? 20 : -20))));
+    }));
+    const gainError = (filter) => Math.max(...targets.map(({ frequency, gainDb }) =>
+        Math.abs(20 * Math.log10(filter.network.voltageGain(2 * Math.PI * frequency).abs()) - gainDb)));
+    t.ok(gainError(detuned) > 1);
+
+    const result = refineFilter(detuned, targets);
+    t.ok(result.iterations > 0);
+    t.ok(result.error < 1e-6, `error ${result.error}`);
+    t.ok(gainError(result.continuousFilter) < 1e-3);
+    t.ok(gainError(result.filter) < 0.1, `snapped error ${gainError(result.filter)}`);
+
+    // Snapped values are feasible values, close to the continuous ones
+    result.filter.stages.forEach((stage, i) => {
+        const snapped = stage.leaves()[0].componentValue;
+        const continuous = result.continuousFilter.stages[i].leaves()[0].componentValue.value;
+        t.equal(snapped.feasibleValues, ideal.stages[i].leaves()[0].componentValue.feasibleValues);
+        t.ok(Math.abs(snapped.value / continuous - 1) < 0.01);
+    });
+
+    // Bounded targets only pull on the filter when they are violated
+    const bounded = refineFilter(ideal, [
+        { frequency: 5e5, minGainDb: -6.1 },
+        { frequency: 3e6, maxGainDb: -40 }
+    ]);
+    t.equal(bounded.error, 0);
+    t.equal(bounded.iterations, 0);
+    t.same(bounded.filter.toJSON(), ideal.toJSON());
+    const violated = refineFilter(ideal, [
+        { frequency: 5e5, minGainDb: -5.9 },
+        { frequency: 3e6, maxGainDb: -60 }
+    ]);
+    t.ok(violated.iterations > 0);
+    t.ok(violated.error > 0);
+    // A loose tolerance stops once an iteration improves the error by less than that fraction
+    const loose = refineFilter(ideal, [{ frequency: 5e5, minGainDb: -5.9 }, { frequency: 3e6, maxGainDb: -60 }], { tolerance: 0.5 });
+    t.ok(loose.iterations < violated.iterations);
+
+    // Values stay within their feasible ranges, and fixed components stay fixed
+    const constrained = new Filter(Load.resistor(50), Load.resistor(50), [
+        new ShuntFilterStage(new Capacitor(ComponentValue.initializeComponent(1e-9, 1.2e-9, 1e-9, false, false, 'E12'))),
+        new SeriesFilterStage(new Inductor(1e-6))
+    ]);
+    const clamped = refineFilter(constrained, [{ frequency: 1e7, gainDb: -30 }]);
+    t.ok(Math.abs(clamped.continuousFilter.stages[0].leaves()[0].componentValue.value / 1.2e-9 - 1) < 1e-12);
+    t.equal(clamped.filter.stages[0].leaves()[0].componentValue.value, 1.2e-9);
+    t.equal(clamped.filter.stages[1].leaves()[0].componentValue.value, 1e-6);
+
+    t.throws(() => refineFilter(ideal, []));
+    t.throws(() => refineFilter(ideal, [{ frequency: 0, gainDb: 0 }]));
+
+    t.end();
+});
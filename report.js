@@ -0,0 +1,430 @@
+import { strict as assert } from 'node:assert';
+import { writeFile } from 'node:fs/promises';
+
+import { Filter } from './filter.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+const COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e'];
+
+/**
+ * Frequency response of a network sampled over a sweep
+ * @typedef {Object} FrequencyResponse
+ * @property {Array<number>} frequencies - Sample frequencies in hertz
+ * @property {Array<number>} magnitude - Voltage gain magnitude in dB
+ * @property {Array<number>} phase - Unwrapped voltage gain phase in degrees
+ * @property {Array<number>} groupDelay - Group delay in seconds
+ * @property {Array<number>} s11 - Input reflection coefficient magnitude in dB
+ * @property {Array<number>} s21 - Forward transmission coefficient magnitude in dB
+ * @property {Array<import('complex.js').default>} reflection - Input reflection coefficient
+ * @property {Array<number>} [transducerGain] - For filters, power delivered to the output load over the power available from the input load, in dB
+ * @property {Array<number>} [mismatchLoss] - For filters, mismatch loss between the input load and the filter, in dB
+ */
+
+/**
+ * Options for sweeping a frequency response
+ * @typedef {Object} SweepOptions
+ * @property {number} minFrequency - Sweep start frequency in hertz
+ * @property {number} maxFrequency - Sweep stop frequency in hertz
+ * @property {number} [points] - Number of sweep points
+ * @property {string} [scale] - "log" or "linear" frequency spacing
+ * @property {number} [referenceImpedance] - Reference impedance for the S-parameters and Smith chart of networks
+ */
+
+/**
+ * Generates the sample frequencies of a sweep
+ * @param {SweepOptions} options
+ * @returns {Array<number>} - Frequencies in hertz
+ */
+export function sweepFrequencies({ minFrequency, maxFrequency, points = 201, scale = 'log' }) {
+    assert(minFrequency > 0);
+    assert(maxFrequency > minFrequency);
+    assert(points >= 2);
+    assert(['log', 'linear'].includes(scale), `Unknown frequency scale ${scale}`);
+
+    return Array.from({ length: points }, (_, i) => scale === 'log'
+        ? minFrequency * Math.pow(maxFrequency / minFrequency, i / (points - 1))
+        : minFrequency + (maxFrequency - minFrequency) * i / (points - 1));
+}
+
+/**
+ * Samples the frequency response of a filter or network.
+ * For a filter, the gain, phase and group delay include its input and output loads, while the S-parameters are the
+ * power wave ones of its stages between those loads, as measured by VSWR objectives and return loss constraints.
+ * Filters also get their transducer gain and mismatch loss. A network's S-parameters use the reference impedance.
+ * @param {Filter|TwoPortNetwork} target
+ * @param {SweepOptions} options
+ * @returns {FrequencyResponse}
+ */
+export function sweepResponse(target, options) {
+    assert(target instanceof Filter || target instanceof TwoPortNetwork);
+    const { referenceImpedance = 50 } = options;
+
+    const network = target instanceof Filter ? target.network : target;
+    const scatteringNetwork = target instanceof Filter ? target.stagesNetwork : target;
+    const frequencies = sweepFrequencies(options);
+
+    const response = { frequencies, magnitude: [], phase: [], groupDelay: [], s11: [], s21: [], reflection: [] };
+    if (target instanceof Filter) {
+        response.transducerGain = [];
+        response.mismatchLoss = [];
+    }
+    let previousPhase;
+    let phaseOffset = 0;
+    for (const frequency of frequencies) {
+        const angularFrequency = 2 * Math.PI * frequency;
+        const gain = network.voltageGain(angularFrequency);
+        let reflection, transmission;
+        if (target instanceof Filter) {
+            reflection = scatteringNetwork.inputReflectionCoefficient(angularFrequency, target.inputLoad, target.outputLoad);
+            // The power wave |S21|² between the terminations is the transducer gain
+            const transducerGain = scatteringNetwork.transducerGain(angularFrequency, target.inputLoad, target.outputLoad);
+            transmission = Math.sqrt(transducerGain);
+            response.transducerGain.push(10 * Math.log10(transducerGain));
+            response.mismatchLoss.push(scatteringNetwork.mismatchLoss(angularFrequency, target.inputLoad, target.outputLoad));
+        } else {
+            const s = scatteringNetwork.sParameters(angularFrequency, referenceImpedance);
+            reflection = s.get(0, 0);
+            transmission = s.get(1, 0).abs();
+        }
+
+        // Unwrap the phase so that it is continuous across the branch cut of arg()
+        let phase = gain.arg() + phaseOffset;
+        if (previousPhase !== undefined) {
+            const correction = -2 * Math.PI * Math.round((phase - previousPhase) / (2 * Math.PI));
+            phaseOffset += correction;
+            phase += correction;
+        }
+        previousPhase = phase;
+
+        response.magnitude.push(20 * Math.log10(gain.abs()));
+        response.phase.push(phase * 180 / Math.PI);
+        response.s11.push(20 * Math.log10(reflection.abs()));
+        response.s21.push(20 * Math.log10(transmission));
+        response.reflection.push(reflection);
+    }
+
+    // Central differences of the phase, falling back to one sided differences at the ends of the sweep
+    for (let i = 0; i < frequencies.length; i++) {
+        const lower = Math.max(i - 1, 0);
+        const upper = Math.min(i + 1, frequencies.length - 1);
+        response.groupDelay.push(
+            -(response.phase[upper] - response.phase[lower]) * Math.PI / 180
+            / (2 * Math.PI * (frequencies[upper] - frequencies[lower])));
+    }
+
+    return response;
+}
+
+/**
+ * Formats a frequency response as comma separated values with a header row
+ * @param {FrequencyResponse} response
+ * @returns {string}
+ */
+export function formatResponseCsv(response) {
+    const hasPower = response.transducerGain !== undefined;
+    const rows = response.frequencies.map((frequency, i) => [
+        frequency,
+        response.magnitude[i],
+        response.phase[i],
+        response.groupDelay[i],
+        response.s11[i],
+        response.s21[i],
+        ...(hasPower ? [response.transducerGain[i], response.mismatchLoss[i]] : [])
+    ].join(','));
+    const header = 'frequency_hz,gain_db,phase_deg,group_delay_s,s11_db,s21_db' + (hasPower ? ',transducer_gain_db,mismatch_loss_db' : '');
+    return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * A chart described as plotly.js traces and layout
+ * @typedef {Object} Chart
+ * @property {Array<Object>} data - plotly.js traces
+ * @property {Object} layout - plotly.js layout
+ */
+
+/**
+ * Builds plotly.js charts of a frequency response: Bode magnitude and phase, S11/S21, group delay and a Smith chart
+ * @param {FrequencyResponse} response
+ * @param {string} scale - "log" or "linear" frequency axis
+ * @returns {Array<Chart>}
+ */
+export function responseCharts(response, scale = 'log') {
+    const frequencyAxis = { title: 'Frequency (Hz)', type: scale };
+    const line = (name, y, yaxis) => ({ x: response.frequencies, y, name, type: 'scatter', mode: 'lines', yaxis });
+
+    return [
+        {
+            data: [line('Magnitude', response.magnitude), line('Phase', response.phase, 'y2')],
+            layout: {
+                title: 'Bode Plot',
+                xaxis: frequencyAxis,
+                yaxis: { title: 'Magnitude (dB)' },
+                yaxis2: { title: 'Phase (deg)', overlaying: 'y', side: 'right' }
+            }
+        },
+        {
+            data: [line('S11', response.s11), line('S21', response.s21)],
+            layout: { title: 'S-Parameters', xaxis: frequencyAxis, yaxis: { title: 'Magnitude (dB)' } }
+        },
+        {
+            data: [line('Group Delay', response.groupDelay)],
+            layout: { title: 'Group Delay', xaxis: frequencyAxis, yaxis: { title: 'Delay (s)' } }
+        },
+        {
+            data: [{
+                x: response.reflection.map((value) => value.re),
+                y: response.reflection.map((value) => value.im),
+                text: response.frequencies.map((frequency) => `${frequency.toPrecision(4)} Hz`),
+                name: 'Input Reflection',
+                type: 'scatter',
+                mode: 'lines'
+            }],
+            layout: {
+                title: 'Smith Chart',
+                xaxis: { range: [-1.05, 1.05], zeroline: false },
+                yaxis: { range: [-1.05, 1.05], zeroline: false, scaleanchor: 'x' },
+                shapes: [
+                    { type: 'circle', x0: -1, y0: -1, x1: 1, y1: 1 },
+                    { type: 'circle', x0: 0, y0: -0.5, x1: 1, y1: 0.5 },
+                    { type: 'line', x0: -1, y0: 0, x1: 1, y1: 0 }
+                ]
+            }
+        }
+    ];
+}
+
+/**
+ * Plots the frequency response of a filter or network in the browser with nodeplotlib
+ * @param {Filter|TwoPortNetwork} target
+ * @param {SweepOptions} options
+ */
+export async function plotResponse(target, options) {
+    // nodeplotlib starts a web server, so it is only loaded when plots are actually shown
+    const { plot } = await import('nodeplotlib');
+    for (const chart of responseCharts(sweepResponse(target, options), options.scale))
+        plot(chart.data, chart.layout);
+}
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats an axis tick label compactly
+ * @param {number} value
+ * @returns {string}
+ */
+function formatTick(value) {
+    return Math.abs(value) >= 1e4 || (Math.abs(value) < 1e-2 && value !== 0)
+        ? value.toExponential(1)
+        : String(Number(value.toPrecision(3)));
+}
+
+/**
+ * Chooses evenly spaced tick values covering a range
+ * @param {number} min
+ * @param {number} max
+ * @returns {Array<number>}
+ */
+function linearTicks(min, max) {
+    const roughStep = (max - min) / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+    const step = [1, 2, 5, 10].map((multiple) => multiple * magnitude).find((candidate) => candidate >= roughStep);
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step)
+        ticks.push(Number(tick.toPrecision(12)));
+    return ticks;
+}
+
+/**
+ * Renders a chart of line traces as a static SVG image
+ * @param {Chart} chart
+ * @returns {string}
+ */
+function lineChartSvg(chart) {
+    const width = 720;
+    const height = 360;
+    const margin = { left: 70, right: 70, top: 40, bottom: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const logX = chart.layout.xaxis.type === 'log';
+
+    const xs = chart.data[0].x;
+    const toX = (() => {
+        const transform = logX ? Math.log10 : (value) => value;
+        const min = transform(xs[0]);
+        const max = transform(xs[xs.length - 1]);
+        return (value) => margin.left + (transform(value) - min) / (max - min) * plotWidth;
+    })();
+
+    const axisScale = (traces) => {
+        const values = traces.flatMap((trace) => trace.y).filter(Number.isFinite);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (values.length === 0) {
+            min = 0;
+            max = 1;
+        } else if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        return { min, max, toY: (value) => margin.top + (max - value) / (max - min) * plotHeight };
+    };
+
+    const primary = chart.data.filter((trace) => trace.yaxis !== 'y2');
+    const secondary = chart.data.filter((trace) => trace.yaxis === 'y2');
+    const scales = { y: axisScale(primary), y2: secondary.length > 0 ? axisScale(secondary) : undefined };
+
+    const elements = [
+        `<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#888"/>`,
+        `<text x="${width / 2}" y="24" text-anchor="middle" font-weight="bold">${escapeHtml(chart.layout.title)}</text>`,
+        `<text x="${width / 2}" y="${height - 10}" text-anchor="middle">${escapeHtml(chart.layout.xaxis.title)}</text>`
+    ];
+
+    const xTicks = logX
+        ? Array.from(
+            { length: Math.floor(Math.log10(xs[xs.length - 1])) - Math.ceil(Math.log10(xs[0])) + 1 },
+            (_, i) => Math.pow(10, Math.ceil(Math.log10(xs[0])) + i))
+        : linearTicks(xs[0], xs[xs.length - 1]);
+    for (const tick of xTicks) {
+        const x = toX(tick).toFixed(1);
+        elements.push(
+            `<line x1="${x}" y1="${margin.top}" x2="${x}" y2="${margin.top + plotHeight}" stroke="#ddd"/>`,
+            `<text x="${x}" y="${margin.top + plotHeight + 16}" text-anchor="middle" font-size="11">${formatTick(tick)}</text>`);
+    }
+
+    for (const [axis, scale] of Object.entries(scales)) {
+        if (!scale)
+            continue;
+        const right = axis === 'y2';
+        const layoutAxis = chart.layout[right ? 'yaxis2' : 'yaxis'];
+        for (const tick of linearTicks(scale.min, scale.max)) {
+            const y = scale.toY(tick).toFixed(1);
+            if (!right)
+                elements.push(`<line x1="${margin.left}" y1="${y}" x2="${margin.left + plotWidth}" y2="${y}" stroke="#eee"/>`);
+            elements.push(
+                `<text x="${right ? margin.left + plotWidth + 6 : margin.left - 6}" y="${y}" text-anchor="${right ? 'start' : 'end'}" dominant-baseline="middle" font-size="11">${formatTick(tick)}</text>`);
+        }
+        const labelX = right ? width - 14 : 16;
+        elements.push(
+            `<text x="${labelX}" y="${margin.top + plotHeight / 2}" text-anchor="middle" transform="rotate(-90 ${labelX} ${margin.top + plotHeight / 2})">${escapeHtml(layoutAxis.title)}</text>`);
+    }
+
+    chart.data.forEach((trace, index) => {
+        const toY = scales[trace.yaxis === 'y2' ? 'y2' : 'y'].toY;
+        // Non-finite samples break the line rather than distorting the axes
+        let path = '';
+        let penDown = false;
+        trace.x.forEach((x, i) => {
+            if (!Number.isFinite(trace.y[i])) {
+                penDown = false;
+                return;
+            }
+            path += `${penDown ? 'L' : 'M'}${toX(x).toFixed(1)},${toY(trace.y[i]).toFixed(1)}`;
+            penDown = true;
+        });
+        const color = COLORS[index % COLORS.length];
+        elements.push(
+            `<path d="${path}" fill="none" stroke="${color}" stroke-width="1.5"/>`,
+            `<text x="${margin.left + 8}" y="${margin.top + 16 + 14 * index}" fill="${color}" font-size="12">${escapeHtml(trace.name)}</text>`);
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif">${elements.join('')}</svg>`;
+}
+
+/**
+ * Renders a Smith chart of a reflection coefficient trace as a static SVG image
+ * @param {Chart} chart
+ * @returns {string}
+ */
+function smithChartSvg(chart) {
+    const size = 400;
+    const radius = 170;
+    const center = size / 2;
+    const toPoint = (re, im) => [(center + re * radius).toFixed(1), (center - im * radius).toFixed(1)];
+
+    const elements = [
+        `<defs><clipPath id="smith"><circle cx="${center}" cy="${center}" r="${radius}"/></clipPath></defs>`,
+        `<text x="${center}" y="18" text-anchor="middle" font-weight="bold">${escapeHtml(chart.layout.title)}</text>`,
+        `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#888"/>`,
+        `<line x1="${center - radius}" y1="${center}" x2="${center + radius}" y2="${center}" stroke="#ccc"/>`
+    ];
+
+    // Constant resistance circles and constant reactance arcs, normalized to the reference impedance
+    for (const resistance of [0.2, 0.5, 1, 2, 5]) {
+        const [cx, cy] = toPoint(resistance / (1 + resistance), 0);
+        elements.push(`<circle cx="${cx}" cy="${cy}" r="${(radius / (1 + resistance)).toFixed(1)}" fill="none" stroke="#ccc"/>`);
+    }
+    for (const reactance of [0.2, 0.5, 1, 2, 5, -0.2, -0.5, -1, -2, -5]) {
+        const [cx, cy] = toPoint(1, 1 / reactance);
+        elements.push(`<circle cx="${cx}" cy="${cy}" r="${(radius / Math.abs(reactance)).toFixed(1)}" fill="none" stroke="#ccc" clip-path="url(#smith)"/>`);
+    }
+
+    const trace = chart.data[0];
+    const points = trace.x
+        .map((re, i) => [re, trace.y[i]])
+        .filter(([re, im]) => Number.isFinite(re) && Number.isFinite(im))
+        .map(([re, im]) => toPoint(re, im).join(','));
+    elements.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${COLORS[0]}" stroke-width="1.5"/>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" font-family="sans-serif">${elements.join('')}</svg>`;
+}
+
+/**
+ * Options for HTML reports
+ * @typedef {Object} ReportOptions
+ * @property {string} [title] - Report title
+ */
+
+/**
+ * Formats a design review report for a filter as a self-contained static HTML page
+ * @param {Filter} filter
+ * @param {SweepOptions & ReportOptions} options
+ * @returns {string}
+ */
+export function formatHtmlReport(filter, options) {
+    assert(filter instanceof Filter);
+    const { title = 'Filter Design Report', scale = 'log', referenceImpedance = 50 } = options;
+
+    const charts = responseCharts(sweepResponse(filter, options), scale);
+    const images = charts.map((chart) => chart.layout.title === 'Smith Chart' ? smithChartSvg(chart) : lineChartSvg(chart));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>body { font-family: sans-serif; margin: 2em; } figure { margin: 1em 0; } pre { background: #f4f4f4; padding: 1em; }</style>',
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p>Sweep from ${escapeHtml(options.minFrequency)} Hz to ${escapeHtml(options.maxFrequency)} Hz, reference impedance ${escapeHtml(referenceImpedance)} &#937;.</p>`,
+        '<h2>Components</h2>',
+        `<pre>${escapeHtml(filter.toString())}</pre>`,
+        '<h2>Response</h2>',
+        ...images.map((image) => `<figure>${image}</figure>`),
+        '</body>',
+        '</html>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Writes a design review report for a filter to an HTML file
+ * @param {string} path - Destination path, e.g. "report.html"
+ * @param {Filter} filter
+ * @param {SweepOptions & ReportOptions} options
+ * @returns {Promise<void>}
+ */
+export async function writeHtmlReport(path, filter, options) {
+    await writeFile(path, formatHtmlReport(filter, options));
+}
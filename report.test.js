@@ -0,0 +1,121 @@
+import { test } from 'tap';
+
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Capacitor, Inductor } from './component.js';
+import * as filterModule from './filter.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { formatHtmlReport, formatResponseCsv, responseCharts, sweepResponse, writeHtmlReport } from './report.js';
+import * as twoPortNetworkModule from './twoPortNetwork.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+test('Test Report - Sweep Response', (t) => {
+    // First order RC lowpass with a -3 dB angular frequency of 1 rad/s
+    const lowpass = TwoPortNetwork.lSection(Load.resistor(1), Load.capacitor(1));
+    const cutoff = 1 / (2 * Math.PI);
+    const response = sweepResponse(lowpass, { minFrequency: cutoff / 100, maxFrequency: cutoff * 100, points: 401 });
+
+    t.equal(response.frequencies.length, 401);
+    t.ok(Math.abs(response.frequencies[200] - cutoff) < 1e-12);
+    t.ok(Math.abs(response.magnitude[200] + 10 * Math.log10(2)) < 1e-9);
+    t.ok(Math.abs(response.phase[200] + 45) < 1e-9);
+    t.ok(Math.abs(response.groupDelay[200] - 0.5) < 1e-3);
+    t.ok(Math.abs(response.groupDelay[0] - 1) < 1e-3);
+    t.ok(response.s21[400] < response.s21[0]);
+
+    t.end();
+});
+
+test('Test Report - CSV', (t) => {
+    const options = { minFrequency: 1e5, maxFrequency: 1e7, points: 3 };
+    const lines = formatResponseCsv(sweepResponse(TwoPortNetwork.lSection(Load.resistor(50), Load.capacitor(1e-9)), options)).trimEnd().split('\n');
+    t.equal(lines[0], 'frequency_hz,gain_db,phase_deg,group_delay_s,s11_db,s21_db');
+    t.equal(lines.length, 4);
+    t.equal(lines[1].split(',')[0], '100000');
+
+    // Filters have source and load impedances, so their power gains are listed too
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Capacitor(1e-9))]);
+    const powerLines = formatResponseCsv(sweepResponse(filter, options)).trimEnd().split('\n');
+    t.equal(powerLines[0], 'frequency_hz,gain_db,phase_deg,group_delay_s,s11_db,s21_db,transducer_gain_db,mismatch_loss_db');
+    t.ok(powerLines.slice(1).every((line) => line.split(',').length === 8));
+
+    t.end();
+});
+
+test('Test Report - Unwrapped Phase', (t) => {
+    // A third order lowpass ladder turns the phase through -270 degrees
+    const network = TwoPortNetwork.cascade(
+        TwoPortNetwork.series(Load.resistor(1)),
+        TwoPortNetwork.shunt(Load.capacitor(1)),
+        TwoPortNetwork.series(Load.inductor(2)),
+        TwoPortNetwork.shunt(Load.capacitor(1)),
+        TwoPortNetwork.shunt(Load.resistor(1))
+    );
+    const response = sweepResponse(network, { minFrequency: 1e-3, maxFrequency: 1e2, points: 500 });
+
+    t.ok(response.phase[499] < -260);
+    t.ok(response.phase.every((phase, i) => i === 0 || Math.abs(phase - response.phase[i - 1]) < 10));
+
+    t.end();
+});
+
+test('Test Report - Charts and HTML', (t) => {
+    const filter = new Filter(
+        Load.resistor(50),
+        Load.resistor(50),
+        [new ShuntFilterStage(new Capacitor(1e-9)), new SeriesFilterStage(new Inductor(2.2e-6))]
+    );
+    const options = { minFrequency: 1e5, maxFrequency: 1e8, points: 51, title: 'Lowpass <Rev A>' };
+
+    const charts = responseCharts(sweepResponse(filter, options));
+    t.same(charts.map((chart) => chart.layout.title), ['Bode Plot', 'S-Parameters', 'Group Delay', 'Smith Chart']);
+    t.ok(charts.every((chart) => chart.data.every((trace) => trace.x.length === 51)));
+
+    const html = formatHtmlReport(filter, options);
+    t.match(html, /^<!DOCTYPE html>/);
+    t.match(html, /<title>Lowpass &lt;Rev A&gt;<\/title>/);
+    t.match(html, /capacitor: 1e-9/);
+    t.match(html, /inductor: 0.0000022/);
+    t.equal(html.match(/<svg /g).length, 4);
+    t.notMatch(html, /<script/);
+    t.notMatch(html, /NaN/);
+
+    // A matched through connection has flat traces and no finite return loss to plot
+    const through = formatHtmlReport(new Filter(Load.resistor(50), Load.resistor(50), []), { ...options, scale: 'linear' });
+    t.equal(through.match(/<svg /g).length, 4);
+    t.notMatch(through, /NaN|Infinity/);
+    // An open circuit passes nothing, leaving traces without any finite samples
+    const open = formatHtmlReport(new Filter(Load.resistor(50), Load.resistor(50), [new SeriesFilterStage(new Capacitor(0))]), options);
+    t.notMatch(open, /NaN|Infinity/);
+
+    t.end();
+});
+
+test('Test Report - Plots', async (t) => {
+    // nodeplotlib would open a browser, so the charts handed to it are recorded instead.
+    // The filter and network modules are shared so that the mocked report recognizes their classes.
+    const plots = [];
+    const { plotResponse } = await t.mockImport('./report.js', {
+        nodeplotlib: { plot: (data, layout) => plots.push({ data, layout }) },
+        './filter.js': filterModule,
+        './twoPortNetwork.js': twoPortNetworkModule
+    });
+
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Capacitor(1e-9))]);
+    const options = { minFrequency: 1e5, maxFrequency: 1e8, points: 11, scale: 'linear' };
+    await plotResponse(filter, options);
+    t.same(plots, responseCharts(sweepResponse(filter, options), 'linear'));
+});
+
+test('Test Report - HTML File', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [new SeriesFilterStage(new Inductor(1e-6))]);
+    const options = { minFrequency: 1e5, maxFrequency: 1e8, points: 11 };
+
+    await writeHtmlReport(join(directory, 'report.html'), filter, options);
+    t.equal(await readFile(join(directory, 'report.html'), 'utf8'), formatHtmlReport(filter, options));
+});
@@ -0,0 +1,149 @@
+import { strict as assert } from 'node:assert';
+import { readFile, writeFile } from 'node:fs/promises';
+
+import { Filter } from './filter.js';
+import { decodeNumber, encodeNumber } from './json.js';
+
+/**
+ * Version of the design and checkpoint file formats described by filtopt.schema.json
+ */
+export const FORMAT_VERSION = 1;
+
+/**
+ * Formats a JSON document with stable, line oriented output that diffs well under version control
+ * @param {Object} document
+ * @returns {string}
+ */
+function formatDocument(document) {
+    return JSON.stringify({ version: FORMAT_VERSION, ...document }, null, 2) + '\n';
+}
+
+/**
+ * Checks the kind and version of a parsed document
+ * @param {Object} document
+ * @param {string} kind - Expected "kind" of the document
+ * @returns {Object}
+ */
+function checkDocument(document, kind) {
+    assert(document instanceof Object && document.kind === kind, `Not a filtopt ${kind} document`);
+    assert(document.version === FORMAT_VERSION, `Unsupported ${kind} format version ${document.version}`);
+    return document;
+}
+
+/**
+ * Parses a JSON document, checking its kind and version
+ * @param {string} text
+ * @param {string} kind - Expected "kind" of the document
+ * @returns {Object}
+ */
+function parseDocument(text, kind) {
+    assert(typeof text === 'string');
+
+    return checkDocument(JSON.parse(text), kind);
+}
+
+/**
+ * Formats a filter design as a JSON document
+ * @param {Filter} filter
+ * @returns {string}
+ */
+export function formatFilter(filter) {
+    assert(filter instanceof Filter);
+
+    return formatDocument({ kind: 'filter', filter: filter.toJSON() });
+}
+
+/**
+ * Parses a filter design from a JSON document
+ * @param {string} text
+ * @returns {Filter}
+ */
+export function parseFilter(text) {
+    return Filter.fromJSON(parseDocument(text, 'filter').filter);
+}
+
+/**
+ * Creates a filter from an already parsed filter document, e.g. one read from YAML
+ * @param {Object} document
+ * @returns {Filter}
+ */
+export function filterFromDocument(document) {
+    return Filter.fromJSON(checkDocument(document, 'filter').filter);
+}
+
+/**
+ * Formats a snapshot of an optimization run as a JSON document
+ * @param {import('./optimizers.js').Checkpoint} checkpoint
+ * @returns {string}
+ */
+export function formatCheckpoint(checkpoint) {
+    assert(checkpoint.filter instanceof Filter);
+    assert(checkpoint.bestFilter instanceof Filter);
+
+    return formatDocument({
+        kind: 'checkpoint',
+        ...checkpoint,
+        objectiveValue: encodeNumber(checkpoint.objectiveValue),
+        bestObjectiveValue: encodeNumber(checkpoint.bestObjectiveValue),
+        filter: checkpoint.filter.toJSON(),
+        bestFilter: checkpoint.bestFilter.toJSON()
+    });
+}
+
+/**
+ * Parses a snapshot of an optimization run from a JSON document
+ * @param {string} text
+ * @returns {import('./optimizers.js').Checkpoint}
+ */
+export function parseCheckpoint(text) {
+    const document = parseDocument(text, 'checkpoint');
+    return {
+        strategy: document.strategy,
+        iteration: document.iteration,
+        temperature: document.temperature,
+        filter: Filter.fromJSON(document.filter),
+        objectiveValue: decodeNumber(document.objectiveValue),
+        bestFilter: Filter.fromJSON(document.bestFilter),
+        bestObjectiveValue: decodeNumber(document.bestObjectiveValue),
+        lastImprovement: document.lastImprovement,
+        randomState: document.randomState
+    };
+}
+
+/**
+ * Reads a filter design file
+ * @param {string} path
+ * @returns {Promise<Filter>}
+ */
+export async function readFilter(path) {
+    return parseFilter(await readFile(path, 'utf8'));
+}
+
+/**
+ * Writes a filter design file
+ * @param {string} path - Destination path, conventionally ending in ".json"
+ * @param {Filter} filter
+ * @returns {Promise<void>}
+ */
+export async function writeFilter(path, filter) {
+    await writeFile(path, formatFilter(filter));
+}
+
+/**
+ * Reads an optimization checkpoint file
+ * @param {string} path
+ * @returns {Promise<import('./optimizers.js').Checkpoint>}
+ */
+export async function readCheckpoint(path) {
+    return parseCheckpoint(await readFile(path, 'utf8'));
+}
+
+/**
+ * Writes an optimization checkpoint file
+ * @param {string} path - Destination path, conventionally ending in ".json"
+ * @param {import('./optimizers.js').Checkpoint} checkpoint
+ * @returns {Promise<void>}
+ */
+export async function writeCheckpoint(path, checkpoint) {
+    await writeFile(path, formatCheckpoint(checkpoint));
+}
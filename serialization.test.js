@@ -0,0 +1,144 @@
+import { test } from 'tap';
+
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Capacitor, Component, ComponentGroup, ComponentValue, Inductor, LossyCapacitor, LossyInductor } from './component.js';
+import { Filter, FilterStage, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { simulatedAnnealing } from './optimizers.js';
+import { makeRandom } from './random.js';
+import {
+    formatCheckpoint,
+    formatFilter,
+    parseCheckpoint,
+    parseFilter,
+    readCheckpoint,
+    readFilter,
+    writeCheckpoint,
+    writeFilter
+} from './serialization.js';
+import { Topology } from './topology.js';
+
+const makeFilter = () => new Filter(
+    Load.series(Load.resistor(50), Load.lossyInductor(1e-9, 0.1, 50, 1e6)),
+    Load.resistor(50),
+    [
+        new ShuntFilterStage(new Capacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10, true, true))),
+        new SeriesFilterStage(
+            new LossyInductor(ComponentValue.initializeComponent(1e-6, 1e-5, 1e-7), { dcr: 0.2, q: 40, qFrequency: 1e6 }),
+            new Capacitor(ComponentValue.fromCatalog([{ value: 1e-10, partNumber: 'C101' }, { value: 2.2e-10 }], 2e-10))),
+        new ShuntFilterStage(
+            ComponentGroup.series(new Inductor(1e-6), new LossyCapacitor(1e-9, { esr: 0.05, lossTangent: 1e-3 })),
+            new Component('resistor', 1e4, Load.resistor))
+    ]
+);
+
+const sameResponse = (t, actual, expected) => {
+    for (const angularFrequency of [1e5, 1e7, 1e9]) {
+        const a = actual.network.voltageGain(angularFrequency);
+        const b = expected.network.voltageGain(angularFrequency);
+        t.ok(a.sub(b).abs() <= 1e-12 * b.abs(), `gain at ${angularFrequency} rad/s`);
+    }
+};
+
+test('Test Serialization - Load Round Trip', (t) => {
+    const load = Load.parallel(
+        Load.lossyCapacitor(1e-9, 0.1, 1e-9, 1e-3),
+        Load.skinEffectResistor(2, 1e6),
+        Load.inductor(Infinity));
+
+    const json = JSON.parse(JSON.stringify(load));
+    t.equal(json.type, 'parallel');
+    t.equal(json.loads[2].value, 'Infinity');
+
+    const restored = Load.fromJSON(json);
+    t.same(restored.toJSON(), load.toJSON());
+    t.ok(restored.impedance(1e6).sub(load.impedance(1e6)).abs() < 1e-12);
+
+    t.throws(() => new Load(() => 1).toJSON());
+    t.throws(() => Load.fromJSON({ type: 'memristor', value: 1 }));
+
+    t.end();
+});
+
+test('Test Serialization - Filter Round Trip', (t) => {
+    const filter = makeFilter();
+    const restored = Filter.fromJSON(JSON.parse(JSON.stringify(filter)));
+
+    t.equal(restored.toString(), filter.toString());
+    t.same(restored.toJSON(), filter.toJSON());
+    sameResponse(t, restored, filter);
+
+    // Feasible values, the selected index and part numbers survive, so optimization can continue
+    const capacitor = restored.stages[0].components[0].componentValue;
+    t.equal(capacitor.feasibleValues[0], 0);
+    t.equal(capacitor.feasibleValues[capacitor.feasibleValues.length - 1], Infinity);
+    t.equal(capacitor.value, 1e-9);
+    t.equal(restored.stages[1].components[1].componentValue.partNumber, undefined);
+    t.equal(restored.stages[1].components[1].componentValue.withIndex(0).partNumber, 'C101');
+    t.equal(restored.stages[2].combination, 'parallel');
+    const { combination, ...uncombined } = filter.stages[0].toJSON();
+    t.equal(FilterStage.fromJSON(uncombined).combination, 'parallel');
+    t.ok(restored.stages[2].components[0] instanceof ComponentGroup);
+
+    // Updated components keep their models
+    const updated = filter.update(makeRandom(1));
+    sameResponse(t, Filter.fromJSON(JSON.parse(JSON.stringify(updated))), updated);
+
+    t.throws(() => new Filter(Load.resistor(50), Load.resistor(50), [new SeriesFilterStage(new Component('custom', 1, Load.capacitor.bind(Load)))]).toJSON());
+
+    t.end();
+});
+
+test('Test Serialization - Documents', (t) => {
+    const filter = makeFilter().withTopology(new Topology({ maxStages: 5 }));
+    const text = formatFilter(filter);
+
+    t.match(text, /^\{\n {2}"version": 1,\n {2}"kind": "filter",/);
+    t.ok(text.endsWith('}\n'));
+    const restored = parseFilter(text);
+    t.equal(restored.topology.maxStages, 5);
+    t.equal(formatFilter(restored), text);
+
+    t.throws(() => parseFilter(text.replace('"version": 1', '"version": 2')));
+    t.throws(() => parseFilter(text.replace('"kind": "filter"', '"kind": "checkpoint"')));
+
+    t.end();
+});
+
+test('Test Serialization - Checkpoint And Resume', async (t) => {
+    const objective = (network) => Math.abs(network.voltageGain(2 * Math.PI * 1e6).abs() - 0.3);
+    const options = { initialTemperature: 0.1, coolingRate: 0.01, iterations: 200, checkpointInterval: 50 };
+
+    const checkpoints = [];
+    const uninterrupted = simulatedAnnealing(makeFilter(), objective, {
+        ...options,
+        random: makeRandom(4),
+        onCheckpoint: (checkpoint) => checkpoints.push(formatCheckpoint(checkpoint))
+    });
+    t.equal(checkpoints.length, 4);
+
+    // Resuming half way through from a saved checkpoint repeats the rest of the run exactly
+    const checkpoint = parseCheckpoint(checkpoints[1]);
+    t.equal(checkpoint.iteration, 100);
+    const resumed = simulatedAnnealing(makeFilter(), objective, {
+        ...options,
+        random: makeRandom(checkpoint.randomState),
+        resume: checkpoint
+    });
+    t.same(resumed.toJSON(), uninterrupted.toJSON());
+
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+
+    await writeCheckpoint(join(directory, 'checkpoint.json'), checkpoint);
+    t.equal(await readFile(join(directory, 'checkpoint.json'), 'utf8'), checkpoints[1]);
+    t.same((await readCheckpoint(join(directory, 'checkpoint.json'))).bestFilter.toJSON(), checkpoint.bestFilter.toJSON());
+
+    await writeFilter(join(directory, 'filter.json'), uninterrupted);
+    t.same((await readFilter(join(directory, 'filter.json'))).toJSON(), uninterrupted.toJSON());
+
+    t.throws(() => simulatedAnnealing(makeFilter(), objective, { ...options, resume: { strategy: 'geneticAlgorithm' } }));
+});
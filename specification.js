@@ -0,0 +1,211 @@
+import { strict as assert } from 'node:assert';
+
+import { FrequencySweep } from './sweep.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+/**
+ * A single requirement of a filter mask. Frequencies are in hertz.
+ * @typedef {Object} Constraint
+ * @property {string} type - One of "ripple", "attenuation", "returnLoss" or "groupDelay"
+ * @property {number} minFrequency - Lower edge of the band the constraint applies to
+ * @property {number} maxFrequency - Upper edge of the band the constraint applies to
+ * @property {number} [maxRipple] - "ripple": Maximum peak to peak gain variation in dB
+ * @property {number} [minAttenuation] - "attenuation": Minimum attenuation in dB below the passband peak gain
+ * @property {number} [minReturnLoss] - "returnLoss": Minimum input return loss in dB
+ * @property {number} [maxVariation] - "groupDelay": Maximum peak to peak group delay variation in seconds
+ * @property {number} [weight] - Multiplier applied to the constraint's penalty
+ * @property {number} [samples] - Number of frequency samples, overriding the specification default
+ */
+
+/**
+ * A filter mask made of named constraints
+ * @typedef {Object<string, Constraint>} Specification
+ */
+
+/**
+ * Options for evaluating a specification
+ * @typedef {Object} SpecificationOptions
+ * @property {number} [referenceImpedance] - Impedance terminating both ports of networks evaluated without their filter, for return loss
+ * @property {number} [nTestSamples] - Default number of frequency samples per constraint
+ */
+
+/**
+ * Result of evaluating a specification
+ * @typedef {Object} SpecificationReport
+ * @property {number} penalty - Weighted sum of all constraint violations, zero when the mask is met
+ * @property {Object<string, number>} violations - Amount by which each failing constraint is violated, by name
+ */
+
+const CONSTRAINT_LIMITS = {
+    ripple: 'maxRipple',
+    attenuation: 'minAttenuation',
+    returnLoss: 'minReturnLoss',
+    groupDelay: 'maxVariation'
+};
+
+/**
+ * Generates evenly spaced angular frequencies covering a band, including both edges
+ * @param {Constraint} constraint
+ * @param {number} nSamples
+ * @returns {Array<number>}
+ */
+function bandAngularFrequencies(constraint, nSamples) {
+    const minAngularFrequency = 2 * Math.PI * constraint.minFrequency;
+    const maxAngularFrequency = 2 * Math.PI * constraint.maxFrequency;
+    return Array.from(
+        { length: nSamples },
+        (_, i) => minAngularFrequency + i * (maxAngularFrequency - minAngularFrequency) / (nSamples - 1));
+}
+
+/**
+ * Estimates group delay at the midpoints between adjacent frequency samples from the change in phase
+ * @param {Float64Array} angularFrequencies
+ * @param {Float64Array} phases - Wrapped phase of the gain at each frequency in radians
+ * @returns {Array<number>}
+ */
+function groupDelays(angularFrequencies, phases) {
+    const delays = [];
+    for (let i = 1; i < phases.length; i++) {
+        let phaseChange = phases[i] - phases[i - 1];
+        // Unwrap jumps across the branch cut of arg()
+        phaseChange -= 2 * Math.PI * Math.round(phaseChange / (2 * Math.PI));
+        delays.push(-phaseChange / (angularFrequencies[i] - angularFrequencies[i - 1]));
+    }
+    return delays;
+}
+
+/**
+ * Checks that a specification is well formed
+ * @param {Specification} specification
+ */
+function validateSpecification(specification) {
+    assert(specification instanceof Object);
+    assert(Object.keys(specification).length > 0, 'Specification has no constraints');
+
+    for (const [name, constraint] of Object.entries(specification)) {
+        const limit = CONSTRAINT_LIMITS[constraint.type];
+        assert(limit, `Constraint "${name}" has unknown type ${constraint.type}`);
+        assert(constraint[limit] >= 0, `Constraint "${name}" needs a ${limit}`);
+        assert(constraint.minFrequency > 0, `Constraint "${name}" needs a minFrequency`);
+        assert(constraint.maxFrequency > constraint.minFrequency, `Constraint "${name}" needs a maxFrequency above its minFrequency`);
+        assert(constraint.type !== 'groupDelay' || constraint.maxVariation > 0, `Constraint "${name}" needs a non-zero maxVariation`);
+        assert((constraint.weight ?? 1) >= 0);
+    }
+}
+
+/**
+ * Measures the constraint violations of a network against a validated specification
+ * @param {Specification} specification
+ * @param {function(string): import('./sweep.js').SweepResult} response - The response over the band of each constraint, by name
+ * @param {function(string): import('./sweep.js').ComplexBuffer} reflection - The input reflection coefficient over the band of each constraint, by name
+ * @returns {SpecificationReport}
+ */
+function evaluate(specification, response, reflection) {
+    const entries = Object.entries(specification);
+
+    let peakPassbandGain;
+    const passbandGains = {};
+    for (const [name, constraint] of entries) {
+        if (constraint.type !== 'ripple')
+            continue;
+        passbandGains[name] = response(name).gainDb();
+        peakPassbandGain = Math.max(peakPassbandGain ?? -Infinity, ...passbandGains[name]);
+    }
+
+    let penalty = 0;
+    const violations = {};
+    for (const [name, constraint] of entries) {
+        let violation;
+        switch (constraint.type) {
+            case 'ripple': {
+                const gains = passbandGains[name];
+                violation = Math.max(...gains) - Math.min(...gains) - constraint.maxRipple;
+                break;
+            }
+            case 'attenuation': {
+                const peakStopbandGain = Math.max(...response(name).gainDb());
+                violation = constraint.minAttenuation - ((peakPassbandGain ?? 0) - peakStopbandGain);
+                break;
+            }
+            case 'returnLoss': {
+                const { re, im } = reflection(name);
+                const worstReturnLoss = Math.min(...re.map((_, i) => -10 * Math.log10(re[i] * re[i] + im[i] * im[i])));
+                violation = constraint.minReturnLoss - worstReturnLoss;
+                break;
+            }
+            case 'groupDelay': {
+                const sweep = response(name);
+                const delays = groupDelays(sweep.angularFrequencies, sweep.phase());
+                violation = (Math.max(...delays) - Math.min(...delays) - constraint.maxVariation) / constraint.maxVariation;
+                break;
+            }
+        }
+
+        // NaN arises from degenerate networks, e.g. an open circuit, and counts as a failure
+        if (Number.isNaN(violation))
+            violation = Infinity;
+        if (violation > 0) {
+            violations[name] = violation;
+            penalty += (constraint.weight ?? 1) * violation;
+        }
+    }
+
+    return { penalty, violations };
+}
+
+/**
+ * Creates a function that measures the constraint violations of networks against a specification.
+ * Given the filter a network was made from, the filter is evaluated over each band at once by a FrequencySweep,
+ * which caches the stages that neighboring filters share. Its gains include its input and output loads, while its
+ * return loss is that of its stages between those loads, from the power wave reflection coefficient. Without the
+ * filter, the network's return loss is measured with both ports in the reference impedance.
+ * @param {Specification} specification
+ * @param {SpecificationOptions} options
+ * @returns {function(TwoPortNetwork, import('./filter.js').Filter=): SpecificationReport}
+ */
+export function makeSpecificationEvaluator(specification, { referenceImpedance = 50, nTestSamples = 20 } = {}) {
+    validateSpecification(specification);
+    assert(nTestSamples >= 2);
+
+    const sweeps = Object.fromEntries(Object.entries(specification).map(([name, constraint]) =>
+        [name, new FrequencySweep(bandAngularFrequencies(constraint, constraint.samples ?? nTestSamples))]));
+
+    return (network, filter = undefined) => {
+        assert(network instanceof TwoPortNetwork);
+
+        if (filter === undefined) {
+            const response = (name) => sweeps[name].evaluate(network);
+            return evaluate(specification, response, (name) => response(name).reflection(referenceImpedance));
+        }
+        return evaluate(
+            specification,
+            (name) => sweeps[name].network(filter),
+            (name) => sweeps[name].stagesNetwork(filter).inputReflectionCoefficient(filter.inputLoad, filter.outputLoad));
+    };
+}
+
+/**
+ * Evaluates how far a network is from meeting a specification.
+ * Gain and return loss violations are measured in dB. Group delay violations are measured
+ * relative to the allowed variation. Attenuation is measured from the peak gain in the
+ * "ripple" bands, or from 0 dB when the specification has none.
+ * @param {Specification} specification
+ * @param {TwoPortNetwork} network
+ * @param {SpecificationOptions} options
+ * @returns {SpecificationReport}
+ */
+export function evaluateSpecification(specification, network, options = {}) {
+    return makeSpecificationEvaluator(specification, options)(network);
+}
+
+/**
+ * Creates an objective function that penalizes violations of a filter mask
+ * @param {Specification} specification
+ * @param {SpecificationOptions} options
+ * @returns {import('./optimize.js').ObjectiveFunction}
+ */
+export function makeSpecificationObjective(specification, options = {}) {
+    const evaluator = makeSpecificationEvaluator(specification, options);
+
+    return (network, filter) => evaluator(network, filter).penalty;
+}
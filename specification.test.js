@@ -0,0 +1,85 @@
+import { test } from 'tap';
+
+import { Capacitor } from './component.js';
+import { Filter, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { evaluateSpecification, makeSpecificationEvaluator, makeSpecificationObjective } from './specification.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+// First order RC lowpass with a -3 dB angular frequency of 1 rad/s
+const lowpass = TwoPortNetwork.lSection(Load.resistor(1), Load.capacitor(1));
+const cutoff = 1 / (2 * Math.PI);
+
+test('Test Specification - Mask Met', (t) => {
+    const report = evaluateSpecification({
+        passband: { type: 'ripple', minFrequency: cutoff / 100, maxFrequency: cutoff, maxRipple: 3.1 },
+        stopband: { type: 'attenuation', minFrequency: cutoff * 100, maxFrequency: cutoff * 1000, minAttenuation: 39 }
+    }, lowpass);
+
+    t.equal(report.penalty, 0);
+    t.same(report.violations, {});
+
+    t.end();
+});
+
+test('Test Specification - Named Violations', (t) => {
+    const specification = {
+        passband: { type: 'ripple', minFrequency: cutoff / 100, maxFrequency: cutoff, maxRipple: 1 },
+        stopband: { type: 'attenuation', minFrequency: cutoff * 10, maxFrequency: cutoff * 100, minAttenuation: 30, weight: 2 },
+        delay: { type: 'groupDelay', minFrequency: cutoff / 100, maxFrequency: cutoff, maxVariation: 0.1, samples: 200 }
+    };
+    const report = evaluateSpecification(specification, lowpass);
+
+    t.ok(Math.abs(report.violations.passband - (10 * Math.log10(2) - 1)) < 0.01);
+    t.ok(Math.abs(report.violations.stopband - (30 - 10 * Math.log10(101) + 10 * Math.log10(1.0001))) < 0.01);
+    // Group delay falls from 1 s to 0.5 s across the passband
+    t.ok(Math.abs(report.violations.delay - 4) < 0.05);
+
+    const objective = makeSpecificationObjective(specification);
+    t.ok(Math.abs(objective(lowpass) - report.penalty) < 1e-12);
+    t.ok(report.penalty > report.violations.passband + report.violations.stopband + report.violations.delay);
+
+    t.end();
+});
+
+test('Test Specification - Return Loss', (t) => {
+    const report = evaluateSpecification({
+        match: { type: 'returnLoss', minFrequency: 1, maxFrequency: 10, minReturnLoss: 20 }
+    }, TwoPortNetwork.series(Load.resistor(100)), { referenceImpedance: 50 });
+
+    t.ok(Math.abs(report.violations.match - (20 - 20 * Math.log10(2))) < 1e-9);
+
+    t.end();
+});
+
+test('Test Specification - Filters and Degenerate Networks', (t) => {
+    // Without a passband, attenuation is measured from 0 dB
+    const stopband = { stopband: { type: 'attenuation', minFrequency: cutoff * 100, maxFrequency: cutoff * 1000, minAttenuation: 50 } };
+    t.ok(Math.abs(evaluateSpecification(stopband, lowpass).violations.stopband - (50 - 40)) < 0.01);
+
+    // Filters are evaluated including their terminations
+    const filter = new Filter(Load.resistor(1), Load.resistor(1e12), [new ShuntFilterStage(new Capacitor(1))]);
+    const report = makeSpecificationEvaluator(stopband)(filter.network, filter);
+    t.ok(Math.abs(report.violations.stopband - (50 - 40)) < 0.01);
+
+    // Return loss is measured between the terminations, so a matched through meets any return loss
+    const match = { match: { type: 'returnLoss', minFrequency: 1, maxFrequency: 10, minReturnLoss: 20 } };
+    const through = new Filter(Load.resistor(50), Load.resistor(50), []);
+    t.equal(makeSpecificationEvaluator(match)(through.network, through).penalty, 0);
+    const mismatched = new Filter(Load.resistor(50), Load.resistor(150), []);
+    t.ok(Math.abs(makeSpecificationEvaluator(match)(mismatched.network, mismatched).violations.match - (20 - 6.02)) < 0.01);
+
+    // An open circuit's return loss is undefined, and counts as a failure
+    const open = evaluateSpecification(match, TwoPortNetwork.series(Load.capacitor(0)));
+    t.equal(open.violations.match, Infinity);
+
+    t.end();
+});
+
+test('Test Specification - Validation', (t) => {
+    t.throws(() => makeSpecificationObjective({}));
+    t.throws(() => makeSpecificationObjective({ bad: { type: 'ripple', minFrequency: 1, maxFrequency: 2 } }));
+    t.throws(() => makeSpecificationObjective({ bad: { type: 'unknown', minFrequency: 1, maxFrequency: 2 } }));
+
+    t.end();
+});
@@ -0,0 +1,352 @@
+import { strict as assert } from 'node:assert';
+import { writeFile } from 'node:fs/promises';
+
+import { BIQUAD_TOPOLOGIES } from './biquad.js';
+import { BiquadStage, Filter, SeriesFilterStage, ShuntFilterStage, TransformerStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { makeTransformer } from './transformer.js';
+import { SPEED_OF_LIGHT, makeLine } from './transmissionLine.js';
+
+// A skin effect resistor is written as its resistance at the frequency it was specified at, e.g. an inductor's qFrequency
+const ELEMENT_PREFIXES = { resistor: 'R', capacitor: 'C', inductor: 'L', skinEffectResistor: 'R' };
+
+/**
+ * Open-loop gain written for ideal op-amps, as SPICE has no ideal op-amp
+ */
+const IDEAL_OPAMP_GAIN = 1e6;
+
+/**
+ * Resistance of the RC filter that gives op-amps with a finite gain-bandwidth product their dominant pole
+ */
+const OPAMP_POLE_RESISTANCE = 1e3;
+
+/**
+ * Formats a component value as a SPICE number, trimming floating point noise
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Accumulates SPICE element cards while allocating unique element and node names
+ */
+class NetlistBuilder {
+    /**
+     * @param {number} [lossFrequency] - Frequency in hertz at which dielectric losses are converted to resistances
+     */
+    constructor(lossFrequency = undefined) {
+        this.lossFrequency = lossFrequency;
+        this.lines = [];
+        this.elementCounts = {};
+        this.nodeCount = 0;
+    }
+
+    /**
+     * Allocates a new internal node name
+     * @returns {string}
+     */
+    node() {
+        this.nodeCount++;
+        return `n${this.nodeCount}`;
+    }
+
+    /**
+     * Adds an element card
+     * @param {string} prefix - SPICE element letter, e.g. "R"
+     * @param {string} positiveNode
+     * @param {string} negativeNode
+     * @param {string} value
+     */
+    element(prefix, positiveNode, negativeNode, value) {
+        this.elementCounts[prefix] = (this.elementCounts[prefix] ?? 0) + 1;
+        this.lines.push(`${prefix}${this.elementCounts[prefix]} ${positiveNode} ${negativeNode} ${value}`);
+    }
+
+    /**
+     * Connects two nodes together with a zero volt source
+     * @param {string} positiveNode
+     * @param {string} negativeNode
+     */
+    short(positiveNode, negativeNode) {
+        this.element('V', positiveNode, negativeNode, 'DC 0');
+    }
+
+    /**
+     * Adds a lossless transmission line between an input and an output port
+     * @param {import('./transmissionLine.js').LineParameters} parameters
+     * @param {Array<string>} inputNodes - Positive and negative node of the input port
+     * @param {Array<string>} outputNodes - Positive and negative node of the output port
+     */
+    line(parameters, inputNodes, outputNodes) {
+        const { characteristicImpedance, velocityFactor, length, lossless } = makeLine(parameters);
+        assert(lossless, 'Only lossless transmission lines can be exported to SPICE');
+
+        const delay = length / (velocityFactor * SPEED_OF_LIGHT);
+        this.element('T', inputNodes.join(' '), outputNodes.join(' '),
+            `Z0=${formatValue(characteristicImpedance)} TD=${formatValue(delay)}`);
+    }
+
+    /**
+     * Adds a transformer's equivalent circuit between an input and an output port.
+     * SPICE has no ideal transformer, so the magnetizing inductance is a pair of perfectly coupled inductors.
+     * @param {import('./transformer.js').TransformerParameters} parameters
+     * @param {Array<string>} inputNodes - Positive and negative node of the input port
+     * @param {Array<string>} outputNodes - Positive and negative node of the output port
+     */
+    transformer(parameters, [input, inputReference], [output, outputReference]) {
+        const circuit = makeTransformer(parameters);
+        assert(Number.isFinite(circuit.magnetizingInductance), 'Only transformers with a magnetizing inductance can be exported to SPICE');
+
+        const primary = this.winding(circuit.primaryResistance, circuit.primaryLeakageInductance, input);
+        const secondary = this.winding(circuit.secondaryResistance, circuit.secondaryLeakageInductance, output);
+        if (Number.isFinite(circuit.coreResistance))
+            this.element('R', primary, inputReference, formatValue(circuit.coreResistance));
+        this.element('L', primary, inputReference, formatValue(circuit.magnetizingInductance));
+        const primaryInductor = `L${this.elementCounts.L}`;
+        this.element('L', secondary, outputReference, formatValue(circuit.magnetizingInductance / circuit.turnsRatio ** 2));
+        this.element('K', primaryInductor, `L${this.elementCounts.L}`, '1');
+    }
+
+    /**
+     * Adds an active biquad section between an input node and an output node, both referenced to ground
+     * @param {string} topology - A key of BIQUAD_TOPOLOGIES
+     * @param {Array<Load>} loads - One for each of the section's components
+     * @param {Object} options - The stage's options
+     * @param {import('./biquad.js').OpampModel} [options.opamp]
+     * @param {string} [options.output]
+     * @param {string} inputNode
+     * @param {string} outputNode
+     */
+    biquad(topology, loads, { opamp = {}, output = undefined }, inputNode, outputNode) {
+        const section = BIQUAD_TOPOLOGIES[topology];
+        // The section's internal nodes are renamed to new nodes of the netlist
+        const nodeNames = new Map([['in', inputNode], [output ?? section.outputs?.[0] ?? 'out', outputNode], ['0', '0']]);
+        const rename = (name) => {
+            if (!nodeNames.has(name))
+                nodeNames.set(name, this.node());
+            return nodeNames.get(name);
+        };
+
+        for (const element of section.netlist(loads, opamp)) {
+            const nodes = element.nodes.map(rename);
+            if (element.type === 'opamp')
+                this.opamp(element, nodes);
+            else
+                this.load(element.load, ...nodes);
+        }
+    }
+
+    /**
+     * Adds an op-amp as a voltage controlled voltage source driving its output from ground.
+     * A finite gain-bandwidth product becomes a single-pole RC filter between the source and a unity gain buffer.
+     * @param {import('./biquad.js').OpampModel} model
+     * @param {Array<string>} nodes - Non-inverting input, inverting input and output
+     */
+    opamp({ gain = Infinity, gainBandwidth = Infinity }, [plus, minus, output]) {
+        const openLoopGain = Number.isFinite(gain) ? gain : IDEAL_OPAMP_GAIN;
+        if (!Number.isFinite(gainBandwidth)) {
+            this.element('E', output, '0', `${plus} ${minus} ${formatValue(openLoopGain)}`);
+            return;
+        }
+
+        // The pole at gainBandwidth / openLoopGain keeps the gain-bandwidth product
+        const amplified = this.node();
+        const pole = this.node();
+        this.element('E', amplified, '0', `${plus} ${minus} ${formatValue(openLoopGain)}`);
+        this.element('R', amplified, pole, formatValue(OPAMP_POLE_RESISTANCE));
+        this.element('C', pole, '0', formatValue(openLoopGain / (2 * Math.PI * gainBandwidth * OPAMP_POLE_RESISTANCE)));
+        this.element('E', output, '0', `${pole} 0 1`);
+    }
+
+    /**
+     * Adds the resistance and leakage inductance of a transformer winding in series with a port
+     * @param {number} resistance
+     * @param {number} leakageInductance
+     * @param {string} node - Port node
+     * @returns {string} - Node at the far end of the winding
+     */
+    winding(resistance, leakageInductance, node) {
+        const loads = [Load.resistor(resistance), Load.inductor(leakageInductance)].filter((load) => load.definition.value > 0);
+        if (loads.length === 0)
+            return node;
+
+        const end = this.node();
+        this.load(Load.series(...loads), node, end);
+        return end;
+    }
+
+    /**
+     * Adds the elements making up a load between two nodes
+     * @param {Load} load
+     * @param {string} positiveNode
+     * @param {string} negativeNode
+     */
+    load(load, positiveNode, negativeNode) {
+        assert(load instanceof Load);
+        const definition = load.definition;
+        assert(definition, 'Only loads built from resistors, capacitors, inductors and stubs can be exported to SPICE');
+
+        switch (definition.type) {
+            case 'series': {
+                let node = positiveNode;
+                definition.loads.forEach((subLoad, index) => {
+                    const nextNode = index === definition.loads.length - 1 ? negativeNode : this.node();
+                    this.load(subLoad, node, nextNode);
+                    node = nextNode;
+                });
+                if (definition.loads.length === 0)
+                    this.short(positiveNode, negativeNode);
+                return;
+            }
+            case 'parallel':
+                for (const subLoad of definition.loads)
+                    this.load(subLoad, positiveNode, negativeNode);
+                return;
+            case 'openStub': {
+                // The open end still needs a path to ground for SPICE's operating point
+                const { type, ...parameters } = definition;
+                const openNode = this.node();
+                this.line(parameters, [positiveNode, negativeNode], [openNode, negativeNode]);
+                this.element('R', openNode, negativeNode, '1e12');
+                return;
+            }
+            case 'shortStub': {
+                const { type, ...parameters } = definition;
+                this.line(parameters, [positiveNode, negativeNode], [negativeNode, negativeNode]);
+                return;
+            }
+            case 'dielectric': {
+                // The loss conductance grows with frequency, so it is written as the equivalent series resistance and
+                // capacitance at the loss frequency
+                assert(this.lossFrequency > 0, 'Dielectric losses can only be exported to SPICE at a given loss frequency');
+                const { value: capacitance, lossTangent } = definition;
+                const dissipation = 1 + lossTangent ** 2;
+                if (capacitance > 0) {
+                    const resistance = lossTangent / (2 * Math.PI * this.lossFrequency * capacitance * dissipation);
+                    this.load(Load.series(Load.resistor(resistance), Load.capacitor(capacitance * dissipation)), positiveNode, negativeNode);
+                }
+                return;
+            }
+        }
+
+        const prefix = ELEMENT_PREFIXES[definition.type];
+        assert(prefix, `Cannot export a ${definition.type} load to SPICE`);
+
+        // Degenerate values act as open or short circuits
+        const isShort = (definition.type === 'capacitor' && definition.value === Infinity)
+            || (definition.type !== 'capacitor' && definition.value === 0);
+        const isOpen = (definition.type === 'capacitor' && definition.value === 0)
+            || (definition.type !== 'capacitor' && definition.value === Infinity);
+        if (isShort)
+            this.short(positiveNode, negativeNode);
+        else if (!isOpen)
+            this.element(prefix, positiveNode, negativeNode, formatValue(definition.value));
+    }
+}
+
+/**
+ * AC analysis settings for an exported netlist
+ * @typedef {Object} SpiceAcAnalysis
+ * @property {number} startFrequency - Sweep start frequency in hertz
+ * @property {number} stopFrequency - Sweep stop frequency in hertz
+ * @property {number} [pointsPerDecade] - Number of sweep points per decade
+ */
+
+/**
+ * Options for SPICE export
+ * @typedef {Object} SpiceOptions
+ * @property {string} [name] - Subcircuit name
+ * @property {string} [title] - Netlist title line
+ * @property {SpiceAcAnalysis} [analysis] - Adds an AC analysis card when given
+ * @property {number} [lossFrequency] - Frequency in hertz at which dielectric losses are modelled, by default the
+ * geometric mean of the analysis' start and stop frequencies
+ */
+
+/**
+ * Formats a filter as a SPICE netlist.
+ * The filter stages are written as a subcircuit between nodes "in" and "out",
+ * driven from a unit AC source through the input load and terminated by the output load.
+ * @param {Filter} filter
+ * @param {SpiceOptions} options
+ * @returns {string}
+ */
+export function formatSpiceNetlist(filter, {
+    name = 'FILTER',
+    title = 'filtopt filter',
+    analysis,
+    lossFrequency = analysis && Math.sqrt(analysis.startFrequency * analysis.stopFrequency)
+} = {}) {
+    assert(filter instanceof Filter);
+    assert(/^\w+$/.test(name), 'Subcircuit names must be alphanumeric');
+
+    const subcircuit = new NetlistBuilder(lossFrequency);
+    // Series stages, transmission lines, transformers and biquads each lead to a new node
+    const isSeries = (stage) => stage instanceof SeriesFilterStage || stage instanceof TransmissionLineStage
+        || stage instanceof TransformerStage || stage instanceof BiquadStage;
+    const seriesStageCount = filter.stages.filter(isSeries).length;
+    let seriesStagesSeen = 0;
+    let node = 'in';
+    for (const stage of filter.stages) {
+        if (isSeries(stage)) {
+            seriesStagesSeen++;
+            const nextNode = seriesStagesSeen === seriesStageCount ? 'out' : subcircuit.node();
+            if (stage instanceof TransmissionLineStage)
+                subcircuit.line(stage.lineParameters(), [node, '0'], [nextNode, '0']);
+            else if (stage instanceof TransformerStage)
+                subcircuit.transformer(stage.transformerParameters(), [node, '0'], [nextNode, '0']);
+            else if (stage instanceof BiquadStage)
+                subcircuit.biquad(stage.topology, stage.components.map((component) => component.load()), stage.options, node, nextNode);
+            else
+                subcircuit.load(stage.load(), node, nextNode);
+            node = nextNode;
+        } else {
+            assert(stage instanceof ShuntFilterStage, 'Only series, shunt, transmission line, transformer and biquad stages can be exported to SPICE');
+            subcircuit.load(stage.load(), node, '0');
+        }
+    }
+    if (seriesStageCount === 0)
+        subcircuit.short('in', 'out');
+
+    const testbench = new NetlistBuilder(lossFrequency);
+    testbench.element('V', 'source', '0', 'DC 0 AC 1');
+    testbench.load(filter.inputLoad, 'source', 'in');
+    testbench.lines.push(`X1 in out ${name}`);
+    testbench.load(filter.outputLoad, 'out', '0');
+
+    const lines = [
+        `* ${title}`,
+        ...filter.toString().split('\n').filter((line) => line.length > 0).map((line) => `* ${line}`),
+        `.SUBCKT ${name} in out`,
+        ...subcircuit.lines,
+        `.ENDS ${name}`,
+        ...testbench.lines
+    ];
+
+    if (analysis) {
+        const { startFrequency, stopFrequency, pointsPerDecade = 100 } = analysis;
+        assert(startFrequency > 0);
+        assert(stopFrequency >= startFrequency);
+        assert(pointsPerDecade > 0);
+
+        lines.push(
+            `.AC DEC ${pointsPerDecade} ${formatValue(startFrequency)} ${formatValue(stopFrequency)}`,
+            '.PRINT AC VDB(out) VP(out)'
+        );
+    }
+
+    lines.push('.END');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a filter to a SPICE netlist file
+ * @param {string} path - Destination path, e.g. "filter.cir"
+ * @param {Filter} filter
+ * @param {SpiceOptions} options
+ * @returns {Promise<void>}
+ */
+export async function writeSpiceNetlist(path, filter, options = {}) {
+    await writeFile(path, formatSpiceNetlist(filter, options));
+}
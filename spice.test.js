@@ -0,0 +1,191 @@
+import { test } from 'tap';
+
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Capacitor, Component, ComponentGroup, ComponentValue, Inductor, LossyCapacitor, LossyInductor, OpenStub, ShortStub, TransmissionLine } from './component.js';
+import { BiquadStage, Filter, SeriesFilterStage, ShuntFilterStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { Netlist } from './netlist.js';
+import { formatSpiceNetlist, writeSpiceNetlist } from './spice.js';
+
+test('Test SPICE - Ladder Netlist', (t) => {
+    const filter = new Filter(
+        Load.resistor(50),
+        Load.resistor(50),
+        [
+            new ShuntFilterStage(new Capacitor(1e-9)),
+            new SeriesFilterStage(new Inductor(4.7e-6)),
+            new ShuntFilterStage(new Capacitor(2.2e-9), new Inductor(1e-6))
+        ]
+    );
+
+    const netlist = formatSpiceNetlist(filter, { analysis: { startFrequency: 1e3, stopFrequency: 1e7 } });
+    const lines = netlist.trim().split('\n');
+
+    t.ok(lines.includes('.SUBCKT FILTER in out'));
+    t.ok(lines.includes('C1 in 0 1e-9'));
+    t.ok(lines.includes('L1 in out 0.0000047'));
+    t.ok(lines.includes('C2 out 0 2.2e-9'));
+    t.ok(lines.includes('L2 out 0 0.000001'));
+    t.ok(lines.includes('V1 source 0 DC 0 AC 1'));
+    t.ok(lines.includes('R1 source in 50'));
+    t.ok(lines.includes('X1 in out FILTER'));
+    t.ok(lines.includes('R2 out 0 50'));
+    t.ok(lines.includes('.AC DEC 100 1000 10000000'));
+    t.equal(lines[lines.length - 1], '.END');
+
+    t.end();
+});
+
+test('Test SPICE - Degenerate Values', (t) => {
+    const filter = new Filter(
+        Load.series(Load.resistor(10), Load.inductor(1e-9)),
+        Load.resistor(50),
+        [new ShuntFilterStage(new Capacitor(0))]
+    );
+
+    const lines = formatSpiceNetlist(filter).trim().split('\n');
+
+    t.ok(lines.includes('V1 in out DC 0'));
+    t.notOk(lines.some((line) => line.startsWith('C1')));
+    t.ok(lines.includes('R1 source n1 10'));
+    t.ok(lines.includes('L1 n1 in 1e-9'));
+    t.notOk(lines.some((line) => line.startsWith('.AC')));
+
+    // Shorted series stages still lead to a new node, and an empty series load is a short
+    const shorted = formatSpiceNetlist(new Filter(Load.series(), Load.resistor(50), [
+        new SeriesFilterStage(new Inductor(0)),
+        new ShuntFilterStage(new Capacitor(Infinity)),
+        new SeriesFilterStage(new Inductor(1e-6))
+    ])).trim().split('\n');
+    t.ok(shorted.includes('V1 in n1 DC 0'));
+    t.ok(shorted.includes('V2 n1 0 DC 0'));
+    t.ok(shorted.includes('L1 n1 out 0.000001'));
+    t.ok(shorted.includes('V2 source in DC 0'));
+
+    t.end();
+});
+
+test('Test SPICE - Netlist File', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Capacitor(1e-9))]);
+    const path = join(directory, 'filter.cir');
+    await writeSpiceNetlist(path, filter, { name: 'LOWPASS' });
+    t.equal(await readFile(path, 'utf8'), formatSpiceNetlist(filter, { name: 'LOWPASS' }));
+});
+
+test('Test SPICE - Nested Combinations', (t) => {
+    // A trap: series capacitor and parallel tank to ground
+    const filter = new Filter(
+        Load.resistor(50),
+        Load.resistor(50),
+        [new ShuntFilterStage(new Capacitor(2e-9), ComponentGroup.parallel(new Inductor(1e-6), new Capacitor(1e-9))).withCombination('series')]
+    );
+
+    const lines = formatSpiceNetlist(filter).trim().split('\n');
+
+    t.ok(lines.includes('C1 in n1 2e-9'));
+    t.ok(lines.includes('L1 n1 0 0.000001'));
+    t.ok(lines.includes('C2 n1 0 1e-9'));
+
+    t.end();
+});
+
+test('Test SPICE - Transmission Lines', (t) => {
+    const filter = new Filter(
+        Load.resistor(50),
+        Load.resistor(50),
+        [
+            new ShuntFilterStage(new OpenStub(0.03, { characteristicImpedance: 50 })),
+            new TransmissionLineStage(new TransmissionLine(0.06, { characteristicImpedance: 100, velocityFactor: 0.5 })),
+            new ShuntFilterStage(new ShortStub(0.03, { characteristicImpedance: 50 }))
+        ]
+    );
+
+    const lines = formatSpiceNetlist(filter).trim().split('\n');
+
+    t.ok(lines.includes('T1 in 0 n1 0 Z0=50 TD=1.00069228559e-10'));
+    t.ok(lines.includes('R1 n1 0 1e12'));
+    t.ok(lines.includes('T2 in 0 out 0 Z0=100 TD=4.00276914238e-10'));
+    t.ok(lines.includes('T3 out 0 0 0 Z0=50 TD=1.00069228559e-10'));
+
+    const lossy = filter.withStage(1, new TransmissionLineStage(new TransmissionLine(0.06, { characteristicImpedance: 100, attenuation: 1 })));
+    t.throws(() => formatSpiceNetlist(lossy));
+
+    t.end();
+});
+
+test('Test SPICE - Lossy Components', (t) => {
+    const capacitor = new LossyCapacitor(1e-9, { lossTangent: 0.01 });
+    const filter = new Filter(
+        Load.resistor(50),
+        Load.resistor(50),
+        [
+            new ShuntFilterStage(capacitor),
+            new SeriesFilterStage(new LossyInductor(1e-6, { q: 50, qFrequency: 1e6 }))
+        ]
+    );
+
+    const lines = formatSpiceNetlist(filter, { lossFrequency: 1e6 }).trim().split('\n');
+
+    // The inductor's winding resistance is its resistance at qFrequency
+    t.ok(lines.includes('R2 in n2 0.125663706144'));
+    t.ok(lines.includes('L1 n2 out 0.000001'));
+
+    // The dielectric becomes a series resistance and capacitance with the same impedance at the loss frequency
+    const resistance = Number(lines.find((line) => line.startsWith('R1 in n1 ')).split(' ')[3]);
+    const capacitance = Number(lines.find((line) => line.startsWith('C1 n1 0 ')).split(' ')[3]);
+    const angularFrequency = 2 * Math.PI * 1e6;
+    const impedance = capacitor.load().impedance(angularFrequency);
+    t.ok(Math.abs(resistance - impedance.re) < 1e-9 * Math.abs(impedance.im));
+    t.ok(Math.abs(-1 / (angularFrequency * capacitance) - impedance.im) < 1e-9 * Math.abs(impedance.im));
+
+    // Without a loss frequency, the middle of the analysis is used
+    const analysed = formatSpiceNetlist(filter, { analysis: { startFrequency: 1e4, stopFrequency: 1e8 } });
+    t.ok(analysed.includes(`R1 in n1 ${resistance}`));
+    t.throws(() => formatSpiceNetlist(filter), /loss frequency/);
+
+    t.end();
+});
+
+test('Test SPICE - Biquad Stages', (t) => {
+    const component = (name, value, makeLoad) => new Component(name, ComponentValue.initializeComponent(value, value * 10, value / 10), makeLoad);
+    const components = [
+        component('R1', 1e4, Load.resistor), component('R2', 1e4, Load.resistor),
+        component('C1', 2e-9, Load.capacitor), component('C2', 1e-9, Load.capacitor)
+    ];
+    const angularFrequency = 2 * Math.PI * 1e4;
+
+    // Solving the exported cards again gives the stage's own response
+    const solve = (lines) => new Netlist(lines.filter((line) => /^[RCE]\d/.test(line)).map((line) => {
+        const [name, ...fields] = line.split(' ');
+        const value = Number(fields.at(-1));
+        return name.startsWith('E')
+            ? { type: 'vcvs', nodes: fields.slice(0, 4), gain: value }
+            : { type: name.startsWith('R') ? 'resistor' : 'capacitor', nodes: fields.slice(0, 2), value };
+    })).network('in', 'out').voltageGain(angularFrequency);
+
+    for (const opamp of [{}, { gain: 1e5, gainBandwidth: 1e6 }]) {
+        const stage = new BiquadStage('sallenKeyLowpass', components, { opamp });
+        const lines = formatSpiceNetlist(new Filter(Load.resistor(50), Load.resistor(50), [stage])).trim().split('\n');
+        const subcircuit = lines.slice(lines.indexOf('.SUBCKT FILTER in out') + 1, lines.indexOf('.ENDS FILTER'));
+        const expected = stage.network.voltageGain(angularFrequency);
+        t.ok(solve(subcircuit).sub(expected).abs() < 1e-5 * expected.abs(), JSON.stringify(opamp));
+    }
+
+    // The state-variable section's other outputs are internal nodes
+    const stateVariable = new BiquadStage('stateVariable', ['R1', 'R2', 'R3', 'R4', 'R5', 'R6', 'R7'].map((name) => component(name, 1e4, Load.resistor))
+        .concat([component('C1', 1e-9, Load.capacitor), component('C2', 1e-9, Load.capacitor)]), { output: 'bandpass' });
+    const lines = formatSpiceNetlist(new Filter(Load.resistor(50), Load.resistor(50), [stateVariable])).trim().split('\n');
+    t.equal(lines.filter((line) => line.startsWith('E')).length, 3);
+    t.ok(lines.some((line) => /^E\d out 0 0 n\d+ 1000000$/.test(line)));
+    // By default it outputs the low-pass response, from the last integrator
+    const lowpass = formatSpiceNetlist(new Filter(Load.resistor(50), Load.resistor(50), [new BiquadStage('stateVariable', stateVariable.components)])).trim().split('\n');
+    t.ok(lowpass.some((line) => /^E3 out 0 0 n\d+ 1000000$/.test(line)));
+
+    t.end();
+});
@@ -0,0 +1,552 @@
+import { strict as assert } from 'node:assert';
+
+import Complex from 'complex.js';
+
+import { BiquadStage, Filter, SeriesFilterStage, ShuntFilterStage, TransformerStage, TransmissionLineStage } from './filter.js';
+import { encodeNumbers } from './json.js';
+import Load from './load.js';
+import TwoPortNetwork, { TwoPortMatrix } from './twoPortNetwork.js';
+
+/**
+ * Real and imaginary parts of a complex quantity at each frequency of a sweep
+ * @typedef {Object} ComplexBuffer
+ * @property {Float64Array} re
+ * @property {Float64Array} im
+ */
+
+/**
+ * ABCD parameters at each frequency of a sweep
+ * @typedef {Object} AbcdBuffers
+ * @property {ComplexBuffer} a
+ * @property {ComplexBuffer} b
+ * @property {ComplexBuffer} c
+ * @property {ComplexBuffer} d
+ */
+
+/**
+ * Allocates a complex buffer
+ * @param {number} length
+ * @param {number} [re] - Initial real part
+ * @returns {ComplexBuffer}
+ */
+function complexBuffer(length, re = 0) {
+    return { re: new Float64Array(length).fill(re), im: new Float64Array(length) };
+}
+
+/**
+ * Evaluates the impedance of a load at every frequency of a sweep.
+ * Loads built from the primitive factories are evaluated directly on the buffers, others one frequency at a time.
+ * @param {Load} load
+ * @param {Float64Array} angularFrequencies
+ * @returns {ComplexBuffer}
+ */
+function loadImpedances(load, angularFrequencies) {
+    const n = angularFrequencies.length;
+    const result = complexBuffer(n);
+    const { type, value, lossTangent, referenceAngularFrequency, loads } = load.definition ?? {};
+    switch (type) {
+        case 'resistor':
+            result.re.fill(value);
+            return result;
+        case 'inductor':
+            for (let i = 0; i < n; i++)
+                result.im[i] = angularFrequencies[i] * value;
+            return result;
+        case 'capacitor':
+            for (let i = 0; i < n; i++)
+                result.im[i] = -1 / (angularFrequencies[i] * value);
+            return result;
+        case 'dielectric':
+            // 1 / ((tan δ + j) ω C)
+            for (let i = 0; i < n; i++) {
+                const x = lossTangent * angularFrequencies[i] * value;
+                const y = angularFrequencies[i] * value;
+                const magnitude = x * x + y * y;
+                result.re[i] = x / magnitude;
+                result.im[i] = -y / magnitude;
+            }
+            return result;
+        case 'skinEffectResistor':
+            for (let i = 0; i < n; i++)
+                result.re[i] = value * Math.sqrt(angularFrequencies[i] / referenceAngularFrequency);
+            return result;
+        case 'series':
+            for (const term of loads) {
+                const impedances = loadImpedances(term, angularFrequencies);
+                for (let i = 0; i < n; i++) {
+                    result.re[i] += impedances.re[i];
+                    result.im[i] += impedances.im[i];
+                }
+            }
+            return result;
+        case 'parallel': {
+            // Sum the admittances into the result, then invert it. Opens add nothing and shorts short the combination.
+            const shorted = new Uint8Array(n);
+            for (const term of loads) {
+                const impedances = loadImpedances(term, angularFrequencies);
+                for (let i = 0; i < n; i++) {
+                    const magnitude = impedances.re[i] * impedances.re[i] + impedances.im[i] * impedances.im[i];
+                    if (magnitude === 0)
+                        shorted[i] = 1;
+                    else if (Number.isFinite(magnitude)) {
+                        result.re[i] += impedances.re[i] / magnitude;
+                        result.im[i] -= impedances.im[i] / magnitude;
+                    }
+                }
+            }
+            for (let i = 0; i < n; i++) {
+                const magnitude = result.re[i] * result.re[i] + result.im[i] * result.im[i];
+                if (shorted[i]) {
+                    result.re[i] = 0;
+                    result.im[i] = 0;
+                } else if (magnitude === 0) {
+                    result.re[i] = Infinity;
+                } else {
+                    result.re[i] /= magnitude;
+                    result.im[i] = -result.im[i] / magnitude;
+                }
+            }
+            return result;
+        }
+    }
+
+    for (let i = 0; i < n; i++) {
+        const impedance = load.impedance(angularFrequencies[i]);
+        result.re[i] = impedance.re;
+        result.im[i] = impedance.im;
+    }
+    return result;
+}
+
+/**
+ * Evaluates a two-port network one frequency at a time
+ * @param {TwoPortNetwork} network
+ * @param {Float64Array} angularFrequencies
+ * @returns {AbcdBuffers}
+ */
+function networkAbcd(network, angularFrequencies) {
+    const n = angularFrequencies.length;
+    const abcd = { a: complexBuffer(n), b: complexBuffer(n), c: complexBuffer(n), d: complexBuffer(n) };
+    for (let i = 0; i < n; i++)
+        setAbcd(abcd, i, network.abcdMatrix(angularFrequencies[i]));
+    return abcd;
+}
+
+/**
+ * Describes a two-port stage well enough to cache its evaluation
+ * @param {import('./filter.js').FilterStage} stage
+ * @returns {string|undefined} - The cache key, or undefined for stages that cannot be cached
+ */
+function twoPortKey(stage) {
+    if (stage instanceof TransmissionLineStage)
+        return `line ${JSON.stringify(encodeNumbers(stage.lineParameters()))}`;
+    if (stage instanceof TransformerStage)
+        return `transformer ${JSON.stringify(encodeNumbers(stage.transformerParameters()))}`;
+    if (stage instanceof BiquadStage) {
+        // As with series and shunt loads, only components built from known elements can be described
+        const loads = stage.components.map((component) => component.load());
+        if (loads.every((load) => load.definition !== undefined))
+            return `biquad ${stage.topology} ${JSON.stringify(encodeNumbers(stage.options.opamp ?? {}))} ${stage.options.output} ${JSON.stringify(loads)}`;
+    }
+    return undefined;
+}
+
+/**
+ * Stores an ABCD matrix at one frequency of a sweep
+ * @param {AbcdBuffers} abcd
+ * @param {number} i
+ * @param {TwoPortMatrix} matrix
+ */
+function setAbcd(abcd, i, matrix) {
+    [['a', 0, 0], ['b', 0, 1], ['c', 1, 0], ['d', 1, 1]].forEach(([name, row, column]) => {
+        const element = matrix.get(row, column);
+        abcd[name].re[i] = element.re;
+        abcd[name].im[i] = element.im;
+    });
+}
+
+/**
+ * Evaluates the ABCD parameters of a series or shunt load, A = D = 1 with B = Z or C = 1 / Z.
+ * Frequencies where a series load is open or a shunt load is shorted are left non-finite for the caller to handle.
+ * @param {Load} load
+ * @param {boolean} series - Whether the load is in series, rather than in shunt
+ * @param {Float64Array} angularFrequencies
+ * @returns {AbcdBuffers}
+ */
+function elementAbcd(load, series, angularFrequencies) {
+    const n = angularFrequencies.length;
+    const impedances = loadImpedances(load, angularFrequencies);
+    const element = complexBuffer(n);
+    if (series) {
+        element.re.set(impedances.re);
+        element.im.set(impedances.im);
+    } else {
+        // Open shunt loads have no admittance, while shorts have an infinite one
+        for (let i = 0; i < n; i++) {
+            const magnitude = impedances.re[i] * impedances.re[i] + impedances.im[i] * impedances.im[i];
+            if (magnitude === 0)
+                element.re[i] = Infinity;
+            else if (Number.isFinite(magnitude)) {
+                element.re[i] = impedances.re[i] / magnitude;
+                element.im[i] = -impedances.im[i] / magnitude;
+            }
+        }
+    }
+    return {
+        a: complexBuffer(n, 1),
+        b: series ? element : complexBuffer(n),
+        c: series ? complexBuffer(n) : element,
+        d: complexBuffer(n, 1)
+    };
+}
+
+/**
+ * Multiplies two ABCD sweeps, frequency by frequency
+ * @param {AbcdBuffers} left
+ * @param {AbcdBuffers} right
+ * @returns {AbcdBuffers}
+ */
+function multiplyAbcd(left, right) {
+    const n = left.a.re.length;
+    const product = { a: complexBuffer(n), b: complexBuffer(n), c: complexBuffer(n), d: complexBuffer(n) };
+    const rows = [['a', 'b'], ['c', 'd']];
+    for (let row = 0; row < 2; row++) {
+        for (let column = 0; column < 2; column++) {
+            const [x1, x2] = [left[rows[row][0]], left[rows[row][1]]];
+            const [y1, y2] = [right[rows[0][column]], right[rows[1][column]]];
+            const result = product[rows[row][column]];
+            for (let i = 0; i < n; i++) {
+                result.re[i] = x1.re[i] * y1.re[i] - x1.im[i] * y1.im[i] + x2.re[i] * y2.re[i] - x2.im[i] * y2.im[i];
+                result.im[i] = x1.re[i] * y1.im[i] + x1.im[i] * y1.re[i] + x2.re[i] * y2.im[i] + x2.im[i] * y2.re[i];
+            }
+        }
+    }
+    return product;
+}
+
+/**
+ * Checks whether every ABCD parameter at a frequency is finite
+ * @param {AbcdBuffers} abcd
+ * @param {number} i
+ * @returns {boolean}
+ */
+function isFiniteAt(abcd, i) {
+    return Number.isFinite(abcd.a.re[i]) && Number.isFinite(abcd.a.im[i])
+        && Number.isFinite(abcd.b.re[i]) && Number.isFinite(abcd.b.im[i])
+        && Number.isFinite(abcd.c.re[i]) && Number.isFinite(abcd.c.im[i])
+        && Number.isFinite(abcd.d.re[i]) && Number.isFinite(abcd.d.im[i]);
+}
+
+/**
+ * The response of a two-port network over a sweep, held as ABCD parameters in typed arrays.
+ * Its methods mirror those of TwoPortNetwork, giving one value per frequency.
+ */
+export class SweepResult {
+    /**
+     * @param {Float64Array} angularFrequencies
+     * @param {AbcdBuffers} abcd
+     */
+    constructor(angularFrequencies, abcd) {
+        this.angularFrequencies = angularFrequencies;
+        this.abcd = abcd;
+    }
+
+    get length() {
+        return this.angularFrequencies.length;
+    }
+
+    /**
+     * Gets the ABCD matrix at one frequency of the sweep
+     * @param {number} i - Index of the frequency
+     * @returns {TwoPortMatrix}
+     */
+    abcdMatrix(i) {
+        const { a, b, c, d } = this.abcd;
+        const element = ({ re, im }) => new Complex(re[i], im[i]);
+        return new TwoPortMatrix([[element(a), element(b)], [element(c), element(d)]]);
+    }
+
+    /**
+     * Gets the voltage gain 1 / A at each frequency
+     * @returns {ComplexBuffer}
+     */
+    voltageGain() {
+        const { re, im } = this.abcd.a;
+        const gain = complexBuffer(this.length);
+        for (let i = 0; i < this.length; i++) {
+            // An infinite A, from an open in series, passes nothing
+            const magnitude = re[i] * re[i] + im[i] * im[i];
+            gain.re[i] = magnitude === Infinity ? 0 : re[i] / magnitude;
+            gain.im[i] = magnitude === Infinity ? 0 : -im[i] / magnitude;
+        }
+        return gain;
+    }
+
+    /**
+     * Gets the magnitude of the voltage gain in decibels at each frequency
+     * @returns {Float64Array}
+     */
+    gainDb() {
+        const { re, im } = this.abcd.a;
+        return this.angularFrequencies.map((_, i) => -10 * Math.log10(re[i] * re[i] + im[i] * im[i]));
+    }
+
+    /**
+     * Gets the phase of the voltage gain in radians at each frequency, wrapped to ±π
+     * @returns {Float64Array}
+     */
+    phase() {
+        const gain = this.voltageGain();
+        return this.angularFrequencies.map((_, i) => Math.atan2(gain.im[i], gain.re[i]));
+    }
+
+    /**
+     * Gets the input reflection coefficient S11 at each frequency, with both ports in a reference impedance
+     * @param {Complex|number} referenceImpedance
+     * @returns {ComplexBuffer}
+     */
+    reflection(referenceImpedance = 50) {
+        const { re: zRe, im: zIm } = new Complex(referenceImpedance);
+        assert(zRe > 0);
+
+        // (A z + B - C |z|² - D z*) / (A z + B + C z² + D z)
+        const zSquaredRe = zRe * zRe - zIm * zIm;
+        const zSquaredIm = 2 * zRe * zIm;
+        const zMagnitude = zRe * zRe + zIm * zIm;
+        const { a, b, c, d } = this.abcd;
+        const reflection = complexBuffer(this.length);
+        for (let i = 0; i < this.length; i++) {
+            const azRe = a.re[i] * zRe - a.im[i] * zIm + b.re[i];
+            const azIm = a.re[i] * zIm + a.im[i] * zRe + b.im[i];
+            const numeratorRe = azRe - c.re[i] * zMagnitude - (d.re[i] * zRe + d.im[i] * zIm);
+            const numeratorIm = azIm - c.im[i] * zMagnitude - (d.im[i] * zRe - d.re[i] * zIm);
+            const denominatorRe = azRe + c.re[i] * zSquaredRe - c.im[i] * zSquaredIm + d.re[i] * zRe - d.im[i] * zIm;
+            const denominatorIm = azIm + c.re[i] * zSquaredIm + c.im[i] * zSquaredRe + d.re[i] * zIm + d.im[i] * zRe;
+            const magnitude = denominatorRe * denominatorRe + denominatorIm * denominatorIm;
+            reflection.re[i] = (numeratorRe * denominatorRe + numeratorIm * denominatorIm) / magnitude;
+            reflection.im[i] = (numeratorIm * denominatorRe - numeratorRe * denominatorIm) / magnitude;
+        }
+        return reflection;
+    }
+
+    /**
+     * Gets the input return loss in decibels at each frequency
+     * @param {Complex|number} referenceImpedance
+     * @returns {Float64Array}
+     */
+    returnLoss(referenceImpedance = 50) {
+        const { re, im } = this.reflection(referenceImpedance);
+        return re.map((_, i) => -10 * Math.log10(re[i] * re[i] + im[i] * im[i]));
+    }
+
+    /**
+     * Gets the input voltage standing wave ratio at each frequency
+     * @param {Complex|number} referenceImpedance
+     * @returns {Float64Array}
+     */
+    vswr(referenceImpedance = 50) {
+        const { re, im } = this.reflection(referenceImpedance);
+        return re.map((_, i) => {
+            const reflection = Math.hypot(re[i], im[i]);
+            return (1 + reflection) / (1 - reflection);
+        });
+    }
+
+    /**
+     * Gets the transducer gain between a source and a load at each frequency, as TwoPortNetwork.transducerGain
+     * @param {Load|Complex|number} inputTermination - Source impedance connected to port 1
+     * @param {Load|Complex|number} outputTermination - Load connected to port 2
+     * @returns {Float64Array} - Power ratios, not in dB
+     */
+    transducerGain(inputTermination, outputTermination) {
+        const source = this._terminationImpedances(inputTermination);
+        const load = this._terminationImpedances(outputTermination);
+        const { a, b, c, d } = this.abcd;
+        return this.angularFrequencies.map((_, i) => {
+            const zsRe = source.re[i], zsIm = source.im[i], zlRe = load.re[i], zlIm = load.im[i];
+            // A ZL + B + C Zs ZL + D Zs
+            const zszlRe = zsRe * zlRe - zsIm * zlIm;
+            const zszlIm = zsRe * zlIm + zsIm * zlRe;
+            const re = a.re[i] * zlRe - a.im[i] * zlIm + b.re[i] + c.re[i] * zszlRe - c.im[i] * zszlIm + d.re[i] * zsRe - d.im[i] * zsIm;
+            const im = a.re[i] * zlIm + a.im[i] * zlRe + b.im[i] + c.re[i] * zszlIm + c.im[i] * zszlRe + d.re[i] * zsIm + d.im[i] * zsRe;
+            return 4 * zsRe * zlRe / (re * re + im * im);
+        });
+    }
+
+    /**
+     * Gets the power wave reflection coefficient at port 1 at each frequency, as TwoPortNetwork.inputReflectionCoefficient
+     * @param {Load|Complex|number} inputTermination - Source impedance connected to port 1
+     * @param {Load|Complex|number} outputTermination - Load connected to port 2
+     * @returns {ComplexBuffer}
+     */
+    inputReflectionCoefficient(inputTermination, outputTermination) {
+        const source = this._terminationImpedances(inputTermination);
+        const load = this._terminationImpedances(outputTermination);
+        const { a, b, c, d } = this.abcd;
+        const reflection = complexBuffer(this.length);
+        for (let i = 0; i < this.length; i++) {
+            // Zin = (A ZL + B) / (C ZL + D)
+            const topRe = a.re[i] * load.re[i] - a.im[i] * load.im[i] + b.re[i];
+            const topIm = a.re[i] * load.im[i] + a.im[i] * load.re[i] + b.im[i];
+            const bottomRe = c.re[i] * load.re[i] - c.im[i] * load.im[i] + d.re[i];
+            const bottomIm = c.re[i] * load.im[i] + c.im[i] * load.re[i] + d.im[i];
+            const bottomMagnitude = bottomRe * bottomRe + bottomIm * bottomIm;
+            const inputRe = (topRe * bottomRe + topIm * bottomIm) / bottomMagnitude;
+            const inputIm = (topIm * bottomRe - topRe * bottomIm) / bottomMagnitude;
+
+            // Γ = (Zin - Zs*) / (Zin + Zs)
+            const numeratorRe = inputRe - source.re[i];
+            const numeratorIm = inputIm + source.im[i];
+            const denominatorRe = inputRe + source.re[i];
+            const denominatorIm = inputIm + source.im[i];
+            const magnitude = denominatorRe * denominatorRe + denominatorIm * denominatorIm;
+            reflection.re[i] = (numeratorRe * denominatorRe + numeratorIm * denominatorIm) / magnitude;
+            reflection.im[i] = (numeratorIm * denominatorRe - numeratorRe * denominatorIm) / magnitude;
+        }
+        return reflection;
+    }
+
+    /**
+     * Evaluates a termination at each frequency of the sweep
+     * @param {Load|Complex|number} termination
+     * @returns {ComplexBuffer}
+     */
+    _terminationImpedances(termination) {
+        if (termination instanceof Load)
+            return loadImpedances(termination, this.angularFrequencies);
+
+        const { re, im } = new Complex(termination);
+        return { re: new Float64Array(this.length).fill(re), im: new Float64Array(this.length).fill(im) };
+    }
+}
+
+/**
+ * Evaluates filters over a fixed grid of frequencies in one pass over typed arrays, instead of one frequency at a time.
+ * The ABCD parameters of each series and shunt stage are cached by the stage's load, so that stages left unchanged
+ * by a neighbor move, or changed back, are not evaluated again.
+ */
+export class FrequencySweep {
+    /**
+     * @param {Array<number>|Float64Array} angularFrequencies - Frequencies of the sweep
+     * @param {Object} [options]
+     * @param {number} [options.cacheSize] - Number of stage evaluations to keep, 0 to disable caching
+     */
+    constructor(angularFrequencies, { cacheSize = 1024 } = {}) {
+        assert(angularFrequencies.length > 0, 'A sweep needs at least one frequency');
+        assert(Array.prototype.every.call(angularFrequencies, (angularFrequency) => angularFrequency >= 0));
+        assert(cacheSize >= 0);
+
+        this.angularFrequencies = Float64Array.from(angularFrequencies);
+        this.cacheSize = cacheSize;
+        this.cache = new Map();
+    }
+
+    /**
+     * Evaluates the network of a filter including its input and output loads, as Filter.network
+     * @param {Filter} filter
+     * @returns {SweepResult}
+     */
+    network(filter) {
+        assert(filter instanceof Filter);
+
+        return this._cascade([
+            this._elementAbcd(filter.inputLoad, true),
+            ...filter.stages.map((stage) => this._stageAbcd(stage)),
+            this._elementAbcd(filter.outputLoad, false)
+        ], () => filter.network);
+    }
+
+    /**
+     * Evaluates the stages of a filter alone, as Filter.stagesNetwork
+     * @param {Filter} filter
+     * @returns {SweepResult}
+     */
+    stagesNetwork(filter) {
+        assert(filter instanceof Filter);
+
+        return this._cascade(filter.stages.map((stage) => this._stageAbcd(stage)), () => filter.stagesNetwork);
+    }
+
+    /**
+     * Evaluates any two-port network one frequency at a time, for networks that are not filters
+     * @param {TwoPortNetwork} network
+     * @returns {SweepResult}
+     */
+    evaluate(network) {
+        assert(network instanceof TwoPortNetwork);
+
+        return new SweepResult(this.angularFrequencies, networkAbcd(network, this.angularFrequencies));
+    }
+
+    /**
+     * Multiplies the ABCD parameters of a cascade.
+     * Frequencies where an open or short makes the result non-finite are evaluated again one at a time, so that
+     * they agree exactly with the network's own handling of infinities.
+     * @param {Array<AbcdBuffers>} sections
+     * @param {function(): TwoPortNetwork} network - The network being evaluated
+     * @returns {SweepResult}
+     */
+    _cascade(sections, network) {
+        const n = this.angularFrequencies.length;
+        // Cached sections are shared, so the result is always a new product
+        const identity = { a: complexBuffer(n, 1), b: complexBuffer(n), c: complexBuffer(n), d: complexBuffer(n, 1) };
+        const abcd = sections.length > 1 ? sections.reduce(multiplyAbcd) : multiplyAbcd(identity, sections[0] ?? identity);
+        for (let i = 0; i < n; i++) {
+            if (!isFiniteAt(abcd, i))
+                setAbcd(abcd, i, network().abcdMatrix(this.angularFrequencies[i]));
+        }
+        return new SweepResult(this.angularFrequencies, abcd);
+    }
+
+    /**
+     * Evaluates one stage, from the cache when possible
+     * @param {import('./filter.js').FilterStage} stage
+     * @returns {AbcdBuffers}
+     */
+    _stageAbcd(stage) {
+        if (stage instanceof SeriesFilterStage || stage instanceof ShuntFilterStage)
+            return this._elementAbcd(stage.load(), stage instanceof SeriesFilterStage);
+
+        const key = this.cacheSize > 0 ? twoPortKey(stage) : undefined;
+        return this._cached(key, () => networkAbcd(stage.network, this.angularFrequencies));
+    }
+
+    /**
+     * Evaluates a series or shunt load, from the cache when possible
+     * @param {Load} load
+     * @param {boolean} series
+     * @returns {AbcdBuffers}
+     */
+    _elementAbcd(load, series) {
+        // Only loads built from known elements are described well enough to be cached
+        const key = this.cacheSize > 0 && load.definition !== undefined ? `${series ? 'series' : 'shunt'} ${JSON.stringify(load)}` : undefined;
+        return this._cached(key, () => elementAbcd(load, series, this.angularFrequencies));
+    }
+
+    /**
+     * Looks up an evaluation in the cache, evaluating and storing it when missing.
+     * The least recently used evaluation is dropped when the cache is full.
+     * @param {string} [key]
+     * @param {function(): AbcdBuffers} evaluate
+     * @returns {AbcdBuffers}
+     */
+    _cached(key, evaluate) {
+        if (key === undefined)
+            return evaluate();
+
+        const cached = this.cache.get(key);
+        if (cached !== undefined) {
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return cached;
+        }
+
+        const abcd = evaluate();
+        this.cache.set(key, abcd);
+        if (this.cache.size > this.cacheSize)
+            this.cache.delete(this.cache.keys().next().value);
+        return abcd;
+    }
+}
+
+export default FrequencySweep
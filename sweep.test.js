@@ -0,0 +1,177 @@
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { Capacitor, ComponentGroup, ComponentValue, Inductor, LossyCapacitor, LossyInductor, OpenStub, TransmissionLine } from './component.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { makeMatchingNetworkObjective, makeVswrObjective } from './optimize.js';
+import { makeRandom } from './random.js';
+import { makeSpecificationObjective } from './specification.js';
+import { FrequencySweep } from './sweep.js';
+import { synthesizeFilter } from './synthesis.js';
+
+const angularFrequencies = [0, ...Array.from({ length: 60 }, (_, i) => 2 * Math.PI * 1e4 * Math.pow(10, i / 12))];
+
+/**
+ * Checks that complex values agree to a relative tolerance, or are both non-finite
+ */
+const close = (t, actual, expected, message) => {
+    const expectedValue = new Complex(expected);
+    if (!expectedValue.isFinite())
+        return t.notOk(new Complex(actual).isFinite(), message);
+    t.ok(new Complex(actual).sub(expectedValue).abs() <= 1e-9 * expectedValue.abs() + 1e-300, `${message}: ${actual} vs ${expected}`);
+};
+
+test('Test Sweep - Matches The Per-Frequency Path', (t) => {
+    const antenna = Load.tabulated([1e5, 1e6, 1e7], [[20, -30], [50, 0], [80, 40]]);
+    const filters = {
+        elliptic: synthesizeFilter({ type: 'elliptic', order: 5, cutoff: 1e6, ripple: 0.5, stopbandAttenuation: 40 }),
+        bandpass: synthesizeFilter({ type: 'chebyshev', response: 'bandpass', order: 3, cutoff: [1e6, 2e6] }),
+        lossy: new Filter(Load.resistor(50), antenna, [
+            new ShuntFilterStage(new LossyCapacitor(1e-9, { esr: 0.1, esl: 1e-9, lossTangent: 0.01 })),
+            new SeriesFilterStage(new LossyInductor(1e-5, { dcr: 0.5, q: 40, qFrequency: 1e6, windingCapacitance: 1e-12 })),
+            new ShuntFilterStage(ComponentGroup.series(new Capacitor(1e-9), new Inductor(1e-6)), new Capacitor(2e-10))
+        ]),
+        distributed: new Filter(Load.resistor(50), Load.resistor(75), [
+            new ShuntFilterStage(new OpenStub(0.5, { characteristicImpedance: 30 })),
+            new TransmissionLineStage(new TransmissionLine(2, { characteristicImpedance: 90, attenuation: 0.1 }))
+        ]),
+        // Opens and shorts from zero and infinite values
+        degenerate: new Filter(Load.resistor(50), Load.resistor(50), [
+            new ShuntFilterStage(new Capacitor(0), new Inductor(1e-6)),
+            new SeriesFilterStage(new Capacitor(Infinity)),
+            new ShuntFilterStage(new Inductor(Infinity))
+        ]),
+        open: new Filter(Load.resistor(50), Load.resistor(50), [new SeriesFilterStage(new Capacitor(0))]),
+        shorted: new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Inductor(0), new Capacitor(1e-9))]),
+        empty: new Filter(Load.resistor(10), Load.resistor(40), [])
+    };
+
+    const sweep = new FrequencySweep(angularFrequencies);
+    for (const [name, filter] of Object.entries(filters)) {
+        const network = filter.network;
+        const result = sweep.network(filter);
+        const gain = result.voltageGain();
+        const gainDb = result.gainDb();
+        const phase = result.phase();
+        const returnLoss = result.returnLoss(new Complex(50, 5));
+        const stages = sweep.stagesNetwork(filter);
+        const transducerGain = stages.transducerGain(filter.inputLoad, filter.outputLoad);
+        const reflection = stages.inputReflectionCoefficient(filter.inputLoad, filter.outputLoad);
+        angularFrequencies.forEach((angularFrequency, i) => {
+            for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]])
+                close(t, result.abcdMatrix(i).get(row, column), network.abcdMatrix(angularFrequency).get(row, column), `${name} ABCD${row}${column} at ${angularFrequency}`);
+            close(t, new Complex(gain.re[i], gain.im[i]), network.voltageGain(angularFrequency), `${name} gain at ${angularFrequency}`);
+            const expectedGain = 20 * Math.log10(network.voltageGain(angularFrequency).abs());
+            t.ok(gainDb[i] === expectedGain || Math.abs(gainDb[i] - expectedGain) < 1e-9, `${name} gain in dB at ${angularFrequency}`);
+            if (network.voltageGain(angularFrequency).abs() > 0)
+                t.ok(Math.abs(Math.cos(phase[i]) - Math.cos(network.voltageGain(angularFrequency).arg())) < 1e-9, `${name} phase at ${angularFrequency}`);
+            if (angularFrequency > 0 && Number.isFinite(returnLoss[i]))
+                t.ok(Math.abs(returnLoss[i] - network.returnLoss(angularFrequency, new Complex(50, 5))) < 1e-9, `${name} return loss at ${angularFrequency}`);
+
+            const expectedTransducerGain = filter.transducerGain(angularFrequency);
+            t.ok(Object.is(transducerGain[i], expectedTransducerGain) || Math.abs(transducerGain[i] - expectedTransducerGain) < 1e-9 * expectedTransducerGain,
+                `${name} transducer gain at ${angularFrequency}`);
+            if (angularFrequency > 0 && name !== 'open' && name !== 'shorted')
+                close(t, new Complex(reflection.re[i], reflection.im[i]), filter.stagesNetwork.inputReflectionCoefficient(angularFrequency, filter.inputLoad, filter.outputLoad), `${name} reflection at ${angularFrequency}`);
+        });
+    }
+
+    // Networks that are not filters are evaluated one frequency at a time
+    const vswr = sweep.evaluate(filters.elliptic.stagesNetwork).vswr(50);
+    angularFrequencies.slice(1).forEach((angularFrequency, i) =>
+        t.ok(Math.abs(vswr[i + 1] - filters.elliptic.stagesNetwork.vswr(angularFrequency, 50)) < 1e-6 * vswr[i + 1]));
+
+    t.throws(() => new FrequencySweep([]));
+    t.throws(() => new FrequencySweep([-1]));
+    t.throws(() => sweep.network(filters.elliptic.network));
+
+    t.end();
+});
+
+test('Test Sweep - Stage Cache', (t) => {
+    const value = (initialValue) => ComponentValue.initializeComponent(initialValue, initialValue * 10, initialValue / 10);
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [
+        new ShuntFilterStage(new Capacitor(value(1e-9))),
+        new SeriesFilterStage(new Inductor(value(1e-6))),
+        new ShuntFilterStage(new Capacitor(value(1e-9)))
+    ]);
+
+    // The loads and the two identical capacitors share evaluations
+    const sweep = new FrequencySweep(angularFrequencies);
+    const first = sweep.network(filter);
+    t.equal(sweep.cache.size, 4);
+    const second = sweep.network(filter.withStages([...filter.stages]));
+    t.equal(sweep.cache.size, 4);
+    t.not(second.abcd, first.abcd);
+    t.same(second.abcd, first.abcd);
+
+    // Neighbors only add the stages that changed
+    const random = makeRandom(3);
+    const neighbor = filter.withStage(1, filter.stages[1].update(random));
+    sweep.network(neighbor);
+    t.equal(sweep.cache.size, 5);
+
+    // The least recently used evaluations are dropped
+    const small = new FrequencySweep(angularFrequencies, { cacheSize: 2 });
+    small.network(filter);
+    t.equal(small.cache.size, 2);
+    const uncached = new FrequencySweep(angularFrequencies, { cacheSize: 0 });
+    t.same(uncached.network(neighbor).abcd, sweep.network(neighbor).abcd);
+    t.equal(uncached.cache.size, 0);
+    const line = filter.withStage(1, new TransmissionLineStage(new TransmissionLine(0.5, { characteristicImpedance: 75 })));
+    t.same(uncached.network(line).abcd, sweep.network(line).abcd);
+    t.equal(uncached.cache.size, 0);
+
+    // Terminations may be given as impedances, or as loads not built from known elements
+    const result = sweep.network(filter);
+    const custom = new Load(() => new Complex(50, 0));
+    t.same(result.transducerGain(custom, new Complex(50, 0)), result.transducerGain(filter.inputLoad, filter.outputLoad));
+    t.same(result.inputReflectionCoefficient(50, custom), result.inputReflectionCoefficient(filter.inputLoad, filter.outputLoad));
+
+    // A shorted shunt load has an infinite admittance, which the cascade evaluates again at that frequency
+    const shorted = new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Inductor(0))]);
+    sweep.network(shorted);
+    const admittance = sweep.cache.get(`shunt ${JSON.stringify(shorted.stages[0].load())}`).c;
+    t.ok(admittance.re.every((value) => value === Infinity));
+    t.ok(admittance.im.every((value) => value === 0));
+
+    t.end();
+});
+
+test('Test Sweep - Objectives', (t) => {
+    const filter = synthesizeFilter({ type: 'chebyshev', order: 5, cutoff: 1e6, ripple: 0.5 });
+    const constraints = {
+        passband: { type: 'ripple', minFrequency: 1e4, maxFrequency: 1e6, maxRipple: 0.1 },
+        stopband: { type: 'attenuation', minFrequency: 2e6, maxFrequency: 1e7, minAttenuation: 60 },
+        match: { type: 'returnLoss', minFrequency: 1e4, maxFrequency: 8e5, minReturnLoss: 30 },
+        delay: { type: 'groupDelay', minFrequency: 1e4, maxFrequency: 8e5, maxVariation: 1e-8 }
+    };
+
+    // Sweeping a filter measures its gains with its 50 ohm terminations, and its return loss between them
+    const { match, ...gainConstraints } = constraints;
+    const penalty = makeSpecificationObjective(constraints)(filter.network, filter);
+    const expectedPenalty = makeSpecificationObjective(gainConstraints)(filter.network) + makeSpecificationObjective({ match })(filter.stagesNetwork);
+    t.ok(penalty > 0);
+    t.ok(Math.abs(penalty - expectedPenalty) < 1e-9 * penalty);
+
+    // Objectives that use the terminations agree with the per-frequency path
+    const angularFrequencies = Array.from({ length: 21 }, (_, i) => 2 * Math.PI * (1e4 + i * (1e6 - 1e4) / 20));
+    const reflections = angularFrequencies.map((angularFrequency) =>
+        filter.stagesNetwork.inputReflectionCoefficient(angularFrequency, filter.inputLoad, filter.outputLoad).abs());
+    const expectedVswr = Math.max(...reflections.map((reflection) => (1 + reflection) / (1 - reflection)));
+    t.ok(Math.abs(makeVswrObjective(1e4, 1e6)(filter.network, filter) - expectedVswr) < 1e-9 * expectedVswr);
+    t.throws(() => makeVswrObjective(1e4, 1e6)(filter.network), /need the filter/);
+    // A matched through reflects nothing, even though its network includes the terminations
+    const through = new Filter(Load.resistor(50), Load.resistor(50), []);
+    t.equal(makeVswrObjective(1e4, 1e6)(through.network, through), 1);
+
+    const gains = angularFrequencies.slice(0, -1).map((angularFrequency) => filter.transducerGain(angularFrequency));
+    const deviation = 10 * Math.log10(Math.max(...gains)) - 10 * Math.log10(Math.min(...gains));
+    const loss = -10 * Math.log10(gains.reduce((sum, gain) => sum + gain, 0) / 20);
+    t.ok(Math.abs(makeMatchingNetworkObjective(1e4, 1e6, deviation + 1)(filter.network, filter) - loss) < 1e-6);
+    t.equal(makeMatchingNetworkObjective(1e4, 1e6, deviation / 2)(filter.network, filter), Infinity);
+    t.throws(() => makeMatchingNetworkObjective(1e4, 1e6, 10)(filter.network), /need the filter/);
+
+    t.end();
+});
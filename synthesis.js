@@ -0,0 +1,411 @@
+import { strict as assert } from 'node:assert';
+
+import Complex from 'complex.js';
+
+import { Capacitor, ComponentGroup, ComponentValue, Inductor } from './component.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import * as polynomial from './polynomial.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+/**
+ * Bessel (maximally flat delay) lowpass prototype values g1...gn for unit group delay, from n = 1 to 10
+ */
+const BESSEL_VALUES = [
+    [2.0000],
+    [1.5774, 0.4226],
+    [1.2550, 0.5528, 0.1922],
+    [1.0598, 0.5116, 0.3181, 0.1104],
+    [0.9303, 0.4577, 0.3312, 0.2090, 0.0718],
+    [0.8377, 0.4116, 0.3158, 0.2364, 0.1480, 0.0505],
+    [0.7677, 0.3744, 0.2944, 0.2378, 0.1778, 0.1104, 0.0375],
+    [0.7125, 0.3446, 0.2735, 0.2297, 0.1867, 0.1387, 0.0855, 0.0289],
+    [0.6678, 0.3203, 0.2547, 0.2184, 0.1859, 0.1506, 0.1111, 0.0682, 0.0230],
+    [0.6305, 0.3002, 0.2384, 0.2066, 0.1808, 0.1539, 0.1240, 0.0911, 0.0557, 0.0187]
+];
+
+/**
+ * An element of a normalized lowpass ladder prototype (1 ohm source, 1 rad/s cutoff).
+ * Series arms with both an inductance and a capacitance are parallel resonant tanks.
+ * @typedef {Object} PrototypeElement
+ * @property {string} arm - "series" or "shunt"
+ * @property {number} [inductance]
+ * @property {number} [capacitance]
+ */
+
+/**
+ * A normalized lowpass ladder prototype
+ * @typedef {Object} PrototypeLadder
+ * @property {Array<PrototypeElement>} elements - Elements from the source to the load
+ * @property {number} loadResistance - Load resistance relative to the source resistance
+ */
+
+/**
+ * Computes Chebyshev (equiripple) lowpass prototype values
+ * @param {number} order
+ * @param {number} ripple - Passband ripple in dB
+ * @returns {Array<number>}
+ */
+function chebyshevValues(order, ripple) {
+    assert(ripple > 0);
+
+    const beta = Math.log(1 / Math.tanh(ripple / 17.37));
+    const gamma = Math.sinh(beta / (2 * order));
+    const a = (k) => Math.sin((2 * k - 1) * Math.PI / (2 * order));
+    const b = (k) => gamma * gamma + Math.pow(Math.sin(k * Math.PI / order), 2);
+
+    const values = [1, 2 * a(1) / gamma];
+    for (let k = 2; k <= order; k++)
+        values.push(4 * a(k - 1) * a(k) / (b(k - 1) * values[k - 1]));
+    values.push(order % 2 === 1 ? 1 : Math.pow(1 / Math.tanh(beta / 4), 2));
+    return values;
+}
+
+/**
+ * Finds the angular frequency at which a prototype ladder's gain is 3 dB below its DC gain
+ * @param {PrototypeLadder} ladder
+ * @returns {number}
+ */
+function halfPowerAngularFrequency(ladder) {
+    const network = ladderNetwork(ladder);
+    const dcGain = network.voltageGain(0).abs();
+    let lower = 1e-3;
+    let upper = 1e3;
+    for (let i = 0; i < 100; i++) {
+        const middle = Math.sqrt(lower * upper);
+        if (network.voltageGain(middle).abs() > dcGain / Math.SQRT2)
+            lower = middle;
+        else
+            upper = middle;
+    }
+    return Math.sqrt(lower * upper);
+}
+
+/**
+ * Gets the two-port network of an all-pole prototype ladder between its 1 ohm source and its load
+ * @param {PrototypeLadder} ladder
+ * @returns {TwoPortNetwork}
+ */
+function ladderNetwork(ladder) {
+    const elementLoad = ({ inductance, capacitance }) => inductance !== undefined ? Load.inductor(inductance) : Load.capacitor(capacitance);
+
+    return TwoPortNetwork.cascade(
+        TwoPortNetwork.series(Load.resistor(1)),
+        ...ladder.elements.map((element) => element.arm === 'series'
+            ? TwoPortNetwork.series(elementLoad(element))
+            : TwoPortNetwork.shunt(elementLoad(element))),
+        TwoPortNetwork.shunt(Load.resistor(ladder.loadResistance)));
+}
+
+/**
+ * Arranges lowpass prototype values into alternating ladder elements
+ * @param {Array<number>} values - Prototype values g0...gn+1
+ * @param {string} firstElement - "shunt" to start with a shunt capacitor or "series" to start with a series inductor
+ * @returns {PrototypeLadder}
+ */
+function allPoleLadder(values, firstElement) {
+    const order = values.length - 2;
+    const elements = values.slice(1, order + 1).map((value, index) => {
+        const shunt = (index % 2 === 0) === (firstElement === 'shunt');
+        return shunt ? { arm: 'shunt', capacitance: value } : { arm: 'series', inductance: value };
+    });
+    // gn+1 is a resistance after a shunt capacitor and a conductance after a series inductor
+    const loadValue = values[order + 1];
+    return { elements, loadResistance: elements[order - 1].arm === 'shunt' ? loadValue : 1 / loadValue };
+}
+
+/**
+ * Computes normalized lowpass prototype values g0...gn+1 for an all-pole filter.
+ * Values are normalized to a 1 ohm source and a 1 rad/s cutoff. Butterworth and Bessel cutoffs are
+ * 3 dB points, while the Chebyshev cutoff is the edge of the equiripple passband.
+ * @param {string} type - "butterworth", "chebyshev" or "bessel"
+ * @param {number} order - Number of reactive elements
+ * @param {Object} options
+ * @param {number} [options.ripple] - Chebyshev passband ripple in dB
+ * @returns {Array<number>}
+ */
+export function prototypeValues(type, order, { ripple = 0.5 } = {}) {
+    assert(Number.isInteger(order) && order > 0);
+
+    switch (type) {
+        case 'butterworth':
+            return [
+                1,
+                ...Array.from({ length: order }, (_, k) => 2 * Math.sin((2 * k + 1) * Math.PI / (2 * order))),
+                1
+            ];
+        case 'chebyshev':
+            return chebyshevValues(order, ripple);
+        case 'bessel': {
+            assert(order <= BESSEL_VALUES.length, `Bessel prototypes are tabulated up to order ${BESSEL_VALUES.length}`);
+            const values = [1, ...BESSEL_VALUES[order - 1], 1];
+            const scale = halfPowerAngularFrequency(allPoleLadder(values, 'shunt'));
+            return values.map((value, index) => index === 0 || index === order + 1 ? value : value * scale);
+        }
+    }
+    assert.fail(`Unknown all-pole filter type ${type}`);
+}
+
+/**
+ * Generates the descending Landen sequence of elliptic moduli
+ * @param {number} modulus
+ * @returns {Array<number>}
+ */
+function landen(modulus) {
+    const moduli = [];
+    let k = modulus;
+    for (let i = 0; i < 10; i++) {
+        k = Math.pow(k / (1 + Math.sqrt(1 - k * k)), 2);
+        moduli.push(k);
+    }
+    return moduli;
+}
+
+/**
+ * Evaluates a Jacobi elliptic function, cd or sn, with the argument normalized to the quarter period
+ * @param {function(Complex): Complex} trigonometric - cos for cd, sin for sn
+ * @param {Complex|number} u - Normalized argument, u·K
+ * @param {number} modulus
+ * @returns {Complex}
+ */
+function jacobi(trigonometric, u, modulus) {
+    const moduli = landen(modulus);
+    let w = trigonometric(new Complex(u).mul(Math.PI / 2));
+    for (let i = moduli.length - 1; i >= 0; i--)
+        w = w.mul(1 + moduli[i]).div(w.mul(w).mul(moduli[i]).add(1));
+    return w;
+}
+
+const cd = (u, modulus) => jacobi((x) => x.cos(), u, modulus);
+const sn = (u, modulus) => jacobi((x) => x.sin(), u, modulus);
+
+/**
+ * Inverts the normalized Jacobi sn function
+ * @param {Complex|number} w
+ * @param {number} modulus
+ * @returns {Complex}
+ */
+function arcSn(w, modulus) {
+    const moduli = landen(modulus);
+    let value = new Complex(w);
+    moduli.forEach((k, i) => {
+        const previous = i === 0 ? modulus : moduli[i - 1];
+        value = value.div(Complex.ONE.add(Complex.ONE.sub(value.mul(value).mul(previous * previous)).sqrt())).mul(2 / (1 + k));
+    });
+    return Complex.ONE.sub(value.acos().mul(2 / Math.PI));
+}
+
+/**
+ * Extracts a Cauer ladder from the input admittance of an elliptic filter by zero shifting.
+ * Each transmission zero is realized by a shunt capacitor followed by a series parallel-resonant tank,
+ * and the final shunt capacitor and load conductance remain.
+ * @param {Array<number>} numerator - Input admittance numerator
+ * @param {Array<number>} denominator - Input admittance denominator
+ * @param {Array<number>} transmissionZeros - Angular frequencies of the transmission zeros, in extraction order
+ * @returns {PrototypeLadder}
+ */
+function extractCauerLadder(numerator, denominator, transmissionZeros) {
+    const elements = [];
+    for (const zero of transmissionZeros) {
+        const s = new Complex(0, zero);
+        const capacitance = polynomial.evaluate(numerator, s).div(polynomial.evaluate(denominator, s)).div(s).re;
+        const shifted = polynomial.trim(polynomial.add(numerator, polynomial.scale(polynomial.multiply([0, capacitance], denominator), -1)));
+        const remainingNumerator = polynomial.divideQuadratic(shifted, zero);
+
+        // Residue of the impedance pole at the transmission zero gives the tank
+        const residue = polynomial.evaluate(denominator, s).div(polynomial.evaluate(remainingNumerator, s).mul(s)).re;
+        const remainingDenominator = polynomial.divideQuadratic(
+            polynomial.trim(polynomial.add(denominator, polynomial.scale(polynomial.multiply([0, residue], remainingNumerator), -1))),
+            zero);
+
+        elements.push(
+            { arm: 'shunt', capacitance },
+            { arm: 'series', inductance: residue / (zero * zero), capacitance: 1 / residue });
+        numerator = remainingNumerator;
+        denominator = remainingDenominator;
+    }
+
+    const capacitance = numerator[numerator.length - 1] / denominator[denominator.length - 1];
+    elements.push({ arm: 'shunt', capacitance });
+    return { elements, loadResistance: denominator[0] / numerator[0] };
+}
+
+/**
+ * Lists the permutations of an array
+ * @param {Array} items
+ * @returns {Array<Array>}
+ */
+function permutations(items) {
+    if (items.length <= 1)
+        return [items];
+    return items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [item, ...rest]));
+}
+
+/**
+ * Synthesizes a normalized elliptic (Cauer) lowpass ladder prototype.
+ * The ladder alternates shunt capacitors with series parallel-resonant tanks. Each tank and the following shunt
+ * capacitor are the legs of a TwoPortNetwork.cauerLsection with no shunt inductance, but are kept as separate
+ * elements so that synthesized filters have series and shunt stages whose components can be tuned.
+ * Only odd orders are supported since they are realizable between equal terminations.
+ * Extraction fails for some specifications, e.g. a stopband attenuation barely above the ripple.
+ * @param {number} order - Number of shunt capacitors and tank inductors
+ * @param {number} ripple - Passband ripple in dB
+ * @param {number} stopbandAttenuation - Minimum stopband attenuation in dB
+ * @returns {PrototypeLadder & {stopbandEdge: number}} - Also gives the normalized stopband edge angular frequency
+ */
+export function ellipticPrototype(order, ripple, stopbandAttenuation) {
+    assert(Number.isInteger(order) && order >= 3 && order % 2 === 1, 'Elliptic prototypes must have an odd order of at least 3');
+    assert(ripple > 0);
+    assert(stopbandAttenuation > ripple);
+
+    const passbandEpsilon = Math.sqrt(Math.pow(10, ripple / 10) - 1);
+    const stopbandEpsilon = Math.sqrt(Math.pow(10, stopbandAttenuation / 10) - 1);
+    const discrimination = passbandEpsilon / stopbandEpsilon;
+
+    // Solve the degree equation for the selectivity modulus
+    const pairs = (order - 1) / 2;
+    const u = Array.from({ length: pairs }, (_, i) => (2 * i + 1) / order);
+    const complementaryDiscrimination = Math.sqrt(1 - discrimination * discrimination);
+    const snProduct = u.reduce((product, ui) => product * sn(ui, complementaryDiscrimination).re, 1);
+    const complementarySelectivity = Math.pow(complementaryDiscrimination, order) * Math.pow(snProduct, 4);
+    const selectivity = Math.sqrt(1 - complementarySelectivity * complementarySelectivity);
+
+    const reflectionZeros = u.map((ui) => cd(ui, selectivity).re);
+    const transmissionZeros = reflectionZeros.map((zeta) => 1 / (selectivity * zeta));
+    const v0 = arcSn(new Complex(0, 1 / passbandEpsilon), discrimination).mul(new Complex(0, -1)).div(order);
+    const poles = [
+        ...u.map((ui) => Complex.I.mul(cd(new Complex(ui).sub(Complex.I.mul(v0)), selectivity))),
+        Complex.I.mul(sn(Complex.I.mul(v0), selectivity))
+    ];
+
+    let denominator = [1];
+    for (const pole of poles) {
+        const stablePole = new Complex(-Math.abs(pole.re), pole.im);
+        denominator = pole.im === 0
+            ? polynomial.multiply(denominator, [-stablePole.re, 1])
+            : polynomial.multiply(denominator, [stablePole.abs() ** 2, -2 * stablePole.re, 1]);
+    }
+    let reflection = [0, 1];
+    for (const zeta of reflectionZeros)
+        reflection = polynomial.multiply(reflection, [zeta * zeta, 0, 1]);
+
+    // Y = (E + F) / (E - F) starts with a shunt capacitor
+    const admittanceNumerator = polynomial.add(denominator, reflection);
+    const admittanceDenominator = polynomial.trim(polynomial.add(denominator, polynomial.scale(reflection, -1)));
+
+    // The extraction order that keeps every element positive depends on the design
+    for (const zeros of permutations(transmissionZeros)) {
+        const ladder = extractCauerLadder(admittanceNumerator, admittanceDenominator, zeros);
+        const positive = ladder.elements.every(
+            ({ inductance = 1, capacitance = 1 }) => inductance > 0 && capacitance > 0 && Number.isFinite(inductance));
+        if (positive)
+            return { ...ladder, stopbandEdge: 1 / selectivity };
+    }
+    assert.fail('Elliptic ladder extraction did not produce positive element values');
+}
+
+/**
+ * Options for classical filter synthesis
+ * @typedef {Object} SynthesisOptions
+ * @property {string} type - "butterworth", "chebyshev", "bessel" or "elliptic"
+ * @property {string} [response] - "lowpass", "highpass", "bandpass" or "bandstop"
+ * @property {number} order - Filter order
+ * @property {number|Array<number>} cutoff - Cutoff frequency in hertz, or [lower, upper] band edges for band responses
+ * @property {number} [ripple] - Chebyshev and elliptic passband ripple in dB
+ * @property {number} [stopbandAttenuation] - Elliptic minimum stopband attenuation in dB
+ * @property {number} [sourceImpedance] - Source resistance
+ * @property {number} [loadImpedance] - Load resistance, defaulting to the one the prototype is designed for
+ * @property {string} [firstElement] - "shunt" or "series" element nearest the source, for all-pole types
+ * @property {string|Array<number>} [series] - Preferred value series used to snap component values
+ * @property {number} [valueRange] - Ratio between each synthesized value and the limits of its feasible values
+ */
+
+/**
+ * Synthesizes a classical filter, ready to be used as the initial filter of an optimization.
+ * Component values are snapped to the nearest preferred values and may be tuned within a
+ * factor of valueRange of their synthesized values.
+ * @param {SynthesisOptions} options
+ * @returns {Filter}
+ */
+export function synthesizeFilter({
+    type,
+    response = 'lowpass',
+    order,
+    cutoff,
+    ripple = 0.5,
+    stopbandAttenuation = 40,
+    sourceImpedance = 50,
+    loadImpedance = undefined,
+    firstElement = 'shunt',
+    series = 'E24',
+    valueRange = 10
+}) {
+    assert(['lowpass', 'highpass', 'bandpass', 'bandstop'].includes(response), `Unknown filter response ${response}`);
+    assert(['shunt', 'series'].includes(firstElement));
+    assert(sourceImpedance > 0);
+    assert(valueRange >= 1);
+
+    const ladder = type === 'elliptic'
+        ? ellipticPrototype(order, ripple, stopbandAttenuation)
+        : allPoleLadder(prototypeValues(type, order, { ripple }), firstElement);
+
+    const band = response === 'bandpass' || response === 'bandstop';
+    let angularFrequency;
+    let bandwidth;
+    if (band) {
+        assert(cutoff instanceof Array && cutoff.length === 2, 'Band responses need [lower, upper] cutoff frequencies');
+        assert(cutoff[0] > 0 && cutoff[1] > cutoff[0]);
+        angularFrequency = 2 * Math.PI * Math.sqrt(cutoff[0] * cutoff[1]);
+        bandwidth = 2 * Math.PI * (cutoff[1] - cutoff[0]);
+    } else {
+        assert(cutoff > 0);
+        angularFrequency = 2 * Math.PI * cutoff;
+    }
+
+    const snap = (value) => ComponentValue.initializeComponent(value, value * valueRange, value / valueRange, false, false, series);
+    const inductor = (value) => new Inductor(snap(value));
+    const capacitor = (value) => new Capacitor(snap(value));
+    const r = sourceImpedance;
+    const w = angularFrequency;
+
+    // Frequency transformations of the prototype's normalized inductances and capacitances
+    const transform = {
+        lowpass: {
+            inductance: (g) => inductor(g * r / w),
+            capacitance: (g) => capacitor(g / (r * w))
+        },
+        highpass: {
+            inductance: (g) => capacitor(1 / (g * r * w)),
+            capacitance: (g) => inductor(r / (g * w))
+        },
+        bandpass: {
+            inductance: (g) => ComponentGroup.series(inductor(g * r / bandwidth), capacitor(bandwidth / (g * r * w * w))),
+            capacitance: (g) => ComponentGroup.parallel(inductor(r * bandwidth / (g * w * w)), capacitor(g / (r * bandwidth)))
+        },
+        bandstop: {
+            inductance: (g) => ComponentGroup.parallel(inductor(g * r * bandwidth / (w * w)), capacitor(1 / (g * r * bandwidth))),
+            capacitance: (g) => ComponentGroup.series(inductor(r / (g * bandwidth)), capacitor(g * bandwidth / (r * w * w)))
+        }
+    }[response];
+
+    const stages = ladder.elements.map(({ arm, inductance, capacitance }) => {
+        const Stage = arm === 'series' ? SeriesFilterStage : ShuntFilterStage;
+        const parts = [];
+        if (inductance !== undefined)
+            parts.push(transform.inductance(inductance));
+        if (capacitance !== undefined)
+            parts.push(transform.capacitance(capacitance));
+
+        // A lone combination becomes the stage's own combination rather than a nested one
+        if (parts.length === 1 && parts[0] instanceof ComponentGroup)
+            return new Stage(...parts[0].components).withCombination(parts[0].combination);
+        // Tank elements are in parallel with each other, so parallel combinations merge into the stage
+        return new Stage(...parts.flatMap(
+            (part) => part instanceof ComponentGroup && part.combination === 'parallel' ? part.components : [part]));
+    });
+
+    return new Filter(
+        Load.resistor(sourceImpedance),
+        Load.resistor(loadImpedance ?? ladder.loadResistance * sourceImpedance),
+        stages);
+}
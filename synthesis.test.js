@@ -0,0 +1,159 @@
+import { test } from 'tap';
+
+import { Capacitor, ComponentGroup, Inductor } from './component.js';
+import { SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { ellipticPrototype, prototypeValues, synthesizeFilter } from './synthesis.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+const isClose = (actual, expected, tolerance = 1e-3) => Math.abs(actual - expected) <= tolerance;
+
+const gainDb = (network, frequency) => 20 * Math.log10(network.voltageGain(2 * Math.PI * frequency).abs());
+
+// Gain relative to the maximum power transfer between equal terminations
+const relativeGainDb = (filter, frequency) => gainDb(filter.network, frequency) + 20 * Math.log10(2);
+
+test('Test Synthesis - Prototype Values', (t) => {
+    prototypeValues('butterworth', 3).forEach((value, i) => t.ok(isClose(value, [1, 1, 2, 1, 1][i], 1e-12)));
+    prototypeValues('chebyshev', 3, { ripple: 0.5 }).forEach((value, i) => t.ok(isClose(value, [1, 1.5963, 1.0967, 1.5963, 1][i], 1e-4)));
+    // Even order Chebyshev prototypes need unequal terminations
+    t.ok(isClose(prototypeValues('chebyshev', 4, { ripple: 0.5 })[5], 1.9841, 1e-4));
+    // Bessel values are renormalized to a 3 dB cutoff
+    prototypeValues('bessel', 3).forEach((value, i) => t.ok(isClose(value, [1, 2.2034, 0.9705, 0.3374, 1][i], 1e-3)));
+
+    t.throws(() => prototypeValues('butterworth', 0));
+    t.throws(() => prototypeValues('bessel', 11));
+    t.throws(() => prototypeValues('unknown', 3));
+
+    t.end();
+});
+
+test('Test Synthesis - Butterworth Lowpass', (t) => {
+    const filter = synthesizeFilter({ type: 'butterworth', order: 3, cutoff: 1e6, series: 'E192' });
+
+    t.equal(filter.stages.length, 3);
+    t.ok(filter.stages[0] instanceof ShuntFilterStage);
+    t.ok(filter.stages[1] instanceof SeriesFilterStage);
+    // E192 values are within 0.6 % of the synthesized values
+    t.ok(isClose(filter.stages[0].components[0].componentValue.value * 50 * 2 * Math.PI * 1e6, 1, 0.006));
+    t.ok(isClose(filter.stages[1].components[0].componentValue.value * 2 * Math.PI * 1e6 / (2 * 50), 1, 0.006));
+
+    t.ok(isClose(relativeGainDb(filter, 1e3), 0, 1e-3));
+    t.ok(isClose(relativeGainDb(filter, 1e6), -3.01, 0.1));
+    t.ok(isClose(relativeGainDb(filter, 1e7), -60, 0.5));
+
+    t.end();
+});
+
+test('Test Synthesis - Chebyshev Ripple And Terminations', (t) => {
+    const filter = synthesizeFilter({ type: 'chebyshev', order: 4, cutoff: 1e6, ripple: 1, series: 'E192', firstElement: 'series' });
+
+    t.ok(filter.stages[0] instanceof SeriesFilterStage);
+    const loadResistance = filter.outputLoad.impedance(0).re;
+    t.ok(isClose(loadResistance, 50 * prototypeValues('chebyshev', 4, { ripple: 1 })[5], 0.01));
+
+    // Unequal terminations lower the maximum available gain
+    const available = 20 * Math.log10(Math.sqrt(loadResistance / 50) / 2);
+    const gains = Array.from({ length: 50 }, (_, i) => gainDb(filter.network, (i + 1) * 2e4) - available);
+    t.ok(Math.max(...gains) < 0.05);
+    t.ok(isClose(Math.min(...gains), -1, 0.1));
+
+    t.end();
+});
+
+test('Test Synthesis - Highpass And Bandpass', (t) => {
+    const highpass = synthesizeFilter({ type: 'butterworth', response: 'highpass', order: 3, cutoff: 1e6, series: 'E192' });
+    t.ok(highpass.stages[0].components[0] instanceof Inductor);
+    t.ok(highpass.stages[1].components[0] instanceof Capacitor);
+    t.ok(isClose(relativeGainDb(highpass, 1e6), -3.01, 0.1));
+    t.ok(isClose(relativeGainDb(highpass, 1e8), 0, 1e-3));
+    t.ok(relativeGainDb(highpass, 1e5) < -55);
+
+    const bandpass = synthesizeFilter({ type: 'butterworth', response: 'bandpass', order: 3, cutoff: [1e6, 2e6], series: 'E192' });
+    // The series arm is a series resonator
+    t.equal(bandpass.stages.length, 3);
+    t.equal(bandpass.stages[1].combination, 'series');
+    t.ok(isClose(relativeGainDb(bandpass, Math.sqrt(2) * 1e6), 0, 0.01));
+    t.ok(isClose(relativeGainDb(bandpass, 1e6), -3.01, 0.2));
+    t.ok(isClose(relativeGainDb(bandpass, 2e6), -3.01, 0.2));
+    t.ok(relativeGainDb(bandpass, 1e5) < -40);
+
+    const bandstop = synthesizeFilter({ type: 'butterworth', response: 'bandstop', order: 1, cutoff: [1e6, 2e6], firstElement: 'series', series: 'E192' });
+    t.ok(isClose(relativeGainDb(bandstop, 1e6), -3.01, 0.2));
+    t.ok(isClose(relativeGainDb(bandstop, 2e6), -3.01, 0.2));
+    // Preferred values detune the notch slightly
+    t.ok(relativeGainDb(bandstop, Math.sqrt(2) * 1e6) < -35);
+    // Shunt arms of bandstop filters are series resonators
+    const thirdOrderBandstop = synthesizeFilter({ type: 'butterworth', response: 'bandstop', order: 3, cutoff: [1e6, 2e6], series: 'E192' });
+    t.equal(thirdOrderBandstop.stages[0].combination, 'series');
+    t.equal(thirdOrderBandstop.stages[1].combination, 'parallel');
+    t.ok(isClose(relativeGainDb(thirdOrderBandstop, 1e6), -3.01, 0.3));
+    t.ok(isClose(relativeGainDb(thirdOrderBandstop, 1e4), 0, 0.01));
+    t.ok(relativeGainDb(thirdOrderBandstop, Math.sqrt(2) * 1e6) < -40);
+
+    t.end();
+});
+
+test('Test Synthesis - Elliptic Prototype', (t) => {
+    const prototype = ellipticPrototype(5, 0.5, 50);
+
+    t.equal(prototype.elements.length, 5);
+    t.ok(isClose(prototype.loadResistance, 1, 1e-9));
+    t.ok(prototype.elements.every(({ inductance = 1, capacitance = 1 }) => inductance > 0 && capacitance > 0));
+
+    // Each tank resonates at a transmission zero beyond the stopband edge
+    for (const { arm, inductance, capacitance } of prototype.elements.filter(({ arm }) => arm === 'series')) {
+        t.equal(arm, 'series');
+        t.ok(1 / Math.sqrt(inductance * capacitance) >= prototype.stopbandEdge);
+    }
+
+    t.throws(() => ellipticPrototype(4, 0.5, 50));
+    t.throws(() => ellipticPrototype(5, 0.5, 0.1));
+    // With the stopband barely below the passband, no extraction order keeps every element positive
+    t.throws(() => ellipticPrototype(5, 0.5, 0.505), /Elliptic ladder extraction did not produce positive element values/);
+
+    t.end();
+});
+
+test('Test Synthesis - Elliptic Lowpass', (t) => {
+    const cutoff = 1e6;
+    const filter = synthesizeFilter({ type: 'elliptic', order: 5, cutoff, ripple: 0.5, stopbandAttenuation: 50, series: 'E192' });
+    const { stopbandEdge } = ellipticPrototype(5, 0.5, 50);
+
+    const passband = Array.from({ length: 100 }, (_, i) => relativeGainDb(filter, (i + 1) * cutoff / 100));
+    t.ok(Math.max(...passband) < 0.05);
+    t.ok(Math.min(...passband) > -0.6);
+
+    const stopband = Array.from({ length: 200 }, (_, i) => relativeGainDb(filter, stopbandEdge * cutoff * (1 + i / 20)));
+    t.ok(Math.max(...stopband) < -49);
+
+    // Each tank and the following shunt capacitor form a Cauer L-section
+    const [c1, tank1, c2, tank2, c3] = filter.stages.map((stage) => stage.components.map((component) => component.componentValue.value));
+    const network = TwoPortNetwork.cascade(
+        TwoPortNetwork.series(Load.resistor(50)),
+        TwoPortNetwork.shunt(Load.capacitor(c1[0])),
+        TwoPortNetwork.cauerLsection(tank1[0], tank1[1], Infinity, c2[0]),
+        TwoPortNetwork.cauerLsection(tank2[0], tank2[1], Infinity, c3[0]),
+        TwoPortNetwork.shunt(Load.resistor(50)));
+    for (const frequency of [1e5, 1e6, 3e6])
+        t.ok(isClose(gainDb(network, frequency), gainDb(filter.network, frequency), 1e-9));
+
+    // Band transformations of the tanks need nested combinations
+    const bandpass = synthesizeFilter({ type: 'elliptic', response: 'bandpass', order: 3, cutoff: [1e6, 2e6], ripple: 0.5, stopbandAttenuation: 40, series: 'E192' });
+    t.ok(bandpass.stages[1].components[0] instanceof ComponentGroup);
+    t.equal(bandpass.stages[1].leaves().length, 4);
+    t.ok(relativeGainDb(bandpass, Math.sqrt(2) * 1e6) > -0.7);
+
+    t.end();
+});
+
+test('Test Synthesis - Preferred Values', (t) => {
+    const filter = synthesizeFilter({ type: 'butterworth', order: 3, cutoff: 1e6, series: 'E6', valueRange: 2 });
+    const capacitor = filter.stages[0].components[0].componentValue;
+
+    // 3.18 nF snaps to the nearest E6 value
+    t.equal(capacitor.value, 3.3e-9);
+    t.ok(capacitor.feasibleValues.every((value) => value >= 3.18e-9 / 2 && value <= 3.19e-9 * 2));
+
+    t.end();
+});
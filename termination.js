@@ -0,0 +1,67 @@
+import { strict as assert } from 'node:assert';
+import { readFile } from 'node:fs/promises';
+
+import { parseComponentValue, splitCsvLine } from './catalog.js';
+import Load from './load.js';
+import { parseTouchstone, touchstoneLoad } from './touchstone.js';
+
+const FREQUENCY_COLUMNS = ['frequency', 'freq', 'f'];
+const REAL_COLUMNS = ['real', 're', 'r', 'resistance'];
+const IMAGINARY_COLUMNS = ['imaginary', 'imag', 'im', 'x', 'reactance'];
+
+/**
+ * Parses a CSV table of impedances against frequency, e.g. an antenna's measured impedance.
+ * The header row must name a frequency column and the real and imaginary parts of the impedance,
+ * e.g. "Frequency (Hz),R,X". Units in parentheses are ignored, and values may use SI prefixes, e.g. "2.4GHz".
+ * @param {string} text
+ * @returns {Load} - A tabulated load interpolating between the rows
+ */
+export function parseImpedanceCsv(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    assert(lines.length > 1, 'Impedance table contains no rows');
+
+    const header = splitCsvLine(lines[0]).map((column) => column.replace(/\(.*\)/, '').trim().toLowerCase());
+    const column = (names, description) => {
+        const index = header.findIndex((name) => names.includes(name));
+        assert(index !== -1, `Impedance table has no ${description} column`);
+        return index;
+    };
+    const frequencyColumn = column(FREQUENCY_COLUMNS, 'frequency');
+    const realColumn = column(REAL_COLUMNS, 'real part');
+    const imaginaryColumn = column(IMAGINARY_COLUMNS, 'imaginary part');
+
+    const rows = lines.slice(1).map((line) => splitCsvLine(line))
+        .map((fields) => [fields[frequencyColumn], fields[realColumn], fields[imaginaryColumn]].map(parseComponentValue))
+        .sort(([a], [b]) => a - b);
+    return Load.tabulated(rows.map(([frequency]) => frequency), rows.map(([, real, imaginary]) => [real, imaginary]));
+}
+
+/**
+ * Parses a frequency dependent termination from a CSV impedance table or one-port Touchstone data
+ * @param {string} text - Contents of the file
+ * @param {string} format - Either "csv" or "s1p"
+ * @returns {Load}
+ */
+export function parseTermination(text, format) {
+    assert(typeof text === 'string');
+
+    switch (format) {
+        case 'csv':
+            return parseImpedanceCsv(text);
+        case 's1p':
+            return touchstoneLoad(parseTouchstone(text, 1));
+    }
+    assert.fail(`Unsupported termination format ${format}`);
+}
+
+/**
+ * Reads a frequency dependent termination, choosing the format from the ".csv" or ".s1p" file extension
+ * @param {string} path
+ * @returns {Promise<Load>}
+ */
+export async function readTermination(path) {
+    const extension = path.toLowerCase().match(/\.(csv|s1p)$/);
+    assert(extension, `Unsupported termination file extension: ${path}`);
+
+    return parseTermination(await readFile(path, 'utf8'), extension[1]);
+}
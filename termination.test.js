@@ -0,0 +1,110 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { Capacitor, Inductor } from './component.js';
+import { buildDesign } from './design.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { makeMatchingNetworkObjective, makeVswrObjective } from './optimize.js';
+import { sweepResponse } from './report.js';
+import { parseImpedanceCsv, parseTermination, readTermination } from './termination.js';
+
+const ANTENNA_CSV = [
+    'Frequency (MHz),R (ohm),X (ohm)',
+    '110M,30,-20',
+    '100MHz,25,-40',
+    '120M,35,0'
+].join('\n');
+
+const angular = (frequency) => 2 * Math.PI * frequency;
+
+test('Test Termination - Tabulated Loads', (t) => {
+    const load = Load.tabulated([1e6, 2e6, 4e6], [new Complex(10, 0), 20, [40, -20]]);
+
+    t.same(load.impedance(angular(1e6)), new Complex(10, 0));
+    t.ok(load.impedance(angular(1.5e6)).sub(new Complex(15, 0)).abs() < 1e-12);
+    t.ok(load.impedance(angular(3e6)).sub(new Complex(30, -10)).abs() < 1e-12);
+    // Outside of the table the nearest sample is used
+    t.same(load.impedance(0), new Complex(10, 0));
+    t.same(load.impedance(angular(1e9)), new Complex(40, -20));
+
+    const json = JSON.parse(JSON.stringify(load));
+    t.same(json, { type: 'tabulated', frequencies: [1e6, 2e6, 4e6], impedances: [[10, 0], [20, 0], [40, -20]] });
+    t.same(Load.fromJSON(json).impedance(angular(3e6)), load.impedance(angular(3e6)));
+
+    t.throws(() => Load.tabulated([], []));
+    t.throws(() => Load.tabulated([1, 2], [50]));
+    t.throws(() => Load.tabulated([2, 1], [50, 50]));
+
+    t.end();
+});
+
+test('Test Termination - Parsing', (t) => {
+    // Rows are sorted, and units and prefixes are understood
+    const antenna = parseImpedanceCsv(ANTENNA_CSV);
+    t.same(antenna.toJSON().frequencies, [100e6, 110e6, 120e6]);
+    t.ok(antenna.impedance(angular(105e6)).sub(new Complex(27.5, -30)).abs() < 1e-9);
+
+    t.throws(() => parseImpedanceCsv('frequency,r,x'), /no rows/);
+    t.throws(() => parseImpedanceCsv('frequency,r\n1,50'), /imaginary/);
+
+    const s1p = parseTermination('# MHz Z RI R 1\n100 25 -40\n120 35 0\n', 's1p');
+    t.ok(s1p.impedance(angular(110e6)).sub(new Complex(30, -20)).abs() < 1e-9);
+    t.same(Load.fromJSON(JSON.parse(JSON.stringify(s1p))).impedance(angular(110e6)), s1p.impedance(angular(110e6)));
+    t.throws(() => parseTermination(ANTENNA_CSV, 'txt'));
+
+    t.end();
+});
+
+test('Test Termination - Files and Objectives', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-termination-'));
+    t.teardown(() => rm(directory, { recursive: true, force: true }));
+    await writeFile(join(directory, 'antenna.csv'), ANTENNA_CSV);
+
+    const antenna = await readTermination(join(directory, 'antenna.csv'));
+    t.same(antenna.impedance(angular(110e6)), new Complex(30, -20));
+    await t.rejects(readTermination(join(directory, 'antenna.txt')));
+
+    const design = await buildDesign({
+        inputLoad: 50,
+        outputLoad: 'antenna.csv',
+        stages: [{ type: 'series', components: [{ type: 'inductor', value: '100nH' }] }],
+        objective: { type: 'matching', minFrequency: '100MHz', maxFrequency: '120MHz', maxGainDeviation: 10 }
+    }, { baseDirectory: directory });
+    t.same(design.filter.outputLoad.toJSON(), antenna.toJSON());
+
+    // An L-section matching 50 ohms to the antenna's 30 - 20j ohms at 110 MHz
+    const frequency = 110e6;
+    const reactance = (x) => x / angular(frequency);
+    const seriesReactance = 20 + Math.sqrt(30 * 20);
+    const shuntSusceptance = Math.sqrt(20 / 30) / 50;
+    const matched = new Filter(Load.resistor(50), antenna, [
+        new ShuntFilterStage(new Capacitor(shuntSusceptance / angular(frequency))),
+        new SeriesFilterStage(new Inductor(reactance(seriesReactance)))
+    ]);
+    const unmatched = new Filter(Load.resistor(50), antenna, []);
+    t.ok(Math.abs(matched.transducerGain(angular(frequency)) - 1) < 1e-9);
+    t.ok(matched.mismatchLoss(angular(frequency)) < 1e-9);
+    t.ok(unmatched.mismatchLoss(angular(frequency)) > 0.1);
+
+    // Matching objectives measure the power delivered to the antenna
+    const matching = makeMatchingNetworkObjective(108e6, 112e6, 10);
+    t.ok(matching(matched.network, matched) < 0.01);
+    t.ok(matching(unmatched.network, unmatched) > matching(matched.network, matched));
+
+    const vswr = makeVswrObjective(110e6, 110e6, 1);
+    t.ok(Math.abs(vswr(matched.network, matched) - 1) < 1e-6);
+    t.ok(vswr(unmatched.network, unmatched) > 1.5);
+
+    const response = sweepResponse(matched, { minFrequency: 100e6, maxFrequency: 120e6, points: 3, scale: 'linear' });
+    t.ok(Math.abs(response.transducerGain[1]) < 1e-9);
+    t.ok(response.mismatchLoss[0] > 0);
+    // The report measures S-parameters between the terminations, as the objectives do
+    t.ok(response.reflection[1].abs() < 1e-6);
+    t.ok(response.s21.every((s21, i) => Math.abs(s21 - response.transducerGain[i]) < 1e-9));
+    t.equal(sweepResponse(matched.network, { minFrequency: 100e6, maxFrequency: 120e6, points: 3 }).transducerGain, undefined);
+});
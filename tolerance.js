@@ -0,0 +1,252 @@
+import { strict as assert } from 'node:assert';
+
+import { Filter } from './filter.js';
+import { makeRandom } from './random.js';
+import { sweepFrequencies } from './report.js';
+import { makeSpecificationEvaluator } from './specification.js';
+import { FrequencySweep } from './sweep.js';
+
+/**
+ * Manufacturing and temperature variation of a component value
+ * @typedef {Object} Tolerance
+ * @property {string} [distribution] - "uniform" (default) or "gaussian"
+ * @property {number} tolerance - Relative tolerance, e.g. 0.05 for ±5%
+ * @property {number} [sigmas] - "gaussian": Number of standard deviations spanned by the tolerance, 3 by default
+ * @property {number} [temperatureCoefficient] - Temperature coefficient in parts per million per °C
+ */
+
+/**
+ * Options for Monte Carlo tolerance analysis
+ * @typedef {Object} ToleranceOptions
+ * @property {number} [trials] - Number of randomized filter instances
+ * @property {import('./random.js').RandomSource} [random] - Source of random numbers
+ * @property {Tolerance} [defaultTolerance] - Tolerance of components that have none of their own
+ * @property {Array<number>} [temperatureRange] - [minimum, maximum] operating temperature in °C, 25 °C by default
+ * @property {number} [threshold] - An instance passes when its objective value is at or below this value, 0 by default
+ * @property {import('./specification.js').SpecificationOptions} [specificationOptions] - Used when analyzing a specification
+ * @property {import('./report.js').SweepOptions} [sweep] - Frequency sweep for the gain envelope
+ */
+
+/**
+ * Influence of one component's variation on the objective
+ * @typedef {Object} ToleranceSensitivity
+ * @property {number} stage - Index of the stage containing the component
+ * @property {number} leaf - Index of the component within the stage's leaves()
+ * @property {string} name - Component description
+ * @property {number} correlation - Correlation between the component's deviation and the objective value
+ */
+
+/**
+ * Result of a Monte Carlo tolerance analysis
+ * @typedef {Object} ToleranceReport
+ * @property {number} trials - Number of randomized instances
+ * @property {number} yield - Fraction of instances that pass
+ * @property {number} nominalObjectiveValue - Objective value of the nominal filter
+ * @property {number} worstObjectiveValue - Largest objective value of any instance
+ * @property {Array<number>} objectiveValues - Objective value of each instance
+ * @property {Object<string, number>} [failures] - For specifications, the fraction of instances violating each constraint
+ * @property {Object} [envelope] - Given a sweep, the "frequencies" and the "nominal", "min" and "max" gain in dB
+ * @property {Array<ToleranceSensitivity>} sensitivities - Components ranked by the magnitude of their correlation
+ */
+
+const DISTRIBUTIONS = ['uniform', 'gaussian'];
+
+/**
+ * Temperature at which component values are nominal, in °C
+ */
+const REFERENCE_TEMPERATURE = 25;
+
+/**
+ * Checks that a tolerance is well formed
+ * @param {Tolerance} tolerance
+ * @returns {Tolerance}
+ */
+export function validateTolerance(tolerance) {
+    assert(tolerance instanceof Object, 'A tolerance must be an object');
+    assert(DISTRIBUTIONS.includes(tolerance.distribution ?? 'uniform'), `Unknown tolerance distribution ${tolerance.distribution}`);
+    assert(tolerance.tolerance >= 0 && tolerance.tolerance < 1, 'Relative tolerances must be in [0, 1)');
+    assert(tolerance.sigmas === undefined || tolerance.sigmas > 0);
+    assert(tolerance.temperatureCoefficient === undefined || Number.isFinite(tolerance.temperatureCoefficient));
+    return tolerance;
+}
+
+/**
+ * Draws a standard normal random number with the Box-Muller transform
+ * @param {import('./random.js').RandomSource} random
+ * @returns {number}
+ */
+function gaussian(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Draws the factor by which a component's value deviates from nominal
+ * @param {Tolerance} tolerance
+ * @param {number} temperature - Operating temperature in °C
+ * @param {import('./random.js').RandomSource} random
+ * @returns {number}
+ */
+function deviationFactor({ distribution = 'uniform', tolerance, sigmas = 3, temperatureCoefficient = 0 }, temperature, random) {
+    const manufacturing = distribution === 'gaussian'
+        ? 1 + tolerance / sigmas * gaussian(random)
+        : 1 + tolerance * (2 * random() - 1);
+    return manufacturing * (1 + temperatureCoefficient * 1e-6 * (temperature - REFERENCE_TEMPERATURE));
+}
+
+/**
+ * Creates a randomized instance of a filter, as if it were built from real parts
+ * @param {Filter} filter
+ * @param {import('./random.js').RandomSource} random
+ * @param {ToleranceOptions} options - defaultTolerance and temperatureRange are used
+ * @returns {{filter: Filter, deviations: Array<number>}} - The instance and each component's relative deviation, in stage and leaf order
+ */
+export function sampleFilter(filter, random = Math.random, { defaultTolerance, temperatureRange = [REFERENCE_TEMPERATURE, REFERENCE_TEMPERATURE] } = {}) {
+    assert(filter instanceof Filter);
+    assert(temperatureRange.length === 2 && temperatureRange[1] >= temperatureRange[0]);
+
+    const temperature = temperatureRange[0] + (temperatureRange[1] - temperatureRange[0]) * random();
+    const deviations = [];
+    const stages = filter.stages.map((stage) => stage.leaves().reduce((sampled, component, i) => {
+        const tolerance = component.tolerance ?? defaultTolerance;
+        const factor = tolerance === undefined ? 1 : deviationFactor(tolerance, temperature, random);
+        deviations.push(factor - 1);
+        return sampled.withLeaf(i, component.withValue(component.componentValue.value * factor));
+    }, stage));
+    return { filter: filter.withStages(stages), deviations };
+}
+
+/**
+ * Computes the Pearson correlation of two samples, or zero when either does not vary
+ * @param {Array<number>} x
+ * @param {Array<number>} y
+ * @returns {number}
+ */
+function correlation(x, y) {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanX = mean(x);
+    const meanY = mean(y);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < x.length; i++) {
+        covariance += (x[i] - meanX) * (y[i] - meanY);
+        varianceX += (x[i] - meanX) ** 2;
+        varianceY += (y[i] - meanY) ** 2;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+/**
+ * Gain of a filter in dB at each frequency of a sweep
+ * @param {Filter} filter
+ * @param {FrequencySweep} frequencySweep
+ * @returns {Array<number>}
+ */
+function gains(filter, frequencySweep) {
+    return Array.from(frequencySweep.network(filter).gainDb());
+}
+
+/**
+ * Runs randomized instances of a filter through an objective function or specification to estimate its
+ * manufacturing yield, the spread of its gain and which components matter most
+ * @param {Filter} filter
+ * @param {import('./optimize.js').ObjectiveFunction|import('./specification.js').Specification} objective
+ * @param {ToleranceOptions} options
+ * @returns {ToleranceReport}
+ */
+export function monteCarloAnalysis(filter, objective, options = {}) {
+    assert(filter instanceof Filter);
+    const { trials = 1000, random = Math.random, threshold = 0, specificationOptions = {}, sweep } = options;
+    assert(trials > 0);
+
+    const isSpecification = !(objective instanceof Function);
+    const evaluator = isSpecification ? makeSpecificationEvaluator(objective, specificationOptions) : undefined;
+    const evaluate = isSpecification
+        ? (instance) => evaluator(instance.network, instance)
+        : (instance) => ({ penalty: objective(instance.network, instance) });
+
+    const failureCounts = isSpecification ? Object.fromEntries(Object.keys(objective).map((name) => [name, 0])) : undefined;
+    const frequencies = sweep === undefined ? undefined : sweepFrequencies(sweep);
+    // Instances rarely share component values, so their stages are not worth caching
+    const frequencySweep = frequencies === undefined
+        ? undefined
+        : new FrequencySweep(frequencies.map((frequency) => 2 * Math.PI * frequency), { cacheSize: 0 });
+    const nominalGains = frequencies === undefined ? undefined : gains(filter, frequencySweep);
+    const envelope = frequencies === undefined
+        ? undefined
+        : { frequencies, nominal: nominalGains, min: [...nominalGains], max: [...nominalGains] };
+
+    const objectiveValues = [];
+    const deviations = [];
+    let passes = 0;
+    for (let trial = 0; trial < trials; trial++) {
+        const sample = sampleFilter(filter, random, options);
+        const { penalty, violations } = evaluate(sample.filter);
+        objectiveValues.push(penalty);
+        deviations.push(sample.deviations);
+        if (penalty <= threshold)
+            passes++;
+        for (const name of Object.keys(violations ?? {}))
+            failureCounts[name]++;
+
+        if (envelope !== undefined) {
+            gains(sample.filter, frequencySweep).forEach((gain, i) => {
+                envelope.min[i] = Math.min(envelope.min[i], gain);
+                envelope.max[i] = Math.max(envelope.max[i], gain);
+            });
+        }
+    }
+
+    // Instances with infinite or undefined objective values would dominate the correlations, so they are left out
+    const finite = objectiveValues.map((value, trial) => trial).filter((trial) => Number.isFinite(objectiveValues[trial]));
+    const sensitivities = filter.stages.flatMap((stage, stageIndex) => stage.leaves().map((component, leaf) => ({
+        stage: stageIndex,
+        leaf,
+        name: component.toString()
+    }))).map((sensitivity, i) => ({
+        ...sensitivity,
+        correlation: correlation(finite.map((trial) => deviations[trial][i]), finite.map((trial) => objectiveValues[trial]))
+    })).sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+
+    const report = {
+        trials,
+        yield: passes / trials,
+        nominalObjectiveValue: evaluate(filter).penalty,
+        // Spreading hundreds of thousands of trials into Math.max would overflow the stack
+        worstObjectiveValue: objectiveValues.reduce((worst, value) => Math.max(worst, value), -Infinity),
+        objectiveValues,
+        sensitivities
+    };
+    if (failureCounts !== undefined)
+        report.failures = Object.fromEntries(Object.entries(failureCounts).map(([name, count]) => [name, count / trials]));
+    if (envelope !== undefined)
+        report.envelope = envelope;
+    return report;
+}
+
+/**
+ * Creates an objective function that maximizes the yield of a filter rather than its nominal performance.
+ * The objective is the fraction of randomized instances that fail, so lower is better. Every evaluation draws
+ * the same random instances, so that filters are compared on equal terms.
+ * @param {import('./optimize.js').ObjectiveFunction} objective - Objective that each instance must meet
+ * @param {ToleranceOptions & {seed?: number, nominalWeight?: number}} options - "seed" fixes the random instances,
+ * and "nominalWeight" adds a multiple of the nominal objective value to break ties between filters with equal yield
+ * @returns {import('./optimize.js').ObjectiveFunction}
+ */
+export function makeYieldObjective(objective, { trials = 100, seed = 1, threshold = 0, nominalWeight = 0, ...options } = {}) {
+    assert(objective instanceof Function);
+    assert(trials > 0);
+
+    return (network, filter) => {
+        assert(filter instanceof Filter, 'Yield objectives need the filter, not just its network');
+
+        const random = makeRandom(seed);
+        let failures = 0;
+        for (let trial = 0; trial < trials; trial++) {
+            const instance = sampleFilter(filter, random, options).filter;
+            if (!(objective(instance.network, instance) <= threshold))
+                failures++;
+        }
+        return failures / trials + (nominalWeight === 0 ? 0 : nominalWeight * objective(network, filter));
+    };
+}
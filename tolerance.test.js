@@ -0,0 +1,143 @@
+import { test } from 'tap';
+
+import { Capacitor, Component, ComponentValue, Inductor } from './component.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import Load from './load.js';
+import { simulatedAnnealing } from './optimizers.js';
+import { makeRandom } from './random.js';
+import { makeSpecificationObjective } from './specification.js';
+import { makeYieldObjective, monteCarloAnalysis, sampleFilter, validateTolerance } from './tolerance.js';
+
+// A 1 MHz Butterworth lowpass filter whose inductor matters far more than its capacitors
+const makeFilter = (tolerance = { tolerance: 0.05 }) => new Filter(Load.resistor(50), Load.resistor(50), [
+    new ShuntFilterStage(new Capacitor(3.18e-9).withTolerance({ tolerance: 0.01 })),
+    new SeriesFilterStage(new Inductor(1.59e-5).withTolerance(tolerance)),
+    new ShuntFilterStage(new Capacitor(3.18e-9).withTolerance({ tolerance: 0.01 }))
+]);
+
+const specification = {
+    passband: { type: 'ripple', minFrequency: 1e4, maxFrequency: 8e5, maxRipple: 1.1 }
+};
+
+test('Test Tolerance - Sampling', (t) => {
+    const filter = makeFilter();
+    const random = makeRandom(1);
+    const samples = Array.from({ length: 200 }, () => sampleFilter(filter, random));
+
+    t.ok(samples.every(({ filter: instance, deviations }) => deviations.length === 3
+        && Math.abs(instance.stages[1].components[0].componentValue.value / 1.59e-5 - 1 - deviations[1]) < 1e-12));
+    t.ok(samples.every(({ deviations }) => Math.abs(deviations[0]) <= 0.01 && Math.abs(deviations[1]) <= 0.05));
+    t.ok(samples.some(({ deviations }) => deviations[1] > 0.04) && samples.some(({ deviations }) => deviations[1] < -0.04));
+
+    // Gaussian tolerances span three standard deviations by default
+    const gaussian = makeFilter({ distribution: 'gaussian', tolerance: 0.03 });
+    const deviations = Array.from({ length: 2000 }, () => sampleFilter(gaussian, random).deviations[1]);
+    const sigma = Math.sqrt(deviations.reduce((sum, deviation) => sum + deviation ** 2, 0) / deviations.length);
+    t.ok(Math.abs(sigma - 0.01) < 0.001, `sigma ${sigma}`);
+
+    // Temperature coefficients shift values away from 25 °C, and components without a tolerance keep their values
+    const drifting = new Filter(Load.resistor(50), Load.resistor(50), [
+        new ShuntFilterStage(new Capacitor(1e-9).withTolerance({ tolerance: 0, temperatureCoefficient: -750 })),
+        new SeriesFilterStage(new Inductor(1e-6))
+    ]);
+    const hot = sampleFilter(drifting, random, { temperatureRange: [125, 125] });
+    t.ok(Math.abs(hot.deviations[0] + 0.075) < 1e-12);
+    t.equal(hot.deviations[1], 0);
+    t.not(sampleFilter(drifting, random, { defaultTolerance: { tolerance: 0.1 } }).filter.stages[1].components[0].componentValue.value, 1e-6);
+
+    t.throws(() => validateTolerance({ distribution: 'triangular', tolerance: 0.05 }));
+    t.throws(() => validateTolerance({ tolerance: -0.05 }));
+    t.same(validateTolerance({ distribution: 'gaussian', tolerance: 0.05, sigmas: 2 }), { distribution: 'gaussian', tolerance: 0.05, sigmas: 2 });
+    t.throws(() => validateTolerance({ distribution: 'gaussian', tolerance: 0.05, sigmas: 0 }));
+    t.throws(() => new Capacitor(1e-9).withTolerance({ tolerance: 2 }));
+
+    t.end();
+});
+
+test('Test Tolerance - Monte Carlo Analysis', (t) => {
+    const filter = makeFilter();
+    const report = monteCarloAnalysis(filter, specification, {
+        trials: 300,
+        random: makeRandom(2),
+        sweep: { minFrequency: 1e5, maxFrequency: 1e7, points: 21 }
+    });
+
+    t.equal(report.trials, 300);
+    t.equal(report.objectiveValues.length, 300);
+    t.equal(report.nominalObjectiveValue, 0);
+    t.ok(report.yield > 0.2 && report.yield < 0.9, `yield ${report.yield}`);
+    t.equal(report.failures.passband, 1 - report.yield);
+    t.ok(report.worstObjectiveValue > 0);
+
+    // The inductor has the widest tolerance, so it ranks first
+    t.equal(report.sensitivities.length, 3);
+    t.same(report.sensitivities.map(({ stage }) => stage)[0], 1);
+    t.match(report.sensitivities[0].name, /^inductor/);
+    t.ok(Math.abs(report.sensitivities[0].correlation) > Math.abs(report.sensitivities[1].correlation));
+
+    const { frequencies, nominal, min, max } = report.envelope;
+    t.equal(frequencies.length, 21);
+    t.ok(nominal.every((gain, i) => min[i] <= gain && gain <= max[i]));
+    t.ok(max[20] - min[20] > 0.5);
+
+    // Objective functions work too, with the same random instances giving the same result
+    const objective = makeSpecificationObjective(specification);
+    const fromObjective = monteCarloAnalysis(filter, objective, { trials: 300, random: makeRandom(2) });
+    t.equal(fromObjective.yield, report.yield);
+    t.equal(fromObjective.failures, undefined);
+
+    // Without any tolerances every instance is nominal
+    const ideal = monteCarloAnalysis(makeFilter().withStages(makeFilter().stages.map((stage) =>
+        stage.withLeaf(0, stage.leaves()[0].withTolerance(undefined)))), specification, { trials: 10 });
+    t.equal(ideal.yield, 1);
+    t.ok(ideal.sensitivities.every(({ correlation }) => correlation === 0));
+
+    t.end();
+});
+
+test('Test Tolerance - Yield Optimization', (t) => {
+    const objective = makeSpecificationObjective(specification);
+    const yieldObjective = makeYieldObjective(objective, { trials: 50 });
+    const filter = makeFilter();
+
+    t.equal(yieldObjective(filter.network, filter), yieldObjective(filter.network, filter));
+    t.throws(() => yieldObjective(filter.network));
+    // The nominal objective value breaks ties between filters with the same yield
+    const weighted = makeYieldObjective(objective, { trials: 50, nominalWeight: 0.5 });
+    t.equal(weighted(filter.network, filter), yieldObjective(filter.network, filter) + 0.5 * objective(filter.network, filter));
+
+    // Start from a filter that nominally meets the mask with little margin
+    const tunable = filter.withStages(filter.stages.map((stage) => {
+        const component = stage.leaves()[0];
+        const value = component.componentValue.value;
+        return stage.withLeaf(0, new Component(
+            component.componentName,
+            ComponentValue.initializeComponent(value, value * 2, value / 2, false, false, 'E96'),
+            component.makeLoad,
+            component.model,
+            component.tolerance));
+    }));
+    const initialFailures = yieldObjective(tunable.network, tunable);
+
+    const optimized = simulatedAnnealing(tunable, yieldObjective, {
+        initialTemperature: 0.05,
+        coolingRate: 0.02,
+        iterations: 300,
+        random: makeRandom(3)
+    });
+    t.ok(yieldObjective(optimized.network, optimized) <= initialFailures);
+    t.ok(yieldObjective(optimized.network, optimized) < 0.2, `failures ${yieldObjective(optimized.network, optimized)}`);
+
+    t.end();
+});
+
+test('Test Tolerance - Serialization', (t) => {
+    const filter = makeFilter({ distribution: 'gaussian', tolerance: 0.02, temperatureCoefficient: 30 });
+    const restored = Filter.fromJSON(JSON.parse(JSON.stringify(filter)));
+
+    t.same(restored.stages[1].components[0].tolerance, { distribution: 'gaussian', tolerance: 0.02, temperatureCoefficient: 30 });
+    t.same(filter.update(makeRandom(1)).stages[0].components[0].tolerance, { tolerance: 0.01 });
+    t.equal(new Capacitor(1e-9).toJSON().tolerance, undefined);
+
+    t.end();
+});
@@ -0,0 +1,275 @@
+import { strict as assert } from 'node:assert';
+
+import { Capacitor, ComponentValue, Inductor } from './component.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+
+/** @typedef {import('./random.js').RandomSource} RandomSource */
+
+/**
+ * Options controlling which structural changes a topology allows
+ * @typedef {Object} TopologyOptions
+ * @property {Array<number>} [capacitanceRange] - [min, max] values of added capacitors
+ * @property {Array<number>} [inductanceRange] - [min, max] values of added inductors
+ * @property {string|Array<number>} [series] - Preferred value series of added components
+ * @property {number} [minStages] - Fewest stages a filter may be reduced to
+ * @property {number} [maxStages] - Most stages a filter may grow to
+ * @property {number} [maxComponentsPerStage] - Most components a stage may grow to
+ * @property {number} [moveRate] - Probability that a neighbor is a structural change rather than new component values
+ * @property {Array<string>} [moves] - Allowed moves, by default all of TOPOLOGY_MOVES
+ */
+
+/**
+ * Structural changes that can be made to a filter
+ */
+export const TOPOLOGY_MOVES = [
+    'insertStage',
+    'removeStage',
+    'addComponent',
+    'removeComponent',
+    'swapComponent',
+    'toggleCombination'
+];
+
+/**
+ * Checks whether a component can be swapped between a capacitor and an inductor
+ * @param {import('./component.js').Component} component
+ * @returns {boolean}
+ */
+function isSwappable(component) {
+    return ['capacitor', 'inductor'].includes(component.componentName);
+}
+
+/**
+ * Checks whether a stage is a series or shunt stage, whose components can be added, removed and recombined.
+ * Transmission line and transformer stages are two-ports described by their components.
+ * @param {import('./filter.js').FilterStage} stage
+ * @returns {boolean}
+ */
+function isLadderStage(stage) {
+    return stage instanceof SeriesFilterStage || stage instanceof ShuntFilterStage;
+}
+
+/**
+ * Checks whether a stage has several components that can be removed or recombined
+ * @param {import('./filter.js').FilterStage} stage
+ * @returns {boolean}
+ */
+function isCombination(stage) {
+    return isLadderStage(stage) && stage.components.length > 1;
+}
+
+/**
+ * Picks a random element of an array
+ * @param {Array} items
+ * @param {RandomSource} random
+ */
+function pick(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Generates neighboring filters that differ in structure: stages are inserted and removed,
+ * components are added, removed or swapped between capacitors and inductors, and stages
+ * switch between combining their components in parallel and in series.
+ */
+export class Topology {
+    /**
+     * @param {TopologyOptions} options
+     */
+    constructor({
+        capacitanceRange = [1e-12, 1e-6],
+        inductanceRange = [1e-9, 1e-3],
+        series = 'E24',
+        minStages = 1,
+        maxStages = 10,
+        maxComponentsPerStage = 2,
+        moveRate = 0.1,
+        moves = TOPOLOGY_MOVES
+    } = {}) {
+        assert(capacitanceRange[0] > 0 && capacitanceRange[1] >= capacitanceRange[0]);
+        assert(inductanceRange[0] > 0 && inductanceRange[1] >= inductanceRange[0]);
+        assert(minStages >= 1);
+        assert(maxStages >= minStages);
+        assert(maxComponentsPerStage >= 1);
+        assert(moveRate >= 0 && moveRate <= 1);
+        assert(moves.length > 0);
+        moves.forEach((move) => assert(TOPOLOGY_MOVES.includes(move), `Unknown topology move ${move}`));
+
+        this.capacitanceRange = capacitanceRange;
+        this.inductanceRange = inductanceRange;
+        this.series = series;
+        this.minStages = minStages;
+        this.maxStages = maxStages;
+        this.maxComponentsPerStage = maxComponentsPerStage;
+        this.moveRate = moveRate;
+        this.moves = moves;
+    }
+
+    /**
+     * Describes the topology's options as JSON
+     * @returns {TopologyOptions}
+     */
+    toJSON() {
+        const { capacitanceRange, inductanceRange, series, minStages, maxStages, maxComponentsPerStage, moveRate, moves } = this;
+        return { capacitanceRange, inductanceRange, series, minStages, maxStages, maxComponentsPerStage, moveRate, moves };
+    }
+
+    /**
+     * Creates a topology from its JSON description
+     * @param {TopologyOptions} json - Description produced by toJSON
+     * @returns {Topology}
+     */
+    static fromJSON(json) {
+        return new Topology(json);
+    }
+
+    /**
+     * Creates a capacitor with a random value
+     * @param {RandomSource} random
+     * @returns {Capacitor}
+     */
+    randomCapacitor(random) {
+        const [minValue, maxValue] = this.capacitanceRange;
+        return new Capacitor(ComponentValue.randomizeComponent(maxValue, minValue, false, false, this.series, random));
+    }
+
+    /**
+     * Creates an inductor with a random value
+     * @param {RandomSource} random
+     * @returns {Inductor}
+     */
+    randomInductor(random) {
+        const [minValue, maxValue] = this.inductanceRange;
+        return new Inductor(ComponentValue.randomizeComponent(maxValue, minValue, false, false, this.series, random));
+    }
+
+    /**
+     * Creates a randomly chosen capacitor or inductor
+     * @param {RandomSource} random
+     * @returns {Capacitor|Inductor}
+     */
+    randomComponent(random) {
+        return random() < 0.5 ? this.randomCapacitor(random) : this.randomInductor(random);
+    }
+
+    /**
+     * Checks whether a component can be added to a stage. Transmission line and transformer stages only hold their own components.
+     * @param {import('./filter.js').FilterStage} stage
+     * @returns {boolean}
+     */
+    canAddComponent(stage) {
+        return isLadderStage(stage) && stage.components.length < this.maxComponentsPerStage;
+    }
+
+    /**
+     * Lists the moves that can be applied to a filter without breaking the topology's limits
+     * @param {Filter} filter
+     * @returns {Array<string>}
+     */
+    possibleMoves(filter) {
+        const stages = filter.stages;
+        return this.moves.filter((move) => {
+            switch (move) {
+                case 'insertStage':
+                    return stages.length < this.maxStages;
+                case 'removeStage':
+                    return stages.length > this.minStages;
+                case 'addComponent':
+                    return stages.some((stage) => this.canAddComponent(stage));
+                case 'removeComponent':
+                case 'toggleCombination':
+                    return stages.some(isCombination);
+                case 'swapComponent':
+                    return stages.some((stage) => isLadderStage(stage) && stage.components.some(isSwappable));
+            }
+        });
+    }
+
+    /**
+     * Creates a neighboring filter with a random structural change.
+     * The filter is only updated with new component values when no move is possible.
+     * @param {Filter} filter
+     * @param {RandomSource} random
+     * @returns {Filter}
+     */
+    mutate(filter, random = Math.random) {
+        assert(filter instanceof Filter);
+
+        const moves = this.possibleMoves(filter);
+        if (moves.length === 0)
+            return filter.withStages(filter.stages.map((stage) => stage.update(random)));
+
+        const stages = filter.stages;
+        const stageIndex = (predicate) => pick(
+            stages.map((stage, i) => predicate(stage) ? i : -1).filter((i) => i !== -1),
+            random);
+
+        switch (pick(moves, random)) {
+            case 'insertStage': {
+                const Stage = random() < 0.5 ? SeriesFilterStage : ShuntFilterStage;
+                const position = Math.floor(random() * (stages.length + 1));
+                return filter.withStages([
+                    ...stages.slice(0, position),
+                    new Stage(this.randomComponent(random)),
+                    ...stages.slice(position)
+                ]);
+            }
+            case 'removeStage': {
+                const position = Math.floor(random() * stages.length);
+                return filter.withStages(stages.filter((_, i) => i !== position));
+            }
+            case 'addComponent': {
+                const i = stageIndex((stage) => this.canAddComponent(stage));
+                return filter.withStage(i, stages[i].withComponents([...stages[i].components, this.randomComponent(random)]));
+            }
+            case 'removeComponent': {
+                const i = stageIndex(isCombination);
+                const position = Math.floor(random() * stages[i].components.length);
+                return filter.withStage(i, stages[i].withComponents(stages[i].components.filter((_, j) => j !== position)));
+            }
+            case 'swapComponent': {
+                const i = stageIndex((stage) => isLadderStage(stage) && stage.components.some(isSwappable));
+                const positions = stages[i].components.map((component, j) => isSwappable(component) ? j : -1).filter((j) => j !== -1);
+                const position = pick(positions, random);
+                const replacement = stages[i].components[position].componentName === 'capacitor'
+                    ? this.randomInductor(random)
+                    : this.randomCapacitor(random);
+                return filter.withStage(i, stages[i].withComponent(position, replacement));
+            }
+            case 'toggleCombination': {
+                const i = stageIndex(isCombination);
+                return filter.withStage(i, stages[i].withCombination(stages[i].combination === 'series' ? 'parallel' : 'series'));
+            }
+        }
+    }
+}
+
+/**
+ * Counts the individual components of a filter, excluding its input and output loads
+ * @param {Filter} filter
+ * @returns {number}
+ */
+export function componentCount(filter) {
+    return filter.stages.reduce((count, stage) => count + stage.leaves().length, 0);
+}
+
+/**
+ * Adds a complexity penalty to an objective function so that simpler filters are preferred
+ * @param {import('./optimize.js').ObjectiveFunction} objectiveFunction - Objective function to penalize
+ * @param {Object} costs
+ * @param {number} [costs.componentCost] - Penalty per component
+ * @param {number} [costs.stageCost] - Penalty per stage
+ * @returns {import('./optimize.js').ObjectiveFunction}
+ */
+export function makeComplexityObjective(objectiveFunction, { componentCost = 1, stageCost = 0 } = {}) {
+    assert(objectiveFunction instanceof Function);
+    assert(componentCost >= 0);
+    assert(stageCost >= 0);
+
+    return (network, filter) => {
+        assert(filter instanceof Filter, 'Complexity penalties need the filter being optimized');
+        return objectiveFunction(network, filter)
+            + componentCost * componentCount(filter)
+            + stageCost * filter.stages.length;
+    };
+}
@@ -0,0 +1,133 @@
+import { test } from 'tap';
+
+import { Capacitor, Component, ComponentValue, Inductor, TransmissionLine } from './component.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { simulatedAnnealing } from './optimizers.js';
+import { makeRandom } from './random.js';
+import { formatSpiceNetlist } from './spice.js';
+import { Topology, componentCount, makeComplexityObjective } from './topology.js';
+
+const makeLowpass = () => new Filter(
+    Load.resistor(50),
+    Load.resistor(50),
+    [
+        new ShuntFilterStage(new Capacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10))),
+        new SeriesFilterStage(new Inductor(ComponentValue.initializeComponent(1e-6, 1e-5, 1e-7))),
+        new ShuntFilterStage(new Capacitor(ComponentValue.initializeComponent(1e-9, 1e-8, 1e-10)))
+    ]
+);
+
+test('Test Topology - Series Combination Stage', (t) => {
+    // A series resonator in a shunt arm notches out its resonant frequency
+    const resonance = 1 / Math.sqrt(1e-6 * 1e-9);
+    const stage = new ShuntFilterStage(new Inductor(1e-6), new Capacitor(1e-9)).withCombination('series');
+    const notch = new Filter(Load.resistor(50), Load.resistor(50), [stage]);
+
+    t.equal(stage.combination, 'series');
+    t.ok(notch.network.voltageGain(resonance).abs() < 1e-9);
+    t.ok(Math.abs(notch.network.voltageGain(resonance / 100).abs() - 0.5) < 0.01);
+    t.equal(stage.toString(), 'inductor: 0.000001 + capacitor: 1e-9');
+
+    // The combination is kept by neighbors and copies
+    t.equal(stage.update(makeRandom(1)).combination, 'series');
+    t.equal(stage.withComponent(0, new Inductor(2e-6)).combination, 'series');
+    t.equal(stage.withCombination('parallel').toString(), 'inductor: 0.000001, capacitor: 1e-9');
+    t.throws(() => stage.withCombination('bridge'));
+    // The combination may also follow the components
+    t.equal(new ShuntFilterStage(new Inductor(1e-6), new Capacitor(1e-9), 'series').toString(), stage.toString());
+
+    // Two-port stages have no combination to change
+    const line = new TransmissionLineStage(new TransmissionLine(0.1, { characteristicImpedance: 50 }));
+    t.throws(() => line.withCombination('series'), /Only series and shunt stages/);
+
+    const lines = formatSpiceNetlist(notch).trim().split('\n');
+    t.ok(lines.includes('L1 in n1 0.000001'));
+    t.ok(lines.includes('C1 n1 0 1e-9'));
+
+    t.end();
+});
+
+test('Test Topology - Individual Moves', (t) => {
+    const random = makeRandom(3);
+    const filter = makeLowpass();
+
+    const inserted = new Topology({ moves: ['insertStage'] }).mutate(filter, random);
+    t.equal(inserted.stages.length, 4);
+
+    const removed = new Topology({ moves: ['removeStage'] }).mutate(filter, random);
+    t.equal(removed.stages.length, 2);
+
+    const added = new Topology({ moves: ['addComponent'] }).mutate(filter, random);
+    t.equal(componentCount(added), 4);
+
+    const swapped = new Topology({ moves: ['swapComponent'] }).mutate(filter, random);
+    const names = (f) => f.stages.map((stage) => stage.components[0].componentName);
+    t.equal(names(swapped).filter((name, i) => name !== names(filter)[i]).length, 1);
+    t.ok(swapped.stages.every((stage, i) => stage.constructor === filter.stages[i].constructor));
+    // Only capacitors and inductors are swapped
+    const damped = new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Component('resistor', 100, Load.resistor), new Capacitor(1e-9))]);
+    const dampedSwap = new Topology({ moves: ['swapComponent'] }).mutate(damped, random);
+    t.same(dampedSwap.stages[0].components.map((component) => component.componentName), ['resistor', 'inductor']);
+
+    const toggled = new Topology({ moves: ['toggleCombination'] }).mutate(added, random);
+    t.equal(toggled.stages.filter((stage) => stage.combination === 'series').length, 1);
+
+    // With no possible move the component values are updated instead
+    const limited = new Topology({ moves: ['removeComponent', 'toggleCombination'] }).mutate(filter, random);
+    t.equal(componentCount(limited), 3);
+
+    t.throws(() => new Topology({ moves: ['rewire'] }));
+    t.throws(() => new Topology({ minStages: 3, maxStages: 2 }));
+
+    t.end();
+});
+
+test('Test Topology - Limits', (t) => {
+    const random = makeRandom(5);
+    const topology = new Topology({ minStages: 2, maxStages: 4, maxComponentsPerStage: 3 });
+    const filters = [makeLowpass()];
+    for (let i = 0; i < 500; i++)
+        filters.push(topology.mutate(filters[filters.length - 1], random));
+
+    t.ok(filters.every((filter) => filter.stages.length >= 2 && filter.stages.length <= 4));
+    t.ok(filters.every((filter) => filter.stages.every((stage) => stage.components.length >= 1 && stage.components.length <= 3)));
+    t.ok(filters.some((filter) => filter.stages.length === 4));
+    t.ok(filters.some((filter) => filter.stages.some((stage) => stage.combination === 'series')));
+
+    t.end();
+});
+
+test('Test Topology - Filter Neighbors', (t) => {
+    const random = makeRandom(9);
+    const filter = makeLowpass();
+    const topology = new Topology({ moveRate: 1, moves: ['insertStage'] });
+    const withTopology = filter.withTopology(topology);
+
+    t.equal(filter.update(random).stages.length, 3);
+    t.equal(withTopology.update(random).stages.length, 4);
+    t.equal(withTopology.update(random).topology, topology);
+    t.equal(withTopology.withStage(0, filter.stages[0]).topology, topology);
+    t.equal(withTopology.withTopology(new Topology({ moveRate: 0 })).update(random).stages.length, 3);
+
+    t.end();
+});
+
+test('Test Topology - Complexity Penalty', (t) => {
+    const filter = makeLowpass();
+    const passband = (network) => Math.abs(network.voltageGain(2 * Math.PI * 1e3).abs() - 0.5);
+
+    const objective = makeComplexityObjective(passband, { componentCost: 0.1, stageCost: 0.01 });
+    t.ok(Math.abs(objective(filter.network, filter) - passband(filter.network) - 0.33) < 1e-12);
+    t.throws(() => objective(filter.network));
+
+    // Every stage is redundant in the passband, so the cheapest filter has a single component
+    const optimized = simulatedAnnealing(
+        filter.withTopology(new Topology({ moveRate: 0.5 })),
+        objective,
+        { initialTemperature: 0.01, coolingRate: 0.02, iterations: 300, random: makeRandom(11) });
+    t.equal(componentCount(optimized), 1);
+    t.ok(passband(optimized.network) < 1e-3);
+
+    t.end();
+});
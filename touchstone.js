@@ -0,0 +1,268 @@
+import { strict as assert } from 'node:assert';
+import { readFile, writeFile } from 'node:fs/promises';
+
+import Complex from 'complex.js';
+
+import Load, { interpolateSamples } from './load.js';
+import TwoPortNetwork, { TwoPortMatrix } from './twoPortNetwork.js';
+
+const FREQUENCY_MULTIPLIERS = { HZ: 1, KHZ: 1e3, MHZ: 1e6, GHZ: 1e9 };
+const UNIT_NAMES = { HZ: 'Hz', KHZ: 'kHz', MHZ: 'MHz', GHZ: 'GHz' };
+// Floor for magnitudes written in decibels, so a zero parameter doesn't produce -Infinity
+const MINIMUM_DECIBELS = -400;
+
+/**
+ * Conversions between complex numbers and the pairs of numbers of a Touchstone data format
+ * @typedef {Object} TouchstoneFormat
+ * @property {function(number, number): Complex} parse - Converts a pair of numbers to a complex number
+ * @property {function(Complex): Array<number>} format - Converts a complex number to a pair of numbers
+ */
+
+/**
+ * Touchstone data formats by name
+ * @type {Object<string, TouchstoneFormat>}
+ */
+const FORMATS = {
+    RI: {
+        parse: (real, imaginary) => new Complex(real, imaginary),
+        format: (value) => [value.re, value.im]
+    },
+    MA: {
+        parse: (magnitude, angle) => Complex({ abs: magnitude, arg: angle * Math.PI / 180 }),
+        format: (value) => [value.abs(), value.arg() * 180 / Math.PI]
+    },
+    DB: {
+        parse: (decibels, angle) => Complex({ abs: Math.pow(10, decibels / 20), arg: angle * Math.PI / 180 }),
+        format: (value) => [Math.max(20 * Math.log10(value.abs()), MINIMUM_DECIBELS), value.arg() * 180 / Math.PI]
+    }
+};
+
+/**
+ * Conversions from the network parameters of a Touchstone file, normalized to the reference impedance
+ * @typedef {Object} TouchstoneParameter
+ * @property {function(Array<Array<Complex>>, number): TwoPortMatrix} abcdMatrix - Converts a two-port parameter
+ * matrix to an ABCD matrix, given the reference impedance
+ * @property {function(Complex, number): Complex} impedance - Converts a one-port parameter to an impedance, given the
+ * reference impedance
+ */
+
+/**
+ * Touchstone network parameters by name
+ * @type {Object<string, TouchstoneParameter>}
+ */
+const PARAMETERS = {
+    S: {
+        abcdMatrix: ([[s11, s12], [s21, s22]], referenceImpedance) => {
+            const twiceS21 = s21.mul(2);
+            const one = Complex.ONE;
+            return new TwoPortMatrix([
+                [
+                    one.add(s11).mul(one.sub(s22)).add(s12.mul(s21)).div(twiceS21),
+                    one.add(s11).mul(one.add(s22)).sub(s12.mul(s21)).mul(referenceImpedance).div(twiceS21)
+                ],
+                [
+                    one.sub(s11).mul(one.sub(s22)).sub(s12.mul(s21)).div(twiceS21.mul(referenceImpedance)),
+                    one.sub(s11).mul(one.add(s22)).add(s12.mul(s21)).div(twiceS21)
+                ]
+            ]);
+        },
+        impedance: (s11, referenceImpedance) => Complex.ONE.add(s11).div(Complex.ONE.sub(s11)).mul(referenceImpedance)
+    },
+    Z: {
+        abcdMatrix: ([[z11, z12], [z21, z22]], referenceImpedance) => new TwoPortMatrix([
+            [z11.div(z21), z11.mul(z22).sub(z12.mul(z21)).mul(referenceImpedance).div(z21)],
+            [z21.mul(referenceImpedance).inverse(), z22.div(z21)]
+        ]),
+        impedance: (z11, referenceImpedance) => z11.mul(referenceImpedance)
+    },
+    Y: {
+        abcdMatrix: ([[y11, y12], [y21, y22]], referenceImpedance) => new TwoPortMatrix([
+            [y22.neg().div(y21), y21.div(referenceImpedance).inverse().neg()],
+            [y11.mul(y22).sub(y12.mul(y21)).neg().div(y21.mul(referenceImpedance)), y11.neg().div(y21)]
+        ]),
+        impedance: (y11, referenceImpedance) => y11.inverse().mul(referenceImpedance)
+    }
+};
+
+/**
+ * Parsed contents of a Touchstone file
+ * @typedef {Object} TouchstoneData
+ * @property {number} ports - Number of ports described by the file
+ * @property {string} parameter - Network parameter type, e.g. "S"
+ * @property {number} referenceImpedance - Reference impedance of the data
+ * @property {Array<number>} frequencies - Sample frequencies in hertz, ascending
+ * @property {Array<Array<Array<Complex>>>} samples - Parameter matrix at each sample frequency
+ */
+
+/**
+ * Parses the text of a Touchstone (version 1) file
+ * @param {string} text - Contents of the file
+ * @param {number} ports - Number of ports, usually inferred from the ".sNp" file extension
+ * @returns {TouchstoneData}
+ */
+export function parseTouchstone(text, ports = 2) {
+    assert(typeof text === 'string');
+    assert(ports === 1 || ports === 2);
+
+    let unit = 'GHZ';
+    let parameter = 'S';
+    let format = 'MA';
+    let referenceImpedance = 50;
+    let optionsSeen = false;
+    const tokens = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.split('!')[0].trim();
+        if (line.length === 0)
+            continue;
+
+        if (line.startsWith('#')) {
+            assert(!optionsSeen, 'Touchstone file has more than one option line');
+            optionsSeen = true;
+            const options = line.slice(1).trim().toUpperCase().split(/\s+/).filter((option) => option.length > 0);
+            for (let i = 0; i < options.length; i++) {
+                const option = options[i];
+                if (option in FREQUENCY_MULTIPLIERS)
+                    unit = option;
+                else if (option in FORMATS)
+                    format = option;
+                else if (option === 'R')
+                    referenceImpedance = Number(options[++i]);
+                else if (option in PARAMETERS)
+                    parameter = option;
+                else
+                    assert.fail(`Unsupported Touchstone option ${option}`);
+            }
+            assert(referenceImpedance > 0);
+            continue;
+        }
+
+        tokens.push(...line.split(/\s+/).map(Number));
+    }
+
+    const valuesPerSample = 1 + 2 * ports * ports;
+    assert(tokens.length > 0, 'Touchstone file contains no data');
+    assert(tokens.length % valuesPerSample === 0, 'Touchstone data is incomplete');
+    assert(tokens.every((token) => !Number.isNaN(token)), 'Touchstone data contains a non-numeric value');
+
+    const frequencies = [];
+    const samples = [];
+    for (let offset = 0; offset < tokens.length; offset += valuesPerSample) {
+        frequencies.push(tokens[offset] * FREQUENCY_MULTIPLIERS[unit]);
+
+        const pairs = [];
+        for (let i = offset + 1; i < offset + valuesPerSample; i += 2)
+            pairs.push(FORMATS[format].parse(tokens[i], tokens[i + 1]));
+
+        // Two-port data is ordered N11 N21 N12 N22
+        samples.push(ports === 1 ? [[pairs[0]]] : [[pairs[0], pairs[2]], [pairs[1], pairs[3]]]);
+    }
+
+    for (let i = 1; i < frequencies.length; i++)
+        assert(frequencies[i] > frequencies[i - 1], 'Touchstone frequencies must be strictly increasing');
+
+    return { ports, parameter, referenceImpedance, frequencies, samples };
+}
+
+/**
+ * Creates a two-port network that interpolates between measured two-port Touchstone data
+ * @param {TouchstoneData} data
+ * @returns {TwoPortNetwork}
+ */
+export function touchstoneNetwork(data) {
+    assert(data.ports === 2);
+
+    return new TwoPortNetwork(
+        (angularFrequency) => PARAMETERS[data.parameter].abcdMatrix(
+            interpolateSamples(data.frequencies, data.samples, angularFrequency / (2 * Math.PI)),
+            data.referenceImpedance));
+}
+
+/**
+ * Creates a load that interpolates between the impedances of measured one-port Touchstone data.
+ * The load is a tabulated load, so filters terminated by it can be serialized.
+ * @param {TouchstoneData} data
+ * @returns {Load}
+ */
+export function touchstoneLoad(data) {
+    assert(data.ports === 1);
+
+    return Load.tabulated(
+        data.frequencies,
+        data.samples.map(([[value]]) => PARAMETERS[data.parameter].impedance(value, data.referenceImpedance)));
+}
+
+/**
+ * Reads a Touchstone file, returning a TwoPortNetwork for ".s2p" files and a Load for ".s1p" files
+ * @param {string} path - Path of the Touchstone file
+ * @returns {Promise<TwoPortNetwork|Load>}
+ */
+export async function readTouchstone(path) {
+    const extension = path.toLowerCase().match(/\.s([12])p$/);
+    assert(extension, `Unsupported Touchstone file extension: ${path}`);
+
+    const data = parseTouchstone(await readFile(path, 'utf8'), Number(extension[1]));
+    return data.ports === 1 ? touchstoneLoad(data) : touchstoneNetwork(data);
+}
+
+/**
+ * Options for writing Touchstone files
+ * @typedef {Object} TouchstoneOptions
+ * @property {string} [frequencyUnit] - One of "Hz", "kHz", "MHz" or "GHz"
+ * @property {string} [format] - One of "MA", "DB" or "RI"
+ * @property {number} [referenceImpedance] - Real reference impedance of the S-parameters
+ */
+
+/**
+ * Samples the S-parameters of a network or load and formats them as a Touchstone (version 1) file
+ * @param {TwoPortNetwork|Load} network - A TwoPortNetwork produces ".s2p" data, a Load produces ".s1p" data
+ * @param {Array<number>} frequencies - Ascending sample frequencies in hertz
+ * @param {TouchstoneOptions} options
+ * @returns {string}
+ */
+export function formatTouchstone(network, frequencies, { frequencyUnit = 'GHz', format = 'MA', referenceImpedance = 50 } = {}) {
+    assert(network instanceof TwoPortNetwork || network instanceof Load);
+    assert(frequencies instanceof Array);
+    assert(frequencies.length > 0);
+    const unit = frequencyUnit.toUpperCase();
+    assert(unit in FREQUENCY_MULTIPLIERS, `Unsupported frequency unit ${frequencyUnit}`);
+    assert(format.toUpperCase() in FORMATS, `Unsupported Touchstone format ${format}`);
+    assert(referenceImpedance > 0);
+
+    const dataFormat = format.toUpperCase();
+    const lines = [
+        '! Generated by filtopt',
+        `# ${UNIT_NAMES[unit]} S ${dataFormat} R ${referenceImpedance}`
+    ];
+
+    for (const frequency of frequencies) {
+        const angularFrequency = 2 * Math.PI * frequency;
+        let values;
+        if (network instanceof Load) {
+            const impedance = network.impedance(angularFrequency);
+            values = [impedance.sub(referenceImpedance).div(impedance.add(referenceImpedance))];
+        } else {
+            const s = network.sParameters(angularFrequency, referenceImpedance);
+            values = [s.get(0, 0), s.get(1, 0), s.get(0, 1), s.get(1, 1)];
+        }
+
+        const columns = [frequency / FREQUENCY_MULTIPLIERS[unit]];
+        for (const value of values)
+            columns.push(...FORMATS[dataFormat].format(value));
+        lines.push(columns.map((column) => column.toPrecision(12)).join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Samples a network or load and writes it to a Touchstone file
+ * @param {string} path - Destination path, conventionally ending in ".s2p" or ".s1p"
+ * @param {TwoPortNetwork|Load} network
+ * @param {Array<number>} frequencies - Ascending sample frequencies in hertz
+ * @param {TouchstoneOptions} options
+ * @returns {Promise<void>}
+ */
+export async function writeTouchstone(path, network, frequencies, options = {}) {
+    await writeFile(path, formatTouchstone(network, frequencies, options));
+}
@@ -0,0 +1,129 @@
+import { test } from 'tap';
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import Load from './load.js';
+import { formatTouchstone, parseTouchstone, readTouchstone, touchstoneLoad, touchstoneNetwork, writeTouchstone } from './touchstone.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+test('Test Touchstone - Parse', (t) => {
+    const data = parseTouchstone([
+        '! Measured fixture',
+        '# MHz S RI R 75',
+        '1 0.1 0 0.9 0 0.8 0 0.2 0',
+        '2 0.3 0 0.7 0 0.6 0 0.4 0 ! trailing comment'
+    ].join('\n'));
+
+    t.equal(data.referenceImpedance, 75);
+    t.same(data.frequencies, [1e6, 2e6]);
+    t.equal(data.samples[0][1][0].re, 0.9); // S21
+    t.equal(data.samples[0][0][1].re, 0.8); // S12
+
+    t.end();
+});
+
+test('Test Touchstone - Two-Port Round Trip', (t) => {
+    const network = TwoPortNetwork.lSection(Load.inductor(1e-6), Load.capacitor(1e-9));
+    const frequencies = [1e6, 2e6, 5e6];
+
+    for (const format of ['MA', 'DB', 'RI']) {
+        const text = formatTouchstone(network, frequencies, { frequencyUnit: 'MHz', format, referenceImpedance: 50 });
+        const measured = touchstoneNetwork(parseTouchstone(text));
+
+        for (const frequency of frequencies) {
+            const expected = network.voltageGain(2 * Math.PI * frequency);
+            const actual = measured.voltageGain(2 * Math.PI * frequency);
+            t.ok(actual.sub(expected).abs() / expected.abs() < 1e-9, `${format} gain at ${frequency} Hz`);
+        }
+    }
+
+    t.end();
+});
+
+test('Test Touchstone - Interpolation', (t) => {
+    const text = '# Hz S RI R 50\n1 0 0 1 0 1 0 0 0\n3 0 0 0.5 0 0.5 0 0 0\n';
+    const network = touchstoneNetwork(parseTouchstone(text));
+
+    const midpoint = network.sParameters(2 * 2 * Math.PI, 50).get(1, 0);
+    t.ok(Math.abs(midpoint.re - 0.75) < 1e-12);
+    const beyond = network.sParameters(10 * 2 * Math.PI, 50).get(1, 0);
+    t.ok(Math.abs(beyond.re - 0.5) < 1e-12);
+
+    t.end();
+});
+
+test('Test Touchstone - One-Port Load', (t) => {
+    const load = Load.resistor(100);
+    const text = formatTouchstone(load, [1e3, 1e4], { frequencyUnit: 'kHz', format: 'RI' });
+    t.match(text, /# kHz S RI R 50/);
+
+    const measured = touchstoneLoad(parseTouchstone(text, 1));
+    t.ok(Math.abs(measured.impedance(2 * Math.PI * 5e3).re - 100) < 1e-9);
+
+    t.end();
+});
+
+test('Test Touchstone - Impedance and Admittance Parameters', (t) => {
+    const angularFrequency = 2 * Math.PI * 1e6;
+
+    // A shunt 100 ohm resistor has every Z-parameter equal to 100 ohm, here normalized to 50 ohm
+    const shunt = touchstoneNetwork(parseTouchstone('# MHz Z RI R 50\n1 2 0 2 0 2 0 2 0\n'));
+    const shuntGain = TwoPortNetwork.shunt(Load.resistor(100)).voltageGain(angularFrequency);
+    t.ok(shunt.voltageGain(angularFrequency).sub(shuntGain).abs() < 1e-12);
+
+    // A series 25 ohm resistor has Y-parameters of +-1 / 25 siemens, here normalized to 1 / 50 siemens
+    const series = touchstoneNetwork(parseTouchstone('# MHz Y RI R 50\n1 2 0 -2 0 -2 0 2 0\n'));
+    const seriesGain = TwoPortNetwork.series(Load.resistor(25)).voltageGain(angularFrequency);
+    t.ok(series.voltageGain(angularFrequency).sub(seriesGain).abs() < 1e-12);
+
+    const impedance = touchstoneLoad(parseTouchstone('# MHz Z RI R 50\n1 2 1\n', 1));
+    t.ok(impedance.impedance(angularFrequency).sub({ re: 100, im: 50 }).abs() < 1e-12);
+    const admittance = touchstoneLoad(parseTouchstone('# MHz Y RI R 50\n1 0.5 0\n', 1));
+    t.ok(Math.abs(admittance.impedance(angularFrequency).re - 100) < 1e-12);
+
+    t.throws(() => parseTouchstone('# MHz H RI R 50\n1 0 0 1 0 1 0 0 0\n'), /Unsupported Touchstone option H/);
+
+    t.end();
+});
+
+test('Test Touchstone - Magnitude Formats', (t) => {
+    const magnitudeAngle = parseTouchstone('# Hz S MA R 50\n1 0.5 90 1 0 1 0 0.5 -90\n');
+    t.ok(Math.abs(magnitudeAngle.samples[0][0][0].im - 0.5) < 1e-12);
+    t.ok(Math.abs(magnitudeAngle.samples[0][1][1].im + 0.5) < 1e-12);
+
+    const decibels = parseTouchstone('# Hz S DB R 50\n1 -20 180 0 0 0 0 -6.0206 0\n');
+    t.ok(Math.abs(decibels.samples[0][0][0].re + 0.1) < 1e-12);
+    t.ok(Math.abs(decibels.samples[0][1][1].re - 0.5) < 1e-5);
+
+    // A matched load reflects nothing, which has no finite magnitude in decibels
+    const text = formatTouchstone(Load.resistor(50), [1], { frequencyUnit: 'Hz', format: 'DB' });
+    t.match(text, /^1\.00000000000 -400\.000000000 /m);
+    t.notMatch(text, /Infinity/);
+
+    t.end();
+});
+
+test('Test Touchstone - Files', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'filtopt-'));
+    t.teardown(() => rm(directory, { recursive: true }));
+    const frequencies = [1e6, 2e6, 5e6];
+
+    const network = TwoPortNetwork.lSection(Load.inductor(1e-6), Load.capacitor(1e-9));
+    await writeTouchstone(join(directory, 'filter.s2p'), network, frequencies, { format: 'DB' });
+    const measuredNetwork = await readTouchstone(join(directory, 'filter.s2p'));
+    t.ok(measuredNetwork instanceof TwoPortNetwork);
+    for (const frequency of frequencies) {
+        const expected = network.voltageGain(2 * Math.PI * frequency);
+        t.ok(measuredNetwork.voltageGain(2 * Math.PI * frequency).sub(expected).abs() / expected.abs() < 1e-9);
+    }
+
+    const load = Load.series(Load.resistor(20), Load.inductor(1e-6));
+    await writeTouchstone(join(directory, 'LOAD.S1P'), load, frequencies);
+    const measuredLoad = await readTouchstone(join(directory, 'LOAD.S1P'));
+    t.ok(measuredLoad instanceof Load);
+    t.ok(measuredLoad.impedance(2 * Math.PI * 2e6).sub(load.impedance(2 * Math.PI * 2e6)).abs() < 1e-6);
+
+    await t.rejects(readTouchstone(join(directory, 'filter.txt')), /Unsupported Touchstone file extension/);
+});
@@ -0,0 +1,269 @@
+import { strict as assert } from 'node:assert';
+
+import Complex from 'complex.js';
+
+import { Filter, SeriesFilterStage, ShuntFilterStage } from './filter.js';
+import * as polynomial from './polynomial.js';
+
+/**
+ * An impedance N(p) / D(p) that is a ratio of polynomials in the normalized complex frequency p.
+ * Opens have a zero denominator and shorts a zero numerator.
+ * @typedef {Object} RationalImpedance
+ * @property {Array<number>} numerator
+ * @property {Array<number>} denominator
+ */
+
+/**
+ * A first order section with a single real pole, or a second order section with a complex conjugate pole pair
+ * @typedef {Object} PoleSection
+ * @property {number} order - 1 or 2
+ * @property {Array<Complex>} poles - The section's poles, in radians per second
+ * @property {number} naturalFrequency - Undamped natural angular frequency |p|, in radians per second
+ * @property {number} [q] - Quality factor |p| / (2 |Re p|) of a pole pair. First order sections have none.
+ */
+
+/**
+ * Relative distance below which a pole and a zero are taken to cancel
+ */
+const CANCELLATION_TOLERANCE = 1e-6;
+
+/**
+ * Removes factors of p common to both polynomials of a ratio, e.g. from series capacitors
+ * @param {Array<Array<number>>} polynomials
+ * @returns {Array<Array<number>>}
+ */
+function removeCommonZeroRoots(polynomials) {
+    const lowestPowers = polynomials
+        .filter((a) => !polynomial.isZero(a))
+        .map((a) => a.findIndex((coefficient) => coefficient !== 0));
+    const common = Math.min(...lowestPowers);
+    return polynomials.map((a) => polynomial.isZero(a) ? [0] : polynomial.trim(a.slice(common)));
+}
+
+/**
+ * Gets the normalized impedance of a load built from ideal inductors, capacitors and resistors
+ * @param {import('./load.js').Load} load
+ * @param {number} frequencyScale - Angular frequency that p is normalized to
+ * @param {number} impedanceScale - Impedance that the result is normalized to
+ * @returns {RationalImpedance}
+ */
+function rationalImpedance(load, frequencyScale, impedanceScale) {
+    assert(load.definition, 'Transfer functions need loads built from known elements');
+    const { type, value, loads } = load.definition;
+    const open = { numerator: [1], denominator: [0] };
+    const short = { numerator: [0], denominator: [1] };
+    switch (type) {
+        case 'resistor':
+            return value === Infinity ? open : { numerator: [value / impedanceScale], denominator: [1] };
+        case 'inductor':
+            return value === Infinity ? open : { numerator: [0, value * frequencyScale / impedanceScale], denominator: [1] };
+        case 'capacitor':
+            if (value === Infinity)
+                return short;
+            return value === 0 ? open : { numerator: [1], denominator: [0, value * frequencyScale * impedanceScale] };
+        case 'series':
+        case 'parallel': {
+            // Series impedances add, as do parallel admittances D / N
+            const terms = loads.map((term) => rationalImpedance(term, frequencyScale, impedanceScale));
+            const [top, bottom] = type === 'series' ? ['numerator', 'denominator'] : ['denominator', 'numerator'];
+            const sum = terms.reduce((total, term) => {
+                const [numerator, denominator] = removeCommonZeroRoots([
+                    polynomial.add(polynomial.multiply(total[top], term[bottom]), polynomial.multiply(term[top], total[bottom])),
+                    polynomial.multiply(total[bottom], term[bottom])
+                ]);
+                return { [top]: numerator, [bottom]: denominator };
+            });
+            return sum;
+        }
+    }
+    assert.fail(`Transfer functions need ideal inductors, capacitors and resistors, not a ${type} load`);
+}
+
+/**
+ * Lists the definitions of the primitive elements of a load
+ * @param {import('./load.js').Load} load
+ * @returns {Array<import('./load.js').LoadDefinition>}
+ */
+function primitiveElements(load) {
+    const definition = load.definition ?? {};
+    return definition.loads === undefined ? [definition] : definition.loads.flatMap(primitiveElements);
+}
+
+/**
+ * Chooses scales that keep the polynomial coefficients of a filter close to one:
+ * the geometric mean of its resistances, and the geometric mean of the corner frequencies of its reactances with that resistance
+ * @param {Array<import('./load.js').Load>} loads
+ * @returns {{frequencyScale: number, impedanceScale: number}}
+ */
+function naturalScales(loads) {
+    const elements = loads.flatMap(primitiveElements);
+    const finite = (type) => elements.filter((element) => element.type === type && element.value > 0 && element.value < Infinity);
+    const geometricMean = (values) => values.length === 0 ? 1 : Math.exp(values.reduce((sum, value) => sum + Math.log(value), 0) / values.length);
+
+    const impedanceScale = geometricMean(finite('resistor').map(({ value }) => value));
+    const frequencyScale = geometricMean([
+        ...finite('inductor').map(({ value }) => impedanceScale / value),
+        ...finite('capacitor').map(({ value }) => 1 / (impedanceScale * value))
+    ]);
+    return { frequencyScale, impedanceScale };
+}
+
+/**
+ * Models the rational transfer function H(s) = N(s) / D(s) of a linear network, e.g. the voltage gain of a filter,
+ * along with its poles, zeros and gain constant so that H(s) = k ∏(s - zᵢ) / ∏(s - pᵢ)
+ */
+export class TransferFunction {
+    /**
+     * Constructs a transfer function from polynomials in the normalized complex frequency p = s / frequencyScale
+     * @param {Array<number>} numerator - Coefficients of N in ascending powers of p
+     * @param {Array<number>} denominator - Coefficients of D in ascending powers of p
+     * @param {number} frequencyScale - Angular frequency that p is normalized to
+     */
+    constructor(numerator, denominator, frequencyScale = 1) {
+        assert(numerator instanceof Array && numerator.length > 0);
+        assert(denominator instanceof Array && !polynomial.isZero(denominator), 'Transfer functions need a non-zero denominator');
+        assert(frequencyScale > 0);
+
+        this.numerator = polynomial.trim(numerator);
+        this.denominator = polynomial.trim(denominator);
+        this.frequencyScale = frequencyScale;
+
+        if (polynomial.isZero(this.numerator)) {
+            this.gain = 0;
+            this.zeros = [];
+            this.poles = [];
+            return;
+        }
+
+        // Poles and zeros that coincide cancel, e.g. where a stage's polynomial factors appear twice
+        const zeros = polynomial.roots(this.numerator);
+        const poles = [];
+        for (const pole of polynomial.roots(this.denominator)) {
+            const match = zeros.findIndex((zero) => zero.sub(pole).abs() < CANCELLATION_TOLERANCE * Math.max(1, pole.abs()));
+            if (match === -1)
+                poles.push(pole);
+            else
+                zeros.splice(match, 1);
+        }
+
+        const relativeDegree = this.denominator.length - this.numerator.length;
+        this.gain = this.numerator.at(-1) / this.denominator.at(-1) * Math.pow(frequencyScale, relativeDegree);
+        this.zeros = zeros.map((zero) => zero.mul(frequencyScale));
+        this.poles = poles.map((pole) => pole.mul(frequencyScale));
+    }
+
+    /**
+     * Evaluates the transfer function at a complex frequency
+     * @param {Complex} s
+     * @returns {Complex}
+     */
+    evaluate(s) {
+        const p = new Complex(s).div(this.frequencyScale);
+        return polynomial.evaluate(this.numerator, p).div(polynomial.evaluate(this.denominator, p));
+    }
+
+    /**
+     * Gets the frequency response H(jω)
+     * @param {number} angularFrequency
+     * @returns {Complex}
+     */
+    response(angularFrequency) {
+        return this.evaluate(new Complex(0, angularFrequency));
+    }
+
+    /**
+     * Gets the phase of the frequency response in radians.
+     * The phase is summed over the poles and zeros, so it is continuous across frequency rather than wrapped to ±π,
+     * apart from jumps of π at zeros on the jω axis.
+     * @param {number} angularFrequency
+     * @returns {number}
+     */
+    phase(angularFrequency) {
+        const s = new Complex(0, angularFrequency);
+        const angle = (roots) => roots.reduce((sum, root) => sum + s.sub(root).arg(), 0);
+        return (this.gain < 0 ? Math.PI : 0) + angle(this.zeros) - angle(this.poles);
+    }
+
+    /**
+     * Gets the group delay -dφ/dω in seconds, exactly from the poles and zeros
+     * @param {number} angularFrequency
+     * @returns {number}
+     */
+    groupDelay(angularFrequency) {
+        // Each root σ + jβ turns the phase at the rate σ / ((ω - β)² + σ²) with the sign of its term
+        const rate = (roots) => roots.reduce((sum, { re, im }) =>
+            re === 0 ? sum : sum + re / ((angularFrequency - im) ** 2 + re * re), 0);
+        return rate(this.zeros) - rate(this.poles);
+    }
+
+    /**
+     * Groups the poles into first and second order sections, in order of increasing natural frequency
+     * @returns {Array<PoleSection>}
+     */
+    sections() {
+        const sections = [];
+        for (const pole of this.poles) {
+            const naturalFrequency = pole.abs();
+            if (Math.abs(pole.im) <= CANCELLATION_TOLERANCE * naturalFrequency)
+                sections.push({ order: 1, poles: [pole], naturalFrequency });
+            else if (pole.im > 0)
+                sections.push({ order: 2, poles: [pole, pole.conjugate()], naturalFrequency, q: naturalFrequency / (2 * Math.abs(pole.re)) });
+        }
+        return sections.sort((a, b) => a.naturalFrequency - b.naturalFrequency);
+    }
+
+    /**
+     * Writes the transfer function as a ratio of polynomials in s
+     * @returns {string}
+     */
+    toString() {
+        const format = (a) => a
+            .map((coefficient, power) => coefficient / Math.pow(this.frequencyScale, power))
+            .map((coefficient, power) => [coefficient, power])
+            .filter(([coefficient]) => coefficient !== 0)
+            .reverse()
+            .map(([coefficient, power]) => power === 0 ? `${coefficient}` : `${coefficient} s${power === 1 ? '' : `^${power}`}`)
+            .join(' + ') || '0';
+        return `(${format(this.numerator)}) / (${format(this.denominator)})`;
+    }
+
+    /**
+     * Extracts the voltage gain transfer function of a filter, including its input and output loads, as for Filter.network.
+     * The filter must be built from ideal inductors, capacitors and resistors.
+     * @param {Filter} filter
+     * @returns {TransferFunction}
+     */
+    static fromFilter(filter) {
+        assert(filter instanceof Filter);
+
+        const stageLoads = filter.stages.map((stage) => {
+            assert(stage instanceof SeriesFilterStage || stage instanceof ShuntFilterStage,
+                'Transfer functions need filters made of series and shunt stages');
+            return stage.load();
+        });
+        const { frequencyScale, impedanceScale } = naturalScales([filter.inputLoad, filter.outputLoad, ...stageLoads]);
+        const impedance = (load) => rationalImpedance(load, frequencyScale, impedanceScale);
+
+        // ABCD matrices of polynomials, each scaled by a common polynomial factor
+        const series = ({ numerator, denominator }) => ({ matrix: [[denominator, numerator], [[0], denominator]], factor: denominator });
+        const shunt = ({ numerator, denominator }) => ({ matrix: [[numerator, [0]], [denominator, numerator]], factor: numerator });
+        const sections = [
+            series(impedance(filter.inputLoad)),
+            ...filter.stages.map((stage, i) => (stage instanceof SeriesFilterStage ? series : shunt)(impedance(stageLoads[i]))),
+            shunt(impedance(filter.outputLoad))
+        ];
+
+        const product = sections.reduce((total, section) => {
+            const entry = (row, column) => polynomial.add(
+                polynomial.multiply(total.matrix[row][0], section.matrix[0][column]),
+                polynomial.multiply(total.matrix[row][1], section.matrix[1][column]));
+            const [a, b, c, d, factor] = removeCommonZeroRoots([entry(0, 0), entry(0, 1), entry(1, 0), entry(1, 1), polynomial.multiply(total.factor, section.factor)]);
+            return { matrix: [[a, b], [c, d]], factor };
+        });
+
+        // The voltage gain is 1 / A
+        return new TransferFunction(product.factor, product.matrix[0][0], frequencyScale);
+    }
+}
+
+export default TransferFunction
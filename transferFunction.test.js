@@ -0,0 +1,171 @@
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { Capacitor, Inductor, LossyCapacitor, TransmissionLine } from './component.js';
+import { buildDesign } from './design.js';
+import { Filter, SeriesFilterStage, ShuntFilterStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { makeGroupDelayObjective } from './optimize.js';
+import * as polynomial from './polynomial.js';
+import { synthesizeFilter } from './synthesis.js';
+import { TransferFunction } from './transferFunction.js';
+
+/**
+ * Sorts roots by imaginary part, then real part, so they can be compared
+ */
+const sortRoots = (roots) => [...roots].sort((a, b) => a.im - b.im || a.re - b.re);
+
+test('Test Transfer Function - Polynomial Roots', (t) => {
+    // (s + 1)(s + 2)(s² + 2s + 5) s²
+    const roots = sortRoots(polynomial.roots([0, 0, 10, 19, 13, 5, 1]));
+    const expected = sortRoots([new Complex(-1, -2), new Complex(-1, 2), new Complex(-1, 0), new Complex(-2, 0), Complex.ZERO, Complex.ZERO]);
+    t.equal(roots.length, 6);
+    roots.forEach((root, i) => t.ok(root.sub(expected[i]).abs() < 1e-12, `root ${expected[i]}`));
+
+    t.same(polynomial.roots([3]), []);
+    t.ok(polynomial.roots([2, 4])[0].sub(new Complex(-0.5, 0)).abs() === 0);
+    t.same(polynomial.derivative([1, 2, 3]), [2, 6]);
+    t.same(polynomial.derivative([5]), [0]);
+    // A double root is split by rounding in the eigenvalues, and only found to about the square root of the precision
+    polynomial.roots([1, 2, 1]).forEach((root) => t.ok(root.sub(new Complex(-1, 0)).abs() < 1e-7, `double root ${root}`));
+    t.throws(() => polynomial.roots([0, 0]));
+
+    t.end();
+});
+
+test('Test Transfer Function - Ladder Filters', (t) => {
+    // The normalized third order Butterworth prototype has its poles on the unit circle, a real pole and a pair with Q = 1
+    const butterworth = TransferFunction.fromFilter(new Filter(Load.resistor(1), Load.resistor(1), [
+        new ShuntFilterStage(new Capacitor(1)),
+        new SeriesFilterStage(new Inductor(2)),
+        new ShuntFilterStage(new Capacitor(1))
+    ]));
+    t.equal(butterworth.poles.length, 3);
+    t.equal(butterworth.zeros.length, 0);
+    for (const pole of butterworth.poles) {
+        t.ok(Math.abs(pole.abs() - 1) < 1e-12);
+        t.ok(pole.re < 0);
+    }
+    const real = butterworth.sections().find(({ order }) => order === 1);
+    const pair = butterworth.sections().find(({ order }) => order === 2);
+    t.equal(real.order, 1);
+    t.ok(Math.abs(real.poles[0].re + 1) < 1e-12);
+    t.equal(pair.order, 2);
+    t.ok(Math.abs(pair.q - 1) < 1e-12);
+    // Half of the source voltage reaches the load at DC
+    t.ok(Math.abs(butterworth.response(0).re - 0.5) < 1e-12);
+    t.ok(Math.abs(butterworth.gain - 0.5) < 1e-12);
+
+    // The transfer function reproduces the filter's response, and its zeros are the elliptic transmission zeros
+    const elliptic = synthesizeFilter({ type: 'elliptic', order: 5, cutoff: 1e6, ripple: 0.5, stopbandAttenuation: 40 });
+    const ellipticFunction = TransferFunction.fromFilter(elliptic);
+    t.equal(ellipticFunction.poles.length, 5);
+    t.equal(ellipticFunction.zeros.length, 4);
+    for (const zero of ellipticFunction.zeros) {
+        t.ok(Math.abs(zero.re) < 1e-6 * zero.abs(), 'zeros on the jω axis');
+        t.ok(elliptic.network.voltageGain(Math.abs(zero.im)).abs() < 1e-6);
+    }
+    for (const angularFrequency of [1e5, 6e6, 2e7]) {
+        const expected = elliptic.network.voltageGain(angularFrequency);
+        t.ok(ellipticFunction.response(angularFrequency).sub(expected).abs() < 1e-9 * expected.abs());
+        // The phase is continuous, so it matches the network's phase up to whole turns
+        const turns = (ellipticFunction.phase(angularFrequency) - expected.arg()) / (2 * Math.PI);
+        t.ok(Math.abs(turns - Math.round(turns)) < 1e-9);
+    }
+
+    // Group delay matches the slope of the phase
+    for (const angularFrequency of [1e6, 2 * Math.PI * 1e6, 1e7]) {
+        const step = angularFrequency * 1e-6;
+        const expected = -(ellipticFunction.phase(angularFrequency + step) - ellipticFunction.phase(angularFrequency - step)) / (2 * step);
+        t.ok(Math.abs(ellipticFunction.groupDelay(angularFrequency) - expected) < 1e-6 * expected, `group delay at ${angularFrequency}`);
+    }
+
+    // Highpass filters have zeros at DC
+    const highpass = TransferFunction.fromFilter(synthesizeFilter({ type: 'bessel', response: 'highpass', order: 3, cutoff: 1e6 }));
+    t.equal(highpass.zeros.length, 3);
+    t.ok(highpass.zeros.every((zero) => zero.abs() === 0));
+    t.equal(highpass.response(0).abs(), 0);
+
+    t.end();
+});
+
+test('Test Transfer Function - Element Combinations', (t) => {
+    // An RC lowpass: H(s) = 1 / (1 + sRC) with a 1 ohm load in parallel, so H(s) = 1 / (2 + sRC)
+    const rc = TransferFunction.fromFilter(new Filter(Load.resistor(1), Load.resistor(1), [new ShuntFilterStage(new Capacitor(1e-3))]));
+    t.equal(rc.poles.length, 1);
+    t.ok(rc.poles[0].sub(new Complex(-2000, 0)).abs() < 1e-9);
+    t.ok(Math.abs(rc.gain - 1000) < 1e-9);
+    t.same(rc.sections().map(({ order, q }) => [order, q]), [[1, undefined]]);
+    t.equal(rc.toString(), '(1) / (0.001 s + 2)');
+    t.ok(Math.abs(rc.groupDelay(0) - 5e-4) < 1e-15);
+
+    // Series capacitors share a factor of s that must not appear as a pole and zero at DC, and the tank is a pair of zeros
+    const seriesCapacitors = new Filter(Load.resistor(50), Load.resistor(50), [
+        new ShuntFilterStage(new Capacitor(1e-9), new Capacitor(2e-9)).withCombination('series'),
+        new SeriesFilterStage(new Inductor(1e-6), new Capacitor(1e-9))
+    ]);
+    const combined = TransferFunction.fromFilter(seriesCapacitors);
+    t.equal(combined.poles.length, 3);
+    t.ok(combined.zeros.every((zero) => Math.abs(zero.abs() - 1 / Math.sqrt(1e-6 * 1e-9)) < 1e-3));
+    for (const angularFrequency of [1e6, 3e7, 1e8]) {
+        const expected = seriesCapacitors.network.voltageGain(angularFrequency);
+        t.ok(combined.response(angularFrequency).sub(expected).abs() < 1e-9 * expected.abs());
+    }
+
+    // Zero and infinite values are opens and shorts
+    const shorted = TransferFunction.fromFilter(new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Capacitor(Infinity))]));
+    t.equal(shorted.gain, 0);
+    t.equal(shorted.response(1).abs(), 0);
+    const opened = TransferFunction.fromFilter(new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new Capacitor(0))]));
+    t.ok(Math.abs(opened.response(1e6).re - 0.5) < 1e-12);
+    const unloaded = TransferFunction.fromFilter(new Filter(Load.resistor(50), Load.resistor(Infinity), [new ShuntFilterStage(new Inductor(Infinity))]));
+    t.ok(Math.abs(unloaded.response(1e6).re - 1) < 1e-12);
+    t.throws(() => TransferFunction.fromFilter(new Filter(new Load(() => new Complex(50, 0)), Load.resistor(50), [])), /known elements/);
+
+    t.throws(() => TransferFunction.fromFilter(new Filter(Load.resistor(50), Load.resistor(50), [new ShuntFilterStage(new LossyCapacitor(1e-9, { lossTangent: 0.01 }))])), /ideal/);
+    t.throws(() => TransferFunction.fromFilter(new Filter(Load.resistor(50), Load.resistor(50), [new TransmissionLineStage(new TransmissionLine(0.1, { characteristicImpedance: 50 }))])));
+    t.throws(() => new TransferFunction([1], [0]));
+
+    t.end();
+});
+
+test('Test Transfer Function - Polynomials', (t) => {
+    // (p + 2) / ((p + 1)(p + 2)) leaves a single pole
+    const cancelled = new TransferFunction([2, 1], [2, 3, 1]);
+    t.same(cancelled.zeros, []);
+    t.equal(cancelled.poles.length, 1);
+    t.ok(cancelled.poles[0].sub(new Complex(-1, 0)).abs() < 1e-12);
+
+    // A negative gain adds half a turn to the phase
+    const inverting = new TransferFunction([-1], [1, 1]);
+    t.equal(inverting.phase(0), Math.PI);
+    t.equal(inverting.toString(), '(-1) / (1 s + 1)');
+
+    t.equal(new TransferFunction([1], [1, 0, 4], 2).toString(), '(1) / (1 s^2 + 1)');
+    t.equal(new TransferFunction([0], [1]).toString(), '(0) / (1)');
+
+    t.end();
+});
+
+test('Test Transfer Function - Group Delay Objective', async (t) => {
+    // Bessel filters have flatter delay than Chebyshev filters
+    const objective = makeGroupDelayObjective(1e4, 5e5);
+    const flatness = (type) => {
+        const filter = synthesizeFilter({ type, order: 5, cutoff: 1e6, ripple: 1 });
+        return objective(filter.network, filter);
+    };
+    t.ok(flatness('bessel') < 0.05);
+    t.ok(flatness('bessel') < flatness('butterworth'));
+    t.ok(flatness('butterworth') < flatness('chebyshev'));
+
+    const divider = new Filter(Load.resistor(50), Load.resistor(50), []);
+    t.equal(objective(divider.network, divider), Infinity);
+    t.throws(() => objective(divider.network));
+    t.throws(() => makeGroupDelayObjective(1e6, 1e6));
+
+    const design = await buildDesign({
+        synthesis: { type: 'bessel', order: 3, cutoff: '1MHz' },
+        objective: { type: 'groupDelay', minFrequency: '10kHz', maxFrequency: '500kHz' }
+    });
+    t.ok(design.objective(design.filter.network, design.filter) < 0.1);
+});
@@ -0,0 +1,130 @@
+import { strict as assert } from 'node:assert';
+
+/**
+ * Describes a transformer by the equivalent circuit of its windings and core: each winding's resistance and leakage
+ * inductance in series with an ideal transformer, whose primary is shunted by the magnetizing inductance and a
+ * resistance modelling the core loss. The magnetizing and leakage inductances are given either directly, or by the
+ * primary's self inductance and the coupling coefficient of the windings. Parameters left out are ideal.
+ * @typedef {Object} TransformerParameters
+ * @property {number} [turnsRatio] - Primary turns over secondary turns, 1 by default
+ * @property {number} [magnetizingInductance] - Referred to the primary, infinite by default
+ * @property {number} [primaryLeakageInductance] - 0 by default
+ * @property {number} [secondaryLeakageInductance] - 0 by default
+ * @property {number} [primaryInductance] - Self inductance of the primary, with coupling in place of the magnetizing
+ * and leakage inductances
+ * @property {number} [coupling] - Coupling coefficient k of the windings, greater than 0 and at most 1
+ * @property {number} [primaryResistance] - Primary winding resistance, 0 by default
+ * @property {number} [secondaryResistance] - Secondary winding resistance, 0 by default
+ * @property {number} [coreResistance] - Core loss as a resistance across the primary, infinite by default
+ */
+
+/**
+ * The equivalent circuit of a transformer, with every element given
+ * @typedef {Object} TransformerCircuit
+ * @property {number} turnsRatio
+ * @property {number} magnetizingInductance
+ * @property {number} primaryLeakageInductance
+ * @property {number} secondaryLeakageInductance
+ * @property {number} primaryResistance
+ * @property {number} secondaryResistance
+ * @property {number} coreResistance
+ */
+
+/**
+ * Names of the parameters that describe a transformer
+ */
+export const TRANSFORMER_PARAMETERS = [
+    'turnsRatio',
+    'magnetizingInductance',
+    'primaryLeakageInductance',
+    'secondaryLeakageInductance',
+    'primaryInductance',
+    'coupling',
+    'primaryResistance',
+    'secondaryResistance',
+    'coreResistance'
+];
+
+/**
+ * Checks whether a transformer is described by its self inductance and coupling
+ * @param {TransformerParameters} parameters
+ * @returns {boolean}
+ */
+function isCoupled(parameters) {
+    return parameters.primaryInductance !== undefined || parameters.coupling !== undefined;
+}
+
+/**
+ * Validates a transformer description and works out its equivalent circuit.
+ * Windings with self inductances L₁ and L₂ = L₁ / n² and coupling k have a magnetizing inductance kL₁
+ * and leakage inductances (1 - k)L₁ and (1 - k)L₂.
+ * @param {TransformerParameters} parameters
+ * @returns {TransformerCircuit}
+ */
+export function makeTransformer(parameters) {
+    assert(parameters instanceof Object);
+    for (const name of Object.keys(parameters))
+        assert(TRANSFORMER_PARAMETERS.includes(name), `Unknown transformer parameter ${name}`);
+    const {
+        turnsRatio = 1,
+        primaryResistance = 0,
+        secondaryResistance = 0,
+        coreResistance = Infinity
+    } = parameters;
+    assert(turnsRatio > 0 && Number.isFinite(turnsRatio), 'A transformer needs a positive turns ratio');
+    assert(primaryResistance >= 0 && Number.isFinite(primaryResistance));
+    assert(secondaryResistance >= 0 && Number.isFinite(secondaryResistance));
+    assert(coreResistance > 0);
+
+    const circuit = { turnsRatio, primaryResistance, secondaryResistance, coreResistance };
+    if (isCoupled(parameters)) {
+        const { primaryInductance, coupling } = parameters;
+        assert(['magnetizingInductance', 'primaryLeakageInductance', 'secondaryLeakageInductance'].every((name) => parameters[name] === undefined),
+            'A transformer is described by its magnetizing and leakage inductances or by its primary inductance and coupling, but not both');
+        assert(primaryInductance > 0 && Number.isFinite(primaryInductance), 'A coupled transformer needs a primary inductance');
+        assert(coupling > 0 && coupling <= 1, 'The coupling coefficient of a transformer must be greater than 0 and at most 1');
+        return {
+            ...circuit,
+            magnetizingInductance: coupling * primaryInductance,
+            primaryLeakageInductance: (1 - coupling) * primaryInductance,
+            secondaryLeakageInductance: (1 - coupling) * primaryInductance / turnsRatio ** 2
+        };
+    }
+
+    const { magnetizingInductance = Infinity, primaryLeakageInductance = 0, secondaryLeakageInductance = 0 } = parameters;
+    assert(magnetizingInductance > 0);
+    assert(primaryLeakageInductance >= 0 && Number.isFinite(primaryLeakageInductance));
+    assert(secondaryLeakageInductance >= 0 && Number.isFinite(secondaryLeakageInductance));
+    return { ...circuit, magnetizingInductance, primaryLeakageInductance, secondaryLeakageInductance };
+}
+
+/**
+ * Gets the derivatives of the elements of a transformer's equivalent circuit with respect to one of its parameters
+ * @param {TransformerParameters} parameters
+ * @param {string} name - The parameter, one of TRANSFORMER_PARAMETERS
+ * @returns {Object<string, number>} - Derivatives of the elements of the TransformerCircuit that depend on the parameter
+ */
+export function transformerCircuitDerivatives(parameters, name) {
+    assert(TRANSFORMER_PARAMETERS.includes(name), `Unknown transformer parameter ${name}`);
+    if (!isCoupled(parameters))
+        return { [name]: 1 };
+
+    const { turnsRatio = 1, primaryInductance, coupling } = parameters;
+    switch (name) {
+        case 'turnsRatio':
+            return { turnsRatio: 1, secondaryLeakageInductance: -2 * (1 - coupling) * primaryInductance / turnsRatio ** 3 };
+        case 'primaryInductance':
+            return {
+                magnetizingInductance: coupling,
+                primaryLeakageInductance: 1 - coupling,
+                secondaryLeakageInductance: (1 - coupling) / turnsRatio ** 2
+            };
+        case 'coupling':
+            return {
+                magnetizingInductance: primaryInductance,
+                primaryLeakageInductance: -primaryInductance,
+                secondaryLeakageInductance: -primaryInductance / turnsRatio ** 2
+            };
+    }
+    return { [name]: 1 };
+}
@@ -0,0 +1,248 @@
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { Capacitor, ComponentValue, TransformerParameter } from './component.js';
+import { buildDesign } from './design.js';
+import { Filter, FilterStage, SeriesFilterStage, ShuntFilterStage, TransformerStage } from './filter.js';
+import Load from './load.js';
+import { Netlist } from './netlist.js';
+import { makeRandom } from './random.js';
+import { formatSpiceNetlist } from './spice.js';
+import { FrequencySweep } from './sweep.js';
+import { Topology } from './topology.js';
+import { TRANSFORMER_PARAMETERS, makeTransformer } from './transformer.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+const angularFrequencies = [1e4, 2 * Math.PI * 1e6, 1e8];
+
+/**
+ * Checks that two matrices agree to a relative tolerance
+ */
+const sameMatrix = (t, actual, expected, message, tolerance = 1e-9) => {
+    for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+        const [a, b] = [actual.get(row, column), expected.get(row, column)];
+        t.ok(a.sub(b).abs() <= tolerance * Math.max(b.abs(), 1e-6), `${message} [${row}][${column}]: ${a} vs ${b}`);
+    }
+};
+
+const lossy = {
+    turnsRatio: 2,
+    magnetizingInductance: 1e-4,
+    primaryLeakageInductance: 2e-7,
+    secondaryLeakageInductance: 5e-8,
+    primaryResistance: 0.5,
+    secondaryResistance: 0.2,
+    coreResistance: 5e3
+};
+const coupled = { turnsRatio: 0.5, primaryInductance: 2e-5, coupling: 0.95, primaryResistance: 0.1 };
+
+test('Test Transformer - Two-Ports', (t) => {
+    // Without parasitics the transformer is ideal
+    for (const angularFrequency of angularFrequencies)
+        sameMatrix(t, TwoPortNetwork.lossyTransformer({ turnsRatio: 3 }).abcdMatrix(angularFrequency), TwoPortNetwork.transformer(3).abcdMatrix(angularFrequency), 'ideal');
+
+    // The equivalent circuit is the windings either side of the core and an ideal transformer
+    const equivalent = TwoPortNetwork.cascade(
+        TwoPortNetwork.series(Load.series(Load.resistor(0.5), Load.inductor(2e-7))),
+        TwoPortNetwork.shunt(Load.parallel(Load.inductor(1e-4), Load.resistor(5e3))),
+        TwoPortNetwork.transformer(2),
+        TwoPortNetwork.series(Load.series(Load.resistor(0.2), Load.inductor(5e-8))));
+    for (const angularFrequency of angularFrequencies)
+        sameMatrix(t, TwoPortNetwork.lossyTransformer(lossy).abcdMatrix(angularFrequency), equivalent.abcdMatrix(angularFrequency), `lossy at ${angularFrequency}`);
+
+    // Coupled windings on one core have L₂ = L₁ / n², and match coupled inductors and their netlist
+    const lossless = { ...coupled, primaryResistance: 0 };
+    const inductors = TwoPortNetwork.coupledInductors(2e-5, 8e-5, 0.95);
+    const netlist = new Netlist([{ type: 'coupledInductors', nodes: [['p', '0'], ['s', '0']], inductances: [2e-5, 8e-5], coupling: 0.95 }]).network('p', 's');
+    for (const angularFrequency of angularFrequencies) {
+        sameMatrix(t, TwoPortNetwork.lossyTransformer(lossless).abcdMatrix(angularFrequency), inductors.abcdMatrix(angularFrequency), `coupled at ${angularFrequency}`);
+        sameMatrix(t, inductors.abcdMatrix(angularFrequency), netlist.abcdMatrix(angularFrequency), `coupled netlist at ${angularFrequency}`, 1e-6);
+    }
+    t.same(makeTransformer(lossless), {
+        turnsRatio: 0.5,
+        primaryResistance: 0,
+        secondaryResistance: 0,
+        coreResistance: Infinity,
+        magnetizingInductance: 0.95 * 2e-5,
+        primaryLeakageInductance: (1 - 0.95) * 2e-5,
+        secondaryLeakageInductance: (1 - 0.95) * 2e-5 / 0.25
+    });
+
+    // An ideal 2:1 transformer matches 50 ohms to 12.5 ohms, and its losses show in the transducer gain
+    const angularFrequency = 2 * Math.PI * 1e6;
+    t.ok(Math.abs(TwoPortNetwork.transformer(2).transducerGain(angularFrequency, 50, 12.5) - 1) < 1e-12);
+    const gain = TwoPortNetwork.lossyTransformer(lossy).transducerGain(angularFrequency, 50, 12.5);
+    t.ok(gain > 0.9 && gain < 0.99, `gain ${gain}`);
+    // The magnetizing inductance shorts the primary at low frequencies
+    t.ok(TwoPortNetwork.lossyTransformer(lossy).transducerGain(2 * Math.PI * 100, 50, 12.5) < 0.01);
+
+    // Analytic derivatives match central differences
+    for (const parameters of [lossy, coupled]) {
+        const names = Object.keys(parameters);
+        const derivatives = TwoPortNetwork.lossyTransformerDerivatives(parameters, angularFrequency, names);
+        names.forEach((name, i) => {
+            const step = parameters[name] * 1e-6;
+            const at = (value) => TwoPortNetwork.lossyTransformer({ ...parameters, [name]: value }).abcdMatrix(angularFrequency);
+            const [above, below] = [at(parameters[name] + step), at(parameters[name] - step)];
+            for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+                const expected = above.get(row, column).sub(below.get(row, column)).div(2 * step);
+                // Rounding errors in the differences are about 1e-10 of the element over the parameter
+                const noise = 1e-8 * above.get(row, column).abs() / parameters[name];
+                t.ok(derivatives[i].get(row, column).sub(expected).abs() <= 1e-5 * expected.abs() + noise, `d${name} [${row}][${column}]`);
+            }
+        });
+    }
+
+    t.throws(() => TwoPortNetwork.lossyTransformer({ turnsRatio: 0 }), /positive turns ratio/);
+    t.throws(() => TwoPortNetwork.lossyTransformer({ ...coupled, magnetizingInductance: 1e-4 }), /but not both/);
+    t.throws(() => TwoPortNetwork.lossyTransformer({ primaryInductance: 1e-5, coupling: 1.5 }), /at most 1/);
+    t.throws(() => TwoPortNetwork.lossyTransformer({ coupling: 0.9 }), /primary inductance/);
+    t.throws(() => TwoPortNetwork.lossyTransformer({ turns: 2 }), /Unknown transformer parameter/);
+    t.throws(() => TwoPortNetwork.coupledInductors(1e-6, 1e-6, 0));
+    t.equal(TRANSFORMER_PARAMETERS.length, 9);
+
+    t.end();
+});
+
+test('Test Transformer - Turns Ratios', (t) => {
+    const ratios = ComponentValue.initializeTurnsRatio(1.45, 2, 0.5, 4);
+    t.same(ratios.feasibleValues, [1 / 2, 2 / 3, 3 / 4, 1, 4 / 3, 3 / 2, 2]);
+    t.equal(ratios.value, 1.5);
+
+    // Every ratio of whole numbers of turns is feasible once
+    const many = ComponentValue.initializeTurnsRatio(1, 100, 0.01, 12);
+    t.equal(new Set(many.feasibleValues).size, many.feasibleValues.length);
+    t.ok(many.feasibleValues.every((ratio, i) => i === 0 || ratio > many.feasibleValues[i - 1]));
+    t.ok(many.feasibleValues.includes(7 / 11) && many.feasibleValues.includes(12) && many.feasibleValues.includes(1 / 12));
+    t.notOk(many.feasibleValues.includes(13));
+
+    // Neighbors are the next realizable ratios
+    const random = makeRandom(3);
+    for (let i = 0; i < 10; i++)
+        t.ok([4 / 3, 2].includes(ratios.update(random).value));
+
+    t.throws(() => ComponentValue.initializeTurnsRatio(1, 1.9, 1.8, 4), /No turns ratio/);
+    t.throws(() => ComponentValue.initializeTurnsRatio(1, 2, 0.5, 2.5));
+
+    t.end();
+});
+
+test('Test Transformer - Optimizable Stages', async (t) => {
+    // A transformer matching a 50 ohm source to a 450 ohm load, followed by a shunt capacitor
+    const transformer = new TransformerStage(
+        new TransformerParameter('turnsRatio', ComponentValue.initializeTurnsRatio(0.5, 2, 0.1, 10)),
+        new TransformerParameter('primaryInductance', ComponentValue.initializeComponent(1e-5, 1e-4, 1e-6)),
+        new TransformerParameter('coupling', 0.98),
+        new TransformerParameter('primaryResistance', 0.2));
+    const filter = new Filter(Load.resistor(50), Load.resistor(450), [transformer, new ShuntFilterStage(new Capacitor(1e-12))]);
+    const angularFrequency = 2 * Math.PI * 2e6;
+
+    t.equal(transformer.toString(), 'turnsRatio: 0.5, primaryInductance: 0.00001, coupling: 0.98, primaryResistance: 0.2');
+    t.same(transformer.transformerParameters(), { turnsRatio: 0.5, primaryInductance: 1e-5, coupling: 0.98, primaryResistance: 0.2 });
+    sameMatrix(t, transformer.network.abcdMatrix(angularFrequency), TwoPortNetwork.lossyTransformer(transformer.transformerParameters()).abcdMatrix(angularFrequency), 'stage');
+    t.throws(() => transformer.load());
+    t.throws(() => new TransformerStage(new Capacitor(1e-9)), /transformer parameters/);
+    t.throws(() => new TransformerStage(new TransformerParameter('turnsRatio', 2), new TransformerParameter('turnsRatio', 3)), /once/);
+    t.throws(() => new TransformerStage(new TransformerParameter('coupling', 0.9)), /primary inductance/);
+
+    // The turns ratio is optimized like any other component value, among ratios of whole numbers of turns
+    const random = makeRandom(5);
+    let neighbor = filter;
+    for (let i = 0; i < 20; i++)
+        neighbor = neighbor.update(random);
+    t.ok(neighbor.stages[0] instanceof TransformerStage);
+    const ratio = neighbor.stages[0].transformerParameters().turnsRatio;
+    t.ok([...Array(10).keys()].some((secondary) => Math.abs(ratio * (secondary + 1) - Math.round(ratio * (secondary + 1))) < 1e-9), `ratio ${ratio}`);
+    t.equal(neighbor.stages[0].transformerParameters().coupling, 0.98);
+    // A 1:3 transformer matches the load best
+    const matched = filter.withStage(0, transformer.withLeaf(0, transformer.leaves()[0].withValue(ComponentValue.initializeTurnsRatio(1 / 3, 2, 0.1, 10))));
+    t.ok(matched.transducerGain(angularFrequency) > filter.transducerGain(angularFrequency));
+
+    // Analytic sensitivities match central differences
+    for (const { stage, leaf, component, voltageGain } of filter.sensitivities(angularFrequency)) {
+        const value = component.componentValue.value;
+        const step = value * 1e-6;
+        const at = (newValue) => filter.withStage(stage, filter.stages[stage].withLeaf(leaf, component.withValue(newValue))).network.voltageGain(angularFrequency);
+        const expected = at(value + step).sub(at(value - step)).div(2 * step);
+        t.ok(voltageGain.sub(expected).abs() < 1e-5 * expected.abs(), `${component.componentName} in stage ${stage}`);
+    }
+
+    const restored = Filter.fromJSON(JSON.parse(JSON.stringify(filter)));
+    t.same(restored.toJSON(), filter.toJSON());
+    t.ok(restored.stages[0] instanceof TransformerStage);
+    t.same(restored.network.voltageGain(angularFrequency), filter.network.voltageGain(angularFrequency));
+    t.throws(() => FilterStage.fromJSON({ type: 'transformer', components: [{ name: 'inductor', model: { type: 'inductor' }, value: 1e-6 }] }));
+
+    // Sweeps cache transformers by their parameters
+    const sweep = new FrequencySweep([1e5, 1e6, 1e7]);
+    const gain = sweep.network(filter).voltageGain();
+    sweep.angularFrequencies.forEach((w, i) => t.ok(new Complex(gain.re[i], gain.im[i]).sub(filter.network.voltageGain(w)).abs() < 1e-12));
+    const cached = sweep.cache.size;
+    sweep.network(filter.withStage(0, transformer.withLeaf(1, transformer.leaves()[1].withValue(2e-5))));
+    t.equal(sweep.cache.size, cached + 1);
+    sweep.network(filter);
+    t.equal(sweep.cache.size, cached + 1);
+
+    // Topology moves leave the transformer's parameters alone
+    const topology = new Topology({ moves: ['addComponent', 'removeComponent', 'toggleCombination'], maxComponentsPerStage: 5 });
+    for (let i = 0; i < 20; i++)
+        t.same(topology.mutate(filter, random).stages[0].toJSON(), transformer.toJSON());
+    t.same(topology.possibleMoves(filter.withStages([transformer])), []);
+
+    // SPICE has no ideal transformer, so the exported netlist couples the magnetizing inductance perfectly
+    const lines = formatSpiceNetlist(filter.withStages([transformer])).split('\n');
+    const cards = Object.fromEntries(lines.slice(lines.indexOf('.SUBCKT FILTER in out') + 1, lines.indexOf('.ENDS FILTER'))
+        .map((line) => line.split(' ')).map(([name, ...fields]) => [name, fields]));
+    t.same(Object.keys(cards), ['R1', 'L1', 'L2', 'L3', 'L4', 'K1']);
+    const windings = cards.K1.slice(0, 2);
+    t.same(windings, ['L3', 'L4']);
+    const exported = new Netlist([
+        ...Object.entries(cards).filter(([name]) => name !== 'K1' && !windings.includes(name))
+            .map(([name, [positive, negative, value]]) => ({ type: name[0] === 'R' ? 'resistor' : 'inductor', nodes: [positive, negative], value: Number(value) })),
+        {
+            type: 'coupledInductors',
+            nodes: windings.map((name) => cards[name].slice(0, 2)),
+            inductances: windings.map((name) => Number(cards[name][2])),
+            coupling: Number(cards.K1[2])
+        }
+    ]).network('in', 'out');
+    sameMatrix(t, exported.abcdMatrix(angularFrequency), transformer.network.abcdMatrix(angularFrequency), 'SPICE export', 1e-6);
+    t.throws(() => formatSpiceNetlist(filter.withStages([new TransformerStage(new TransformerParameter('turnsRatio', 2))])), /magnetizing inductance/);
+    // Ideal windings connect straight to the ports, with any core loss across the primary
+    const coreLoss = new TransformerStage(
+        new TransformerParameter('turnsRatio', 2),
+        new TransformerParameter('magnetizingInductance', 1e-4),
+        new TransformerParameter('coreResistance', 1e3));
+    const coreLossLines = formatSpiceNetlist(filter.withStages([coreLoss])).split('\n');
+    t.same(coreLossLines.slice(coreLossLines.indexOf('.SUBCKT FILTER in out') + 1, coreLossLines.indexOf('.ENDS FILTER')),
+        ['R1 in 0 1000', 'L1 in 0 0.0001', 'L2 out 0 0.000025', 'K1 L1 L2 1']);
+
+    // Design files give each parameter by name
+    const design = await buildDesign({
+        tolerance: 0.05,
+        stages: [
+            {
+                type: 'transformer',
+                components: [
+                    { parameter: 'turnsRatio', value: 0.4, maxTurns: 8 },
+                    { parameter: 'primaryInductance', value: '10uH' },
+                    { parameter: 'coupling', value: 0.91 }
+                ]
+            },
+            { type: 'series', components: [{ type: 'inductor', value: '1uH' }] }
+        ]
+    });
+    const [stage] = design.filter.stages;
+    t.ok(stage instanceof TransformerStage);
+    t.same(stage.transformerParameters(), { turnsRatio: 0.4, primaryInductance: 1e-5, coupling: 0.91 });
+    t.same(stage.components[0].model, { type: 'transformerParameter', parameter: 'turnsRatio' });
+    t.ok(stage.components[0].componentValue.feasibleValues.includes(1 / 7));
+    t.equal(stage.components[2].componentValue.feasibleValues.at(-1), 1);
+    // Turns ratios and couplings are exact unless the design says otherwise
+    t.same(stage.leaves().map((component) => component.tolerance.tolerance), [0, 0.05, 0]);
+    await t.rejects(buildDesign({ stages: [{ type: 'transformer', components: [{ value: 2 }] }] }), /needs a parameter/);
+    await t.rejects(buildDesign({ stages: [{ type: 'transformer', components: [{ parameter: 'coupling', value: 0.9 }] }] }), /primary inductance/);
+
+    // Sensitivities of ladders and transformers together
+    t.equal(new Filter(Load.resistor(50), Load.resistor(50), [new SeriesFilterStage(new Capacitor(1e-9)), transformer]).sensitivities(angularFrequency).length, 5);
+});
@@ -0,0 +1,179 @@
+import { strict as assert } from 'node:assert';
+
+import Complex from 'complex.js';
+
+/**
+ * Speed of light in vacuum, in metres per second
+ */
+export const SPEED_OF_LIGHT = 299792458;
+
+/**
+ * Wave impedance of free space, in ohms
+ */
+const FREE_SPACE_IMPEDANCE = 376.730313668;
+
+/**
+ * Permeability of free space, in henries per metre
+ */
+const VACUUM_PERMEABILITY = 1.25663706212e-6;
+
+/**
+ * Describes a uniform transmission line.
+ * The line is either given by its characteristic impedance, velocity factor and attenuation, or as a microstrip
+ * line by its "width" and substrate. Its length is either the physical length, or the electrical length at a
+ * reference frequency.
+ * @typedef {Object} LineParameters
+ * @property {number} [characteristicImpedance] - Z0 in ohms, treated as real even when the line is lossy
+ * @property {number} [velocityFactor] - Phase velocity as a fraction of the speed of light, 1 by default
+ * @property {number} [attenuation] - Loss in dB per metre, 0 by default
+ * @property {number} [width] - Microstrip: strip width in metres
+ * @property {number} [height] - Microstrip: substrate thickness in metres
+ * @property {number} [relativePermittivity] - Microstrip: substrate relative permittivity
+ * @property {number} [thickness] - Microstrip: strip thickness in metres, 0 by default
+ * @property {number} [lossTangent] - Microstrip: substrate loss tangent, 0 by default
+ * @property {number} [conductivity] - Microstrip: strip conductivity in siemens per metre, lossless by default
+ * @property {number} [length] - Physical length in metres
+ * @property {number} [electricalLength] - Electrical length in degrees at referenceFrequency, in place of length
+ * @property {number} [referenceFrequency] - Frequency in hertz at which electricalLength is given
+ */
+
+/**
+ * A transmission line ready to be evaluated
+ * @typedef {Object} Line
+ * @property {number} characteristicImpedance - Z0 in ohms
+ * @property {number} velocityFactor - Phase velocity as a fraction of the speed of light
+ * @property {number} length - Physical length in metres
+ * @property {boolean} lossless - Whether the line has no attenuation at any frequency
+ * @property {function(number): Complex} propagationConstant - γ = α + jβ per metre at an angular frequency
+ */
+
+/**
+ * Characteristic impedance of a zero thickness microstrip line in air (Hammerstad and Jensen)
+ * @param {number} u - Ratio of strip width to substrate height
+ * @returns {number}
+ */
+function airImpedance(u) {
+    const f = 6 + (2 * Math.PI - 6) * Math.exp(-Math.pow(30.666 / u, 0.7528));
+    return FREE_SPACE_IMPEDANCE / (2 * Math.PI) * Math.log(f / u + Math.sqrt(1 + 4 / (u * u)));
+}
+
+/**
+ * Effective relative permittivity of a zero thickness microstrip line (Hammerstad and Jensen)
+ * @param {number} u - Ratio of strip width to substrate height
+ * @param {number} relativePermittivity
+ * @returns {number}
+ */
+function effectivePermittivity(u, relativePermittivity) {
+    const a = 1 + Math.log((u ** 4 + (u / 52) ** 2) / (u ** 4 + 0.432)) / 49 + Math.log(1 + (u / 18.1) ** 3) / 18.7;
+    const b = 0.564 * Math.pow((relativePermittivity - 0.9) / (relativePermittivity + 3), 0.053);
+    return (relativePermittivity + 1) / 2 + (relativePermittivity - 1) / 2 * Math.pow(1 + 10 / u, -a * b);
+}
+
+/**
+ * Computes the quasi-static characteristic impedance and effective permittivity of a microstrip line with the
+ * Hammerstad and Jensen equations, including their correction for the strip thickness
+ * @param {Object} substrate
+ * @param {number} substrate.width - Strip width in metres
+ * @param {number} substrate.height - Substrate thickness in metres
+ * @param {number} substrate.relativePermittivity - Substrate relative permittivity
+ * @param {number} [substrate.thickness] - Strip thickness in metres
+ * @returns {{characteristicImpedance: number, effectivePermittivity: number}}
+ */
+export function microstrip({ width, height, relativePermittivity, thickness = 0 }) {
+    assert(width > 0, 'Microstrip lines need a positive width');
+    assert(height > 0, 'Microstrip lines need a positive substrate height');
+    assert(relativePermittivity >= 1, 'Substrates need a relative permittivity of at least 1');
+    assert(thickness >= 0);
+
+    let u = width / height;
+    let uPermittivity = u;
+    let uImpedance = u;
+    if (thickness > 0) {
+        const t = thickness / height;
+        const coth = 1 / Math.tanh(Math.sqrt(6.517 * u));
+        const widening = t / Math.PI * Math.log(1 + 4 * Math.E / (t * coth * coth));
+        uImpedance = u + widening;
+        uPermittivity = u + (1 + 1 / Math.cosh(Math.sqrt(relativePermittivity - 1))) / 2 * widening;
+    }
+
+    const permittivity = effectivePermittivity(uPermittivity, relativePermittivity);
+    return {
+        characteristicImpedance: airImpedance(uPermittivity) / Math.sqrt(permittivity),
+        effectivePermittivity: permittivity * (airImpedance(uImpedance) / airImpedance(uPermittivity)) ** 2
+    };
+}
+
+/**
+ * Gets the characteristic impedance, velocity factor and attenuation of a line
+ * @param {LineParameters} parameters
+ * @returns {{characteristicImpedance: number, velocityFactor: number, lossless: boolean, attenuation: function(number): number}}
+ * - attenuation takes an angular frequency and gives the loss in nepers per metre
+ */
+function lineConstants(parameters) {
+    assert(parameters instanceof Object);
+
+    if (parameters.width === undefined) {
+        const { characteristicImpedance, velocityFactor = 1, attenuation = 0 } = parameters;
+        assert(characteristicImpedance > 0, 'Transmission lines need a positive characteristic impedance or a microstrip width');
+        assert(velocityFactor > 0 && velocityFactor <= 1, 'Velocity factors must be in (0, 1]');
+        assert(attenuation >= 0);
+        const nepersPerMetre = attenuation * Math.LN10 / 20;
+        return { characteristicImpedance, velocityFactor, lossless: attenuation === 0, attenuation: () => nepersPerMetre };
+    }
+
+    assert(parameters.characteristicImpedance === undefined && parameters.attenuation === undefined,
+        'Microstrip lines are described by their substrate, not by their impedance and attenuation');
+    const { width, relativePermittivity, lossTangent = 0, conductivity = Infinity } = parameters;
+    assert(lossTangent >= 0);
+    assert(conductivity > 0);
+
+    const { characteristicImpedance, effectivePermittivity: permittivity } = microstrip(parameters);
+    // Fraction of the field within the substrate, which sets how much of its loss the line sees
+    const filling = relativePermittivity === 1 ? 1 : relativePermittivity * (permittivity - 1) / (permittivity * (relativePermittivity - 1));
+    return {
+        characteristicImpedance,
+        velocityFactor: 1 / Math.sqrt(permittivity),
+        lossless: lossTangent === 0 && conductivity === Infinity,
+        attenuation: (angularFrequency) => {
+            const dielectric = angularFrequency / SPEED_OF_LIGHT * Math.sqrt(permittivity) / 2 * filling * lossTangent;
+            // The strip's surface resistance over its width, ignoring the ground plane and current crowding
+            const surfaceResistance = Math.sqrt(angularFrequency * VACUUM_PERMEABILITY / (2 * conductivity));
+            return dielectric + surfaceResistance / (characteristicImpedance * width);
+        }
+    };
+}
+
+/**
+ * Gets the physical length of a line, converting its electrical length if it is given instead
+ * @param {LineParameters} parameters
+ * @returns {number} - Length in metres
+ */
+export function physicalLength(parameters) {
+    const { length, electricalLength, referenceFrequency } = parameters;
+    if (length !== undefined) {
+        assert(electricalLength === undefined, 'A transmission line has a physical or an electrical length, but not both');
+        assert(length >= 0);
+        return length;
+    }
+
+    assert(electricalLength >= 0, 'Transmission lines need a length or an electrical length');
+    assert(referenceFrequency > 0, 'Electrical lengths need a positive reference frequency');
+    return electricalLength / 360 * lineConstants(parameters).velocityFactor * SPEED_OF_LIGHT / referenceFrequency;
+}
+
+/**
+ * Creates a transmission line from its description
+ * @param {LineParameters} parameters
+ * @returns {Line}
+ */
+export function makeLine(parameters) {
+    const { characteristicImpedance, velocityFactor, lossless, attenuation } = lineConstants(parameters);
+    return {
+        characteristicImpedance,
+        velocityFactor,
+        length: physicalLength(parameters),
+        lossless,
+        propagationConstant: (angularFrequency) =>
+            new Complex(attenuation(angularFrequency), angularFrequency / (velocityFactor * SPEED_OF_LIGHT))
+    };
+}
@@ -0,0 +1,169 @@
+import Complex from 'complex.js';
+import { test } from 'tap';
+
+import { Capacitor, ComponentValue, OpenStub, ShortStub, TransmissionLine } from './component.js';
+import { Filter, FilterStage, ShuntFilterStage, TransmissionLineStage } from './filter.js';
+import Load from './load.js';
+import { makeRandom } from './random.js';
+import { Topology } from './topology.js';
+import { SPEED_OF_LIGHT, microstrip, physicalLength } from './transmissionLine.js';
+import TwoPortNetwork from './twoPortNetwork.js';
+
+const frequency = 1e9;
+const angularFrequency = 2 * Math.PI * frequency;
+
+/**
+ * Input impedance of a two-port terminated by an impedance, (A ZL + B) / (C ZL + D)
+ */
+const inputImpedance = (network, loadImpedance) => {
+    const abcd = network.abcdMatrix(angularFrequency);
+    return abcd.get(0, 0).mul(loadImpedance).add(abcd.get(0, 1)).div(abcd.get(1, 0).mul(loadImpedance).add(abcd.get(1, 1)));
+};
+
+test('Test Transmission Line - Microstrip', (t) => {
+    // 3 mm on 1.6 mm FR4 is the textbook 50 ohm line
+    const fr4 = { height: 1.6e-3, relativePermittivity: 4.4 };
+    const line = microstrip({ ...fr4, width: 3e-3 });
+    t.ok(Math.abs(line.characteristicImpedance - 50.6) < 0.1, `Z0 ${line.characteristicImpedance}`);
+    t.ok(Math.abs(line.effectivePermittivity - 3.33) < 0.01, `εeff ${line.effectivePermittivity}`);
+
+    // Narrower strips have a higher impedance, and copper thickness widens the strip electrically
+    t.ok(microstrip({ ...fr4, width: 0.5e-3 }).characteristicImpedance > 100);
+    t.ok(microstrip({ ...fr4, width: 3e-3, thickness: 35e-6 }).characteristicImpedance < line.characteristicImpedance);
+    // In air the effective permittivity is exactly 1
+    t.equal(microstrip({ width: 1e-3, height: 1e-3, relativePermittivity: 1 }).effectivePermittivity, 1);
+
+    t.throws(() => microstrip({ ...fr4, width: 0 }));
+    t.throws(() => microstrip({ width: 1e-3, height: 1e-3, relativePermittivity: 0.5 }));
+
+    // Microstrip lines are slower than light by the square root of their effective permittivity
+    const quarterWave = physicalLength({ ...fr4, width: 3e-3, electricalLength: 90, referenceFrequency: frequency });
+    t.ok(Math.abs(quarterWave - SPEED_OF_LIGHT / frequency / 4 / Math.sqrt(line.effectivePermittivity)) < 1e-12);
+
+    t.end();
+});
+
+test('Test Transmission Line - Two-Port', (t) => {
+    const close = (actual, expected, message) => t.ok(new Complex(actual).sub(expected).abs() < 1e-6 * new Complex(expected).abs() + 1e-9, message);
+
+    // A quarter-wave line inverts the load impedance about Z0
+    const quarterWave = TwoPortNetwork.transmissionLine({ characteristicImpedance: 100, velocityFactor: 0.66, electricalLength: 90, referenceFrequency: frequency });
+    close(inputImpedance(quarterWave, 50), 200, 'quarter-wave transformer');
+    close(quarterWave.abcdMatrix(angularFrequency).determinant(), 1, 'reciprocal');
+
+    // The same line given by its physical length
+    const physical = TwoPortNetwork.transmissionLine({ characteristicImpedance: 100, velocityFactor: 0.66, length: 0.66 * SPEED_OF_LIGHT / frequency / 4 });
+    close(inputImpedance(physical, 50), 200, 'physical length');
+
+    // A half-wave line repeats the load, and a matched line only delays the signal
+    const halfWave = TwoPortNetwork.transmissionLine({ characteristicImpedance: 75, electricalLength: 180, referenceFrequency: frequency });
+    close(inputImpedance(halfWave, new Complex(20, 30)), new Complex(20, 30), 'half-wave line');
+    close(halfWave.sParameters(angularFrequency, 75).get(1, 0), -1, 'matched half-wave line');
+
+    // A matched lossy line attenuates by its loss per metre times its length
+    const lossy = TwoPortNetwork.transmissionLine({ characteristicImpedance: 50, attenuation: 2, length: 0.5 });
+    t.ok(Math.abs(20 * Math.log10(lossy.sParameters(angularFrequency, 50).get(1, 0).abs()) + 1) < 1e-9);
+    t.ok(lossy.sParameters(angularFrequency, 50).get(0, 0).abs() < 1e-12);
+
+    // Microstrip losses grow with frequency
+    const microstripLoss = (f) => {
+        const network = TwoPortNetwork.transmissionLine({
+            width: 3e-3, height: 1.6e-3, relativePermittivity: 4.4, lossTangent: 0.02, conductivity: 5.8e7, length: 0.1
+        });
+        return -20 * Math.log10(network.sParameters(2 * Math.PI * f, 50).get(1, 0).abs());
+    };
+    t.ok(microstripLoss(1e8) > 0);
+    t.ok(microstripLoss(1e9) > microstripLoss(1e8));
+    // An air-spaced microstrip has its whole field in the dielectric, and travels at the speed of light
+    const airLine = TwoPortNetwork.transmissionLine({ width: 3e-3, height: 1.6e-3, relativePermittivity: 1, length: 0.1 });
+    close(airLine.abcdMatrix(angularFrequency).get(0, 0), Math.cos(angularFrequency * 0.1 / SPEED_OF_LIGHT), 'air-spaced microstrip');
+
+    // The length derivative matches central differences
+    const parameters = { characteristicImpedance: 30, attenuation: 3, length: 0.04 };
+    const derivative = TwoPortNetwork.transmissionLineDerivative(parameters, angularFrequency);
+    const step = 1e-8;
+    const at = (length) => TwoPortNetwork.transmissionLine({ ...parameters, length }).abcdMatrix(angularFrequency);
+    for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]])
+        close(derivative.get(row, column), at(0.04 + step).get(row, column).sub(at(0.04 - step).get(row, column)).div(2 * step), `dABCD${row}${column}`);
+
+    t.throws(() => TwoPortNetwork.transmissionLine({ characteristicImpedance: 50 }));
+    t.throws(() => TwoPortNetwork.transmissionLine({ characteristicImpedance: 50, length: 1, electricalLength: 90, referenceFrequency: 1e9 }));
+    t.throws(() => TwoPortNetwork.transmissionLine({ characteristicImpedance: 50, velocityFactor: 1.5, length: 1 }));
+    t.throws(() => TwoPortNetwork.transmissionLine({ characteristicImpedance: 50, width: 1e-3, height: 1e-3, relativePermittivity: 4, length: 1 }));
+
+    t.end();
+});
+
+test('Test Transmission Line - Stubs', (t) => {
+    const quarterWave = { characteristicImpedance: 50, electricalLength: 90, referenceFrequency: frequency };
+
+    // Quarter-wave stubs turn a short into an open and an open into a short
+    t.ok(Load.shortStub(quarterWave).impedance(angularFrequency).abs() > 1e9);
+    t.ok(Load.openStub(quarterWave).impedance(angularFrequency).abs() < 1e-6);
+
+    // An eighth-wave stub is a ±j Z0 reactance
+    const eighthWave = { ...quarterWave, electricalLength: 45 };
+    t.ok(Load.shortStub(eighthWave).impedance(angularFrequency).sub(new Complex(0, 50)).abs() < 1e-9);
+    t.ok(Load.openStub(eighthWave).impedance(angularFrequency).sub(new Complex(0, -50)).abs() < 1e-9);
+
+    // Stubs match a terminated line
+    const line = { characteristicImpedance: 60, attenuation: 1, length: 0.03 };
+    const network = TwoPortNetwork.transmissionLine(line);
+    t.ok(Load.shortStub(line).impedance(angularFrequency).sub(inputImpedance(network, 0)).abs() < 1e-9);
+    const lineAdmittance = network.abcdMatrix(angularFrequency).get(1, 0).div(network.abcdMatrix(angularFrequency).get(0, 0));
+    t.ok(Load.openStub(line).admittance(angularFrequency).sub(lineAdmittance).abs() < 1e-12);
+
+    // At DC a lossless open stub blocks and a lossless short stub conducts
+    t.equal(Load.openStub(quarterWave).admittance(0).abs(), 0);
+    t.equal(Load.shortStub(quarterWave).impedance(0).abs(), 0);
+
+    const json = JSON.parse(JSON.stringify(Load.openStub(eighthWave)));
+    t.same(json, { type: 'openStub', ...eighthWave });
+    t.same(Load.fromJSON(json).impedance(angularFrequency), Load.openStub(eighthWave).impedance(angularFrequency));
+
+    t.end();
+});
+
+test('Test Transmission Line - Optimizable Elements', (t) => {
+    // A high impedance microstrip line between stubs, tuned by their lengths
+    const lengths = (initialValue) => ComponentValue.initializeComponent(initialValue, 0.1, 0.001, false, false, 'E96');
+    const filter = new Filter(Load.resistor(50), Load.resistor(50), [
+        new ShuntFilterStage(new OpenStub(lengths(0.01), { characteristicImpedance: 20, velocityFactor: 0.6 })),
+        new TransmissionLineStage(new TransmissionLine(lengths(0.02), { width: 0.5e-3, height: 1.6e-3, relativePermittivity: 4.4, lossTangent: 0.02 })),
+        new ShuntFilterStage(new ShortStub(0.05, { characteristicImpedance: 80 }), new Capacitor(1e-12))
+    ]);
+
+    t.equal(filter.stages[1].toString(), `line: ${filter.stages[1].components[0].componentValue.value}`);
+    t.throws(() => filter.stages[1].load());
+    t.throws(() => new TransmissionLineStage(new Capacitor(1e-9)));
+    t.throws(() => filter.stages[1].withComponents([filter.stages[1].components[0], new Capacitor(1e-9)]));
+
+    // Lengths are optimized like any other component value
+    const random = makeRandom(5);
+    const neighbor = filter.update(random);
+    t.not(neighbor.stages[1].components[0].componentValue.value, filter.stages[1].components[0].componentValue.value);
+    t.ok(neighbor.stages[1] instanceof TransmissionLineStage);
+
+    // Analytic sensitivities match central differences
+    for (const { stage, leaf, component, voltageGain } of filter.sensitivities(angularFrequency)) {
+        const value = component.componentValue.value;
+        const step = value * 1e-6;
+        const at = (newValue) => filter.withStage(stage, filter.stages[stage].withLeaf(leaf, component.withValue(newValue))).network.voltageGain(angularFrequency);
+        const expected = at(value + step).sub(at(value - step)).div(2 * step);
+        t.ok(voltageGain.sub(expected).abs() < 1e-5 * expected.abs(), `${component.componentName} in stage ${stage}`);
+    }
+
+    const restored = Filter.fromJSON(JSON.parse(JSON.stringify(filter)));
+    t.same(restored.toJSON(), filter.toJSON());
+    t.ok(restored.stages[1] instanceof TransmissionLineStage);
+    t.same(restored.network.voltageGain(angularFrequency), filter.network.voltageGain(angularFrequency));
+    t.throws(() => FilterStage.fromJSON({ type: 'transmissionLine', components: [] }));
+
+    // Topology moves leave the line stage holding only its line
+    const topology = new Topology({ moves: ['addComponent'], maxComponentsPerStage: 3 });
+    for (let i = 0; i < 20; i++)
+        t.equal(topology.mutate(filter, random).stages[1].components.length, 1);
+    t.same(new Topology({ moves: ['addComponent'] }).possibleMoves(filter.withStages([filter.stages[1]])), []);
+
+    t.end();
+});
@@ -3,6 +3,8 @@ import { strict as assert } from 'node:assert';
 import Complex from 'complex.js';
 
 import Load from './load.js';
+import { makeTransformer, transformerCircuitDerivatives } from './transformer.js';
+import { makeLine } from './transmissionLine.js';
 
 const ONE = Complex.ONE;
 
@@ -10,7 +12,38 @@ function reciprocal(x) {
     return ONE.div(x)
 }
 
-class TwoPortMatrix {
+/**
+ * Evaluates a termination as a complex impedance
+ * @param {Load|Complex|number} termination - Terminating load or impedance value
+ * @param {number} angularFrequency - Frequency at which to evaluate the termination
+ * @returns {Complex}
+ */
+function terminationImpedance(termination, angularFrequency) {
+    assert(termination !== undefined);
+
+    return termination instanceof Load ? termination.impedance(angularFrequency) : new Complex(termination);
+}
+
+/**
+ * Gets the ABCD matrices of the sections of a transformer's equivalent circuit: the primary winding, the magnetizing
+ * and core loss branch, the ideal transformer and the secondary winding
+ * @param {import('./transformer.js').TransformerCircuit} circuit
+ * @param {number} angularFrequency
+ * @returns {Array<TwoPortMatrix>}
+ */
+function transformerSections(circuit, angularFrequency) {
+    const magnetizingAdmittance = circuit.magnetizingInductance === Infinity
+        ? Complex.ZERO
+        : new Complex(0, angularFrequency * circuit.magnetizingInductance).inverse();
+    return [
+        new TwoPortMatrix([[1, new Complex(circuit.primaryResistance, angularFrequency * circuit.primaryLeakageInductance)], [0, 1]]),
+        new TwoPortMatrix([[1, 0], [magnetizingAdmittance.add(1 / circuit.coreResistance), 1]]),
+        new TwoPortMatrix([[circuit.turnsRatio, 0], [0, 1 / circuit.turnsRatio]]),
+        new TwoPortMatrix([[1, new Complex(circuit.secondaryResistance, angularFrequency * circuit.secondaryLeakageInductance)], [0, 1]])
+    ];
+}
+
+export class TwoPortMatrix {
     constructor(rows) {
         assert(rows instanceof Array)
         assert(rows.length === 2)
@@ -48,14 +81,26 @@ class TwoPortMatrix {
         return result;
     }
 
+    /**
+     * Calculates the determinant of the matrix
+     * @returns {Complex}
+     */
+    determinant() {
+        return this.get(0, 0).mul(this.get(1, 1)).sub(this.get(0, 1).mul(this.get(1, 0)));
+    }
+
     static zeros() {
         return new TwoPortMatrix([[0, 0], [0, 0]]);
     }
 
+    static identity() {
+        return new TwoPortMatrix([[1, 0], [0, 1]]);
+    }
+
 }
 
 /**
- * Models a passive electrical two port network
+ * Models a linear electrical two port network, passive or active
  */
 export class TwoPortNetwork {
     /**
@@ -79,6 +124,199 @@ export class TwoPortNetwork {
         return reciprocal(this.abcdMatrix(angularFrequency).get(0, 0));
     }
 
+    /**
+     * Gets the impedance (Z) parameters of the network
+     * @param {number} angularFrequency - Frequency at which to evaluate the parameters
+     * @returns {TwoPortMatrix}
+     */
+    zParameters(angularFrequency) {
+        assert(angularFrequency >= 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const c = abcd.get(1, 0);
+        return new TwoPortMatrix([
+            [abcd.get(0, 0).div(c), abcd.determinant().div(c)],
+            [reciprocal(c), abcd.get(1, 1).div(c)]
+        ]);
+    }
+
+    /**
+     * Gets the admittance (Y) parameters of the network
+     * @param {number} angularFrequency - Frequency at which to evaluate the parameters
+     * @returns {TwoPortMatrix}
+     */
+    yParameters(angularFrequency) {
+        assert(angularFrequency >= 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const b = abcd.get(0, 1);
+        return new TwoPortMatrix([
+            [abcd.get(1, 1).div(b), abcd.determinant().neg().div(b)],
+            [reciprocal(b).neg(), abcd.get(0, 0).div(b)]
+        ]);
+    }
+
+    /**
+     * Gets the hybrid (H) parameters of the network
+     * @param {number} angularFrequency - Frequency at which to evaluate the parameters
+     * @returns {TwoPortMatrix}
+     */
+    hParameters(angularFrequency) {
+        assert(angularFrequency >= 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const d = abcd.get(1, 1);
+        return new TwoPortMatrix([
+            [abcd.get(0, 1).div(d), abcd.determinant().div(d)],
+            [reciprocal(d).neg(), abcd.get(1, 0).div(d)]
+        ]);
+    }
+
+    /**
+     * Gets the scattering (S) parameters of the network.
+     * Uses power wave definitions so that complex reference impedances are supported.
+     * @param {number} angularFrequency - Frequency at which to evaluate the parameters
+     * @param {Complex|number} referenceImpedance - Port 1 reference impedance
+     * @param {Complex|number} outputReferenceImpedance - Port 2 reference impedance
+     * @returns {TwoPortMatrix}
+     */
+    sParameters(angularFrequency, referenceImpedance = 50, outputReferenceImpedance = referenceImpedance) {
+        assert(angularFrequency >= 0);
+
+        const z1 = new Complex(referenceImpedance);
+        const z2 = new Complex(outputReferenceImpedance);
+        assert(z1.re > 0);
+        assert(z2.re > 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const a = abcd.get(0, 0);
+        const b = abcd.get(0, 1);
+        const c = abcd.get(1, 0);
+        const d = abcd.get(1, 1);
+
+        const denominator = a.mul(z2).add(b).add(c.mul(z1).mul(z2)).add(d.mul(z1));
+        const transmission = new Complex(2 * Math.sqrt(z1.re * z2.re)).div(denominator);
+
+        return new TwoPortMatrix([
+            [
+                a.mul(z2).add(b).sub(c.mul(z1.conjugate()).mul(z2)).sub(d.mul(z1.conjugate())).div(denominator),
+                abcd.determinant().mul(transmission)
+            ],
+            [
+                transmission,
+                a.neg().mul(z2.conjugate()).add(b).sub(c.mul(z1).mul(z2.conjugate())).add(d.mul(z1)).div(denominator)
+            ]
+        ]);
+    }
+
+    /**
+     * Gets the impedance seen looking into port 1 with port 2 terminated
+     * @param {number} angularFrequency - Frequency at which to evaluate the impedance
+     * @param {Load|Complex|number} outputTermination - Load connected to port 2
+     * @returns {Complex}
+     */
+    inputImpedance(angularFrequency, outputTermination) {
+        assert(angularFrequency >= 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const loadImpedance = terminationImpedance(outputTermination, angularFrequency);
+        return abcd.get(0, 0).mul(loadImpedance).add(abcd.get(0, 1))
+            .div(abcd.get(1, 0).mul(loadImpedance).add(abcd.get(1, 1)));
+    }
+
+    /**
+     * Gets the impedance seen looking into port 2 with port 1 terminated
+     * @param {number} angularFrequency - Frequency at which to evaluate the impedance
+     * @param {Load|Complex|number} inputTermination - Source impedance connected to port 1
+     * @returns {Complex}
+     */
+    outputImpedance(angularFrequency, inputTermination) {
+        assert(angularFrequency >= 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const sourceImpedance = terminationImpedance(inputTermination, angularFrequency);
+        return abcd.get(1, 1).mul(sourceImpedance).add(abcd.get(0, 1))
+            .div(abcd.get(1, 0).mul(sourceImpedance).add(abcd.get(0, 0)));
+    }
+
+    /**
+     * Gets the transducer gain of the network between a source and a load: the power delivered to the load over
+     * the power available from the source. Both terminations may be complex and vary with frequency.
+     * G = 4 Re(Zs) Re(ZL) / |A ZL + B + C Zs ZL + D Zs|²
+     * @param {number} angularFrequency - Frequency at which to evaluate the gain
+     * @param {Load|Complex|number} inputTermination - Source impedance connected to port 1
+     * @param {Load|Complex|number} outputTermination - Load connected to port 2
+     * @returns {number} - Power ratio, not in dB
+     */
+    transducerGain(angularFrequency, inputTermination, outputTermination) {
+        assert(angularFrequency >= 0);
+
+        const abcd = this.abcdMatrix(angularFrequency);
+        const sourceImpedance = terminationImpedance(inputTermination, angularFrequency);
+        const loadImpedance = terminationImpedance(outputTermination, angularFrequency);
+        const denominator = abcd.get(0, 0).mul(loadImpedance).add(abcd.get(0, 1))
+            .add(abcd.get(1, 0).mul(sourceImpedance).mul(loadImpedance)).add(abcd.get(1, 1).mul(sourceImpedance));
+        return 4 * sourceImpedance.re * loadImpedance.re / (denominator.abs() ** 2);
+    }
+
+    /**
+     * Gets the power wave reflection coefficient at port 1 with the network between a source and a load,
+     * Γ = (Zin - Zs*) / (Zin + Zs). It is zero when the input is conjugate matched to the source.
+     * @param {number} angularFrequency - Frequency at which to evaluate the reflection
+     * @param {Load|Complex|number} inputTermination - Source impedance connected to port 1
+     * @param {Load|Complex|number} outputTermination - Load connected to port 2
+     * @returns {Complex}
+     */
+    inputReflectionCoefficient(angularFrequency, inputTermination, outputTermination) {
+        const sourceImpedance = terminationImpedance(inputTermination, angularFrequency);
+        const inputImpedance = this.inputImpedance(angularFrequency, outputTermination);
+        return inputImpedance.sub(sourceImpedance.conjugate()).div(inputImpedance.add(sourceImpedance));
+    }
+
+    /**
+     * Gets the mismatch loss at port 1 in decibels: the fraction of the source's available power that is
+     * reflected because the input is not conjugate matched, -10 log10(1 - |Γ|²)
+     * @param {number} angularFrequency - Frequency at which to evaluate the loss
+     * @param {Load|Complex|number} inputTermination - Source impedance connected to port 1
+     * @param {Load|Complex|number} outputTermination - Load connected to port 2
+     * @returns {number}
+     */
+    mismatchLoss(angularFrequency, inputTermination, outputTermination) {
+        const reflection = this.inputReflectionCoefficient(angularFrequency, inputTermination, outputTermination).abs();
+        return -10 * Math.log10(1 - reflection * reflection);
+    }
+
+    /**
+     * Gets the insertion loss of the network in decibels
+     * @param {number} angularFrequency - Frequency at which to evaluate the loss
+     * @param {Complex|number} referenceImpedance - Reference impedance of both ports
+     * @returns {number}
+     */
+    insertionLoss(angularFrequency, referenceImpedance = 50) {
+        return -20 * Math.log10(this.sParameters(angularFrequency, referenceImpedance).get(1, 0).abs());
+    }
+
+    /**
+     * Gets the input return loss of the network in decibels
+     * @param {number} angularFrequency - Frequency at which to evaluate the loss
+     * @param {Complex|number} referenceImpedance - Reference impedance of both ports
+     * @returns {number}
+     */
+    returnLoss(angularFrequency, referenceImpedance = 50) {
+        return -20 * Math.log10(this.sParameters(angularFrequency, referenceImpedance).get(0, 0).abs());
+    }
+
+    /**
+     * Gets the input voltage standing wave ratio of the network
+     * @param {number} angularFrequency - Frequency at which to evaluate the VSWR
+     * @param {Complex|number} referenceImpedance - Reference impedance of both ports
+     * @returns {number}
+     */
+    vswr(angularFrequency, referenceImpedance = 50) {
+        const reflection = this.sParameters(angularFrequency, referenceImpedance).get(0, 0).abs();
+        return (1 + reflection) / (1 - reflection);
+    }
+
     /**
      * Creates a two-port network from a series connected load
      * @param {Load} load 
@@ -155,6 +393,133 @@ export class TwoPortNetwork {
         return new TwoPortNetwork(() => new TwoPortMatrix([[turnsRatio, 0], [0, 1 / turnsRatio]]));
     }
 
+    /**
+     * Constructs a two-port network from a pair of coupled inductors, each with one end grounded.
+     * With mutual inductance M = k √(L₁L₂), ABCD = [[L₁ / M, jω(L₁L₂ - M²) / M], [1 / jωM, L₂ / M]]
+     * @param {number} primaryInductance - Self inductance of the input winding
+     * @param {number} secondaryInductance - Self inductance of the output winding
+     * @param {number} coupling - Coupling coefficient k, greater than 0 and at most 1
+     * @returns {TwoPortNetwork}
+     */
+    static coupledInductors(primaryInductance, secondaryInductance, coupling) {
+        assert(primaryInductance > 0);
+        assert(secondaryInductance > 0);
+        assert(coupling > 0 && coupling <= 1, 'The coupling coefficient must be greater than 0 and at most 1');
+
+        const mutualInductance = coupling * Math.sqrt(primaryInductance * secondaryInductance);
+        const leakage = (primaryInductance * secondaryInductance - mutualInductance * mutualInductance) / mutualInductance;
+        return new TwoPortNetwork((angularFrequency) => new TwoPortMatrix([
+            [primaryInductance / mutualInductance, new Complex(0, angularFrequency * leakage)],
+            [new Complex(0, angularFrequency * mutualInductance).inverse(), secondaryInductance / mutualInductance]
+        ]));
+    }
+
+    /**
+     * Constructs a two-port network from a transformer with leakage and magnetizing inductance and winding and core losses
+     * @param {import('./transformer.js').TransformerParameters} parameters - Turns ratio and equivalent circuit
+     * @returns {TwoPortNetwork}
+     */
+    static lossyTransformer(parameters) {
+        const circuit = makeTransformer(parameters);
+
+        return new TwoPortNetwork((angularFrequency) => transformerSections(circuit, angularFrequency)
+            .reduce((product, section) => product.matrixMuliply(section)));
+    }
+
+    /**
+     * Gets the derivatives of a transformer's ABCD matrix with respect to some of its parameters
+     * @param {import('./transformer.js').TransformerParameters} parameters
+     * @param {number} angularFrequency
+     * @param {Array<string>} names - Parameters to differentiate with respect to
+     * @returns {Array<TwoPortMatrix>} - One derivative for each of names
+     */
+    static lossyTransformerDerivatives(parameters, angularFrequency, names) {
+        const circuit = makeTransformer(parameters);
+        const sections = transformerSections(circuit, angularFrequency);
+
+        return names.map((name) => {
+            const {
+                turnsRatio = 0,
+                magnetizingInductance = 0,
+                primaryLeakageInductance = 0,
+                secondaryLeakageInductance = 0,
+                primaryResistance = 0,
+                secondaryResistance = 0,
+                coreResistance = 0
+            } = transformerCircuitDerivatives(parameters, name);
+            // Elements that do not depend on the parameter are left out, since they may be infinite
+            let shuntDerivative = Complex.ZERO;
+            if (magnetizingInductance !== 0)
+                shuntDerivative = shuntDerivative.add(new Complex(0, angularFrequency * circuit.magnetizingInductance ** 2).inverse().mul(-magnetizingInductance));
+            if (coreResistance !== 0)
+                shuntDerivative = shuntDerivative.add(-coreResistance / circuit.coreResistance ** 2);
+            const sectionDerivatives = [
+                new TwoPortMatrix([[0, new Complex(primaryResistance, angularFrequency * primaryLeakageInductance)], [0, 0]]),
+                new TwoPortMatrix([[0, 0], [shuntDerivative, 0]]),
+                new TwoPortMatrix([[turnsRatio, 0], [0, -turnsRatio / circuit.turnsRatio ** 2]]),
+                new TwoPortMatrix([[0, new Complex(secondaryResistance, angularFrequency * secondaryLeakageInductance)], [0, 0]])
+            ];
+            return TwoPortNetwork.cascadeDerivatives(sections, sectionDerivatives.map((derivative) => [derivative]))
+                .reduce((sum, derivative) => new TwoPortMatrix(sum.rows.map((row, i) => row.map((element, j) => element.add(derivative.get(i, j))))));
+        });
+    }
+
+    /**
+     * Constructs a two-port network from a section of transmission line, lossless or lossy.
+     * ABCD = [[cosh γl, Z0 sinh γl], [sinh γl / Z0, cosh γl]]
+     * @param {import('./transmissionLine.js').LineParameters} parameters - Characteristic impedance or microstrip
+     * substrate, physical or electrical length, velocity factor and attenuation
+     * @returns {TwoPortNetwork}
+     */
+    static transmissionLine(parameters) {
+        const { characteristicImpedance, length, propagationConstant } = makeLine(parameters);
+
+        return new TwoPortNetwork((angularFrequency) => {
+            const electricalLength = propagationConstant(angularFrequency).mul(length);
+            const cosh = electricalLength.cosh();
+            const sinh = electricalLength.sinh();
+            return new TwoPortMatrix([[cosh, sinh.mul(characteristicImpedance)], [sinh.div(characteristicImpedance), cosh]]);
+        });
+    }
+
+    /**
+     * Gets the derivative of a transmission line's ABCD matrix with respect to its physical length
+     * @param {import('./transmissionLine.js').LineParameters} parameters
+     * @param {number} angularFrequency
+     * @returns {TwoPortMatrix}
+     */
+    static transmissionLineDerivative(parameters, angularFrequency) {
+        const { characteristicImpedance, length, propagationConstant } = makeLine(parameters);
+        const gamma = propagationConstant(angularFrequency);
+        const cosh = gamma.mul(length).cosh().mul(gamma);
+        const sinh = gamma.mul(length).sinh().mul(gamma);
+        return new TwoPortMatrix([[sinh, cosh.mul(characteristicImpedance)], [cosh.div(characteristicImpedance), sinh]]);
+    }
+
+    /**
+     * Constructs a two-port network from an ideal voltage controlled voltage source, driving the output with the input voltage
+     * times a gain μ while drawing no input current, so ABCD = [[1 / μ, 0], [0, 0]]
+     * @param {number} gain - Output voltage over input voltage
+     * @returns {TwoPortNetwork}
+     */
+    static vcvs(gain) {
+        assert(gain !== 0 && Number.isFinite(gain), 'A voltage controlled voltage source needs a finite, nonzero gain');
+
+        return new TwoPortNetwork(() => new TwoPortMatrix([[1 / gain, 0], [0, 0]]));
+    }
+
+    /**
+     * Constructs a two-port network from an ideal voltage controlled current source, driving a current gₘ times the input
+     * voltage out of the output port while drawing no input current, so ABCD = [[0, 1 / gₘ], [0, 0]]
+     * @param {number} transconductance - Output current over input voltage
+     * @returns {TwoPortNetwork}
+     */
+    static vccs(transconductance) {
+        assert(transconductance !== 0 && Number.isFinite(transconductance), 'A voltage controlled current source needs a finite, nonzero transconductance');
+
+        return new TwoPortNetwork(() => new TwoPortMatrix([[0, 1 / transconductance], [0, 0]]));
+    }
+
     /**
      * Constructs an identity two port network, that is, a network that has no effect when inserted in a cascade
      * @returns {TwoPortNetwork}
@@ -163,6 +528,83 @@ export class TwoPortNetwork {
         return TwoPortNetwork.transformer(1)
     }
 
+    /**
+     * Gets the derivative of the voltage gain, 1 / A, from the derivative of the ABCD matrix
+     * @param {TwoPortMatrix} abcd - ABCD matrix of the network
+     * @param {TwoPortMatrix} abcdDerivative - Derivative of the ABCD matrix with respect to some parameter
+     * @returns {Complex}
+     */
+    static voltageGainDerivative(abcd, abcdDerivative) {
+        const a = abcd.get(0, 0);
+        return abcdDerivative.get(0, 0).div(a.mul(a)).neg();
+    }
+
+    /**
+     * Gets the derivatives of the scattering parameters, as defined by sParameters, from the derivative of the ABCD matrix
+     * @param {TwoPortMatrix} abcd - ABCD matrix of the network
+     * @param {TwoPortMatrix} abcdDerivative - Derivative of the ABCD matrix with respect to some parameter
+     * @param {Complex|number} referenceImpedance - Port 1 reference impedance
+     * @param {Complex|number} outputReferenceImpedance - Port 2 reference impedance
+     * @returns {TwoPortMatrix}
+     */
+    static sParameterDerivatives(abcd, abcdDerivative, referenceImpedance = 50, outputReferenceImpedance = referenceImpedance) {
+        const z1 = new Complex(referenceImpedance);
+        const z2 = new Complex(outputReferenceImpedance);
+        assert(z1.re > 0);
+        assert(z2.re > 0);
+
+        const [[a, b], [c, d]] = abcd.rows;
+        const [[da, db], [dc, dd]] = abcdDerivative.rows;
+        // Each parameter is linear in the ABCD elements apart from the common denominator
+        const combine = (p, q, r, s) => (
+            (wa, wb, wc, wd) => wa.mul(p).add(wb.mul(q)).add(wc.mul(r)).add(wd.mul(s)));
+        const denominatorOf = combine(z2, ONE, z1.mul(z2), z1);
+        const reflectionOf = combine(z2, ONE, z1.conjugate().mul(z2).neg(), z1.conjugate().neg());
+        const outputReflectionOf = combine(z2.conjugate().neg(), ONE, z1.mul(z2.conjugate()).neg(), z1);
+
+        const denominator = denominatorOf(a, b, c, d);
+        const denominatorDerivative = denominatorOf(da, db, dc, dd);
+        const transmission = new Complex(2 * Math.sqrt(z1.re * z2.re)).div(denominator);
+        const transmissionDerivative = transmission.mul(denominatorDerivative).div(denominator).neg();
+        const quotientDerivative = (numerator, numeratorDerivative) =>
+            numeratorDerivative.sub(numerator.mul(denominatorDerivative).div(denominator)).div(denominator);
+        const determinantDerivative = da.mul(d).add(a.mul(dd)).sub(db.mul(c)).sub(b.mul(dc));
+
+        return new TwoPortMatrix([
+            [
+                quotientDerivative(reflectionOf(a, b, c, d), reflectionOf(da, db, dc, dd)),
+                determinantDerivative.mul(transmission).add(abcd.determinant().mul(transmissionDerivative))
+            ],
+            [
+                transmissionDerivative,
+                quotientDerivative(outputReflectionOf(a, b, c, d), outputReflectionOf(da, db, dc, dd))
+            ]
+        ]);
+    }
+
+    /**
+     * Propagates derivatives through a cascade of networks. The derivative of the cascade's ABCD matrix with respect to a
+     * parameter of one network is the product of the preceding networks' matrices, the derivative of that network's
+     * matrix and the following networks' matrices.
+     * @param {Array<TwoPortMatrix>} matrices - ABCD matrices of the cascaded networks
+     * @param {Array<Array<TwoPortMatrix>>} derivatives - Derivatives of each network's ABCD matrix with respect to each of its parameters
+     * @returns {Array<TwoPortMatrix>} - Derivatives of the cascade's ABCD matrix with respect to every parameter, network by network
+     */
+    static cascadeDerivatives(matrices, derivatives) {
+        assert(matrices instanceof Array);
+        assert(derivatives instanceof Array && derivatives.length === matrices.length);
+
+        const preceding = [TwoPortMatrix.identity()];
+        for (const matrix of matrices.slice(0, -1))
+            preceding.push(preceding.at(-1).matrixMuliply(matrix));
+        const following = [TwoPortMatrix.identity()];
+        for (const matrix of matrices.slice(1).reverse())
+            following.unshift(matrix.matrixMuliply(following[0]));
+
+        return derivatives.flatMap((networkDerivatives, i) => networkDerivatives.map(
+            (derivative) => preceding[i].matrixMuliply(derivative).matrixMuliply(following[i])));
+    }
+
     /**
      * Cascades a series of connected two-port networks to form a new two-port network
      * @param  {...TwoPortNetwork} stages - Stages to cascade together
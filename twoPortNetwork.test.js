@@ -1,8 +1,9 @@
+import Complex from 'complex.js';
 import * as math from 'mathjs';
 import { test } from 'tap';
 
 import Load from './load.js';
-import TwoPortNetwork from './twoPortNetwork.js';
+import TwoPortNetwork, { TwoPortMatrix } from './twoPortNetwork.js';
 
 test('Test TwoPortNetwork - Series Connection', (t) => {
     const load = Load.resistor(50);
@@ -66,4 +67,109 @@ test('Test TwoPortNetwork - Transformer', (t) => {
     t.equal(voltageGain.im, 0);
 
     t.end();
-});
\ No newline at end of file
+});
+
+test('Test TwoPortNetwork - Network Parameters', (t) => {
+    const network = TwoPortNetwork.lSection(Load.resistor(10), Load.resistor(20));
+
+    const z = network.zParameters(1);
+    t.equal(z.get(0, 0).re, 30);
+    t.equal(z.get(0, 1).re, 20);
+    t.equal(z.get(1, 0).re, 20);
+    t.equal(z.get(1, 1).re, 20);
+
+    const y = network.yParameters(1);
+    t.equal(y.get(0, 0).re, 0.1);
+    t.equal(y.get(0, 1).re, -0.1);
+    t.equal(y.get(1, 0).re, -0.1);
+    t.equal(y.get(1, 1).re, 0.15);
+
+    const h = network.hParameters(1);
+    t.equal(h.get(0, 0).re, 10);
+    t.equal(h.get(0, 1).re, 1);
+    t.equal(h.get(1, 0).re, -1);
+    t.equal(h.get(1, 1).re, 0.05);
+
+    t.end();
+});
+
+test('Test TwoPortNetwork - S Parameters', (t) => {
+    const matched = TwoPortNetwork.identity().sParameters(1, 50);
+    t.equal(matched.get(0, 0).abs(), 0);
+    t.equal(matched.get(1, 0).re, 1);
+    t.equal(matched.get(0, 1).re, 1);
+    t.equal(matched.get(1, 1).abs(), 0);
+
+    const shunt = TwoPortNetwork.shunt(Load.resistor(50)).sParameters(1, 50);
+    t.ok(Math.abs(shunt.get(0, 0).re + 1 / 3) < 1e-12);
+    t.ok(Math.abs(shunt.get(1, 0).re - 2 / 3) < 1e-12);
+
+    t.ok(Math.abs(TwoPortNetwork.series(Load.resistor(100)).returnLoss(1, 50) - 20 * Math.log10(2)) < 1e-12);
+    t.ok(Math.abs(TwoPortNetwork.transformer(2).vswr(1, 50) - 4) < 1e-12);
+    t.equal(TwoPortNetwork.identity().insertionLoss(1, 50), 0);
+
+    t.end();
+});
+
+test('Test TwoPortNetwork - Terminated Impedances', (t) => {
+    const network = TwoPortNetwork.lSection(Load.resistor(10), Load.resistor(20));
+
+    t.equal(network.inputImpedance(1, Load.resistor(20)).re, 20);
+    t.equal(network.inputImpedance(1, 20).re, 20);
+    t.equal(network.outputImpedance(1, 10).re, 10);
+
+    t.end();
+});
+
+test('Test TwoPortNetwork - Derivatives', (t) => {
+    // A series resistor R followed by a shunt capacitor C, differentiated with respect to R
+    const angularFrequency = 2 * Math.PI * 1e6;
+    const network = (resistance) => TwoPortNetwork.cascade(
+        TwoPortNetwork.series(Load.resistor(resistance)),
+        TwoPortNetwork.shunt(Load.capacitor(1e-9)));
+    const matrices = [
+        TwoPortNetwork.series(Load.resistor(30)).abcdMatrix(angularFrequency),
+        TwoPortNetwork.shunt(Load.capacitor(1e-9)).abcdMatrix(angularFrequency)
+    ];
+    const [derivative] = TwoPortNetwork.cascadeDerivatives(matrices, [[new TwoPortMatrix([[0, 1], [0, 0]])], []]);
+
+    const step = 1e-6;
+    const abcd = network(30).abcdMatrix(angularFrequency);
+    const upper = network(30 + step);
+    const lower = network(30 - step);
+    for (const [row, column] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+        const expected = upper.abcdMatrix(angularFrequency).get(row, column).sub(lower.abcdMatrix(angularFrequency).get(row, column)).div(2 * step);
+        t.ok(derivative.get(row, column).sub(expected).abs() < 1e-8, `ABCD ${row}${column}`);
+
+        const sDerivative = TwoPortNetwork.sParameterDerivatives(abcd, derivative, new Complex(50, 10), 75).get(row, column);
+        const sExpected = upper.sParameters(angularFrequency, new Complex(50, 10), 75).get(row, column)
+            .sub(lower.sParameters(angularFrequency, new Complex(50, 10), 75).get(row, column)).div(2 * step);
+        t.ok(sDerivative.sub(sExpected).abs() < 1e-8, `S ${row}${column}`);
+    }
+
+    const gainExpected = upper.voltageGain(angularFrequency).sub(lower.voltageGain(angularFrequency)).div(2 * step);
+    t.ok(TwoPortNetwork.voltageGainDerivative(abcd, derivative).sub(gainExpected).abs() < 1e-8);
+
+    t.end();
+});
+
+test('Test TwoPortNetwork - Transducer Gain', (t) => {
+    // A direct connection delivers all the available power only to a conjugate matched load
+    t.ok(Math.abs(TwoPortNetwork.identity().transducerGain(1, 50, 50) - 1) < 1e-12);
+    t.ok(Math.abs(TwoPortNetwork.identity().transducerGain(1, new Complex(10, 5), new Complex(10, -5)) - 1) < 1e-12);
+    t.ok(TwoPortNetwork.identity().mismatchLoss(1, new Complex(10, 5), new Complex(10, -5)) < 1e-12);
+    t.ok(Math.abs(TwoPortNetwork.identity().transducerGain(1, 50, 100) - 8 / 9) < 1e-12);
+
+    // Without loss, the transducer loss is the mismatch loss
+    const network = TwoPortNetwork.lSection(Load.inductor(1e-6), Load.capacitor(1e-9));
+    const angularFrequency = 2 * Math.PI * 3e6;
+    const load = Load.series(Load.resistor(20), Load.capacitor(2e-9));
+    const gain = network.transducerGain(angularFrequency, 75, load);
+    t.ok(gain < 1);
+    t.ok(Math.abs(-10 * Math.log10(gain) - network.mismatchLoss(angularFrequency, 75, load)) < 1e-9);
+
+    // Power wave reflections vanish for a conjugate match even though the impedances differ
+    t.equal(TwoPortNetwork.identity().inputReflectionCoefficient(1, new Complex(10, 5), new Complex(10, -5)).abs(), 0);
+
+    t.end();
+});